@@ -9,13 +9,27 @@ import { route, navigate, initRouter } from './router.js';
 
 import { populateDeviceList } from './audio.js';
 
+import {
+    getSimulationConfig,
+    installSimulation,
+    uninstallSimulation,
+    removeSimulatedDevice
+} from './simulation.js';
+
 import {
     runMicrophoneTest,
     stopTest,
     continueWithPermissionTests,
     toggleMonitoring,
+    toggleSpectrum,
+    startShowdown,
+    closeShowdown,
     startNoiseFloorTest,
     startVoiceLevelTest,
+    startEchoTest,
+    startLatencyTest,
+    startProcessingTest,
+    cancelQualityTest,
     testAgain,
     downloadQualityReport,
     startQualityTest,
@@ -81,6 +95,13 @@ function setupListeners() {
         }
     });
     
+    // Per-mic spectrum, bandwidth and hum
+    document.getElementById('mic-spectrum-toggle')?.addEventListener('change', toggleSpectrum);
+    
+    // Device Showdown (compare all monitored mics)
+    document.getElementById('btn-showdown')?.addEventListener('click', startShowdown);
+    document.getElementById('btn-showdown-close')?.addEventListener('click', closeShowdown);
+    
     // Note: window.MicCheck is set up in init() after all functions are defined
     
     document.getElementById('btn-retry-test')?.addEventListener('click', () => {
@@ -118,10 +139,40 @@ function setupListeners() {
     document.getElementById('btn-show-results')?.addEventListener('click', showQualityResults);
 }
 
+// ============================================
+// Simulated Microphones
+// ============================================
+
+/**
+ * Install simulated microphones when the URL asks for them (?simulate=...)
+ * Must run before anything touches navigator.mediaDevices
+ */
+function setupSimulation() {
+    const banner = document.getElementById('simulation-banner');
+    
+    try {
+        const config = getSimulationConfig(location.search);
+        if (!config) return;
+        
+        const description = installSimulation(config);
+        if (banner) {
+            banner.textContent = `🧪 Simulated microphone — ${description}. Remove ?simulate from the address to test your real microphone.`;
+            banner.hidden = false;
+        }
+    } catch (error) {
+        console.error('Simulation not started:', error);
+        if (banner) {
+            banner.textContent = `🧪 Simulation not started: ${error.message}`;
+            banner.hidden = false;
+        }
+    }
+}
+
 // ============================================
 // Initialization
 // ============================================
 function init() {
+    setupSimulation();
     detectBrowser();
     setupListeners();
     
@@ -178,6 +229,10 @@ function init() {
         // Quality test functions (unified pre-flight check)
         startNoiseFloorTest,
         startVoiceLevelTest,
+        startEchoTest,
+        startLatencyTest,
+        startProcessingTest,
+        cancelQualityTest,
         testAgain,
         downloadQualityReport,
         // Legacy level check step functions (for backward compatibility)
@@ -188,7 +243,14 @@ function init() {
         // Results screen functions (with aliases for backward compatibility)
         resetQualityTest,
         resetLevelCheck: resetQualityTest,
-        downloadLevelCheckReport
+        downloadLevelCheckReport,
+        // Simulated microphones, for QA from the console
+        // (e.g. simulation.install({ devices: [{ signal: 'file', file }] }))
+        simulation: {
+            install: installSimulation,
+            uninstall: uninstallSimulation,
+            removeDevice: removeSimulatedDevice
+        }
     };
 }
 
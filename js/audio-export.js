@@ -0,0 +1,761 @@
+/**
+ * Audio Export Module
+ * 
+ * Encodes recordings for download:
+ * - WAV: 16-bit, 24-bit or 32-bit float
+ * - FLAC: 16-bit or 24-bit, with a pure JavaScript encoder
+ * - Original: the MediaRecorder container as recorded (WebM/Ogg/MP4)
+ * 
+ * Reducing to an integer bit depth uses TPDF (triangular) dither, so quiet
+ * passages fade into noise rather than truncation distortion.
+ * 
+ * WAV exports can carry Broadcast WAV metadata: a bext chunk with the
+ * EBU R128 loudness fields and an iXML chunk with device and settings.
+ */
+
+/**
+ * Export formats offered in the Studio export dialog
+ */
+export const EXPORT_FORMATS = {
+    wav16: { id: 'wav16', name: 'WAV 16-bit', extension: 'wav', container: 'wav', bitDepth: 16 },
+    wav24: { id: 'wav24', name: 'WAV 24-bit', extension: 'wav', container: 'wav', bitDepth: 24 },
+    wav32f: { id: 'wav32f', name: 'WAV 32-bit float', extension: 'wav', container: 'wav', bitDepth: 32, float: true },
+    flac16: { id: 'flac16', name: 'FLAC 16-bit', extension: 'flac', container: 'flac', bitDepth: 16 },
+    flac24: { id: 'flac24', name: 'FLAC 24-bit', extension: 'flac', container: 'flac', bitDepth: 24 },
+    original: { id: 'original', name: 'Original (as recorded)', extension: null, container: 'original' }
+};
+
+// File extensions for MediaRecorder MIME types
+const MIME_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav'
+};
+
+/**
+ * Get a file extension for a MIME type (ignores codecs parameters)
+ * @param {string} mimeType - e.g. 'audio/webm;codecs=opus'
+ * @returns {string}
+ */
+export function getExtensionForMimeType(mimeType) {
+    const base = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return MIME_EXTENSIONS[base] || 'webm';
+}
+
+// ============================================
+// Quantization
+// ============================================
+
+/**
+ * Convert float channels to integers at a bit depth
+ * @param {AudioBuffer} buffer - Source audio
+ * @param {number} bitDepth - Target bits per sample (16 or 24)
+ * @param {boolean} dither - Add TPDF dither of ±1 LSB before rounding
+ * @returns {Int32Array[]} One array per channel
+ */
+function quantizeChannels(buffer, bitDepth, dither) {
+    const scale = Math.pow(2, bitDepth - 1);
+    const max = scale - 1;
+    const min = -scale;
+    const channels = [];
+    
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+        const data = buffer.getChannelData(ch);
+        const output = new Int32Array(data.length);
+        
+        for (let i = 0; i < data.length; i++) {
+            // Sum of two uniform randoms gives a triangular distribution
+            const noise = dither ? Math.random() - Math.random() : 0;
+            const value = Math.round(data[i] * scale + noise);
+            output[i] = value > max ? max : value < min ? min : value;
+        }
+        
+        channels.push(output);
+    }
+    
+    return channels;
+}
+
+// ============================================
+// WAV
+// ============================================
+
+/**
+ * Encode an AudioBuffer as a WAV file
+ * 
+ * With bext/ixml options the file becomes a Broadcast WAV (EBU Tech 3285):
+ * the bext chunk goes before fmt, the iXML chunk after the audio data.
+ * 
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @param {object} [options]
+ * @param {number} [options.bitDepth=16] - 16, 24 or 32
+ * @param {boolean} [options.float=false] - 32-bit IEEE float instead of integer PCM
+ * @param {boolean} [options.dither=true] - TPDF dither for integer formats
+ * @param {object} [options.bext] - Broadcast extension fields (see createBextChunk)
+ * @param {object} [options.ixml] - iXML fields (see createIxmlChunk)
+ * @returns {Blob} WAV file blob
+ */
+export function encodeWav(buffer, options = {}) {
+    const { bitDepth = 16, float = false, dither = true } = options;
+    const numChannels = buffer.numberOfChannels;
+    const sampleRate = buffer.sampleRate;
+    const length = buffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const format = float ? 3 : 1; // IEEE float : PCM
+    
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const dataPad = dataSize % 2;  // RIFF chunks are word-aligned
+    // Float WAVs carry a fact chunk (sample frame count), as required for non-PCM formats
+    const factSize = float ? 12 : 0;
+    
+    const bextChunk = options.bext ? createBextChunk(options.bext, sampleRate) : new Uint8Array(0);
+    const ixmlChunk = options.ixml ? createIxmlChunk(options.ixml, numChannels) : new Uint8Array(0);
+    
+    // fmt, fact and data chunks
+    const audioSize = 24 + factSize + 8 + dataSize + dataPad;
+    const totalSize = 12 + bextChunk.length + audioSize + ixmlChunk.length;
+    
+    const header = new DataView(new ArrayBuffer(12));
+    const arrayBuffer = new ArrayBuffer(audioSize);
+    const view = new DataView(arrayBuffer);
+    
+    // RIFF header
+    writeString(header, 0, 'RIFF');
+    header.setUint32(4, totalSize - 8, true);
+    writeString(header, 8, 'WAVE');
+    
+    // fmt chunk
+    writeString(view, 0, 'fmt ');
+    view.setUint32(4, 16, true); // chunk size
+    view.setUint16(8, format, true);
+    view.setUint16(10, numChannels, true);
+    view.setUint32(12, sampleRate, true);
+    view.setUint32(16, sampleRate * blockAlign, true);
+    view.setUint16(20, blockAlign, true);
+    view.setUint16(22, bitDepth, true);
+    
+    let offset = 24;
+    if (float) {
+        writeString(view, offset, 'fact');
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, length, true);
+        offset += factSize;
+    }
+    
+    // data chunk
+    writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+    
+    if (float) {
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            channels.push(buffer.getChannelData(ch));
+        }
+        for (let i = 0; i < length; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                view.setFloat32(offset, channels[ch][i], true);
+                offset += 4;
+            }
+        }
+    } else {
+        const channels = quantizeChannels(buffer, bitDepth, dither);
+        for (let i = 0; i < length; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                const sample = channels[ch][i];
+                if (bitDepth === 16) {
+                    view.setInt16(offset, sample, true);
+                } else {
+                    // 24-bit little-endian
+                    view.setUint8(offset, sample & 0xFF);
+                    view.setUint8(offset + 1, (sample >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (sample >> 16) & 0xFF);
+                }
+                offset += bytesPerSample;
+            }
+        }
+    }
+    
+    return new Blob([header.buffer, bextChunk, arrayBuffer, ixmlChunk], { type: 'audio/wav' });
+}
+
+// ============================================
+// Broadcast WAV metadata
+// ============================================
+
+// bext fields before CodingHistory (EBU Tech 3285 v2)
+const BEXT_FIXED_SIZE = 602;
+
+// Marks a loudness field as not measured
+const BEXT_LOUDNESS_UNKNOWN = 0x7FFF;
+
+/**
+ * Build a complete RIFF chunk (header, body and pad byte)
+ * @param {string} id - Four-character chunk ID
+ * @param {Uint8Array} body - Chunk contents
+ * @returns {Uint8Array}
+ */
+function createChunk(id, body) {
+    const chunk = new Uint8Array(8 + body.length + body.length % 2);
+    const view = new DataView(chunk.buffer);
+    writeString(view, 0, id);
+    view.setUint32(4, body.length, true);
+    chunk.set(body, 8);
+    return chunk;
+}
+
+/**
+ * Write ASCII text into a fixed-size, NUL-padded field
+ */
+function writeFixedString(view, offset, size, text) {
+    const ascii = String(text || '').replace(/[^\x20-\x7E]/g, '?').slice(0, size);
+    writeString(view, offset, ascii);
+}
+
+/**
+ * Store a loudness value as a bext int16 (value × 100)
+ */
+function toBextLoudness(value) {
+    return value != null && isFinite(value)
+        ? Math.max(-32767, Math.min(32766, Math.round(value * 100)))
+        : BEXT_LOUDNESS_UNKNOWN;
+}
+
+/**
+ * Create a BWF bext chunk (version 2, with EBU R128 loudness fields)
+ * @param {object} info
+ * @param {string} [info.description] - Free text (256 chars max)
+ * @param {string} [info.originator] - Creating application (32 chars max)
+ * @param {string} [info.originatorReference] - Unique reference (32 chars max)
+ * @param {Date} [info.date] - Origination date/time (defaults to now)
+ * @param {object} [info.loudness] - { integrated, range, maxTruePeak, maxMomentary, maxShortTerm }
+ * @param {string} [info.codingHistory] - Coding history lines (EBU R 98)
+ * @param {number} sampleRate - Sample rate, for the time reference
+ * @returns {Uint8Array}
+ */
+function createBextChunk(info, sampleRate) {
+    const date = info.date instanceof Date ? info.date : new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const codingHistory = (info.codingHistory || '').replace(/[^\x20-\x7E\r\n]/g, '?');
+    
+    const body = new Uint8Array(BEXT_FIXED_SIZE + codingHistory.length);
+    const view = new DataView(body.buffer);
+    
+    writeFixedString(view, 0, 256, info.description);
+    writeFixedString(view, 256, 32, info.originator);
+    writeFixedString(view, 288, 32, info.originatorReference);
+    writeFixedString(view, 320, 10, `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`);
+    writeFixedString(view, 330, 8, `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`);
+    
+    // TimeReference: samples since midnight (uint64)
+    const secondsSinceMidnight = date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+    const timeReference = secondsSinceMidnight * sampleRate;
+    view.setUint32(338, timeReference % 0x100000000, true);
+    view.setUint32(342, Math.floor(timeReference / 0x100000000), true);
+    
+    view.setUint16(346, 2, true);  // Version
+    // 348-411: UMID (unused)
+    
+    const loudness = info.loudness || {};
+    view.setInt16(412, toBextLoudness(loudness.integrated), true);
+    view.setInt16(414, toBextLoudness(loudness.range), true);
+    view.setInt16(416, toBextLoudness(loudness.maxTruePeak), true);
+    view.setInt16(418, toBextLoudness(loudness.maxMomentary), true);
+    view.setInt16(420, toBextLoudness(loudness.maxShortTerm), true);
+    // 422-601: reserved
+    
+    writeString(view, BEXT_FIXED_SIZE, codingHistory);
+    
+    return createChunk('bext', body);
+}
+
+/**
+ * Escape text for XML element content
+ */
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Create an iXML chunk
+ * @param {object} info
+ * @param {string} [info.project] - Project name
+ * @param {string} [info.note] - Free text note
+ * @param {string} [info.deviceLabel] - Recording device, used to name the tracks
+ * @param {object} [info.settings] - Capture and processing settings, written as name/value pairs
+ * @param {number} numChannels - Number of tracks
+ * @returns {Uint8Array}
+ */
+function createIxmlChunk(info, numChannels) {
+    const tracks = [];
+    for (let ch = 1; ch <= numChannels; ch++) {
+        const suffix = numChannels === 2 ? (ch === 1 ? ' L' : ' R') : numChannels > 1 ? ` ${ch}` : '';
+        tracks.push(
+            `<TRACK><CHANNEL_INDEX>${ch}</CHANNEL_INDEX><INTERLEAVE_INDEX>${ch}</INTERLEAVE_INDEX>` +
+            `<NAME>${escapeXml((info.deviceLabel || 'Microphone') + suffix)}</NAME></TRACK>`
+        );
+    }
+    
+    const settings = Object.entries(info.settings || {})
+        .map(([name, value]) => `<SETTING><NAME>${escapeXml(name)}</NAME><VALUE>${escapeXml(value)}</VALUE></SETTING>`)
+        .join('');
+    
+    const xml = '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<BWFXML>' +
+        '<IXML_VERSION>2.10</IXML_VERSION>' +
+        `<PROJECT>${escapeXml(info.project)}</PROJECT>` +
+        `<NOTE>${escapeXml(info.note)}</NOTE>` +
+        `<TRACK_LIST><TRACK_COUNT>${numChannels}</TRACK_COUNT>${tracks.join('')}</TRACK_LIST>` +
+        // Non-standard data goes in USER per the iXML spec
+        `<USER><MIC_CHECK>${settings}</MIC_CHECK></USER>` +
+        '</BWFXML>';
+    
+    return createChunk('iXML', new TextEncoder().encode(xml));
+}
+
+/**
+ * Write string to DataView
+ */
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
+
+// ============================================
+// FLAC
+// ============================================
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_PARTITION_ORDER = 6;
+
+// Frame header codes. "See STREAMINFO" (0) is legal, but some decoders and
+// stream parsers reject it or lose sync, so the rates and sizes with a
+// code of their own are written out
+const FLAC_SAMPLE_RATE_CODES = {
+    88200: 0b0001, 176400: 0b0010, 192000: 0b0011, 8000: 0b0100,
+    16000: 0b0101, 22050: 0b0110, 24000: 0b0111, 32000: 0b1000,
+    44100: 0b1001, 48000: 0b1010, 96000: 0b1011
+};
+const FLAC_SAMPLE_SIZE_CODES = { 8: 0b001, 12: 0b010, 16: 0b100, 20: 0b101, 24: 0b110 };
+
+/**
+ * Big-endian bit writer backed by a growable byte array
+ */
+class BitWriter {
+    constructor(initialSize = 65536) {
+        this.bytes = new Uint8Array(initialSize);
+        this.position = 0;  // Byte position
+        this.current = 0;   // Pending bits
+        this.bitCount = 0;  // Number of pending bits (< 8)
+    }
+    
+    /**
+     * Write the low `count` bits of an unsigned value (count <= 32)
+     */
+    writeBits(value, count) {
+        if (count > 24) {
+            // Keep the accumulator within 31 bits; division keeps 32-bit values unsigned
+            this.writeBits(Math.floor(value / 0x10000), count - 16);
+            this.writeBits(value & 0xFFFF, 16);
+            return;
+        }
+        
+        this.current = (this.current << count) | (value & ((1 << count) - 1));
+        this.bitCount += count;
+        while (this.bitCount >= 8) {
+            this.bitCount -= 8;
+            this._pushByte((this.current >>> this.bitCount) & 0xFF);
+        }
+        this.current &= (1 << this.bitCount) - 1;
+    }
+    
+    /**
+     * Write a signed value in two's complement
+     */
+    writeSigned(value, count) {
+        this.writeBits(value < 0 ? value + Math.pow(2, count) : value, count);
+    }
+    
+    /**
+     * Write a Rice-coded signed residual with parameter k
+     */
+    writeRice(value, k) {
+        const folded = value >= 0 ? value * 2 : -value * 2 - 1;
+        let quotient = Math.floor(folded / (1 << k));
+        
+        // Unary quotient (zeros) followed by a stop bit
+        while (quotient >= 24) {
+            this.writeBits(0, 24);
+            quotient -= 24;
+        }
+        this.writeBits(1, quotient + 1);
+        if (k > 0) this.writeBits(folded & ((1 << k) - 1), k);
+    }
+    
+    /**
+     * Pad with zero bits to the next byte boundary
+     */
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+    
+    _pushByte(byte) {
+        if (this.position === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.position++] = byte;
+    }
+    
+    /**
+     * @returns {Uint8Array} Bytes written so far (byte-aligned part)
+     */
+    getBytes() {
+        return this.bytes.subarray(0, this.position);
+    }
+}
+
+// CRC tables for frame headers (CRC-8, poly 0x07) and frames (CRC-16, poly 0x8005)
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let b = 0; b < 8; b++) {
+        crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xFF : (crc8 << 1) & 0xFF;
+        crc16 = crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xFFFF : (crc16 << 1) & 0xFFFF;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    return crc;
+}
+
+/**
+ * Residuals of the fixed polynomial predictors (orders 0-4)
+ * @param {Int32Array} samples - Block samples
+ * @param {number} order - Predictor order
+ * @returns {Float64Array} Residuals for samples[order..]
+ */
+function getFixedResiduals(samples, order) {
+    const residuals = new Float64Array(samples.length - order);
+    for (let i = order; i < samples.length; i++) {
+        const s = samples;
+        let prediction;
+        switch (order) {
+            case 0: prediction = 0; break;
+            case 1: prediction = s[i - 1]; break;
+            case 2: prediction = 2 * s[i - 1] - s[i - 2]; break;
+            case 3: prediction = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3]; break;
+            default: prediction = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4]; break;
+        }
+        residuals[i - order] = s[i] - prediction;
+    }
+    return residuals;
+}
+
+/**
+ * Best Rice parameter for a partition and its estimated cost in bits
+ * @param {number} sum - Sum of the zigzag-folded residuals
+ * @param {number} count - Number of residuals
+ */
+function getRiceParameter(sum, count) {
+    // Estimated bits: unary quotients (~sum / 2^k) + stop bit and k bits per residual
+    const cost = (k) => count * (k + 1) + Math.floor(sum / Math.pow(2, k));
+    
+    const mean = count > 0 ? sum / count : 0;
+    let k = mean > 1 ? Math.min(14, Math.floor(Math.log2(mean))) : 0;
+    let best = cost(k);
+    
+    // The estimate can be one off - check the neighbours
+    for (const candidate of [k - 1, k + 1]) {
+        if (candidate < 0 || candidate > 14) continue;
+        const bits = cost(candidate);
+        if (bits < best) {
+            best = bits;
+            k = candidate;
+        }
+    }
+    
+    return { k, bits: best };
+}
+
+/**
+ * Choose the Rice partition order with the smallest encoding
+ * @param {Float64Array} residuals - Residuals for samples[predictorOrder..]
+ * @param {number} blockSize - Samples in the block
+ * @param {number} predictorOrder - Warm-up samples not in residuals
+ * @returns {{order: number, parameters: number[], bits: number}|null}
+ */
+function planResidualCoding(residuals, blockSize, predictorOrder) {
+    // Folded sums of the finest partitions, merged pairwise for coarser orders
+    let maxOrder = 0;
+    while (maxOrder < FLAC_MAX_PARTITION_ORDER &&
+           blockSize % (1 << (maxOrder + 1)) === 0 &&
+           (blockSize >> (maxOrder + 1)) > predictorOrder) {
+        maxOrder++;
+    }
+    if ((blockSize >> maxOrder) <= predictorOrder) return null;
+    
+    const finest = 1 << maxOrder;
+    const finestSize = blockSize >> maxOrder;
+    let sums = new Float64Array(finest);
+    let counts = new Float64Array(finest);
+    let index = 0;
+    for (let p = 0; p < finest; p++) {
+        const count = finestSize - (p === 0 ? predictorOrder : 0);
+        let sum = 0;
+        for (let i = 0; i < count; i++) {
+            const r = residuals[index++];
+            sum += r >= 0 ? r * 2 : -r * 2 - 1;
+        }
+        sums[p] = sum;
+        counts[p] = count;
+    }
+    
+    let best = null;
+    for (let order = maxOrder; order >= 0; order--) {
+        const parameters = [];
+        let bits = 0;
+        for (let p = 0; p < sums.length; p++) {
+            const { k, bits: partitionBits } = getRiceParameter(sums[p], counts[p]);
+            parameters.push(k);
+            bits += 4 + partitionBits;
+        }
+        
+        if (!best || bits < best.bits) {
+            best = { order, parameters, bits };
+        }
+        
+        // Merge neighbouring partitions for the next (coarser) order
+        if (order > 0) {
+            const merged = new Float64Array(sums.length / 2);
+            const mergedCounts = new Float64Array(sums.length / 2);
+            for (let p = 0; p < merged.length; p++) {
+                merged[p] = sums[2 * p] + sums[2 * p + 1];
+                mergedCounts[p] = counts[2 * p] + counts[2 * p + 1];
+            }
+            sums = merged;
+            counts = mergedCounts;
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Write one channel's subframe (constant, fixed predictor or verbatim)
+ */
+function writeSubframe(writer, samples, bitDepth) {
+    const blockSize = samples.length;
+    
+    // Silence and DC compress to a single value
+    let constant = true;
+    for (let i = 1; i < blockSize; i++) {
+        if (samples[i] !== samples[0]) {
+            constant = false;
+            break;
+        }
+    }
+    if (constant) {
+        writer.writeBits(0, 8);  // Zero pad, type CONSTANT, no wasted bits
+        writer.writeSigned(samples[0], bitDepth);
+        return;
+    }
+    
+    // Pick the fixed predictor order with the smallest residual coding
+    let best = null;
+    for (let order = 0; order <= Math.min(4, blockSize - 1); order++) {
+        const residuals = getFixedResiduals(samples, order);
+        const plan = planResidualCoding(residuals, blockSize, order);
+        if (!plan) continue;
+        const bits = order * bitDepth + 6 + plan.bits;
+        if (!best || bits < best.bits) {
+            best = { order, residuals, plan, bits };
+        }
+    }
+    
+    // Fall back to verbatim if prediction doesn't help
+    if (!best || best.bits >= blockSize * bitDepth) {
+        writer.writeBits(0x02, 8);  // Type VERBATIM
+        for (let i = 0; i < blockSize; i++) {
+            writer.writeSigned(samples[i], bitDepth);
+        }
+        return;
+    }
+    
+    const { order, residuals, plan } = best;
+    writer.writeBits(0x10 | (order << 1), 8);  // Type FIXED with order
+    for (let i = 0; i < order; i++) {
+        writer.writeSigned(samples[i], bitDepth);
+    }
+    
+    // Residual: Rice coding with 4-bit parameters, partitioned
+    writer.writeBits(0, 2);
+    writer.writeBits(plan.order, 4);
+    const partitionSize = blockSize >> plan.order;
+    let index = 0;
+    for (let p = 0; p < plan.parameters.length; p++) {
+        const k = plan.parameters[p];
+        writer.writeBits(k, 4);
+        const count = partitionSize - (p === 0 ? order : 0);
+        for (let i = 0; i < count; i++) {
+            writer.writeRice(residuals[index++], k);
+        }
+    }
+}
+
+/**
+ * Write a frame number as FLAC's UTF-8-like variable length code
+ */
+function writeFrameNumber(writer, value) {
+    if (value < 0x80) {
+        writer.writeBits(value, 8);
+        return;
+    }
+    
+    const bytes = [];
+    let remaining = value;
+    while (remaining >= 0x40 >> bytes.length || bytes.length === 0) {
+        bytes.unshift(0x80 | (remaining & 0x3F));
+        remaining = Math.floor(remaining / 64);
+    }
+    const lead = (0xFF00 >> (bytes.length + 1)) & 0xFF;
+    writer.writeBits(lead | remaining, 8);
+    for (const byte of bytes) writer.writeBits(byte, 8);
+}
+
+/**
+ * Encode an AudioBuffer as a FLAC file
+ * 
+ * Each 4096-sample block uses the best of the fixed polynomial predictors
+ * per channel with partitioned Rice coding - simpler than LPC, and usually
+ * within a few percent of reference encoders on speech.
+ * 
+ * @param {AudioBuffer} buffer - Audio to encode (up to 8 channels)
+ * @param {object} [options]
+ * @param {number} [options.bitDepth=16] - 16 or 24
+ * @param {boolean} [options.dither=true] - TPDF dither when quantizing
+ * @returns {Blob} FLAC file blob
+ */
+export function encodeFlac(buffer, options = {}) {
+    const { bitDepth = 16, dither = true } = options;
+    const numChannels = buffer.numberOfChannels;
+    const { sampleRate, length } = buffer;
+    const channels = quantizeChannels(buffer, bitDepth, dither);
+    
+    const writer = new BitWriter(Math.max(65536, length * numChannels * bitDepth / 8 + 1024));
+    
+    // Stream marker and STREAMINFO (last metadata block)
+    writer.writeBits(0x664C6143, 32);  // 'fLaC'
+    writer.writeBits(1, 1);            // Last metadata block
+    writer.writeBits(0, 7);            // STREAMINFO
+    writer.writeBits(34, 24);          // Block length
+    writer.writeBits(FLAC_BLOCK_SIZE, 16);  // Min block size
+    writer.writeBits(FLAC_BLOCK_SIZE, 16);  // Max block size
+    writer.writeBits(0, 24);           // Min frame size (unknown)
+    writer.writeBits(0, 24);           // Max frame size (unknown)
+    writer.writeBits(sampleRate, 20);
+    writer.writeBits(numChannels - 1, 3);
+    writer.writeBits(bitDepth - 1, 5);
+    writer.writeBits(Math.floor(length / 0x100000000), 4);  // Total samples (36 bits)
+    writer.writeBits(length % 0x100000000, 32);
+    for (let i = 0; i < 4; i++) writer.writeBits(0, 32);   // MD5 (not computed)
+    
+    // Frames
+    let frameNumber = 0;
+    for (let start = 0; start < length; start += FLAC_BLOCK_SIZE) {
+        const blockSize = Math.min(FLAC_BLOCK_SIZE, length - start);
+        const frameStart = writer.getBytes().length;
+        
+        // Frame header
+        writer.writeBits(0xFFF8, 16);  // Sync code, fixed block size
+        writer.writeBits(7, 4);        // Block size: 16-bit value at end of header
+        writer.writeBits(FLAC_SAMPLE_RATE_CODES[sampleRate] ?? 0, 4);  // Other rates: from STREAMINFO
+        writer.writeBits(numChannels - 1, 4);  // Independent channels
+        writer.writeBits(FLAC_SAMPLE_SIZE_CODES[bitDepth] ?? 0, 3);
+        writer.writeBits(0, 1);        // Reserved
+        writeFrameNumber(writer, frameNumber++);
+        writer.writeBits(blockSize - 1, 16);
+        
+        const headerBytes = writer.getBytes();
+        writer.writeBits(crc8(headerBytes, frameStart, headerBytes.length), 8);
+        
+        // Subframes
+        for (let ch = 0; ch < numChannels; ch++) {
+            writeSubframe(writer, channels[ch].subarray(start, start + blockSize), bitDepth);
+        }
+        
+        // Frame footer
+        writer.alignToByte();
+        const frameBytes = writer.getBytes();
+        writer.writeBits(crc16(frameBytes, frameStart, frameBytes.length), 16);
+    }
+    
+    return new Blob([writer.getBytes().slice()], { type: 'audio/flac' });
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Encode decoded audio in one of the EXPORT_FORMATS
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @param {string} formatId - Key of EXPORT_FORMATS (not 'original')
+ * @param {object} [options]
+ * @param {boolean} [options.dither=true] - TPDF dither for integer formats
+ * @param {object} [options.bext] - Broadcast WAV bext fields (WAV only)
+ * @param {object} [options.ixml] - iXML fields (WAV only)
+ * @returns {Blob}
+ */
+export function encodeAudio(buffer, formatId, options = {}) {
+    const format = EXPORT_FORMATS[formatId];
+    if (!format || format.container === 'original') {
+        throw new Error(`Cannot encode format: ${formatId}`);
+    }
+    
+    const { dither = true, bext, ixml } = options;
+    if (format.container === 'flac') {
+        return encodeFlac(buffer, { bitDepth: format.bitDepth, dither });
+    }
+    return encodeWav(buffer, { bitDepth: format.bitDepth, float: !!format.float, dither, bext, ixml });
+}
+
+/**
+ * Save a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -2,11 +2,12 @@
  * Audio Processing Module
  * 
  * Handles AudioContext management, RMS calculations,
- * and stereo channel analysis.
+ * gapless K-weighted sample capture, and stereo channel analysis.
  */
 
 import { linearToDb } from './standards.js';
 import { createKWeightingFilters, LufsBlockCollector } from './lufs.js';
+import { SampleCapture } from './sample-capture.js';
 import { isChromiumBased, detectBrowser } from './browser.js';
 import { getRmsFromAnalyser, populateDeviceDropdown, getAudioInputDevices } from './utils.js';
 
@@ -29,7 +30,7 @@ export const levelCheckState = {
     audioContext: null,
     analyser: null,
     // K-weighted LUFS measurement (ITU-R BS.1770)
-    kWeightedAnalyser: null,
+    lufsCapture: null,       // SampleCapture streaming K-weighted samples
     lufsCollector: null,
     channelAnalysers: [],
     channelSamples: [],
@@ -41,16 +42,9 @@ export const levelCheckState = {
     contextSampleRate: null,
     userAgcPreference: false,
     selectedDeviceId: null,
-    // Sample collection integrity tracking
-    // Detects gaps in sample collection that could affect LUFS accuracy
-    sampleIntegrity: {
-        lastCollectionTime: null,
-        expectedSamples: 0,
-        collectedSamples: 0,
-        gaps: 0,           // Number of times we detected a gap
-        maxGapMs: 0,       // Largest gap detected
-        startTime: null
-    }
+    // Sample collection integrity from the last capture (kept after audio stops)
+    // Reports gaps that could affect LUFS accuracy - only possible on the polling fallback
+    sampleIntegrity: null
 };
 
 /**
@@ -81,14 +75,7 @@ export function resetQualityTestData() {
         levelCheckState.lufsCollector.reset();
     }
     // Reset sample integrity tracking
-    levelCheckState.sampleIntegrity = {
-        lastCollectionTime: null,
-        expectedSamples: 0,
-        collectedSamples: 0,
-        gaps: 0,
-        maxGapMs: 0,
-        startTime: null
-    };
+    levelCheckState.sampleIntegrity = null;
 }
 
 /**
@@ -201,17 +188,20 @@ export async function initQualityAudio(agcEnabled = false, deviceId = '') {
         source.connect(preFilter);
         // rlbFilter is already connected to preFilter inside createKWeightingFilters
         
-        // K-weighted analyser for LUFS block collection
-        levelCheckState.kWeightedAnalyser = levelCheckState.audioContext.createAnalyser();
-        levelCheckState.kWeightedAnalyser.fftSize = 4096;
-        levelCheckState.kWeightedAnalyser.smoothingTimeConstant = 0;  // No smoothing for accurate samples
-        rlbFilter.connect(levelCheckState.kWeightedAnalyser);
-        
         // Initialize LUFS block collector with actual sample rate
         levelCheckState.lufsCollector = new LufsBlockCollector(levelCheckState.contextSampleRate);
         
-        // Set up per-channel analysis for stereo detection
         const channelCount = levelCheckState.appliedSettings?.channelCount || 1;
+        
+        // Gapless K-weighted capture (AudioWorklet, polling fallback) feeding
+        // each channel into the collector so channel mean squares are summed
+        levelCheckState.lufsCapture = new SampleCapture(levelCheckState.audioContext, rlbFilter, {
+            channelCount: Math.min(channelCount, 2),
+            onSamples: (channels) => levelCheckState.lufsCollector?.addChannelSamples(channels)
+        });
+        const captureMode = await levelCheckState.lufsCapture.init();
+        
+        // Set up per-channel analysis for stereo detection
         levelCheckState.channelAnalysers = [];
         levelCheckState.channelSamples = [];
         
@@ -234,6 +224,7 @@ export async function initQualityAudio(agcEnabled = false, deviceId = '') {
         console.log('Settings:', levelCheckState.appliedSettings);
         console.log('AudioContext sample rate:', levelCheckState.contextSampleRate);
         console.log('Channel count:', channelCount);
+        console.log('LUFS sample capture:', captureMode);
         
         return true;
     } catch (error) {
@@ -248,6 +239,15 @@ export async function initQualityAudio(agcEnabled = false, deviceId = '') {
  * Stop quality audio and clean up resources
  */
 export function stopQualityAudio() {
+    if (levelCheckState.lufsCapture) {
+        // Keep integrity stats of a completed capture for reporting
+        if (levelCheckState.lufsCapture.integrity.startTime !== null) {
+            levelCheckState.lufsCapture.stop();
+            levelCheckState.sampleIntegrity = levelCheckState.lufsCapture.getIntegrity();
+        }
+        levelCheckState.lufsCapture.disconnect();
+        levelCheckState.lufsCapture = null;
+    }
     if (levelCheckState.stream) {
         levelCheckState.stream.getTracks().forEach(t => t.stop());
         levelCheckState.stream = null;
@@ -257,7 +257,6 @@ export function stopQualityAudio() {
         levelCheckState.audioContext = null;
     }
     levelCheckState.analyser = null;
-    levelCheckState.kWeightedAnalyser = null;
     levelCheckState.lufsCollector = null;
     levelCheckState.channelAnalysers = [];
 }
@@ -279,50 +278,21 @@ export function sampleChannels() {
  * Collect K-weighted samples for LUFS measurement
  * Call this during voice recording to accumulate samples into blocks
  * 
- * Also tracks sample collection integrity - detects gaps that could
- * affect LUFS accuracy (since we use AnalyserNode snapshots rather
- * than AudioWorklet continuous streaming).
+ * The first call starts the capture. With AudioWorklet capture every sample
+ * then streams into the collector on its own and later calls are no-ops;
+ * on the polling fallback each call reads the samples produced since the
+ * previous one (gaps are tracked by the capture).
  */
 export function collectKWeightedSamples() {
-    if (!levelCheckState.kWeightedAnalyser || !levelCheckState.lufsCollector) {
+    const capture = levelCheckState.lufsCapture;
+    if (!capture || !levelCheckState.lufsCollector) {
         return;
     }
     
-    const now = performance.now();
-    const integrity = levelCheckState.sampleIntegrity;
-    const sampleRate = levelCheckState.contextSampleRate || 48000;
-    const bufferLength = levelCheckState.kWeightedAnalyser.fftSize;
-    
-    // Initialize on first call
-    if (!integrity.startTime) {
-        integrity.startTime = now;
-        integrity.lastCollectionTime = now;
-    }
-    
-    // Detect gaps: if time since last collection exceeds buffer duration by 50%,
-    // we likely missed samples (AnalyserNode overwrote them before we read)
-    const timeSinceLastMs = now - integrity.lastCollectionTime;
-    const bufferDurationMs = (bufferLength / sampleRate) * 1000;
-    const gapThresholdMs = bufferDurationMs * 1.5; // 50% margin
-    
-    if (timeSinceLastMs > gapThresholdMs && integrity.lastCollectionTime !== integrity.startTime) {
-        integrity.gaps++;
-        if (timeSinceLastMs > integrity.maxGapMs) {
-            integrity.maxGapMs = timeSinceLastMs;
-        }
+    if (!capture.active) {
+        capture.start();
     }
-    
-    integrity.lastCollectionTime = now;
-    integrity.collectedSamples += bufferLength;
-    
-    // Track expected samples based on elapsed time
-    const elapsedMs = now - integrity.startTime;
-    integrity.expectedSamples = Math.round((elapsedMs / 1000) * sampleRate);
-    
-    const dataArray = new Float32Array(bufferLength);
-    levelCheckState.kWeightedAnalyser.getFloatTimeDomainData(dataArray);
-    
-    levelCheckState.lufsCollector.addSamples(dataArray);
+    capture.poll();
 }
 
 /**
@@ -330,16 +300,16 @@ export function collectKWeightedSamples() {
  * @returns {object} Integrity statistics for LUFS measurement
  */
 export function getSampleIntegrity() {
-    const integrity = levelCheckState.sampleIntegrity;
-    const coverage = integrity.expectedSamples > 0 
-        ? (integrity.collectedSamples / integrity.expectedSamples * 100).toFixed(1)
-        : 100;
+    if (levelCheckState.lufsCapture) {
+        return levelCheckState.lufsCapture.getIntegrity();
+    }
     
-    return {
-        gaps: integrity.gaps,
-        maxGapMs: Math.round(integrity.maxGapMs),
-        coverage: parseFloat(coverage),
-        isReliable: integrity.gaps === 0 && parseFloat(coverage) >= 95
+    return levelCheckState.sampleIntegrity || {
+        method: null,
+        gaps: 0,
+        maxGapMs: 0,
+        coverage: 100,
+        isReliable: true
     };
 }
 
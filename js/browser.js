@@ -79,6 +79,25 @@ export function isChromiumBased() {
     return chromiumBrowsers.includes(detectedBrowser?.name);
 }
 
+/**
+ * Detect the operating system (for OS-specific fix instructions)
+ * @returns {'windows'|'macos'|'linux'|'android'|'ios'|'unknown'}
+ */
+export function detectOS() {
+    const ua = navigator.userAgent;
+    const platform = navigator.userAgentData?.platform || navigator.platform || '';
+    
+    // iPadOS reports itself as a Mac - touch support gives it away
+    if (/iPhone|iPad|iPod/.test(ua) || (/Mac/.test(platform) && navigator.maxTouchPoints > 1)) {
+        return 'ios';
+    }
+    if (/Android/.test(ua)) return 'android';
+    if (/Win/.test(platform) || ua.includes('Windows')) return 'windows';
+    if (/Mac/.test(platform) || ua.includes('Mac OS')) return 'macos';
+    if (/Linux|CrOS/.test(platform) || ua.includes('Linux')) return 'linux';
+    return 'unknown';
+}
+
 /**
  * Get browser-specific permission reset instructions
  * @param {string} browserName - Name of the browser
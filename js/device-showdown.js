@@ -0,0 +1,468 @@
+/**
+ * Device Showdown Module
+ * 
+ * Records the same passage from every monitored microphone at once and
+ * compares them:
+ * - Noise floor (quietest half of the silence phase, like the noise-floor test)
+ * - Gated LUFS of the passage (BS.1770, via mastering.js)
+ * - SNR (LUFS minus noise floor, like the voice-level test)
+ * - Octave-band spectrum of the passage
+ * 
+ * Every device comes from multi-device-meter.js and shares its AudioContext,
+ * so the captures line up in time. For the blind A/B/X comparison the
+ * passages are loudness-matched, so the louder mic doesn't win by default.
+ */
+
+import {
+    getMonitoredDeviceIds,
+    isMonitoring,
+    getAudioContext,
+    getSource,
+    getStream,
+    getAnalyser
+} from './multi-device-meter.js';
+import { SampleCapture } from './sample-capture.js';
+import { SpectrumAverager } from './spectral-analysis.js';
+import { measureBufferLufs, measureBufferPeak } from './mastering.js';
+import { linearToDb, getQualityRating, QUALITY_REFERENCE } from './standards.js';
+
+/**
+ * Phase lengths in ms: stay quiet, then read the passage
+ */
+export const SHOWDOWN_DURATIONS = {
+    silence: 5000,
+    speech: 15000
+};
+
+/**
+ * Passage to read (Harvard sentences - phonetically balanced)
+ */
+export const SHOWDOWN_PASSAGE =
+    'The birch canoe slid on the smooth planks. Glue the sheet to the dark blue background. ' +
+    'It\'s easy to tell the depth of a well. These days a chicken leg is a rare dish. ' +
+    'Rice is often served in round bowls. The juice of lemons makes fine punch.';
+
+/**
+ * Octave band centre frequencies for the spectrum comparison (Hz)
+ */
+export const SPECTRUM_BANDS = [125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Skipped at the start of each phase while the room settles after the prompt
+const SETTLE_SECONDS = 0.5;
+
+// Noise floor analysis windows (matches the noise-floor test's 50ms sampling)
+const NOISE_WINDOW_SECONDS = 0.05;
+
+// Loudness every device is matched to for blind playback
+const PLAYBACK_LUFS = -20;
+
+// Sample peak at which a device counts as clipping (dBFS)
+const CLIP_THRESHOLD_DB = -0.1;
+
+// Progress updates while recording
+const POLL_INTERVAL_MS = 50;
+
+/**
+ * Get the devices that can take part (monitored and streaming)
+ * @returns {string[]} Device IDs
+ */
+export function getShowdownDeviceIds() {
+    return getMonitoredDeviceIds().filter(id => isMonitoring(id) && getSource(id));
+}
+
+/**
+ * Record every monitored device and compare them
+ * 
+ * @param {object} [options]
+ * @param {function(string): void} [options.onPhase] - Called with 'silence', 'speech' or 'analyzing'
+ * @param {function({phase: string, elapsed: number, remaining: number, remainingSeconds: number}): void} [options.onProgress]
+ * @param {function(): boolean} [options.isCancelled] - Polled while recording; return true to stop early
+ * @returns {Promise<{devices: object[], bestDeviceId: string|null, cancelled: boolean}>}
+ *          devices are sorted best first
+ */
+export async function runShowdown(options = {}) {
+    const { onPhase, onProgress, isCancelled = () => false } = options;
+    
+    const deviceIds = getShowdownDeviceIds();
+    if (deviceIds.length < 2) {
+        throw new Error('Monitor at least two microphones to compare them');
+    }
+    
+    const audioContext = getAudioContext();
+    const sampleRate = audioContext.sampleRate;
+    const devices = [];
+    
+    try {
+        for (const deviceId of deviceIds) {
+            devices.push(await prepareDevice(audioContext, deviceId));
+        }
+        devices.forEach(device => device.capture.start());
+        
+        // Phase 1: silence (noise floor)
+        onPhase?.('silence');
+        await recordPhase('silence', devices, SHOWDOWN_DURATIONS.silence, { onProgress, isCancelled });
+        devices.forEach(device => { device.silenceLength = device.length; });
+        
+        // Phase 2: the passage (loudness, SNR, spectrum)
+        onPhase?.('speech');
+        await recordPhase('speech', devices, SHOWDOWN_DURATIONS.speech, { onProgress, isCancelled, collectSpectrum: true });
+    } finally {
+        for (const device of devices) {
+            await device.capture.stop();
+            device.capture.disconnect();
+            await restoreProcessing(device);
+        }
+    }
+    
+    if (isCancelled()) {
+        return { devices: [], bestDeviceId: null, cancelled: true };
+    }
+    
+    onPhase?.('analyzing');
+    const results = [];
+    for (const device of devices) {
+        results.push(await analyzeDevice(audioContext, device, sampleRate));
+    }
+    
+    rankDevices(results);
+    return { devices: results, bestDeviceId: results[0]?.deviceId ?? null, cancelled: false };
+}
+
+/**
+ * Turn processing off and attach a sample capture to a device
+ */
+async function prepareDevice(audioContext, deviceId) {
+    const stream = getStream(deviceId);
+    const track = stream?.getAudioTracks()[0] || null;
+    const settings = track?.getSettings() || {};
+    const channelCount = Math.min(2, settings.channelCount || 1);
+    const analyser = getAnalyser(deviceId);
+    
+    const device = {
+        deviceId,
+        label: track?.label || 'Unknown Microphone',
+        track,
+        previousConstraints: track?.getConstraints() || null,
+        processingOff: false,
+        channels: Array.from({ length: channelCount }, () => []),
+        length: 0,
+        silenceLength: 0,
+        spectrum: analyser ? new SpectrumAverager(analyser) : null,
+        capture: null
+    };
+    
+    // Compare the microphones themselves, not the browser's AGC and noise suppression
+    if (track) {
+        try {
+            await track.applyConstraints({
+                ...device.previousConstraints,
+                autoGainControl: false,
+                noiseSuppression: false,
+                echoCancellation: false
+            });
+            const applied = track.getSettings();
+            device.processingOff = applied.autoGainControl !== true && applied.noiseSuppression !== true;
+        } catch (error) {
+            console.warn(`Could not turn off processing for ${device.label}:`, error);
+        }
+    }
+    
+    device.capture = new SampleCapture(audioContext, getSource(deviceId), {
+        channelCount,
+        onSamples: (channels) => {
+            channels.forEach((data, ch) => device.channels[ch].push(Float32Array.from(data)));
+            device.length += channels[0].length;
+        }
+    });
+    try {
+        await device.capture.init();
+    } catch (error) {
+        // Not in the caller's device list yet, so its cleanup won't see it
+        device.capture.disconnect();
+        await restoreProcessing(device);
+        throw error;
+    }
+    
+    return device;
+}
+
+/**
+ * Put a device's original constraints back
+ */
+async function restoreProcessing(device) {
+    if (!device.track || !device.previousConstraints) return;
+    try {
+        await device.track.applyConstraints(device.previousConstraints);
+    } catch (error) {
+        console.warn(`Could not restore constraints for ${device.label}:`, error);
+    }
+}
+
+/**
+ * Record one phase, polling captures and optionally averaging spectra
+ */
+async function recordPhase(phase, devices, duration, { onProgress, isCancelled, collectSpectrum = false }) {
+    const startTime = Date.now();
+    const settleTime = startTime + SETTLE_SECONDS * 1000;
+    
+    while (Date.now() - startTime < duration && !isCancelled()) {
+        devices.forEach(device => {
+            device.capture.poll();
+            if (collectSpectrum && Date.now() >= settleTime) {
+                device.spectrum?.sample();
+            }
+        });
+        
+        const elapsed = Date.now() - startTime;
+        onProgress?.({
+            phase,
+            elapsed,
+            remaining: Math.max(0, duration - elapsed),
+            remainingSeconds: Math.ceil((duration - elapsed) / 1000)
+        });
+        
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+}
+
+/**
+ * Join captured chunks into one array per channel
+ */
+function joinChunks(device) {
+    return device.channels.map(chunks => {
+        const joined = new Float32Array(device.length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            joined.set(chunk.subarray(0, device.length - offset), offset);
+            offset += chunk.length;
+            if (offset >= device.length) break;
+        }
+        return joined;
+    });
+}
+
+/**
+ * Measure one device's recording
+ */
+async function analyzeDevice(audioContext, device, sampleRate) {
+    const channels = joinChunks(device);
+    const settle = Math.round(SETTLE_SECONDS * sampleRate);
+    
+    // Noise floor: mean RMS of the quietest half of 50ms windows, as in the noise-floor test
+    const window = Math.round(NOISE_WINDOW_SECONDS * sampleRate);
+    const windowRms = [];
+    for (let start = settle; start + window <= device.silenceLength; start += window) {
+        let sum = 0;
+        for (const data of channels) {
+            for (let i = start; i < start + window; i++) sum += data[i] * data[i];
+        }
+        windowRms.push(Math.sqrt(sum / (window * channels.length)));
+    }
+    windowRms.sort((a, b) => a - b);
+    const quietHalf = windowRms.slice(0, Math.max(1, Math.floor(windowRms.length / 2)));
+    const avgNoise = quietHalf.reduce((a, b) => a + b, 0) / quietHalf.length;
+    const noiseFloorDb = avgNoise > 0 ? linearToDb(avgNoise) : -100;
+    
+    // The passage
+    const speechStart = Math.min(device.length, device.silenceLength + settle);
+    const speechLength = device.length - speechStart;
+    let speechBuffer = null;
+    let lufs = null;
+    let peakDb = null;
+    if (speechLength > 0) {
+        speechBuffer = audioContext.createBuffer(channels.length, speechLength, sampleRate);
+        channels.forEach((data, ch) => speechBuffer.copyToChannel(data.subarray(speechStart), ch));
+        
+        const measured = await measureBufferLufs(speechBuffer);
+        lufs = isFinite(measured.lufs) ? measured.lufs : null;
+        peakDb = measureBufferPeak(speechBuffer);
+    }
+    
+    const snr = lufs !== null ? lufs - noiseFloorDb : null;
+    
+    return {
+        deviceId: device.deviceId,
+        label: device.label,
+        processingOff: device.processingOff,
+        noiseFloorDb,
+        noiseRating: getQualityRating(noiseFloorDb, QUALITY_REFERENCE.noiseFloor, false),
+        lufs,
+        peakDb,
+        clipped: peakDb !== null && peakDb >= CLIP_THRESHOLD_DB,
+        snr,
+        snrRating: snr !== null ? getQualityRating(snr, QUALITY_REFERENCE.snr, true) : null,
+        spectrum: getBandLevels(device, sampleRate),
+        buffer: speechBuffer,
+        playbackGain: lufs !== null ? Math.pow(10, (PLAYBACK_LUFS - lufs) / 20) : 1,
+        recommendation: null
+    };
+}
+
+/**
+ * Sum the averaged spectrum into octave bands
+ * @returns {number[]|null} Band levels in dB relative to the loudest band
+ */
+function getBandLevels(device, sampleRate) {
+    const average = device.spectrum?.getAverage();
+    if (!average) return null;
+    
+    const { powers, binWidth } = average;
+    const levels = SPECTRUM_BANDS.map(centre => {
+        const low = centre / Math.SQRT2;
+        const high = Math.min(centre * Math.SQRT2, sampleRate / 2);
+        let power = 0;
+        for (let i = Math.ceil(low / binWidth); i * binWidth < high && i < powers.length; i++) {
+            power += powers[i];
+        }
+        return power > 0 ? 10 * Math.log10(power) : -Infinity;
+    });
+    
+    const loudest = Math.max(...levels);
+    return levels.map(level => isFinite(level) ? level - loudest : -100);
+}
+
+/**
+ * Sort devices best first and set their recommendation
+ * 
+ * SNR decides; clipping costs 10 dB since it can't be fixed afterwards.
+ * The winner is 'best' if it's at least acceptable; others are
+ * 'acceptable' or 'poor' on their own SNR.
+ */
+function rankDevices(results) {
+    const score = result => result.snr === null ? -Infinity : result.snr - (result.clipped ? 10 : 0);
+    results.sort((a, b) => score(b) - score(a));
+    
+    results.forEach((result, index) => {
+        const usable = result.snr !== null && result.snr >= QUALITY_REFERENCE.snr.acceptable && !result.clipped;
+        if (index === 0 && usable) {
+            result.recommendation = 'best';
+        } else {
+            result.recommendation = usable ? 'acceptable' : 'poor';
+        }
+    });
+}
+
+// ============================================
+// Blind A/B/X playback
+// ============================================
+
+/**
+ * Create a blind trial: devices behind shuffled letters, and a hidden X
+ * @param {number} count - Number of devices
+ * @returns {{order: number[], x: number}} order[letterIndex] = device index; x = device index behind X
+ */
+export function createBlindTrial(count) {
+    const order = Array.from({ length: count }, (_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return { order, x: Math.floor(Math.random() * count) };
+}
+
+/**
+ * Plays all devices' passages in sync and switches between them
+ * 
+ * Every track runs at once through its own gain; switching only changes
+ * which gain is open, so the comparison stays at the same point in the
+ * passage.
+ */
+export class ShowdownPlayer {
+    /**
+     * @param {{buffer: AudioBuffer, playbackGain: number}[]} tracks
+     */
+    constructor(tracks) {
+        this.tracks = tracks.filter(track => track.buffer);
+        this.audioContext = null;
+        this.sources = [];
+        this.gains = [];
+        this.selected = 0;
+        this.onEnded = null;
+    }
+    
+    /**
+     * Whether the tracks are playing
+     */
+    get isPlaying() {
+        return this.sources.length > 0;
+    }
+    
+    /**
+     * Start playback from the beginning with one track audible
+     * @param {number} index - Track to hear
+     */
+    async play(index) {
+        this.stop();
+        if (this.tracks.length === 0) return;
+        
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        await this.audioContext.resume();
+        
+        const ctx = this.audioContext;
+        const startTime = ctx.currentTime + 0.05;
+        this.selected = index;
+        
+        this.tracks.forEach((track, i) => {
+            const source = ctx.createBufferSource();
+            source.buffer = track.buffer;
+            const gain = ctx.createGain();
+            gain.gain.value = i === index ? track.playbackGain : 0;
+            source.connect(gain);
+            gain.connect(ctx.destination);
+            source.start(startTime);
+            this.sources.push(source);
+            this.gains.push(gain);
+        });
+        
+        // The shortest track ends the comparison
+        const shortest = this.sources.reduce((a, b) => a.buffer.duration <= b.buffer.duration ? a : b);
+        shortest.onended = () => {
+            if (this.sources.includes(shortest)) {
+                this.stop();
+                this.onEnded?.();
+            }
+        };
+    }
+    
+    /**
+     * Switch to another track without restarting
+     * @param {number} index - Track to hear
+     */
+    select(index) {
+        this.selected = index;
+        if (!this.isPlaying) return;
+        
+        // 10ms crossfade so the switch doesn't click
+        const now = this.audioContext.currentTime;
+        this.gains.forEach((gain, i) => {
+            gain.gain.setTargetAtTime(i === index ? this.tracks[i].playbackGain : 0, now, 0.01);
+        });
+    }
+    
+    /**
+     * Stop playback
+     */
+    stop() {
+        this.sources.forEach(source => {
+            source.onended = null;
+            try { source.stop(); } catch (e) { /* already stopped */ }
+            source.disconnect();
+        });
+        this.gains.forEach(gain => gain.disconnect());
+        this.sources = [];
+        this.gains = [];
+    }
+    
+    /**
+     * Stop and release the audio context
+     */
+    close() {
+        this.stop();
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            this.audioContext.close();
+        }
+        this.audioContext = null;
+    }
+}
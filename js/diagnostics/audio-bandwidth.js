@@ -0,0 +1,202 @@
+/**
+ * Audio Bandwidth Diagnostic
+ * 
+ * Estimates the highest frequency the microphone actually delivers. This
+ * catches the "I sound like a phone" problem:
+ * - Bluetooth headsets switch to the hands-free profile (HFP) whenever
+ *   their mic is in use, which carries 8 kHz (narrowband, ~4 kHz audio)
+ *   or at best 16 kHz (wideband, ~8 kHz audio) sample rates
+ * - Many webcams capture at 16 kHz
+ * The browser resamples these to 48 kHz, so the reported sample rate often
+ * looks fine - only the spectrum shows the missing top end.
+ * 
+ * Runs after signal detection on a short listen. The voice level test
+ * collects a spectrum of speech too, and the runner re-evaluates this
+ * result with it (evaluateBandwidth), which is more reliable than room tone.
+ * 
+ * This test requires an analyser in context (from signal-detection).
+ */
+
+import { detectOS } from '../browser.js';
+import { sleep } from '../utils.js';
+import { SpectrumAverager, estimateBandwidth, describeBandwidth } from '../spectral-analysis.js';
+
+// Listen for 1.5 seconds, sampling every 50ms
+const LISTEN_DURATION = 1500;
+const SAMPLE_INTERVAL = 50;
+
+// Bandwidth limits (Hz) for narrowband and wideband capture
+const NARROWBAND_MAX_HZ = 4500;
+const WIDEBAND_MAX_HZ = 8500;
+
+// Device labels that suggest a Bluetooth headset
+const BLUETOOTH_LABEL_PATTERN = /bluetooth|hands-?free|headset|airpods|buds|\bhfp\b|\bhsp\b/i;
+
+export const diagnostic = {
+    id: 'audio-bandwidth',
+    name: 'Audio Bandwidth',
+    description: 'Checks for telephone-quality (narrowband) capture, e.g. a Bluetooth headset in call mode',
+    scope: 'device',  // Device-specific - re-run when device changes
+    requiresPermission: true,
+    dependsOn: ['signal-detection'],
+    rerunAfter: ['voice-level'],  // Re-checked with the speech spectrum (rerun)
+    pendingMessage: 'Waiting to check audio bandwidth...',
+    runningMessage: 'Analyzing frequency range...',
+    
+    /**
+     * Run the diagnostic test
+     * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the test
+     * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
+     */
+    async test(context, options = {}) {
+        const { signal } = options;
+        
+        if (!context.analyser) {
+            return {
+                status: 'skip',
+                message: 'No audio analyser available (previous test failed)',
+                details: null
+            };
+        }
+        
+        const averager = new SpectrumAverager(context.analyser);
+        const startTime = Date.now();
+        while (Date.now() - startTime < LISTEN_DURATION) {
+            averager.sample();
+            await sleep(SAMPLE_INTERVAL, signal);
+        }
+        
+        return evaluateBandwidth(averager.getAverage(), context, 'room tone');
+    },
+    
+    /**
+     * Re-check with the speech voice-level recorded (context.voiceSpectrum)
+     * Speech covers the whole band far better than room tone. Keeps the
+     * room tone result if the speech can't be judged.
+     * 
+     * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} [options]
+     * @param {object} [options.previous] - The result so far
+     * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
+     */
+    async rerun(context, options = {}) {
+        const { previous } = options;
+        const bandwidth = context.voiceSpectrum
+            ? evaluateBandwidth(context.voiceSpectrum, context, 'speech')
+            : null;
+        
+        if (!bandwidth || bandwidth.status === 'skip') {
+            return previous || await this.test(context, options);
+        }
+        return bandwidth;
+    }
+};
+
+/**
+ * Turn an averaged spectrum into a bandwidth diagnostic result
+ * @param {{powers: Float64Array, binWidth: number}|null} spectrum - From SpectrumAverager.getAverage()
+ * @param {object} context - Diagnostic context (for the audio track)
+ * @param {string} source - What was analyzed ('room tone' or 'speech'), for the details
+ * @returns {{status: string, message: string, details: object, fix?: string}}
+ */
+export function evaluateBandwidth(spectrum, context, source) {
+    // noise-floor replaces the stream, so prefer its live track
+    const track = context.stream?.getAudioTracks()[0] || context.audioTrack;
+    const settings = track?.getSettings?.() || {};
+    const label = track?.label || '';
+    
+    const details = {
+        source,
+        bandwidthHz: null,
+        cliffDb: null,
+        trackSampleRate: settings.sampleRate || null,
+        contextSampleRate: context.analyser?.context.sampleRate || null,
+        looksBluetooth: BLUETOOTH_LABEL_PATTERN.test(label)
+    };
+    
+    const bandwidth = spectrum ? estimateBandwidth(spectrum.powers, spectrum.binWidth) : null;
+    
+    // A low track sample rate settles it even without a signal
+    const rateLimitHz = details.trackSampleRate ? details.trackSampleRate / 2 : Infinity;
+    if (!bandwidth && rateLimitHz > WIDEBAND_MAX_HZ) {
+        return {
+            status: 'skip',
+            message: 'No signal to analyze',
+            details
+        };
+    }
+    
+    details.bandwidthHz = Math.min(bandwidth?.bandwidthHz ?? Infinity, rateLimitHz);
+    details.cliffDb = bandwidth ? Math.round(bandwidth.cliffDb * 10) / 10 : null;
+    
+    const { label: bandwidthLabel } = describeBandwidth(details.bandwidthHz);
+    
+    if (details.bandwidthHz <= NARROWBAND_MAX_HZ) {
+        return {
+            status: 'warn',
+            message: `${bandwidthLabel} — telephone quality`,
+            details,
+            fix: getFix('narrowband', details.looksBluetooth)
+        };
+    }
+    if (details.bandwidthHz <= WIDEBAND_MAX_HZ) {
+        return {
+            status: 'warn',
+            message: `${bandwidthLabel} — limited high frequencies`,
+            details,
+            fix: getFix('wideband', details.looksBluetooth)
+        };
+    }
+    return {
+        status: 'pass',
+        message: bandwidthLabel,
+        details
+    };
+}
+
+/**
+ * Build fix text for limited bandwidth, for this OS
+ * @param {'narrowband'|'wideband'} kind
+ * @param {boolean} looksBluetooth - Device label suggests a Bluetooth headset
+ * @returns {string}
+ */
+function getFix(kind, looksBluetooth) {
+    const what = kind === 'narrowband'
+        ? 'This microphone only delivers telephone-quality audio (up to about 4 kHz), so you will sound muffled, "like a phone". '
+        : 'This microphone only delivers audio up to about 8 kHz (16 kHz sample rate), so you will sound dull. ';
+    
+    if (!looksBluetooth && kind === 'wideband') {
+        return what + 'This is typical of webcam microphones. ' +
+            'A laptop or USB microphone usually sounds clearer. ' +
+            'If this is a Bluetooth headset, see your system\'s Bluetooth settings - its mic is in hands-free (call) mode.';
+    }
+    
+    const why = 'Bluetooth headsets switch to hands-free (call) mode whenever their microphone is used, ' +
+        'and that mode can\'t carry high-quality audio. ';
+    
+    switch (detectOS()) {
+        case 'windows':
+            return what + why +
+                'Select a different microphone (built-in or USB) in this app and in Settings → System → Sound → Input, ' +
+                'and keep the headset for listening only - choose its "Headphones" or "Stereo" output, ' +
+                'not "Headset" or "Hands-Free AG Audio".';
+        case 'macos':
+            return what + why +
+                'Choose the built-in or a USB microphone in System Settings → Sound → Input and in this app. ' +
+                'The headset then returns to high-quality mode for listening.';
+        case 'linux':
+            return what + why +
+                'Select a different microphone, then set the headset\'s profile to "High Fidelity Playback (A2DP)" ' +
+                'in Sound settings or pavucontrol (Configuration tab). ' +
+                'If you need the headset mic, pick an mSBC profile if offered - it doubles the bandwidth.';
+        case 'android':
+        case 'ios':
+            return what + why +
+                'Disconnect the headset\'s microphone or use the phone\'s built-in microphone for better quality.';
+        default:
+            return what + why +
+                'Select a different microphone (built-in or USB) and use the headset for listening only.';
+    }
+}
@@ -0,0 +1,364 @@
+/**
+ * Audio Constraints Diagnostic
+ * 
+ * Records what the browser says about the microphone track - its
+ * capabilities (getCapabilities), what was asked for (getConstraints) and
+ * what was applied (getSettings) - and catches silent downgrades: a
+ * setting the device claims to support, asked for, and quietly not given.
+ * Typical causes are another app holding the device in a lower mode (a
+ * Bluetooth headset in call mode runs at 16 kHz) or processing the
+ * browser won't turn off.
+ * 
+ * First checks the main track - the one every other test uses - against
+ * its own getConstraints(), then asks it for the best the device reports
+ * (highest sample rate, channel count and sample size, lowest latency, all
+ * processing off) with applyConstraints and puts the original constraints
+ * back. ideal constraints never fail, so a mismatch shows up only here -
+ * but browsers often won't reconfigure a live track at all (Chromium keeps
+ * its processing and format), so an unchanged value proves nothing and is
+ * 'unverified'. Those are tried once more on a fresh stream, with the main
+ * stream and mic monitor closed so it has the device to itself. A setting
+ * is only called a downgrade when an exact constraint wasn't met, or the
+ * fresh stream didn't get it either.
+ * 
+ * This test requires:
+ * - A stream from stream-acquisition (its track is recorded, then probed)
+ */
+
+import { releaseMicrophone } from '../test-signals.js';
+
+// Settings compared, with which way is worse
+const NUMERIC_SETTINGS = {
+    sampleRate: 'lower',
+    channelCount: 'lower',
+    sampleSize: 'lower',
+    latency: 'higher'
+};
+const PROCESSING_SETTINGS = ['autoGainControl', 'noiseSuppression', 'echoCancellation', 'voiceIsolation'];
+
+// Asked for when the device doesn't report a range
+const FALLBACK_REQUEST = {
+    sampleRate: 48000,
+    channelCount: 1,
+    sampleSize: 16,
+    latency: 0.01
+};
+
+// Latencies this close (seconds) count as the same
+const LATENCY_TOLERANCE = 0.001;
+
+export const diagnostic = {
+    id: 'audio-constraints',
+    name: 'Audio Settings',
+    description: 'Compares the audio settings we asked for with the ones the browser applied',
+    scope: 'device',  // Device-specific - re-run when device changes
+    requiresPermission: true,
+    dependsOn: ['stream-acquisition'],
+    pendingMessage: 'Waiting to check audio settings...',
+    runningMessage: 'Checking audio settings...',
+    
+    /**
+     * Run the diagnostic test
+     * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the test
+     * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
+     */
+    async test(context, options = {}) {
+        const { signal } = options;
+        const track = context.audioTrack;
+        
+        if (!track) {
+            return {
+                status: 'skip',
+                message: 'No microphone track available (previous test failed)',
+                details: null
+            };
+        }
+        
+        const details = {
+            supportedConstraints: navigator.mediaDevices.getSupportedConstraints?.() || null,
+            // The stream every other test uses, as opened
+            track: describeTrack(track),
+            // What it was opened with, against what it got
+            opened: {},
+            requested: null,
+            applied: null,
+            fresh: null,
+            comparison: {},
+            downgraded: []
+        };
+        
+        const original = details.track.constraints || {};
+        for (const name of [...Object.keys(NUMERIC_SETTINGS), ...PROCESSING_SETTINGS]) {
+            if (original[name] === undefined) continue;
+            details.opened[name] = compareSetting(name, original[name], details.track, details.track);
+        }
+        
+        const requested = buildRequest(details.track.capabilities, details.supportedConstraints);
+        details.requested = requested;
+        
+        try {
+            await track.applyConstraints({ ...original, ...requested });
+            signal?.throwIfAborted();
+            details.applied = describeTrack(track);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            context.audioConstraints = details;
+            return {
+                status: 'warn',
+                message: `Could not check audio settings (${error.name})`,
+                details: { ...details, error: error.message }
+            };
+        } finally {
+            // Later tests expect the stream as it was opened
+            await track.applyConstraints(original).catch(error => {
+                console.warn('Could not restore microphone constraints:', error);
+            });
+        }
+        
+        for (const name of Object.keys(requested)) {
+            details.comparison[name] = compareSetting(name, requested[name], details.applied, details.track);
+        }
+        
+        // Settings the live track may simply not have been able to change
+        const unverified = Object.keys(details.comparison)
+            .filter(name => details.comparison[name].result === 'unverified' && details.comparison[name].possible);
+        if (unverified.length > 0) {
+            const fresh = await probeFreshStream(context, details.track.settings?.deviceId, requested, signal);
+            if (fresh.error) {
+                details.freshError = fresh.error;
+            } else {
+                details.fresh = fresh.track;
+                for (const name of unverified) {
+                    const comparison = compareSetting(name, requested[name], fresh.track, details.track);
+                    details.comparison[name] = {
+                        ...comparison,
+                        result: comparison.result === 'unverified' ? 'downgraded' : comparison.result,
+                        freshStream: true
+                    };
+                }
+            }
+        }
+        
+        details.downgraded = [...new Set([
+            ...Object.keys(details.opened).filter(name => details.opened[name].result === 'downgraded'),
+            ...Object.keys(details.comparison).filter(name => details.comparison[name].result === 'downgraded')
+        ])];
+        context.audioConstraints = details;
+        
+        return evaluateConstraints(details);
+    }
+};
+
+/**
+ * Record a track's capabilities, constraints and settings
+ * @param {MediaStreamTrack} track
+ * @returns {{label: string, capabilities: object|null, constraints: object|null, settings: object|null}}
+ */
+function describeTrack(track) {
+    return {
+        label: track?.label || null,
+        capabilities: track?.getCapabilities?.() || null,
+        constraints: track?.getConstraints?.() || null,
+        settings: track?.getSettings?.() || null
+    };
+}
+
+/**
+ * Open a fresh stream asking for the request, with the device to itself
+ * The main stream and mic monitor are closed meanwhile and reopened after
+ * 
+ * @param {object} context - Diagnostic context
+ * @param {string} [deviceId] - The main track's device
+ * @param {object} requested - From buildRequest()
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{track?: object, error?: string}>} describeTrack() of the fresh stream
+ */
+async function probeFreshStream(context, deviceId, requested, signal) {
+    const restoreMicrophone = releaseMicrophone(context);
+    let stream = null;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                ...requested
+            }
+        });
+        signal?.throwIfAborted();
+        return { track: describeTrack(stream.getAudioTracks()[0]) };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        return { error: error.message };
+    } finally {
+        stream?.getTracks().forEach(t => t.stop());
+        await restoreMicrophone();
+    }
+}
+
+/**
+ * Build the request: the best each capability allows, processing off
+ * Constraints the browser doesn't know are left out
+ * 
+ * @param {object|null} capabilities - From the current track
+ * @param {object|null} supported - getSupportedConstraints()
+ * @returns {object} Plain (ideal) values per setting
+ */
+function buildRequest(capabilities, supported) {
+    const request = {};
+    const isSupported = name => !supported || supported[name];
+    
+    for (const [name, worse] of Object.entries(NUMERIC_SETTINGS)) {
+        if (!isSupported(name)) continue;
+        
+        const range = capabilities?.[name];
+        const best = worse === 'lower' ? range?.max : range?.min;
+        request[name] = typeof best === 'number' ? best : FALLBACK_REQUEST[name];
+    }
+    for (const name of PROCESSING_SETTINGS) {
+        if (isSupported(name)) request[name] = false;
+    }
+    
+    return request;
+}
+
+/**
+ * Compare one requested value with what the track applied
+ * 
+ * Results:
+ * - 'applied': got what we asked for (or better)
+ * - 'downgraded': the device claims it, an exact constraint asked for it,
+ *   and the browser gave less
+ * - 'unsupported': the device's capabilities rule it out
+ * - 'unverified': got something else from an ideal constraint - the
+ *   browser may just not have changed the track ('unchanged' says whether
+ *   it kept the value it had)
+ * - 'not-reported': the browser doesn't say what it applied
+ * 
+ * @param {string} name - Constraint name
+ * @param {*} constraint - Plain value, or {exact}/{ideal}
+ * @param {object} track - describeTrack() after applying it
+ * @param {object} before - describeTrack() before applying it
+ * @returns {{requested: *, exact: boolean, applied: *, capability: *, possible: boolean|null, unchanged: boolean, result: string}}
+ */
+function compareSetting(name, constraint, track, before) {
+    const exact = typeof constraint === 'object' && constraint !== null && 'exact' in constraint;
+    const requested = typeof constraint === 'object' && constraint !== null
+        ? (constraint.exact ?? constraint.ideal ?? constraint.max ?? constraint.min)
+        : constraint;
+    const applied = track.settings?.[name];
+    const capability = track.capabilities?.[name];
+    const comparison = {
+        requested,
+        exact,
+        applied: applied ?? null,
+        capability: capability ?? null,
+        possible: null,  // null: capabilities don't say
+        unchanged: applied === before.settings?.[name],
+        result: 'applied'
+    };
+    
+    if (applied === undefined || requested === undefined) {
+        comparison.result = 'not-reported';
+        return comparison;
+    }
+    
+    let worse;
+    if (name in NUMERIC_SETTINGS) {
+        const tolerance = name === 'latency' ? LATENCY_TOLERANCE : 0;
+        worse = NUMERIC_SETTINGS[name] === 'lower'
+            ? applied < requested - tolerance
+            : applied > requested + tolerance;
+        if (typeof capability?.min === 'number' && typeof capability?.max === 'number') {
+            comparison.possible = requested >= capability.min - tolerance && requested <= capability.max + tolerance;
+        }
+    } else {
+        worse = applied !== requested;
+        if (Array.isArray(capability)) {
+            comparison.possible = capability.includes(requested);
+        }
+    }
+    
+    if (!worse) return comparison;
+    
+    if (comparison.possible === false) {
+        comparison.result = 'unsupported';
+    } else if (comparison.possible === true && exact) {
+        comparison.result = 'downgraded';
+    } else {
+        comparison.result = 'unverified';
+    }
+    return comparison;
+}
+
+/**
+ * Turn the comparison into a result
+ * @param {object} details - With opened, comparison, downgraded and applied filled in
+ * @returns {{status: string, message: string, details: object, fix?: string}}
+ */
+function evaluateConstraints(details) {
+    const { opened, comparison, downgraded } = details;
+    
+    if (downgraded.length > 0) {
+        const changes = downgraded.map(name => describeChange(name,
+            comparison[name]?.result === 'downgraded' ? comparison[name] : opened[name]));
+        return {
+            status: 'warn',
+            message: `Settings not applied: ${changes.join(', ')}`,
+            details,
+            fix: 'The microphone supports these settings, but they weren\'t applied. ' +
+                'Another app may be holding it in a lower-quality mode (Bluetooth headsets switch to call mode, 16 kHz, ' +
+                'while any app uses their mic) - close other calling apps and try again. ' +
+                'If processing stays on, check for system "voice" or "communications" enhancements in your sound settings.'
+        };
+    }
+    
+    // The fresh stream shows what the device can do, if there was one
+    const settings = (details.fresh || details.applied).settings || {};
+    const parts = [];
+    if (settings.sampleRate) parts.push(`${settings.sampleRate / 1000} kHz`);
+    if (settings.channelCount) parts.push(settings.channelCount === 1 ? 'mono' : `${settings.channelCount} channels`);
+    if (settings.sampleSize) parts.push(`${settings.sampleSize}-bit`);
+    
+    const stuckOn = PROCESSING_SETTINGS.filter(name => comparison[name]?.result === 'unsupported');
+    let processing = stuckOn.length > 0
+        ? `${stuckOn.map(formatName).join(', ')} can't be turned off`
+        : 'processing can be turned off';
+    
+    // Left over when the fresh stream couldn't be opened
+    const unverified = Object.keys(comparison)
+        .filter(name => comparison[name].result === 'unverified' && comparison[name].possible);
+    if (unverified.length > 0) {
+        processing += ` (couldn't confirm ${unverified.map(formatName).join(', ')})`;
+    }
+    
+    return {
+        status: 'pass',
+        message: parts.length > 0 ? `${parts.join(', ')} — ${processing}` : `Settings applied — ${processing}`,
+        details
+    };
+}
+
+/**
+ * Describe a downgraded setting, e.g. "sample rate 16000 Hz (asked for 48000 Hz)"
+ * @param {string} name
+ * @param {{requested: *, applied: *}} comparison
+ * @returns {string}
+ */
+function describeChange(name, { requested, applied }) {
+    const format = (value) => {
+        if (typeof value === 'boolean') return value ? 'on' : 'off';
+        if (name === 'latency') return `${Math.round(value * 1000)} ms`;
+        return `${value}${{ sampleRate: ' Hz', sampleSize: '-bit' }[name] || ''}`;
+    };
+    return `${formatName(name)} ${format(applied)} (asked for ${format(requested)})`;
+}
+
+/**
+ * Turn a constraint name into words ("noiseSuppression" → "noise suppression")
+ * @param {string} name
+ * @returns {string}
+ */
+function formatName(name) {
+    return name.replace(/[A-Z]/g, c => ` ${c.toLowerCase()}`);
+}
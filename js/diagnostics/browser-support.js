@@ -16,6 +16,7 @@ export const diagnostic = {
     description: 'Checks if your browser supports microphone access',
     scope: 'environment',  // Never changes - browser/OS level
     requiresPermission: false,
+    skipReason: 'browser not supported',
     pendingMessage: 'Checking browser compatibility...',
     runningMessage: 'Checking browser APIs...',
     
@@ -5,7 +5,8 @@
  * 
  * Note: Before permission is granted, browsers return devices
  * but with empty labels. We can still count them.
- * After permission, we get full device labels.
+ * After permission, we get full device labels - so this re-runs once a
+ * stream is open (rerunAfter).
  * 
  * IMPORTANT: Chrome reports virtual "default" and "communications" devices
  * in addition to physical devices. We deduplicate these so the count shown
@@ -21,6 +22,8 @@ export const diagnostic = {
     description: 'Checks if microphones are connected',
     scope: 'site',  // Site-level - device list is stable once permission granted
     requiresPermission: false,
+    dependsOn: ['browser-support'],
+    rerunAfter: ['stream-acquisition'],
     pendingMessage: 'Looking for microphones...',
     runningMessage: 'Detecting microphones...',
     
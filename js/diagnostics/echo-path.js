@@ -0,0 +1,237 @@
+/**
+ * Echo Path Diagnostic
+ * 
+ * Checks whether the speakers leak into the microphone - the cause of
+ * "people hear themselves echo". Plays a short sweep through the output,
+ * records it back and measures:
+ * - Coupling: how loud the sweep comes back (relative to what was played)
+ * - Delay: how long after playing it arrives (output + room + input)
+ * 
+ * It runs twice, with the browser's echoCancellation off and then on, so
+ * we can tell "no leakage" from "leakage the canceller removes" from
+ * "leakage that reaches the other side of the call".
+ * This is a USER-INITIATED test - it plays sound, so it doesn't auto-start.
+ * 
+ * This test requires:
+ * - Audio context from signal-detection
+ * - User to click "Start" (and keep their usual speaker volume)
+ * - The main stream and mic monitor are closed for the test, then reopened
+ */
+
+import { createSweep, openTestStream, releaseMicrophone, playAndRecord, findEcho } from '../test-signals.js';
+
+// Three sweeps per pass: the canceller adapts on the first ones, the
+// last one is measured
+const SWEEP_COUNT = 3;
+const SWEEP_SECONDS = 1;
+const SWEEP_PERIOD_SECONDS = 1.5;
+
+// Echo cancellation counts as working when it removes this much (dB)
+const MIN_CANCELLATION_DB = 20;
+
+// Coupling above this (dB relative to the played level) risks howling
+// feedback in apps without echo cancellation
+const FEEDBACK_COUPLING_DB = -10;
+
+export const diagnostic = {
+    id: 'echo-path',
+    name: 'Echo Check',
+    description: 'Plays a test sweep to check whether your speakers leak into the microphone',
+    scope: 'quality',  // Quality tests - user-initiated, run after signal detection
+    requiresPermission: true,
+    dependsOn: ['signal-detection'],
+    userInitiated: true,  // Plays sound - user must click to start
+    pendingMessage: 'Ready — plays a short test sound through your speakers',
+    runningMessage: 'Playing test sound...',
+    
+    /**
+     * Run the diagnostic test
+     * 
+     * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} options - Test options
+     * @param {function} options.onProgress - Called with progress updates {elapsed, remaining, remainingSeconds, echoCancellation}
+     * @param {AbortSignal} [options.signal] - Cancels the test
+     * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
+     */
+    async test(context, options = {}) {
+        const { onProgress, signal } = options;
+        const audioContext = context.audioContext;
+        
+        const details = {
+            withoutCancellation: null,
+            withCancellation: null,
+            couplingDb: null,
+            delayMs: null,
+            cancellationDb: null
+        };
+        
+        if (!audioContext) {
+            return {
+                status: 'skip',
+                message: 'No audio context available',
+                details
+            };
+        }
+        
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+        }
+        
+        const sampleRate = audioContext.sampleRate;
+        const sweep = createSweep(sampleRate, { duration: SWEEP_SECONDS });
+        const testSignal = createSweepTrain(sweep, Math.round(SWEEP_PERIOD_SECONDS * sampleRate));
+        const lastSweepStart = (SWEEP_COUNT - 1) * Math.round(SWEEP_PERIOD_SECONDS * sampleRate);
+        
+        // Each pass takes the test signal plus its recording tail
+        const tail = SWEEP_PERIOD_SECONDS - SWEEP_SECONDS;
+        const passMs = (testSignal.length / sampleRate + tail) * 1000;
+        const totalMs = passMs * 2;
+        
+        // Close our other streams on the device - with them open, the "off"
+        // pass may be handed their echo cancellation
+        const restoreMicrophone = releaseMicrophone(context);
+        try {
+            const passes = [false, true];
+            for (let pass = 0; pass < passes.length; pass++) {
+                const echoCancellation = passes[pass];
+                
+                let stream;
+                try {
+                    stream = await openTestStream(context, { echoCancellation }, signal);
+                } catch (error) {
+                    if (signal?.aborted) throw error;
+                    return {
+                        status: 'fail',
+                        message: 'Could not configure microphone for echo test',
+                        details: { ...details, error: error.message }
+                    };
+                }
+                
+                const source = audioContext.createMediaStreamSource(stream);
+                const applied = stream.getAudioTracks()[0]?.getSettings?.().echoCancellation;
+                
+                let recording;
+                try {
+                    recording = await playAndRecord(audioContext, source, testSignal, {
+                        tail,
+                        signal,
+                        onProgress: (fraction) => {
+                            if (!onProgress) return;
+                            const elapsed = (pass + fraction) * passMs;
+                            onProgress({
+                                elapsed,
+                                remaining: Math.max(0, totalMs - elapsed),
+                                remainingSeconds: Math.ceil((totalMs - elapsed) / 1000),
+                                echoCancellation
+                            });
+                        }
+                    });
+                } finally {
+                    try { source.disconnect(); } catch (e) { /* ignore */ }
+                    stream.getTracks().forEach(t => t.stop());
+                }
+                
+                // Only the last sweep and its tail - earlier echoes have died
+                // away in the gap
+                const echo = findEcho(recording.subarray(lastSweepStart), sweep, sampleRate, { maxDelay: tail });
+                const measurement = {
+                    detected: echo.detected,
+                    couplingDb: echo.gainDb,
+                    delayMs: echo.delayMs,
+                    peakToNoiseDb: echo.peakToNoiseDb,
+                    echoCancellationApplied: applied ?? null
+                };
+                
+                if (echoCancellation) {
+                    details.withCancellation = measurement;
+                } else {
+                    details.withoutCancellation = measurement;
+                }
+            }
+        } finally {
+            await restoreMicrophone();
+        }
+        
+        context.echo = details;
+        return evaluateEcho(details);
+    }
+};
+
+/**
+ * Repeat a sweep SWEEP_COUNT times, one per period
+ * @param {Float32Array} sweep
+ * @param {number} period - Samples from one sweep start to the next
+ * @returns {Float32Array}
+ */
+function createSweepTrain(sweep, period) {
+    const train = new Float32Array((SWEEP_COUNT - 1) * period + sweep.length);
+    for (let i = 0; i < SWEEP_COUNT; i++) {
+        train.set(sweep, i * period);
+    }
+    return train;
+}
+
+/**
+ * Turn the two measurements into a result
+ * @param {object} details - With withoutCancellation and withCancellation filled in
+ * @returns {{status: string, message: string, details: object, fix?: string}}
+ */
+function evaluateEcho(details) {
+    const off = details.withoutCancellation;
+    const on = details.withCancellation;
+    
+    if (!off.detected && !on.detected) {
+        return {
+            status: 'pass',
+            message: 'No echo — the microphone doesn\'t pick up your speakers',
+            details
+        };
+    }
+    
+    // With cancellation off we hear the raw path; if only the cancelled
+    // pass found it, that's the better estimate we have
+    const path = off.detected ? off : on;
+    details.couplingDb = path.couplingDb;
+    details.delayMs = path.delayMs;
+    
+    // Gone entirely with cancellation on counts as cancelled, whatever the depth
+    if (off.detected && on.detected) {
+        details.cancellationDb = Math.round((off.couplingDb - on.couplingDb) * 10) / 10;
+    }
+    const cancelled = off.detected && !on.detected ||
+        details.cancellationDb !== null && details.cancellationDb >= MIN_CANCELLATION_DB;
+    
+    const pathLabel = `${Math.round(path.couplingDb)} dB at ${Math.round(path.delayMs)} ms`;
+    
+    const speakerFix = 'Use headphones, turn the speaker volume down, or move the microphone further from the speakers.';
+    
+    if (cancelled && path.couplingDb > FEEDBACK_COUPLING_DB) {
+        return {
+            status: 'warn',
+            message: `Speakers are very loud in the mic (${pathLabel}) — feedback risk`,
+            details,
+            fix: 'Echo cancellation removes it in the browser, but apps and recordings without echo cancellation ' +
+                'will echo or howl. ' + speakerFix
+        };
+    }
+    
+    if (cancelled) {
+        return {
+            status: 'pass',
+            message: `Speaker echo removed by echo cancellation (${pathLabel})`,
+            details
+        };
+    }
+    
+    const notApplied = on.echoCancellationApplied === false;
+    return {
+        status: 'warn',
+        message: notApplied
+            ? `Speaker echo (${pathLabel}) — echo cancellation unavailable`
+            : `Speaker echo not removed (${pathLabel})`,
+        details,
+        fix: 'People on your calls will hear themselves echo. ' + speakerFix +
+            ' Make sure echo cancellation is enabled in your calling app, and avoid "original sound" or ' +
+            '"music mode" settings, which turn it off.'
+    };
+}
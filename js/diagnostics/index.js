@@ -14,41 +14,68 @@
  * - 'site': Tests that check site-level state like permissions (run once per page)
  * - 'device': Tests specific to the selected microphone (re-run when device changes)
  * - 'quality': Signal quality tests - user-initiated, run after device tests pass
+ * 
+ * Run order and skips come from each module's dependsOn / skipWhen /
+ * rerunAfter relations, resolved by the registry (registry.js). Third-party
+ * diagnostics join in with registerDiagnostic().
  */
 
 import { diagnostic as browserSupport } from './browser-support.js';
 import { diagnostic as permissionState } from './permission-state.js';
 import { diagnostic as deviceEnumeration } from './device-enumeration.js';
 import { diagnostic as streamAcquisition } from './stream-acquisition.js';
+import { diagnostic as audioConstraints } from './audio-constraints.js';
 import { diagnostic as signalDetection } from './signal-detection.js';
+import { diagnostic as audioBandwidth } from './audio-bandwidth.js';
 import { diagnostic as noiseFloor } from './noise-floor.js';
 import { diagnostic as voiceLevel } from './voice-level.js';
+import { diagnostic as echoPath } from './echo-path.js';
+import { diagnostic as roundTripLatency } from './round-trip-latency.js';
+import { diagnostic as processingEffects } from './processing-effects.js';
+import {
+    registerDiagnostic,
+    getSkipReason,
+    getRerunsAfter,
+    runsAfterPermission,
+    coreDiagnostics,
+    qualityDiagnostics,
+    orderedDiagnostics
+} from './registry.js';
 
-/**
- * Core diagnostics in execution order (auto-run)
- * Earlier diagnostics that don't require permission run first
- */
-export const diagnostics = [
+export { registerDiagnostic, unregisterDiagnostic, getSkipReason } from './registry.js';
+
+[
     browserSupport,
     permissionState,
     deviceEnumeration,
     streamAcquisition,
-    signalDetection
-];
+    audioConstraints,
+    signalDetection,
+    audioBandwidth,
+    noiseFloor,
+    voiceLevel,
+    echoPath,
+    roundTripLatency,
+    processingEffects
+].forEach(registerDiagnostic);
+
+/**
+ * Core diagnostics in execution order (auto-run)
+ * Earlier diagnostics that don't require permission run first
+ * Live list - includes diagnostics registered later
+ */
+export const diagnostics = coreDiagnostics;
 
 /**
  * Quality diagnostics (user-initiated)
  * These run after core diagnostics pass and require user action
  */
-export const qualityDiagnostics = [
-    noiseFloor,
-    voiceLevel
-];
+export { qualityDiagnostics };
 
 /**
  * All diagnostics (core + quality)
  */
-export const allDiagnostics = [...diagnostics, ...qualityDiagnostics];
+export const allDiagnostics = orderedDiagnostics;
 
 /**
  * Diagnostic scopes - determines when tests should re-run
@@ -68,6 +95,7 @@ export const SCOPE = {
  * - 'skip': Test was skipped (dependency failed)
  * - 'pending': Test hasn't run yet
  * - 'running': Test is currently running
+ * - 'cancelled': Test was stopped before it finished
  */
 export const STATUS = {
     PASS: 'pass',
@@ -75,9 +103,20 @@ export const STATUS = {
     WARN: 'warn',
     SKIP: 'skip',
     PENDING: 'pending',
-    RUNNING: 'running'
+    RUNNING: 'running',
+    CANCELLED: 'cancelled'
 };
 
+/**
+ * Diagnostics running now: id -> { controller, done }
+ */
+const runningDiagnostics = new Map();
+
+/**
+ * Controllers of the suite runs in progress (runDiagnosticSet)
+ */
+const activeRuns = new Set();
+
 /**
  * Create a fresh diagnostic context
  * Context is shared between tests and accumulates state
@@ -100,6 +139,9 @@ export function createContext() {
         analyser: null,
         source: null,
         
+        // Set by voice-level (averaged speech spectrum, for audio-bandwidth)
+        voiceSpectrum: null,
+        
         // User selections
         selectedDeviceId: null
     };
@@ -114,151 +156,330 @@ export function createInitialResults(includeQuality = true) {
     const diagsToInclude = includeQuality ? allDiagnostics : diagnostics;
     
     for (const diag of diagsToInclude) {
-        results[diag.id] = {
-            id: diag.id,
-            name: diag.name,
-            description: diag.description,
-            scope: diag.scope,
-            requiresPermission: diag.requiresPermission,
-            userInitiated: diag.userInitiated || false,
-            status: STATUS.PENDING,
-            message: diag.pendingMessage || 'Waiting...',
-            details: null,
-            fix: null
-        };
+        results[diag.id] = createPendingResult(diag);
     }
     return results;
 }
 
+/**
+ * Create the pending result for one diagnostic
+ */
+function createPendingResult(diag) {
+    return {
+        id: diag.id,
+        name: diag.name,
+        description: diag.description,
+        scope: diag.scope,
+        requiresPermission: diag.requiresPermission,
+        userInitiated: diag.userInitiated || false,
+        status: STATUS.PENDING,
+        message: diag.pendingMessage || 'Waiting...',
+        details: null,
+        fix: null,
+        skipReason: null
+    };
+}
+
+/**
+ * Mark a diagnostic skipped, keeping the reason for its dependents
+ */
+function skipDiagnostic(diag, reason, results, onUpdate) {
+    results[diag.id] = {
+        ...results[diag.id],
+        status: STATUS.SKIP,
+        message: `Skipped (${reason})`,
+        details: null,
+        fix: null,
+        skipReason: reason
+    };
+    if (onUpdate) onUpdate(results);
+    return results[diag.id];
+}
+
+/**
+ * Mark a diagnostic cancelled
+ */
+function cancelResult(diag, results) {
+    results[diag.id] = {
+        ...results[diag.id],
+        status: STATUS.CANCELLED,
+        message: 'Cancelled',
+        details: null,
+        fix: null,
+        skipReason: null
+    };
+}
+
+/**
+ * Create an AbortController that also aborts when the parent signal does
+ * 
+ * The parent (a whole test run) outlives many child runs - call unlink()
+ * when the child settles so the parent doesn't keep its listener.
+ * 
+ * @param {AbortSignal} [parentSignal]
+ * @returns {{controller: AbortController, unlink: function(): void}}
+ */
+function createLinkedController(parentSignal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal?.aborted) {
+        controller.abort(parentSignal.reason);
+    } else if (parentSignal) {
+        parentSignal.addEventListener('abort', onAbort, { once: true });
+    }
+    return {
+        controller,
+        unlink: () => parentSignal?.removeEventListener('abort', onAbort)
+    };
+}
+
+/**
+ * Run diagnostics in order, skipping those whose dependencies didn't pass
+ * and re-running those that asked to (rerunAfter) when one passes
+ * 
+ * @param {object[]} diags - Diagnostics to run, in run order
+ * @param {object} context - Diagnostic context
+ * @param {object} results - Results object to update
+ * @param {object} options
+ * @param {function} [options.onUpdate] - Callback when a result updates
+ * @param {AbortSignal} [options.signal] - Cancels the run; unfinished diagnostics become 'cancelled'
+ * @returns {Promise<object>} Updated results object
+ */
+async function runDiagnosticSet(diags, context, results, options = {}) {
+    const { onUpdate } = options;
+    const { controller, unlink } = createLinkedController(options.signal);
+    const { signal } = controller;
+    activeRuns.add(controller);
+    
+    try {
+        for (let i = 0; i < diags.length; i++) {
+            const diag = diags[i];
+            // Registered after the results were created
+            if (!results[diag.id]) results[diag.id] = createPendingResult(diag);
+            
+            // Don't leave the rest looking like they're about to run
+            if (signal.aborted) {
+                diags.slice(i).forEach(d => cancelResult(d, results));
+                if (onUpdate) onUpdate(results);
+                break;
+            }
+            
+            const skipReason = getSkipReason(diag, context, results);
+            if (skipReason) {
+                skipDiagnostic(diag, skipReason, results, onUpdate);
+                continue;
+            }
+            
+            const result = await runSingleDiagnostic(diag, context, results, { onUpdate, signal });
+            
+            // Not ones still queued here, which will see it anyway
+            await runReruns(diag, result, context, results, { onUpdate, signal, queued: diags.slice(i + 1) });
+        }
+    } finally {
+        activeRuns.delete(controller);
+        unlink();
+    }
+    
+    return results;
+}
+
+/**
+ * Re-run the diagnostics that asked to (rerunAfter) once one has passed
+ * They run their rerun() hook if they have one, otherwise test() again.
+ * 
+ * @param {object} diag - Diagnostic that just ran
+ * @param {object} result - Its result
+ * @param {object} context - Diagnostic context
+ * @param {object} results - Results object to update
+ * @param {object} options
+ * @param {function} [options.onUpdate] - Callback when a result updates
+ * @param {AbortSignal} [options.signal] - Cancels the re-runs
+ * @param {object[]} [options.queued] - Diagnostics still to run, left out
+ */
+async function runReruns(diag, result, context, results, options = {}) {
+    const { onUpdate, signal, queued = [] } = options;
+    if (result.status !== STATUS.PASS && result.status !== STATUS.WARN) return;
+    
+    // Only ones that have had their first run - and not user-initiated ones,
+    // which never start by themselves
+    const reruns = getRerunsAfter(diag.id).filter(d =>
+        !d.userInitiated && results[d.id] && !queued.includes(d));
+    for (const rerun of reruns) {
+        const skipReason = getSkipReason(rerun, context, results);
+        if (skipReason) {
+            skipDiagnostic(rerun, skipReason, results, onUpdate);
+        } else {
+            await runSingleDiagnostic(rerun, context, results, { onUpdate, signal, rerun: true });
+        }
+    }
+}
+
 /**
  * Run a single diagnostic and update results
+ * 
+ * @param {object} diag - Diagnostic to run
+ * @param {object} context - Diagnostic context
+ * @param {object} results - Results object to update
+ * @param {object} options
+ * @param {function} [options.onUpdate] - Callback when a result updates
+ * @param {function} [options.onProgress] - Passed to the test
+ * @param {AbortSignal} [options.signal] - Cancels the test
+ * @param {boolean} [options.rerun] - Re-running after a rerunAfter dependency
+ *        passed: uses the diagnostic's rerun() hook if it has one
+ * @returns {Promise<object>} Updated result for this diagnostic
  */
-async function runSingleDiagnostic(diag, context, results, onUpdate) {
-    results[diag.id].status = STATUS.RUNNING;
-    results[diag.id].message = diag.runningMessage || 'Checking...';
+async function runSingleDiagnostic(diag, context, results, options = {}) {
+    const { onUpdate, onProgress } = options;
+    const previous = results[diag.id];
+    const { controller, unlink } = createLinkedController(options.signal);
+    let finished;
+    runningDiagnostics.set(diag.id, {
+        controller,
+        done: new Promise(resolve => { finished = resolve; })
+    });
+    
+    // A new object, so a cancelled run's returned result stays as it was
+    results[diag.id] = {
+        ...results[diag.id],
+        status: STATUS.RUNNING,
+        message: diag.runningMessage || (diag.userInitiated ? 'Recording...' : 'Checking...')
+    };
     if (onUpdate) onUpdate(results);
     
     try {
-        const result = await diag.test(context);
+        const result = options.rerun && diag.rerun
+            ? await diag.rerun(context, { onProgress, signal: controller.signal, previous })
+            : await diag.test(context, { onProgress, signal: controller.signal });
+        
+        // Cancelled tests that finished anyway don't count
+        controller.signal.throwIfAborted();
+        
+        // Extra fields (e.g. voice-level's stereoIssue) are kept as-is
+        const { status, message, details, fix, ...extra } = result;
         results[diag.id] = {
             ...results[diag.id],
-            status: result.status,
-            message: result.message,
-            details: result.details || null,
-            fix: result.fix || null
+            ...extra,
+            status,
+            message,
+            details: details || null,
+            fix: fix || null,
+            skipReason: null
         };
     } catch (error) {
-        results[diag.id] = {
-            ...results[diag.id],
-            status: STATUS.FAIL,
-            message: `Error: ${error.message}`,
-            details: { error: error.message }
-        };
+        if (controller.signal.aborted) {
+            cancelResult(diag, results);
+        } else {
+            results[diag.id] = {
+                ...results[diag.id],
+                status: STATUS.FAIL,
+                message: `Error: ${error.message}`,
+                details: { error: error.message },
+                skipReason: null
+            };
+        }
+    } finally {
+        // A restart may already have taken the slot
+        if (runningDiagnostics.get(diag.id)?.controller === controller) {
+            runningDiagnostics.delete(diag.id);
+        }
+        unlink();
+        finished();
     }
     
     if (onUpdate) onUpdate(results);
     return results[diag.id];
 }
 
+/**
+ * Cancel a running diagnostic
+ * Its result becomes 'cancelled' once the test has stopped
+ * 
+ * @param {string} diagId
+ * @returns {Promise<void>} Resolves once it has stopped (at once if it isn't running)
+ */
+export function cancelDiagnostic(diagId) {
+    const run = runningDiagnostics.get(diagId);
+    if (!run) return Promise.resolve();
+    
+    run.controller.abort();
+    return run.done;
+}
+
+/**
+ * Cancel every running diagnostic and suite run
+ * Diagnostics a suite run hadn't reached yet become 'cancelled' too
+ * 
+ * @returns {Promise<void>} Resolves once all have stopped
+ */
+export function cancelAllDiagnostics() {
+    activeRuns.forEach(controller => controller.abort());
+    
+    const runs = [...runningDiagnostics.values()];
+    runs.forEach(run => run.controller.abort());
+    return Promise.all(runs.map(run => run.done)).then(() => {});
+}
+
+/**
+ * Check whether a diagnostic is running
+ * @param {string} diagId
+ * @returns {boolean}
+ */
+export function isDiagnosticRunning(diagId) {
+    return runningDiagnostics.has(diagId);
+}
+
 /**
  * Run diagnostics that don't require permission
  * Returns after running browser-support, permission-state, device-enumeration (pre-permission)
  * 
  * @param {object} context - Diagnostic context
  * @param {function} onUpdate - Callback when a result updates
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the run
  * @returns {Promise<object>} Results object
  */
-export async function runPrePermissionDiagnostics(context, onUpdate) {
+export async function runPrePermissionDiagnostics(context, onUpdate, options = {}) {
     const results = createInitialResults();
+    const prePermissionTests = diagnostics.filter(d => !runsAfterPermission(d));
     
-    for (const diag of diagnostics) {
-        if (diag.requiresPermission) {
-            continue;
-        }
-        
-        const result = await runSingleDiagnostic(diag, context, results, onUpdate);
-        
-        // If browser support fails, stop
-        if (result.status === STATUS.FAIL && diag.id === 'browser-support') {
-            break;
-        }
-    }
-    
-    return results;
+    return runDiagnosticSet(prePermissionTests, context, results, { onUpdate, signal: options.signal });
 }
 
 /**
  * Run permission-requiring diagnostics (stream acquisition, signal detection)
- * Also re-runs device enumeration to get accurate count with labels
+ * and those depending on them
+ * Permission status and device enumeration re-run once a stream is open
+ * (rerunAfter) - the permission is clearly granted, and device labels
+ * become available
  * 
  * @param {object} context - Diagnostic context (from pre-permission run)
  * @param {object} results - Results object to update
  * @param {function} onUpdate - Callback when a result updates
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the run
  * @returns {Promise<object>} Updated results object
  */
-export async function runPermissionDiagnostics(context, results, onUpdate) {
-    for (const diag of diagnostics) {
-        if (!diag.requiresPermission) {
-            // Skip pre-permission tests, BUT re-run device enumeration 
-            // after stream acquisition succeeds (to get accurate count with labels)
-            continue;
-        }
-        
-        const result = await runSingleDiagnostic(diag, context, results, onUpdate);
-        
-        // After stream acquisition succeeds:
-        // 1. Update permission-state to 'pass' (fixes Firefox inconsistency where
-        //    Permissions API may report 'prompt' even when permission is granted)
-        // 2. Update context.permissionState so device enumeration won't skip
-        // 3. Re-run device enumeration to get accurate count with labels
-        if (diag.id === 'stream-acquisition' && result.status === STATUS.PASS) {
-            // Permission clearly granted if stream works - update both result AND context
-            results['permission-state'].status = STATUS.PASS;
-            results['permission-state'].message = 'Microphone permission granted';
-            context.permissionState = 'granted'; // Critical: device-enumeration checks this
-            if (onUpdate) onUpdate(results);
-            
-            await runSingleDiagnostic(deviceEnumeration, context, results, onUpdate);
-        }
-        
-        // If stream acquisition fails, skip signal detection
-        if (result.status === STATUS.FAIL && diag.id === 'stream-acquisition') {
-            results['signal-detection'].status = STATUS.SKIP;
-            results['signal-detection'].message = 'Skipped (no microphone access)';
-            if (onUpdate) onUpdate(results);
-            break;
-        }
-    }
+export async function runPermissionDiagnostics(context, results, onUpdate, options = {}) {
+    const permissionTests = diagnostics.filter(runsAfterPermission);
     
-    return results;
+    return runDiagnosticSet(permissionTests, context, results, { onUpdate, signal: options.signal });
 }
 
 /**
  * Run device-specific diagnostics only (when switching devices)
- * Re-runs: device-enumeration, stream-acquisition, signal-detection
+ * Re-runs the device-scoped tests (stream acquisition, signal detection, ...)
  * 
  * @param {object} context - Diagnostic context
  * @param {object} results - Existing results object
  * @param {function} onUpdate - Callback when a result updates
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the run
  * @returns {Promise<object>} Updated results object
  */
-export async function runDeviceDiagnostics(context, results, onUpdate) {
-    // Only run device-scoped tests
+export async function runDeviceDiagnostics(context, results, onUpdate, options = {}) {
     const deviceTests = diagnostics.filter(d => d.scope === SCOPE.DEVICE);
     
-    for (const diag of deviceTests) {
-        const result = await runSingleDiagnostic(diag, context, results, onUpdate);
-        
-        // If stream acquisition fails, skip signal detection
-        if (result.status === STATUS.FAIL && diag.id === 'stream-acquisition') {
-            results['signal-detection'].status = STATUS.SKIP;
-            results['signal-detection'].message = 'Skipped (microphone access failed)';
-            if (onUpdate) onUpdate(results);
-            break;
-        }
-    }
-    
-    return results;
+    return runDiagnosticSet(deviceTests, context, results, { onUpdate, signal: options.signal });
 }
 
 /**
@@ -267,33 +488,41 @@ export async function runDeviceDiagnostics(context, results, onUpdate) {
  * 
  * @param {object} context - Diagnostic context
  * @param {function} onUpdate - Callback when a result updates
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the run
  * @returns {Promise<object>} Final results object
  */
-export async function runAllDiagnostics(context, onUpdate) {
-    let results = await runPrePermissionDiagnostics(context, onUpdate);
-    
-    // Check if we should continue to permission-requiring tests
-    const browserOk = results['browser-support'].status === STATUS.PASS;
-    const permissionDenied = results['permission-state'].status === STATUS.FAIL;
+export async function runAllDiagnostics(context, onUpdate, options = {}) {
+    const results = await runPrePermissionDiagnostics(context, onUpdate, options);
     
-    if (!browserOk) {
-        return results;
-    }
-    
-    if (permissionDenied) {
-        // Permission explicitly denied - skip permission tests, show fix
-        results['stream-acquisition'].status = STATUS.SKIP;
-        results['stream-acquisition'].message = 'Skipped (permission denied)';
-        results['signal-detection'].status = STATUS.SKIP;
-        results['signal-detection'].message = 'Skipped (permission denied)';
-        if (onUpdate) onUpdate(results);
-        return results;
-    }
+    // An unsupported browser or denied permission skips the rest (dependsOn, skipWhen)
+    return runPermissionDiagnostics(context, results, onUpdate, options);
+}
+
+/**
+ * Restart the whole suite - cancel every running diagnostic and suite run,
+ * then run the diagnostics again from the start with fresh results
+ * 
+ * @param {object} context - Diagnostic context for the new run
+ * @param {function} onUpdate - Callback when a result updates
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the new run
+ * @param {boolean} [options.prePermissionOnly] - Stop before the diagnostics
+ *        needing microphone access, for callers that ask the user first
+ *        (runPermissionDiagnostics() continues)
+ * @param {function} [options.onStopped] - Called once the previous run has
+ *        stopped and before the new one starts - to release what it held
+ * @returns {Promise<object>} Results object
+ */
+export async function restartAllDiagnostics(context, onUpdate, options = {}) {
+    const { signal, prePermissionOnly = false, onStopped } = options;
     
-    // Run permission-requiring tests
-    results = await runPermissionDiagnostics(context, results, onUpdate);
+    await cancelAllDiagnostics();
+    if (onStopped) onStopped();
     
-    return results;
+    return prePermissionOnly
+        ? runPrePermissionDiagnostics(context, onUpdate, { signal })
+        : runAllDiagnostics(context, onUpdate, { signal });
 }
 
 /**
@@ -351,59 +580,46 @@ export function canRunQualityDiagnostics(results) {
  * Run a specific quality diagnostic by ID
  * Quality diagnostics are user-initiated and require onProgress callback
  * 
- * @param {string} diagId - Diagnostic ID ('noise-floor' or 'voice-level')
+ * @param {string} diagId - Diagnostic ID ('noise-floor', 'voice-level', 'echo-path' or 'round-trip-latency')
  * @param {object} context - Diagnostic context
  * @param {object} results - Results object to update
  * @param {object} options - Options
  * @param {function} options.onProgress - Called with progress updates during recording
  * @param {function} options.onUpdate - Called when result is ready
+ * @param {AbortSignal} [options.signal] - Cancels the test (cancelDiagnostic() does too)
  * @returns {Promise<object>} Updated result for this diagnostic
  */
 export async function runQualityDiagnostic(diagId, context, results, options = {}) {
-    const { onProgress, onUpdate } = options;
+    const { onProgress, onUpdate, signal } = options;
     
     const diag = qualityDiagnostics.find(d => d.id === diagId);
     if (!diag) {
         throw new Error(`Unknown quality diagnostic: ${diagId}`);
     }
     
+    if (!results[diagId]) results[diagId] = createPendingResult(diag);
+    
     // Check if prerequisites are met
-    if (diag.canRun && !diag.canRun(context, results)) {
-        results[diagId] = {
-            ...results[diagId],
-            status: STATUS.SKIP,
-            message: 'Prerequisites not met'
-        };
-        if (onUpdate) onUpdate(results);
-        return results[diagId];
+    const skipReason = getSkipReason(diag, context, results) ||
+        (diag.canRun && !diag.canRun(context, results) ? 'prerequisites not met' : null);
+    if (skipReason) {
+        return skipDiagnostic(diag, skipReason, results, onUpdate);
     }
     
-    // Mark as running
-    results[diagId].status = STATUS.RUNNING;
-    results[diagId].message = diag.runningMessage || 'Recording...';
-    if (onUpdate) onUpdate(results);
+    const result = await runSingleDiagnostic(diag, context, results, { onUpdate, onProgress, signal });
+    await runReruns(diag, result, context, results, { onUpdate, signal });
     
-    try {
-        const result = await diag.test(context, { onProgress });
-        results[diagId] = {
-            ...results[diagId],
-            status: result.status,
-            message: result.message,
-            details: result.details || null,
-            fix: result.fix || null,
-            stereoIssue: result.stereoIssue || false
-        };
-    } catch (error) {
-        results[diagId] = {
-            ...results[diagId],
-            status: STATUS.FAIL,
-            message: `Error: ${error.message}`,
-            details: { error: error.message }
-        };
-    }
-    
-    if (onUpdate) onUpdate(results);
-    return results[diagId];
+    return result;
+}
+
+/**
+ * Restart a quality diagnostic - cancel it if it's running, then run it again
+ * Takes the same arguments as runQualityDiagnostic()
+ * @returns {Promise<object>} Updated result for this diagnostic
+ */
+export async function restartQualityDiagnostic(diagId, context, results, options = {}) {
+    await cancelDiagnostic(diagId);
+    return runQualityDiagnostic(diagId, context, results, options);
 }
 
 /**
@@ -433,6 +649,7 @@ export function getStatusIcon(status) {
         case STATUS.WARN: return '⚠️';
         case STATUS.SKIP: return '⏭️';
         case STATUS.RUNNING: return '🔄';
+        case STATUS.CANCELLED: return '⏹️';
         case STATUS.PENDING:
         default: return '⏸️';
     }
@@ -7,13 +7,31 @@
  * Requires AGC OFF for accurate measurement (AGC boosts the noise floor
  * of silent mics to around -45dB, masking true noise levels).
  * 
+ * The room tone itself is also captured and kept as a noise profile
+ * (noise-reduction.js) for the Studio's denoise stage, and its spectrum is
+ * searched for noise with a specific cause and fix:
+ * - Mains hum: 50/60 Hz and a few harmonics
+ * - Ground-loop buzz: 50/60 Hz with many harmonics
+ * - Coil whine: high-pitched tones from power supplies and USB ports
+ * 
  * This test requires:
  * - Audio context and analyser from signal-detection
  * - User to click "Start" to begin recording
  */
 
-import { getRmsFromAnalyser } from '../utils.js';
+import { getRmsFromAnalyser, sleep } from '../utils.js';
 import { linearToDb, formatDb, getQualityRating, QUALITY_REFERENCE } from '../standards.js';
+import { SampleCapture } from '../sample-capture.js';
+import { createNoiseProfile, setRoomToneProfile } from '../noise-reduction.js';
+import { getPowerSpectrum, detectHum, detectTones } from '../spectral-analysis.js';
+import { connectStream, reopenStream } from '../test-signals.js';
+
+// Noise sources quieter than this (dBFS) are reported in details only
+const AUDIBLE_SOURCE_DB = -75;
+
+// Harmonics checked for hum; buzz has at least this many above 300 Hz
+const MAINS_HARMONICS = 20;
+const BUZZ_MIN_HIGH_HARMONICS = 3;
 
 export const diagnostic = {
     id: 'noise-floor',
@@ -21,6 +39,7 @@ export const diagnostic = {
     description: 'Measures ambient noise level during 5 seconds of silence',
     scope: 'quality',  // Quality tests - user-initiated, run after signal detection
     requiresPermission: true,
+    dependsOn: ['signal-detection'],
     userInitiated: true,  // User must click to start
     pendingMessage: 'Ready — stay quiet for 5 seconds',
     runningMessage: 'Recording silence...',
@@ -45,16 +64,19 @@ export const diagnostic = {
      * @param {object} context - Shared context from the diagnostic runner
      * @param {object} options - Test options
      * @param {function} options.onProgress - Called with progress updates {elapsed, remaining, level}
+     * @param {AbortSignal} [options.signal] - Cancels the test
      * @returns {Promise<{status: string, message: string, details?: object}>}
      */
     async test(context, options = {}) {
-        const { onProgress } = options;
+        const { onProgress, signal } = options;
         
         const details = {
             samples: [],
             noiseFloorDb: null,
             duration: 5000,
-            rating: null
+            rating: null,
+            noiseProfile: null,
+            noiseSources: null
         };
         
         if (!context.analyser || !context.audioContext) {
@@ -67,6 +89,8 @@ export const diagnostic = {
         
         // Need to reinitialize stream with AGC OFF for accurate noise floor
         // The existing stream may have AGC on
+        const previousConstraints = context.stream?.getAudioTracks()[0]?.getConstraints?.() ||
+            { deviceId: context.selectedDeviceId ? { exact: context.selectedDeviceId } : undefined };
         try {
             // Stop existing stream and clear reference
             if (context.stream) {
@@ -85,22 +109,20 @@ export const diagnostic = {
             };
             
             const stream = await navigator.mediaDevices.getUserMedia(constraints);
-            context.stream = stream;
-            
-            // Reconnect to audio context
-            if (context.source) {
-                try { context.source.disconnect(); } catch (e) { /* ignore */ }
+            if (signal?.aborted) {
+                stream.getTracks().forEach(t => t.stop());
+                signal.throwIfAborted();
             }
-            context.source = context.audioContext.createMediaStreamSource(stream);
-            context.source.connect(context.analyser);
+            connectStream(context, stream);
             
             // Store that we're running with processing off
             context.processingOff = true;
             
         } catch (error) {
-            // Stream is now stopped - mark context accordingly
-            context.stream = null;
-            context.source = null;
+            // The old stream is already stopped - reopen it so the analyser
+            // (and the tests reading it) don't go silent
+            await reopenStream(context, previousConstraints);
+            if (signal?.aborted) throw error;
             return {
                 status: 'fail',
                 message: 'Could not configure microphone for noise test',
@@ -108,29 +130,50 @@ export const diagnostic = {
             };
         }
         
+        // Capture the raw room tone alongside the level samples
+        const roomTone = [];
+        let capture = null;
+        try {
+            capture = new SampleCapture(context.audioContext, context.source, {
+                channelCount: 1,
+                onSamples: (channels) => roomTone.push(Float32Array.from(channels[0]))
+            });
+            await capture.init();
+            capture.start();
+        } catch (error) {
+            console.warn('Room tone capture unavailable:', error);
+            capture = null;
+        }
+        
         // Collect samples for 5 seconds
         const duration = 5000;
         const sampleInterval = 50; // 50ms between samples = 100 samples
         const startTime = Date.now();
         const samples = [];
         
-        while (Date.now() - startTime < duration) {
-            const rms = getRmsFromAnalyser(context.analyser);
-            const db = linearToDb(rms);
-            samples.push(rms);
-            
-            if (onProgress) {
-                const elapsed = Date.now() - startTime;
-                onProgress({
-                    elapsed,
-                    remaining: Math.max(0, duration - elapsed),
-                    remainingSeconds: Math.ceil((duration - elapsed) / 1000),
-                    level: rms,
-                    levelDb: db
-                });
+        try {
+            while (Date.now() - startTime < duration) {
+                const rms = getRmsFromAnalyser(context.analyser);
+                const db = linearToDb(rms);
+                samples.push(rms);
+                capture?.poll();
+                
+                if (onProgress) {
+                    const elapsed = Date.now() - startTime;
+                    onProgress({
+                        elapsed,
+                        remaining: Math.max(0, duration - elapsed),
+                        remainingSeconds: Math.ceil((duration - elapsed) / 1000),
+                        level: rms,
+                        levelDb: db
+                    });
+                }
+                
+                await sleep(sampleInterval, signal);
             }
-            
-            await new Promise(resolve => setTimeout(resolve, sampleInterval));
+        } catch (error) {
+            capture?.disconnect();
+            throw error;
         }
         
         // Calculate noise floor from quietest half of samples
@@ -146,6 +189,35 @@ export const diagnostic = {
         details.samples = samples;
         details.noiseFloorDb = noiseFloorDb;
         
+        // Build the noise profile from the captured room tone
+        if (capture) {
+            await capture.stop();
+            capture.disconnect();
+            
+            const totalLength = roomTone.reduce((sum, chunk) => sum + chunk.length, 0);
+            const roomToneSamples = new Float32Array(totalLength);
+            let offset = 0;
+            for (const chunk of roomTone) {
+                roomToneSamples.set(chunk, offset);
+                offset += chunk.length;
+            }
+            
+            const profile = createNoiseProfile([roomToneSamples], context.audioContext.sampleRate, { source: 'room' });
+            if (profile) {
+                setRoomToneProfile(profile);
+                context.noiseProfile = profile;
+                details.noiseProfile = {
+                    frames: profile.frames,
+                    levelDb: profile.levelDb,
+                    sampleRate: profile.sampleRate
+                };
+            }
+            
+            details.noiseSources = analyzeNoiseSources(roomToneSamples, context.audioContext.sampleRate);
+        }
+        
+        const audibleSources = details.noiseSources?.filter(source => source.audible) || [];
+        
         // Get rating
         const rating = getQualityRating(noiseFloorDb, QUALITY_REFERENCE.noiseFloor, false);
         details.rating = rating;
@@ -156,7 +228,10 @@ export const diagnostic = {
         
         // Generate result message
         let message, status;
-        if (rating === 'excellent' || rating === 'good') {
+        if (audibleSources.length > 0) {
+            status = 'warn';
+            message = `${formatDb(noiseFloorDb)} — ${audibleSources.map(source => source.label).join(', ')}`;
+        } else if (rating === 'excellent' || rating === 'good') {
             status = 'pass';
             message = `${formatDb(noiseFloorDb)} — Quiet environment`;
         } else if (rating === 'acceptable') {
@@ -167,13 +242,72 @@ export const diagnostic = {
             message = `${formatDb(noiseFloorDb)} — High background noise`;
         }
         
+        const fixes = audibleSources.map(source => source.fix);
+        if (rating === 'poor') {
+            fixes.push('Try moving to a quieter location or reducing ambient noise sources.');
+        }
+        
         return {
             status,
             message,
             details,
-            fix: rating === 'poor' 
-                ? 'Try moving to a quieter location or reducing ambient noise sources.'
-                : undefined
+            fix: fixes.length > 0 ? fixes.join(' ') : undefined
         };
     }
 };
+
+/**
+ * Find hum, buzz and whine in the room tone
+ * @param {Float32Array} samples - Room tone
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{type: string, frequency: number, levelDb: number, audible: boolean, label: string, fix: string}>|null}
+ *          Sources found, loudest first ('hum' and 'buzz' list their
+ *          harmonics, 'whine' its tones), or null if the room tone is too
+ *          short to analyze
+ */
+function analyzeNoiseSources(samples, sampleRate) {
+    const spectrum = getPowerSpectrum(samples, sampleRate);
+    if (!spectrum) return null;
+    
+    const sources = [];
+    const round = value => Math.round(value * 10) / 10;
+    
+    const hum = detectHum(spectrum.powers, spectrum.binWidth, MAINS_HARMONICS);
+    if (hum) {
+        const isBuzz = hum.harmonics.filter(frequency => frequency > 300).length >= BUZZ_MIN_HIGH_HARMONICS;
+        const level = `${Math.round(hum.levelDb)} dBFS`;
+        sources.push({
+            type: isBuzz ? 'buzz' : 'hum',
+            frequency: hum.frequency,
+            levelDb: round(hum.levelDb),
+            harmonics: hum.harmonics,
+            label: isBuzz ? `${hum.frequency} Hz buzz` : `${hum.frequency} Hz hum`,
+            fix: isBuzz
+                ? `Ground-loop buzz at ${hum.frequency} Hz and its harmonics (${level}): two devices are grounded through different paths. ` +
+                  'Power the computer and audio gear from one outlet, use a USB isolator or a powered USB hub instead of a bus-powered one, ' +
+                  'engage the ground-lift switch on your interface or DI box, or unplug other cables (HDMI, speakers) one at a time to find the loop.'
+                : `Mains hum at ${hum.frequency} Hz (${level}): usually a ground loop or a nearby power cable. ` +
+                  'Unplug the laptop charger to check, plug all audio gear into the same power strip, ' +
+                  'keep mic cables away from power cables and adapters, and use balanced (XLR) cables or a ground-lift switch if you have one.'
+        });
+    }
+    
+    // Tones come loudest first; the loudest names the whine
+    const tones = detectTones(spectrum.powers, spectrum.binWidth);
+    if (tones.length > 0) {
+        const kHz = `${(tones[0].frequency / 1000).toFixed(1)} kHz`;
+        sources.push({
+            type: 'whine',
+            frequency: Math.round(tones[0].frequency),
+            levelDb: round(tones[0].levelDb),
+            tones: tones.map(tone => ({ frequency: Math.round(tone.frequency), levelDb: round(tone.levelDb) })),
+            label: `whine at ${kHz}`,
+            fix: `High-pitched whine at ${kHz} (${Math.round(tones[0].levelDb)} dBFS): electrical noise from a power supply, graphics card or USB port. ` +
+                 'Try another USB port (on a desktop, one on the back), a powered USB hub or a cable with a ferrite bead, ' +
+                 'unplug the charger, and move the mic and its cable away from the computer.'
+        });
+    }
+    
+    sources.forEach(source => { source.audible = source.levelDb >= AUDIBLE_SOURCE_DB; });
+    return sources.sort((a, b) => b.levelDb - a.levelDb);
+}
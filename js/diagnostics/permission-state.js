@@ -12,8 +12,8 @@
  * - Firefox: May return 'prompt' even when permission was previously granted
  * - Safari: Per-session permissions, Permissions API partially supported
  * 
- * After stream-acquisition succeeds, we update this result to 'pass' regardless
- * of what Permissions API reported (trust actual behavior over API state).
+ * After stream-acquisition succeeds, this re-runs (rerunAfter) and passes
+ * regardless of what Permissions API reports (trust actual behavior over API state).
  * 
  * BROWSER QUIRK HANDLING:
  * When we detect private browsing, we inform the user that permissions won't
@@ -28,6 +28,8 @@ export const diagnostic = {
     description: 'Checks if microphone permission has been granted',
     scope: 'site',  // Site-level permission - stable once granted
     requiresPermission: false,
+    dependsOn: ['browser-support'],
+    rerunAfter: ['stream-acquisition'],
     pendingMessage: 'Checking permission status...',
     runningMessage: 'Checking permission...',
     
@@ -48,6 +50,13 @@ export const diagnostic = {
             privateBrowsingConfidence: privateBrowsing.confidence
         };
         
+        // An open stream settles it - Firefox may still report 'prompt'
+        if (context.stream) {
+            details.state = 'granted';
+            context.permissionState = 'granted';  // Device enumeration checks this
+            return getGrantedResult(details, privateBrowsing);
+        }
+        
         // Check if Permissions API is available
         if (!navigator.permissions?.query) {
             details.permissionApiSupported = false;
@@ -71,19 +80,7 @@ export const diagnostic = {
             
             switch (result.state) {
                 case 'granted':
-                    // If in private mode, inform user that permission won't persist
-                    if (privateBrowsing.isPrivate && privateBrowsing.confidence !== 'low') {
-                        return {
-                            status: 'pass',
-                            message: 'Permission granted (private browsing — won\'t be saved)',
-                            details
-                        };
-                    }
-                    return {
-                        status: 'pass',
-                        message: 'Microphone permission granted',
-                        details
-                    };
+                    return getGrantedResult(details, privateBrowsing);
                     
                 case 'denied':
                     return {
@@ -128,3 +125,25 @@ export const diagnostic = {
         }
     }
 };
+
+/**
+ * Build the result for granted permission
+ * @param {object} details
+ * @param {{isPrivate: boolean, confidence: string}} privateBrowsing
+ * @returns {{status: string, message: string, details: object}}
+ */
+function getGrantedResult(details, privateBrowsing) {
+    // If in private mode, inform user that permission won't persist
+    if (privateBrowsing.isPrivate && privateBrowsing.confidence !== 'low') {
+        return {
+            status: 'pass',
+            message: 'Permission granted (private browsing — won\'t be saved)',
+            details
+        };
+    }
+    return {
+        status: 'pass',
+        message: 'Microphone permission granted',
+        details
+    };
+}
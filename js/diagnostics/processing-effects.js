@@ -0,0 +1,375 @@
+/**
+ * Processing Effects Diagnostic
+ * 
+ * Checks what the browser's audio processing really does, rather than what
+ * getSettings() claims. Plays the same test sound - room-tone noise, then
+ * speech-like bursts over it - and records it once per processing
+ * combination: all off, auto gain only, noise suppression only, echo
+ * cancellation only, and all on. Against the all-off recording:
+ * - Auto gain: the level changes
+ * - Noise suppression: the noise drops relative to the speech
+ * - Echo cancellation: the played sound is removed (it's the "far end")
+ * - Any of them: the tone changes (spectral shaping)
+ * This is a USER-INITIATED test - it plays sound, so it doesn't auto-start.
+ * 
+ * This test requires:
+ * - Audio context from signal-detection
+ * - The microphone to hear the speakers, and a quiet room
+ * - The main stream and mic monitor are closed for the test, then reopened
+ */
+
+import {
+    createRandom,
+    createPinkNoise,
+    createSpeech,
+    scaleToDb,
+    openTestStream,
+    releaseMicrophone,
+    playAndRecord
+} from '../test-signals.js';
+import { getPowerSpectrum } from '../spectral-analysis.js';
+
+// Processing combinations, in recording order (the first is the reference)
+const PASSES = [
+    { id: 'off', label: 'All processing off', autoGainControl: false, noiseSuppression: false, echoCancellation: false },
+    { id: 'agc', label: 'Auto gain only', autoGainControl: true, noiseSuppression: false, echoCancellation: false },
+    { id: 'ns', label: 'Noise suppression only', autoGainControl: false, noiseSuppression: true, echoCancellation: false },
+    { id: 'ec', label: 'Echo cancellation only', autoGainControl: false, noiseSuppression: false, echoCancellation: true },
+    { id: 'all', label: 'All processing on', autoGainControl: true, noiseSuppression: true, echoCancellation: true }
+];
+
+// Test sound: silence (room level), noise alone, then speech over the noise
+const SILENCE_SECONDS = 0.5;
+const NOISE_SECONDS = 1.5;
+const SPEECH_SECONDS = 2.5;
+const TAIL_SECONDS = 0.5;
+const NOISE_DB = -36;
+const SPEECH_DB = -20;
+
+// Measurement windows (seconds into the recording) - late enough that
+// up to 0.5s of round-trip latency keeps each inside its part
+const ROOM_WINDOW = [0.05, 0.45];
+const NOISE_WINDOW = [1.0, 2.0];
+const SPEECH_WINDOW = [2.5, 4.5];
+
+// The speech must come back this far (dB) above the room to measure
+const MIN_HEARD_DB = 10;
+
+// A feature counts as active past these (dB)
+const AGC_MIN_CHANGE_DB = 3;
+const NS_MIN_REDUCTION_DB = 6;
+const EC_MIN_REMOVAL_DB = 10;
+const SHAPING_MIN_DB = 6;
+
+// Level reported for digital silence (dBFS)
+const SILENCE_DB = -120;
+
+// Octave bands (centre Hz) compared for spectral shaping
+const BANDS_HZ = [250, 500, 1000, 2000, 4000];
+const SPECTRUM_FFT_SIZE = 4096;
+
+const FEATURE_NAMES = {
+    autoGainControl: 'auto gain',
+    noiseSuppression: 'noise suppression',
+    echoCancellation: 'echo cancellation'
+};
+
+export const diagnostic = {
+    id: 'processing-effects',
+    name: 'Audio Processing',
+    description: 'Plays a test sound with each kind of processing to check which ones really work',
+    scope: 'quality',  // Quality tests - user-initiated, run after signal detection
+    requiresPermission: true,
+    dependsOn: ['signal-detection'],
+    userInitiated: true,  // Plays sound - user must click to start
+    pendingMessage: 'Ready — plays a test sound five times, with different processing',
+    runningMessage: 'Playing test sound...',
+    
+    /**
+     * Run the diagnostic test
+     * 
+     * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} options - Test options
+     * @param {function} options.onProgress - Called with progress updates {elapsed, remaining, remainingSeconds, pass}
+     * @param {AbortSignal} [options.signal] - Cancels the test
+     * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
+     */
+    async test(context, options = {}) {
+        const { onProgress, signal } = options;
+        const audioContext = context.audioContext;
+        
+        const details = {
+            passes: {},
+            effects: null
+        };
+        
+        if (!audioContext) {
+            return {
+                status: 'skip',
+                message: 'No audio context available',
+                details
+            };
+        }
+        
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+        }
+        
+        const sampleRate = audioContext.sampleRate;
+        const testSound = createTestSound(sampleRate);
+        const passMs = (testSound.length / sampleRate + TAIL_SECONDS) * 1000;
+        const totalMs = passMs * PASSES.length;
+        
+        // Close our other streams on the device - a pass opened next to one
+        // with processing on may be handed that processing, whatever it asks for
+        const restoreMicrophone = releaseMicrophone(context);
+        try {
+            for (let index = 0; index < PASSES.length; index++) {
+                const { id, label, ...processing } = PASSES[index];
+                
+                let stream;
+                try {
+                    stream = await openTestStream(context, processing, signal);
+                } catch (error) {
+                    if (signal?.aborted) throw error;
+                    return {
+                        status: 'fail',
+                        message: 'Could not configure microphone for processing test',
+                        details: { ...details, error: error.message }
+                    };
+                }
+                
+                const source = audioContext.createMediaStreamSource(stream);
+                // What the pass's track says it runs with, kept next to what it did
+                const settings = stream.getAudioTracks()[0]?.getSettings?.() || {};
+                
+                let recording;
+                try {
+                    recording = await playAndRecord(audioContext, source, testSound, {
+                        tail: TAIL_SECONDS,
+                        signal,
+                        onProgress: (fraction) => {
+                            if (!onProgress) return;
+                            const elapsed = (index + fraction) * passMs;
+                            onProgress({
+                                elapsed,
+                                remaining: Math.max(0, totalMs - elapsed),
+                                remainingSeconds: Math.ceil((totalMs - elapsed) / 1000),
+                                pass: label
+                            });
+                        }
+                    });
+                } finally {
+                    try { source.disconnect(); } catch (e) { /* ignore */ }
+                    stream.getTracks().forEach(t => t.stop());
+                }
+                
+                details.passes[id] = {
+                    label,
+                    requested: processing,
+                    settings,
+                    reported: {
+                        autoGainControl: settings.autoGainControl ?? null,
+                        noiseSuppression: settings.noiseSuppression ?? null,
+                        echoCancellation: settings.echoCancellation ?? null
+                    },
+                    ...measureRecording(recording, sampleRate)
+                };
+            }
+        } finally {
+            await restoreMicrophone();
+        }
+        
+        context.processingEffects = details;
+        
+        const off = details.passes.off;
+        if (off.speechDb - off.roomDb < MIN_HEARD_DB) {
+            return {
+                status: 'skip',
+                message: 'Test sound not heard — turn up the speakers and keep the room quiet',
+                details
+            };
+        }
+        
+        details.effects = compareToReference(details.passes);
+        return evaluateEffects(details);
+    }
+};
+
+/**
+ * Build the test sound: silence, pink noise, then speech-like bursts over it
+ * Seeded, so every pass plays exactly the same samples
+ * @param {number} sampleRate
+ * @returns {Float32Array}
+ */
+function createTestSound(sampleRate) {
+    const random = createRandom(1);
+    const silence = Math.round(SILENCE_SECONDS * sampleRate);
+    const noiseOnly = Math.round(NOISE_SECONDS * sampleRate);
+    const speechLength = Math.round(SPEECH_SECONDS * sampleRate);
+    
+    const noise = scaleToDb(createPinkNoise(noiseOnly + speechLength, random), NOISE_DB);
+    const speech = scaleToDb(createSpeech(speechLength, sampleRate, random), SPEECH_DB);
+    
+    const sound = new Float32Array(silence + noiseOnly + speechLength);
+    sound.set(noise, silence);
+    for (let i = 0; i < speechLength; i++) {
+        sound[silence + noiseOnly + i] += speech[i];
+    }
+    
+    // Fade the noise in so it doesn't click
+    const fade = Math.round(0.01 * sampleRate);
+    for (let i = 0; i < fade; i++) {
+        sound[silence + i] *= i / fade;
+    }
+    return sound;
+}
+
+/**
+ * Measure one recording's room, noise and speech levels and speech spectrum
+ * @param {Float32Array} recording - Lined up with the test sound
+ * @param {number} sampleRate
+ * @returns {{roomDb: number, noiseDb: number, speechDb: number, bandsDb: number[]}}
+ */
+function measureRecording(recording, sampleRate) {
+    const slice = ([start, end]) => recording.subarray(
+        Math.round(start * sampleRate),
+        Math.min(recording.length, Math.round(end * sampleRate))
+    );
+    const speech = slice(SPEECH_WINDOW);
+    
+    return {
+        roomDb: getRmsDb(slice(ROOM_WINDOW)),
+        noiseDb: getRmsDb(slice(NOISE_WINDOW)),
+        speechDb: getRmsDb(speech),
+        bandsDb: getBandLevels(speech, sampleRate)
+    };
+}
+
+/**
+ * Compare each pass with the all-off reference
+ * @param {object} passes - Measurements by pass id
+ * @returns {object} Effect per feature, plus the all-on combination
+ */
+function compareToReference(passes) {
+    const off = passes.off;
+    const round = value => Math.round(value * 10) / 10;
+    
+    const compare = (pass) => {
+        const gainDb = pass.speechDb - off.speechDb;
+        const noiseReductionDb = (pass.speechDb - pass.noiseDb) - (off.speechDb - off.noiseDb);
+        
+        // Band changes beyond the overall gain change
+        let shapingDb = 0;
+        pass.bandsDb.forEach((level, i) => {
+            shapingDb = Math.max(shapingDb, Math.abs(level - off.bandsDb[i] - gainDb));
+        });
+        
+        return {
+            gainDb: round(gainDb),
+            noiseReductionDb: round(noiseReductionDb),
+            shapingDb: round(shapingDb),
+            reshapesSpectrum: shapingDb >= SHAPING_MIN_DB
+        };
+    };
+    
+    const agc = compare(passes.agc);
+    const ns = compare(passes.ns);
+    const ec = compare(passes.ec);
+    
+    return {
+        autoGainControl: {
+            ...agc,
+            reported: passes.agc.reported.autoGainControl,
+            active: Math.abs(agc.gainDb) >= AGC_MIN_CHANGE_DB
+        },
+        noiseSuppression: {
+            ...ns,
+            reported: passes.ns.reported.noiseSuppression,
+            active: ns.noiseReductionDb >= NS_MIN_REDUCTION_DB
+        },
+        echoCancellation: {
+            ...ec,
+            reported: passes.ec.reported.echoCancellation,
+            active: -ec.gainDb >= EC_MIN_REMOVAL_DB
+        },
+        allOn: compare(passes.all)
+    };
+}
+
+/**
+ * Turn the measured effects into a result
+ * @param {object} details - With effects filled in
+ * @returns {{status: string, message: string, details: object, fix?: string}}
+ */
+function evaluateEffects(details) {
+    const { effects } = details;
+    const features = Object.keys(FEATURE_NAMES);
+    
+    const active = features.filter(name => effects[name].active);
+    const inactive = features.filter(name => !effects[name].active);
+    
+    // Noise suppression and echo cancellation always act on this sound;
+    // auto gain may rightly leave a good level alone
+    const claimedOnly = inactive.filter(name => name !== 'autoGainControl' && effects[name].reported === true);
+    
+    const list = names => names.map(name => FEATURE_NAMES[name]).join(', ');
+    const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+    
+    let message = active.length > 0
+        ? `${capitalize(list(active))} working`
+        : 'No processing had a measurable effect';
+    if (active.length > 0 && inactive.length > 0) {
+        message += ` — no effect from ${list(inactive)}`;
+    }
+    
+    if (claimedOnly.length > 0) {
+        return {
+            status: 'warn',
+            message: `${capitalize(list(claimedOnly))} reported on but did nothing`,
+            details,
+            fix: 'The browser says it\'s enabled, but the test sound came through unchanged. ' +
+                'Your sound driver or system settings may be overriding it - check for "audio enhancements" ' +
+                'and exclusive-mode settings in your sound settings. In calling apps, use the app\'s own ' +
+                'noise suppression and echo cancellation where it has them.'
+        };
+    }
+    
+    return {
+        status: 'pass',
+        message,
+        details
+    };
+}
+
+/**
+ * RMS level of samples in dBFS
+ * @param {Float32Array} samples
+ * @returns {number} SILENCE_DB for silence
+ */
+function getRmsDb(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    const rms = samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+    return rms > 0 ? Math.max(SILENCE_DB, Math.round(20 * Math.log10(rms) * 10) / 10) : SILENCE_DB;
+}
+
+/**
+ * Octave band levels (dB) of a recording
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {number[]} One per BANDS_HZ entry
+ */
+function getBandLevels(samples, sampleRate) {
+    const spectrum = getPowerSpectrum(samples, sampleRate, SPECTRUM_FFT_SIZE);
+    if (!spectrum) return BANDS_HZ.map(() => SILENCE_DB);
+    
+    const { powers, binWidth } = spectrum;
+    return BANDS_HZ.map(centre => {
+        const from = Math.max(1, Math.floor(centre / Math.SQRT2 / binWidth));
+        const to = Math.min(powers.length - 1, Math.ceil(centre * Math.SQRT2 / binWidth));
+        let power = 0;
+        for (let k = from; k <= to; k++) power += powers[k];
+        return power > 0 ? Math.max(SILENCE_DB, Math.round(10 * Math.log10(power) * 10) / 10) : SILENCE_DB;
+    });
+}
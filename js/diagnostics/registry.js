@@ -0,0 +1,204 @@
+/**
+ * Diagnostic Registry
+ * 
+ * Holds every diagnostic - built-in and third-party - and works out the
+ * order to run them in from the relations each module declares:
+ * - dependsOn: ids that must pass (or warn) first. If one doesn't, this
+ *   diagnostic is skipped, and the reason is passed down the chain
+ * - skipWhen(context, results): returns a reason to skip, or null
+ * - rerunAfter: ids that make this diagnostic run again when they pass
+ *   (device enumeration only gets labels once a stream is open)
+ * - skipReason: what dependents are told when this one doesn't pass
+ * 
+ * Diagnostics run after everything they depend on; otherwise in the order
+ * they were registered. The lists exported here are kept up to date in
+ * place, so modules holding them see later registrations.
+ */
+
+// Registration order (tie-break for the dependency order)
+const registered = [];
+
+/**
+ * Every diagnostic, in run order (live - updated on registration)
+ * @type {object[]}
+ */
+export const orderedDiagnostics = [];
+
+/**
+ * Auto-run diagnostics (every scope except 'quality'), in run order (live)
+ * @type {object[]}
+ */
+export const coreDiagnostics = [];
+
+/**
+ * User-initiated quality diagnostics, in run order (live)
+ * @type {object[]}
+ */
+export const qualityDiagnostics = [];
+
+/**
+ * Add a diagnostic to the registry
+ * 
+ * Dependencies may be registered later; until then, diagnostics that need
+ * them are skipped when run.
+ * 
+ * @param {object} diagnostic - Diagnostic module (see CONTRIBUTING.md)
+ * @throws {Error} If the diagnostic is malformed, its id is taken, or its
+ *         dependencies form a cycle
+ */
+export function registerDiagnostic(diagnostic) {
+    if (!diagnostic || typeof diagnostic.id !== 'string' || !diagnostic.id) {
+        throw new Error('Diagnostic needs a string id');
+    }
+    if (typeof diagnostic.test !== 'function') {
+        throw new Error(`Diagnostic "${diagnostic.id}" needs a test() function`);
+    }
+    for (const relation of ['dependsOn', 'rerunAfter']) {
+        if (diagnostic[relation] !== undefined && !Array.isArray(diagnostic[relation])) {
+            throw new Error(`Diagnostic "${diagnostic.id}": ${relation} must be an array of ids`);
+        }
+    }
+    if (getDiagnostic(diagnostic.id)) {
+        throw new Error(`Diagnostic "${diagnostic.id}" is already registered`);
+    }
+    
+    registered.push(diagnostic);
+    try {
+        refreshLists();
+    } catch (error) {
+        registered.pop();
+        throw error;
+    }
+}
+
+/**
+ * Remove a diagnostic from the registry
+ * @param {string} id
+ * @returns {boolean} True if it was registered
+ */
+export function unregisterDiagnostic(id) {
+    const index = registered.findIndex(d => d.id === id);
+    if (index === -1) return false;
+    
+    registered.splice(index, 1);
+    refreshLists();
+    return true;
+}
+
+/**
+ * Look up a registered diagnostic
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getDiagnostic(id) {
+    return registered.find(d => d.id === id);
+}
+
+/**
+ * Find why a diagnostic can't run right now
+ * 
+ * @param {object} diagnostic
+ * @param {object} context - Diagnostic context
+ * @param {object} results - Current results
+ * @returns {string|null} Reason to skip (e.g. 'no microphone access'), or null to run
+ */
+export function getSkipReason(diagnostic, context, results) {
+    for (const id of diagnostic.dependsOn || []) {
+        const dependency = getDiagnostic(id);
+        if (!dependency) {
+            return `requires "${id}", which isn't installed`;
+        }
+        
+        const result = results[id];
+        const status = result?.status;
+        if (status === 'pass' || status === 'warn') continue;
+        
+        // Pass the original reason down the chain
+        if (status === 'skip' && result.skipReason) {
+            return result.skipReason;
+        }
+        if (status === 'fail' || status === 'skip') {
+            return dependency.skipReason || `${dependency.name || id} didn't pass`;
+        }
+        return `waiting for ${dependency.name || id}`;
+    }
+    
+    return diagnostic.skipWhen?.(context, results) || null;
+}
+
+/**
+ * Get the diagnostics to run again after one passes
+ * @param {string} id - Diagnostic that just passed
+ * @returns {object[]} In run order
+ */
+export function getRerunsAfter(id) {
+    return orderedDiagnostics.filter(d => d.rerunAfter?.includes(id));
+}
+
+/**
+ * Check whether a diagnostic belongs in the permission phase
+ * 
+ * True when it requires permission itself, or depends (directly or down
+ * the chain) on one that does - in the pre-permission phase it would only
+ * be skipped as "waiting", and never run.
+ * 
+ * @param {object} diagnostic
+ * @returns {boolean}
+ */
+export function runsAfterPermission(diagnostic) {
+    if (diagnostic.requiresPermission) return true;
+    return (diagnostic.dependsOn || []).some(id => {
+        const dependency = getDiagnostic(id);
+        return dependency ? runsAfterPermission(dependency) : false;
+    });
+}
+
+/**
+ * Rebuild the exported lists from the registry
+ * @private
+ */
+function refreshLists() {
+    const ordered = resolveOrder(registered);
+    
+    orderedDiagnostics.splice(0, orderedDiagnostics.length, ...ordered);
+    coreDiagnostics.splice(0, coreDiagnostics.length, ...ordered.filter(d => d.scope !== 'quality'));
+    qualityDiagnostics.splice(0, qualityDiagnostics.length, ...ordered.filter(d => d.scope === 'quality'));
+}
+
+/**
+ * Order diagnostics so each comes after its dependencies
+ * 
+ * Depth-first over dependsOn, visiting in registration order, so unrelated
+ * diagnostics keep their registration order. Unknown ids are ignored here.
+ * 
+ * @param {object[]} diagnostics - In registration order
+ * @returns {object[]}
+ * @throws {Error} On a dependency cycle
+ * @private
+ */
+function resolveOrder(diagnostics) {
+    const byId = new Map(diagnostics.map(d => [d.id, d]));
+    const ordered = [];
+    const done = new Set();
+    const path = [];
+    
+    const visit = (diagnostic) => {
+        if (done.has(diagnostic.id)) return;
+        if (path.includes(diagnostic.id)) {
+            const cycle = [...path.slice(path.indexOf(diagnostic.id)), diagnostic.id];
+            throw new Error(`Diagnostic dependency cycle: ${cycle.join(' → ')}`);
+        }
+        
+        path.push(diagnostic.id);
+        for (const id of diagnostic.dependsOn || []) {
+            if (byId.has(id)) visit(byId.get(id));
+        }
+        path.pop();
+        
+        done.add(diagnostic.id);
+        ordered.push(diagnostic);
+    };
+    
+    diagnostics.forEach(visit);
+    return ordered;
+}
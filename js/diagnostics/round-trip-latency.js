@@ -0,0 +1,190 @@
+/**
+ * Round-Trip Latency Diagnostic
+ * 
+ * Measures how long sound takes to go out through the speakers and back in
+ * through the microphone - the delay you'd hear monitoring yourself through
+ * the browser. Plays a sweep with all processing off and finds it in the
+ * recording (test-signals.js).
+ * 
+ * The browser also reports parts of the delay (AudioContext baseLatency and
+ * outputLatency, the track's latency setting); these are kept alongside so
+ * the part only the hardware and drivers explain stands out.
+ * This is a USER-INITIATED test - it plays sound, so it doesn't auto-start.
+ * 
+ * This test requires:
+ * - Audio context from signal-detection
+ * - The microphone to hear the speakers (or a loopback cable)
+ * - The main stream and mic monitor are closed for the test, then reopened
+ */
+
+import { createSweep, openTestStream, releaseMicrophone, playAndRecord, findEcho } from '../test-signals.js';
+
+// Longest round trip we look for - Bluetooth output alone can take 300ms
+const MAX_LATENCY_SECONDS = 1;
+
+// Round trips up to this (ms) are fine for monitoring through the browser
+const MONITORING_LATENCY_MS = 20;
+
+// Above this (ms) the delay is worth fixing even without monitoring
+const HIGH_LATENCY_MS = 100;
+
+export const diagnostic = {
+    id: 'round-trip-latency',
+    name: 'Latency',
+    description: 'Plays a test sweep and times how long it takes to come back through the microphone',
+    scope: 'quality',  // Quality tests - user-initiated, run after signal detection
+    requiresPermission: true,
+    dependsOn: ['signal-detection'],
+    userInitiated: true,  // Plays sound - user must click to start
+    pendingMessage: 'Ready — plays a short test sound through your speakers',
+    runningMessage: 'Playing test sound...',
+    
+    /**
+     * Run the diagnostic test
+     * 
+     * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} options - Test options
+     * @param {function} options.onProgress - Called with progress updates {elapsed, remaining, remainingSeconds}
+     * @param {AbortSignal} [options.signal] - Cancels the test
+     * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
+     */
+    async test(context, options = {}) {
+        const { onProgress, signal } = options;
+        const audioContext = context.audioContext;
+        
+        const details = {
+            roundTripMs: null,
+            baseLatencyMs: null,
+            outputLatencyMs: null,
+            trackLatencyMs: null,
+            reportedMs: null,
+            unreportedMs: null,
+            peakToNoiseDb: null
+        };
+        
+        if (!audioContext) {
+            return {
+                status: 'skip',
+                message: 'No audio context available',
+                details
+            };
+        }
+        
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+        }
+        
+        // Any processing adds delay of its own - measure the bare path, with
+        // the device to ourselves so the stream really gets processing off
+        const restoreMicrophone = releaseMicrophone(context);
+        let stream;
+        try {
+            stream = await openTestStream(context, {}, signal);
+        } catch (error) {
+            await restoreMicrophone();
+            if (signal?.aborted) throw error;
+            return {
+                status: 'fail',
+                message: 'Could not configure microphone for latency test',
+                details: { ...details, error: error.message }
+            };
+        }
+        
+        const sampleRate = audioContext.sampleRate;
+        const sweep = createSweep(sampleRate);
+        const durationMs = (sweep.length / sampleRate + MAX_LATENCY_SECONDS) * 1000;
+        const source = audioContext.createMediaStreamSource(stream);
+        
+        let recording;
+        try {
+            recording = await playAndRecord(audioContext, source, sweep, {
+                tail: MAX_LATENCY_SECONDS,
+                signal,
+                onProgress: (fraction) => {
+                    if (!onProgress) return;
+                    const elapsed = fraction * durationMs;
+                    onProgress({
+                        elapsed,
+                        remaining: Math.max(0, durationMs - elapsed),
+                        remainingSeconds: Math.ceil((durationMs - elapsed) / 1000)
+                    });
+                }
+            });
+            
+            // outputLatency settles once audio has played
+            Object.assign(details, getReportedLatency(audioContext, stream.getAudioTracks()[0]));
+        } finally {
+            try { source.disconnect(); } catch (e) { /* ignore */ }
+            stream.getTracks().forEach(t => t.stop());
+            await restoreMicrophone();
+        }
+        
+        const echo = findEcho(recording, sweep, sampleRate, { maxDelay: MAX_LATENCY_SECONDS });
+        details.peakToNoiseDb = echo.peakToNoiseDb;
+        
+        const reportedLabel = details.reportedMs !== null ? ` (browser reports ${details.reportedMs} ms)` : '';
+        
+        if (!echo.detected) {
+            context.latency = details;
+            return {
+                status: 'skip',
+                message: `Test sound not heard — turn up the speakers or hold headphones to the mic${reportedLabel}`,
+                details
+            };
+        }
+        
+        details.roundTripMs = Math.round(echo.delayMs);
+        if (details.reportedMs !== null) {
+            details.unreportedMs = Math.max(0, details.roundTripMs - details.reportedMs);
+        }
+        context.latency = details;
+        
+        const roundTrip = `${details.roundTripMs} ms round trip`;
+        
+        if (details.roundTripMs <= MONITORING_LATENCY_MS) {
+            return {
+                status: 'pass',
+                message: `${roundTrip} — fine for monitoring through the browser`,
+                details
+            };
+        }
+        if (details.roundTripMs <= HIGH_LATENCY_MS) {
+            return {
+                status: 'pass',
+                message: `${roundTrip} — use direct monitoring to hear yourself`,
+                details
+            };
+        }
+        return {
+            status: 'warn',
+            message: `${roundTrip} — high latency`,
+            details,
+            fix: 'Bluetooth speakers and headphones add 150-300 ms - use wired output if you play along or monitor yourself. ' +
+                'With an audio interface, lower its buffer size in its control panel. ' +
+                'Closing other apps that use audio can also help.'
+        };
+    }
+};
+
+/**
+ * Collect the latencies the browser reports
+ * @param {AudioContext} audioContext
+ * @param {MediaStreamTrack} [track]
+ * @returns {{baseLatencyMs: number|null, outputLatencyMs: number|null, trackLatencyMs: number|null, reportedMs: number|null}}
+ */
+function getReportedLatency(audioContext, track) {
+    const toMs = seconds => typeof seconds === 'number' ? Math.round(seconds * 10000) / 10 : null;
+    
+    const latency = {
+        baseLatencyMs: toMs(audioContext.baseLatency),
+        outputLatencyMs: toMs(audioContext.outputLatency),
+        trackLatencyMs: toMs(track?.getSettings?.().latency)
+    };
+    
+    const known = Object.values(latency).filter(value => value !== null);
+    latency.reportedMs = known.length > 0
+        ? Math.round(known.reduce((sum, value) => sum + value, 0))
+        : null;
+    
+    return latency;
+}
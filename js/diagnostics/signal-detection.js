@@ -11,7 +11,7 @@
  */
 
 import { isFirefoxBased } from '../browser.js';
-import { getRmsFromAnalyser } from '../utils.js';
+import { getRmsFromAnalyser, sleep } from '../utils.js';
 
 export const diagnostic = {
     id: 'signal-detection',
@@ -19,15 +19,20 @@ export const diagnostic = {
     description: 'Checks if audio is being received from the microphone',
     scope: 'device',  // Device-specific - re-run when device changes
     requiresPermission: true,
+    dependsOn: ['stream-acquisition'],
+    skipReason: 'audio analysis failed',
     pendingMessage: 'Waiting to check audio signal...',
     runningMessage: 'Listening for audio...',
     
     /**
      * Run the diagnostic test
      * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the test
      * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
      */
-    async test(context) {
+    async test(context, options = {}) {
+        const { signal } = options;
         const details = {
             audioContextCreated: false,
             analyserConnected: false,
@@ -56,6 +61,12 @@ export const diagnostic = {
                 await audioContext.resume();
             }
             
+            // Cancelled meanwhile - the context won't be cleaned up from here
+            if (signal?.aborted) {
+                audioContext.close();
+                signal.throwIfAborted();
+            }
+            
             // Create analyser
             const analyser = audioContext.createAnalyser();
             analyser.fftSize = 2048;
@@ -77,7 +88,7 @@ export const diagnostic = {
             const sampleInterval = 50; // ms between samples
             
             for (let i = 0; i < sampleCount; i++) {
-                await new Promise(resolve => setTimeout(resolve, sampleInterval));
+                await sleep(sampleInterval, signal);
                 
                 // Use shared RMS function (high precision Float32Array)
                 const rms = getRmsFromAnalyser(analyser);
@@ -128,6 +139,8 @@ export const diagnostic = {
             }
             
         } catch (error) {
+            if (signal?.aborted) throw error;
+            
             details.error = error.message;
             
             return {
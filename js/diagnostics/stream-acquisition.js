@@ -16,15 +16,29 @@ export const diagnostic = {
     description: 'Tests if we can access the selected microphone',
     scope: 'device',  // Device-specific - re-run when device changes
     requiresPermission: true,
+    dependsOn: ['browser-support'],
+    skipReason: 'no microphone access',
+    
+    /**
+     * Skip when the browser already reports the permission as blocked
+     * @param {object} context - Shared context
+     * @returns {string|null} Reason to skip
+     */
+    skipWhen(context) {
+        return context.permissionState === 'denied' ? 'permission denied' : null;
+    },
     pendingMessage: 'Waiting to access microphone...',
     runningMessage: 'Accessing microphone...',
     
     /**
      * Run the diagnostic test
      * @param {object} context - Shared context from the diagnostic runner
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the test
      * @returns {Promise<{status: string, message: string, details?: object, fix?: string}>}
      */
-    async test(context) {
+    async test(context, options = {}) {
+        const { signal } = options;
         const browser = detectBrowser();
         const details = {
             streamObtained: false,
@@ -42,6 +56,12 @@ export const diagnostic = {
         try {
             const stream = await navigator.mediaDevices.getUserMedia(constraints);
             
+            // Cancelled while the prompt was open - don't leave the mic live
+            if (signal?.aborted) {
+                stream.getTracks().forEach(t => t.stop());
+                signal.throwIfAborted();
+            }
+            
             details.streamObtained = true;
             
             // Get track info
@@ -63,6 +83,8 @@ export const diagnostic = {
             };
             
         } catch (error) {
+            if (signal?.aborted) throw error;
+            
             details.errorName = error.name;
             details.errorMessage = error.message;
             
@@ -2,7 +2,10 @@
  * Voice Level Diagnostic
  * 
  * Measures voice loudness (LUFS), peak level, and signal-to-noise ratio
- * over 10 seconds of speech. Also detects stereo misconfiguration issues.
+ * over 10 seconds of speech. Also detects stereo misconfiguration issues,
+ * and checks the raw samples for clipping, dropouts and crackle
+ * (glitch-detection.js) - a glitching USB mic can have a perfectly
+ * good level.
  * 
  * This is a USER-INITIATED test - it doesn't auto-start.
  * User should read the rainbow passage at their normal speaking volume.
@@ -12,9 +15,15 @@
  * - Audio context from signal-detection
  */
 
-import { getRmsFromAnalyser } from '../utils.js';
+import { getRmsFromAnalyser, sleep } from '../utils.js';
 import { linearToDb, formatDb, formatLufs, getQualityRating, QUALITY_REFERENCE, AGC_REFERENCE } from '../standards.js';
 import { createKWeightingFilters, LufsBlockCollector, calculateGatedLufs } from '../lufs.js';
+import { SampleCapture } from '../sample-capture.js';
+import { SpectrumAverager } from '../spectral-analysis.js';
+import { GlitchDetector, combineChannelResults } from '../glitch-detection.js';
+
+// Fewer than this many clicks in 10 seconds is ignored (a bumped mic, a plosive)
+const MIN_DISCONTINUITIES = 3;
 
 export const diagnostic = {
     id: 'voice-level',
@@ -22,6 +31,7 @@ export const diagnostic = {
     description: 'Measures voice loudness and checks for stereo issues',
     scope: 'quality',  // Quality tests - user-initiated
     requiresPermission: true,
+    dependsOn: ['signal-detection'],
     userInitiated: true,  // User must click to start
     pendingMessage: 'Ready — speak for 10 seconds',
     runningMessage: 'Recording voice...',
@@ -48,16 +58,19 @@ export const diagnostic = {
      * @param {object} context - Shared context from the diagnostic runner
      * @param {object} options - Test options
      * @param {function} options.onProgress - Called with progress updates
+     * @param {AbortSignal} [options.signal] - Cancels the test
      * @returns {Promise<{status: string, message: string, details?: object}>}
      */
     async test(context, options = {}) {
-        const { onProgress } = options;
+        const { onProgress, signal } = options;
         
         const details = {
             lufs: null,
             peakDb: null,
             snr: null,
             channelBalance: null,
+            sampleIntegrity: null,
+            glitches: null,
             duration: 10000,
             rating: null
         };
@@ -73,16 +86,39 @@ export const diagnostic = {
         const audioContext = context.audioContext;
         const sampleRate = audioContext.sampleRate;
         
+        // Get track settings to check if stereo
+        const trackSettings = context.stream?.getAudioTracks()[0]?.getSettings();
+        const channelCount = trackSettings?.channelCount || 1;
+        const isStereo = channelCount >= 2;
+        
+        // LUFS block collector
+        const lufsCollector = new LufsBlockCollector(sampleRate);
+        
         // Set up K-weighting for LUFS measurement
+        // Connect: source -> preFilter -> rlbFilter -> gapless sample capture
         const { preFilter, rlbFilter } = createKWeightingFilters(audioContext);
-        const kWeightedAnalyser = audioContext.createAnalyser();
-        kWeightedAnalyser.fftSize = 2048;
-        kWeightedAnalyser.smoothingTimeConstant = 0;
+        const lufsCapture = new SampleCapture(audioContext, rlbFilter, {
+            channelCount: isStereo ? 2 : 1,
+            onSamples: (channels) => lufsCollector.addChannelSamples(channels)
+        });
         
-        // Connect: source -> preFilter -> rlbFilter -> kWeightedAnalyser
         if (context.source) {
             context.source.connect(preFilter);
-            rlbFilter.connect(kWeightedAnalyser);
+        }
+        await lufsCapture.init();
+        
+        // Raw samples for clipping, dropout and crackle detection - every
+        // channel, as a downmix would halve clipping on one of them
+        const glitchDetectors = Array.from({ length: channelCount }, () => new GlitchDetector(sampleRate));
+        let rawCapture = null;
+        if (context.source) {
+            rawCapture = new SampleCapture(audioContext, context.source, {
+                channelCount,
+                onSamples: (channels, missedFrames) => {
+                    glitchDetectors.forEach((detector, i) => detector.addSamples(channels[i], missedFrames));
+                }
+            });
+            await rawCapture.init();
         }
         
         // Set up channel splitting for stereo analysis
@@ -90,11 +126,6 @@ export const diagnostic = {
         const channelAnalysers = [];
         const channelSamples = [[], []];
         
-        // Get track settings to check if stereo
-        const trackSettings = context.stream?.getAudioTracks()[0]?.getSettings();
-        const channelCount = trackSettings?.channelCount || 1;
-        const isStereo = channelCount >= 2;
-        
         if (isStereo && context.source) {
             context.source.connect(channelSplitter);
             
@@ -107,55 +138,80 @@ export const diagnostic = {
             }
         }
         
-        // LUFS block collector
-        const lufsCollector = new LufsBlockCollector(sampleRate);
-        
         // Tracking variables
         let peakRms = 0;
         const voiceSamples = [];
         
+        // Speech spectrum, for the audio-bandwidth diagnostic
+        const spectrum = new SpectrumAverager(context.analyser);
+        
         // Collect samples for 10 seconds
         const duration = 10000;
         const sampleInterval = 50;
         const startTime = Date.now();
+        lufsCapture.start();
+        rawCapture?.start();
         
-        while (Date.now() - startTime < duration) {
-            // Get main RMS
-            const rms = getRmsFromAnalyser(context.analyser);
-            const db = linearToDb(rms);
-            voiceSamples.push(rms);
-            
-            if (rms > peakRms) {
-                peakRms = rms;
-            }
-            
-            // Sample K-weighted for LUFS
-            const kWeightedBuffer = new Float32Array(kWeightedAnalyser.fftSize);
-            kWeightedAnalyser.getFloatTimeDomainData(kWeightedBuffer);
-            lufsCollector.addSamples(kWeightedBuffer);
-            
-            // Sample channels for stereo analysis
-            if (isStereo) {
-                for (let i = 0; i < channelAnalysers.length; i++) {
-                    const chRms = getRmsFromAnalyser(channelAnalysers[i]);
-                    channelSamples[i].push(chRms);
+        // Cleanup K-weighting nodes
+        const cleanup = () => {
+            try {
+                preFilter.disconnect();
+                rlbFilter.disconnect();
+                lufsCapture.disconnect();
+                rawCapture?.disconnect();
+                if (isStereo) {
+                    channelSplitter.disconnect();
+                    channelAnalysers.forEach(a => a.disconnect());
                 }
+            } catch (e) { /* ignore cleanup errors */ }
+        };
+        
+        try {
+            while (Date.now() - startTime < duration) {
+                // Get main RMS
+                const rms = getRmsFromAnalyser(context.analyser);
+                const db = linearToDb(rms);
+                voiceSamples.push(rms);
+                
+                if (rms > peakRms) {
+                    peakRms = rms;
+                }
+                
+                // K-weighted samples for LUFS (no-op when the AudioWorklet streams them)
+                lufsCapture.poll();
+                rawCapture?.poll();
+                
+                spectrum.sample();
+                
+                // Sample channels for stereo analysis
+                if (isStereo) {
+                    for (let i = 0; i < channelAnalysers.length; i++) {
+                        const chRms = getRmsFromAnalyser(channelAnalysers[i]);
+                        channelSamples[i].push(chRms);
+                    }
+                }
+                
+                if (onProgress) {
+                    const elapsed = Date.now() - startTime;
+                    onProgress({
+                        elapsed,
+                        remaining: Math.max(0, duration - elapsed),
+                        remainingSeconds: Math.ceil((duration - elapsed) / 1000),
+                        level: rms,
+                        levelDb: db
+                    });
+                }
+                
+                await sleep(sampleInterval, signal);
             }
-            
-            if (onProgress) {
-                const elapsed = Date.now() - startTime;
-                onProgress({
-                    elapsed,
-                    remaining: Math.max(0, duration - elapsed),
-                    remainingSeconds: Math.ceil((duration - elapsed) / 1000),
-                    level: rms,
-                    levelDb: db
-                });
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, sampleInterval));
+        } catch (error) {
+            cleanup();
+            throw error;
         }
         
+        // The worklet's last partial batches still count
+        await Promise.all([lufsCapture.stop(), rawCapture?.stop()]);
+        
         // Calculate LUFS
         const blocks = lufsCollector.getBlocks();
         const lufsResult = calculateGatedLufs(blocks);
@@ -180,12 +236,20 @@ export const diagnostic = {
         details.peakDb = peakDb;
         details.snr = snr;
         details.channelBalance = channelBalance;
+        details.sampleIntegrity = lufsCapture.getIntegrity();
+        
+        const glitches = rawCapture
+            ? combineChannelResults(glitchDetectors.map(detector => detector.getResults()))
+            : null;
+        details.glitches = glitches;
         
         // Store in context for summary
         context.voiceLufs = lufs;
         context.voicePeakDb = peakDb;
         context.snr = snr;
         context.channelBalance = channelBalance;
+        context.voiceSpectrum = spectrum.getAverage();
+        context.voiceGlitches = glitches;
         
         // Determine rating - use AGC reference since processing is on by default
         // (noise floor test ran with processing off, but user's normal use case has it on)
@@ -206,12 +270,23 @@ export const diagnostic = {
         // Check for stereo issue (most impactful problem)
         const hasStereoIssue = channelBalance?.hasDeadChannel;
         
+        // Glitches: any clipping or dropout counts; a few clicks don't
+        const hasClipping = glitches?.clipping.count > 0;
+        const hasDropouts = glitches?.dropouts.count > 0;
+        const hasCrackle = glitches?.discontinuities.count >= MIN_DISCONTINUITIES;
+        
         // Generate result
         let status, message;
         
         if (hasStereoIssue) {
             status = 'warn';
             message = `${formatLufs(lufs)} — Stereo issue detected`;
+        } else if (hasDropouts || hasCrackle) {
+            status = 'warn';
+            message = `${formatLufs(lufs)} — ${hasDropouts ? 'Dropouts' : 'Crackle'} detected`;
+        } else if (hasClipping) {
+            status = 'warn';
+            message = `${formatLufs(lufs)} — Clipping detected`;
         } else if (lufsRating === 'good') {
             status = 'pass';
             message = `${formatLufs(lufs)} — Good level`;
@@ -223,27 +298,34 @@ export const diagnostic = {
             message = `${formatLufs(lufs)} — Too quiet`;
         }
         
-        // Cleanup K-weighting nodes
-        try {
-            preFilter.disconnect();
-            rlbFilter.disconnect();
-            kWeightedAnalyser.disconnect();
-            if (isStereo) {
-                channelSplitter.disconnect();
-                channelAnalysers.forEach(a => a.disconnect());
-            }
-        } catch (e) { /* ignore cleanup errors */ }
+        cleanup();
+        
+        const fixes = [];
+        if (hasStereoIssue) {
+            fixes.push('Stereo configuration issue detected. See fix instructions below.');
+        }
+        if (hasDropouts || hasCrackle) {
+            const faults = [];
+            if (hasDropouts) faults.push(`${glitches.dropouts.count} dropout${glitches.dropouts.count === 1 ? '' : 's'}`);
+            if (hasCrackle) faults.push(`${glitches.discontinuities.count} clicks`);
+            fixes.push(`The audio had ${faults.join(' and ')} in 10 seconds, usually USB or driver glitches. ` +
+                'Try another USB port or cable (avoid hubs), close CPU-heavy apps, and update the audio driver. ' +
+                'On Windows, also try the High performance power plan and turning off USB selective suspend.');
+        }
+        if (hasClipping) {
+            fixes.push(`Your voice clipped ${glitches.clipping.count} time${glitches.clipping.count === 1 ? '' : 's'}. ` +
+                'Lower the microphone gain or input level, or move back from the microphone.');
+        }
+        if (lufsRating === 'too-quiet' && !hasStereoIssue) {
+            fixes.push('Try moving closer to the microphone or increasing system mic gain.');
+        }
         
         return {
             status,
             message,
             details,
             stereoIssue: hasStereoIssue,
-            fix: hasStereoIssue 
-                ? 'Stereo configuration issue detected. See fix instructions below.'
-                : (lufsRating === 'too-quiet' 
-                    ? 'Try moving closer to the microphone or increasing system mic gain.'
-                    : undefined)
+            fix: fixes.length > 0 ? fixes.join(' ') : undefined
         };
     }
 };
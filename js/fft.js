@@ -0,0 +1,96 @@
+/**
+ * FFT Module
+ * 
+ * Radix-2 FFT and window functions shared by the offline spectral tools
+ * (noise reduction, noise-source analysis). Tables are cached per size.
+ */
+
+// Bit-reversal tables and twiddle factors per FFT size
+const fftTables = new Map();
+
+/**
+ * @param {number} size - Power of two
+ * @returns {{reversed: Uint32Array, cos: Float64Array, sin: Float64Array}}
+ */
+function getFftTables(size) {
+    if (!fftTables.has(size)) {
+        const bits = Math.log2(size);
+        const reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) {
+                r = (r << 1) | ((i >> b) & 1);
+            }
+            reversed[i] = r;
+        }
+        
+        const cos = new Float64Array(size / 2);
+        const sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            cos[i] = Math.cos(2 * Math.PI * i / size);
+            sin[i] = -Math.sin(2 * Math.PI * i / size);
+        }
+        
+        fftTables.set(size, { reversed, cos, sin });
+    }
+    return fftTables.get(size);
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ * @param {boolean} [inverse=false] - Inverse transform (scaled by 1/size)
+ */
+export function fft(re, im, inverse = false) {
+    const size = re.length;
+    const { reversed, cos, sin } = getFftTables(size);
+    const sign = inverse ? -1 : 1;
+    
+    for (let i = 0; i < size; i++) {
+        const j = reversed[i];
+        if (j > i) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+    }
+    
+    for (let len = 2; len <= size; len <<= 1) {
+        const half = len >> 1;
+        const step = size / len;
+        for (let start = 0; start < size; start += len) {
+            for (let k = 0; k < half; k++) {
+                const wr = cos[k * step];
+                const wi = sign * sin[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+    
+    if (inverse) {
+        for (let i = 0; i < size; i++) {
+            re[i] /= size;
+            im[i] /= size;
+        }
+    }
+}
+
+/**
+ * Periodic Hann window
+ * @param {number} size
+ * @returns {Float64Array}
+ */
+export function hannWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    }
+    return window;
+}
@@ -0,0 +1,265 @@
+/**
+ * Glitch Detection Module
+ * 
+ * Finds faults in raw captured samples that a level meter can't see:
+ * - Clipping: runs of consecutive samples at full scale
+ * - Dropouts: short runs of exact-zero samples in the middle of sound,
+ *   where a USB or driver hiccup lost a buffer or two of audio (longer
+ *   silences are a noise gate or a headset muting between words)
+ * - Discontinuities: sample-to-sample jumps far sharper than the signal
+ *   on both sides of them - the clicks and crackle of a glitching
+ *   interface. Comparing with what follows too keeps the onset of a loud
+ *   sibilant from counting, as it only stands out from what came before.
+ * 
+ * Samples are fed in batches as they're captured; each fault is counted
+ * once and time-stamped from the start of the capture. Each channel gets
+ * its own detector - a downmix halves one-sided clipping and hides faults
+ * on one channel - and combineChannelResults() reports the worst.
+ */
+
+// Clipping: at least 3 consecutive samples at or above this level
+const CLIP_LEVEL = 0.999;
+const MIN_CLIP_RUN = 3;
+
+// Dropouts: zero runs of 2-50ms with sound on both sides - up to a couple
+// of driver buffers. Gated mics and headsets go to exact zero for longer.
+const MIN_DROPOUT_SECONDS = 0.002;
+const MAX_DROPOUT_SECONDS = 0.05;
+const SOUND_LEVEL = 0.003;          // ~-50 dBFS short-term RMS
+const ENVELOPE_SECONDS = 0.01;      // Short-term RMS time constant
+
+// Discontinuities: second difference this many times its average over
+// the 5ms before and the 5ms after, and at least this large in absolute terms
+const DISCONTINUITY_RATIO = 8;
+const MIN_DISCONTINUITY = 0.05;
+const DISCONTINUITY_AVERAGE_SECONDS = 0.005;
+const REFRACTORY_SECONDS = 0.005;   // One click, one count
+
+// Timestamps kept per fault type (counts are always exact)
+const MAX_TIMESTAMPS = 50;
+
+/**
+ * Streaming clipping, dropout and discontinuity detector for one channel
+ */
+export class GlitchDetector {
+    /**
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.minDropout = Math.round(MIN_DROPOUT_SECONDS * sampleRate);
+        this.maxDropout = Math.round(MAX_DROPOUT_SECONDS * sampleRate);
+        this.envelopeCoeff = 1 / (ENVELOPE_SECONDS * sampleRate);
+        this.averageCoeff = 1 / (DISCONTINUITY_AVERAGE_SECONDS * sampleRate);
+        this.lookahead = Math.round(DISCONTINUITY_AVERAGE_SECONDS * sampleRate);
+        this.refractory = Math.round(REFRACTORY_SECONDS * sampleRate);
+        
+        this.position = 0;          // Samples processed (including missed ones)
+        this.prev1 = null;          // Last two samples, null after a capture gap
+        this.prev2 = null;
+        this.envelope = 0;          // Mean square, ignoring zero runs
+        this.d2Average = 0;         // Mean |second difference|
+        this.settled = 0;           // Samples averaged since the last gap
+        this.candidate = null;      // Jump waiting for the samples after it
+        this.lastDiscontinuity = -Infinity;
+        
+        this.clipRun = 0;
+        this.zeroRun = 0;
+        this.zeroRunStart = 0;
+        this.levelBeforeZeros = 0;
+        
+        this.clipping = { count: 0, samples: 0, timestamps: [] };
+        this.dropouts = { count: 0, totalMs: 0, timestamps: [] };
+        this.discontinuities = { count: 0, timestamps: [] };
+    }
+    
+    /**
+     * Process a batch of samples
+     * @param {Float32Array} samples - Next samples of the channel
+     * @param {number} [missedFrames=0] - Samples lost by the capture before this batch
+     *        (a gap in our capture, not the device's - breaks continuity without counting)
+     */
+    addSamples(samples, missedFrames = 0) {
+        if (missedFrames > 0) {
+            this.position += missedFrames;
+            this.prev1 = null;
+            this.prev2 = null;
+            this.settled = 0;
+            this.candidate = null;
+            this.clipRun = 0;
+            this.zeroRun = 0;
+        }
+        
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            const index = this.position + i;
+            
+            this.checkClipping(x, index);
+            this.checkDropout(x, index);
+            this.checkDiscontinuity(x, index);
+            
+            this.prev2 = this.prev1;
+            this.prev1 = x;
+        }
+        
+        this.position += samples.length;
+    }
+    
+    /**
+     * @private
+     */
+    checkClipping(x, index) {
+        if (Math.abs(x) >= CLIP_LEVEL) {
+            this.clipRun++;
+            if (this.clipRun === MIN_CLIP_RUN) {
+                this.record(this.clipping, index - MIN_CLIP_RUN + 1);
+                this.clipping.samples += MIN_CLIP_RUN;
+            } else if (this.clipRun > MIN_CLIP_RUN) {
+                this.clipping.samples++;
+            }
+        } else {
+            this.clipRun = 0;
+        }
+    }
+    
+    /**
+     * @private
+     */
+    checkDropout(x, index) {
+        if (x === 0) {
+            if (this.zeroRun === 0) {
+                this.zeroRunStart = index;
+                this.levelBeforeZeros = this.envelope;
+            }
+            this.zeroRun++;
+            return;
+        }
+        
+        this.envelope += this.envelopeCoeff * (x * x - this.envelope);
+        
+        if (this.zeroRun > 0) {
+            // Judge the run once a few ms of sound after it have been heard
+            const heard = index - (this.zeroRunStart + this.zeroRun);
+            if (heard < this.minDropout) return;
+            
+            const isDropout = this.zeroRun >= this.minDropout &&
+                this.zeroRun <= this.maxDropout &&
+                this.levelBeforeZeros >= SOUND_LEVEL * SOUND_LEVEL &&
+                this.envelope >= SOUND_LEVEL * SOUND_LEVEL;
+            
+            if (isDropout) {
+                this.record(this.dropouts, this.zeroRunStart);
+                this.dropouts.totalMs += this.zeroRun / this.sampleRate * 1000;
+            }
+            this.zeroRun = 0;
+        }
+    }
+    
+    /**
+     * @private
+     */
+    checkDiscontinuity(x, index) {
+        if (this.prev2 === null) return;
+        
+        const d2 = Math.abs(x - 2 * this.prev1 + this.prev2);
+        
+        // Clipping bends the waveform sharply too - that's counted above
+        const nearClip = Math.max(Math.abs(x), Math.abs(this.prev1), Math.abs(this.prev2)) >= CLIP_LEVEL;
+        
+        // Judge a jump once the samples after it have been heard
+        if (this.candidate) {
+            const candidate = this.candidate;
+            candidate.afterSum += d2;
+            candidate.afterCount++;
+            if (candidate.afterCount >= this.lookahead) {
+                const afterAverage = candidate.afterSum / candidate.afterCount;
+                if (candidate.d2 > DISCONTINUITY_RATIO * afterAverage) {
+                    this.record(this.discontinuities, candidate.index);
+                    this.lastDiscontinuity = candidate.index;
+                }
+                this.candidate = null;
+            }
+        } else if (this.settled >= 2 / this.averageCoeff && !nearClip &&
+            d2 >= MIN_DISCONTINUITY &&
+            d2 > DISCONTINUITY_RATIO * this.d2Average &&
+            index - this.lastDiscontinuity > this.refractory) {
+            this.candidate = { index, d2, afterSum: 0, afterCount: 0 };
+        }
+        
+        this.d2Average += this.averageCoeff * (d2 - this.d2Average);
+        this.settled++;
+    }
+    
+    /**
+     * Count a fault and keep its timestamp
+     * @private
+     */
+    record(fault, index) {
+        fault.count++;
+        if (fault.timestamps.length < MAX_TIMESTAMPS) {
+            fault.timestamps.push(Math.round(index / this.sampleRate * 1000) / 1000);
+        }
+    }
+    
+    /**
+     * Get the results so far
+     * @returns {{durationSeconds: number, clipping: object, dropouts: object, discontinuities: object}}
+     *          Each fault has count, ratePerMinute and timestamps (seconds, first 50);
+     *          clipping also has samples (total clipped), dropouts totalMs
+     */
+    getResults() {
+        const durationSeconds = this.position / this.sampleRate;
+        const perMinute = count => durationSeconds > 0
+            ? Math.round(count / durationSeconds * 60 * 10) / 10
+            : 0;
+        
+        return {
+            durationSeconds: Math.round(durationSeconds * 10) / 10,
+            clipping: {
+                ...this.clipping,
+                timestamps: [...this.clipping.timestamps],
+                ratePerMinute: perMinute(this.clipping.count)
+            },
+            dropouts: {
+                ...this.dropouts,
+                totalMs: Math.round(this.dropouts.totalMs * 10) / 10,
+                timestamps: [...this.dropouts.timestamps],
+                ratePerMinute: perMinute(this.dropouts.count)
+            },
+            discontinuities: {
+                ...this.discontinuities,
+                timestamps: [...this.discontinuities.timestamps],
+                ratePerMinute: perMinute(this.discontinuities.count)
+            }
+        };
+    }
+}
+
+/**
+ * Combine per-channel results into one, reporting each fault type from the
+ * channel where it was worst
+ * 
+ * Faults on several channels at once (a USB dropout hits all of them) are
+ * not added up.
+ * 
+ * @param {object[]} channelResults - getResults() of each channel's detector
+ * @returns {object} Same shape as getResults(), each fault with the channel
+ *          it came from, plus channels (the per-channel results)
+ */
+export function combineChannelResults(channelResults) {
+    const worst = (type) => {
+        let channel = 0;
+        channelResults.forEach((result, i) => {
+            if (result[type].count > channelResults[channel][type].count) channel = i;
+        });
+        return { ...channelResults[channel][type], channel };
+    };
+    
+    return {
+        durationSeconds: channelResults[0].durationSeconds,
+        clipping: worst('clipping'),
+        dropouts: worst('dropouts'),
+        discontinuities: worst('discontinuities'),
+        channels: channelResults
+    };
+}
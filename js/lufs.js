@@ -49,28 +49,37 @@ export function createKWeightingFilters(audioContext) {
  * 
  * Collects K-weighted audio samples into 400ms blocks with 75% overlap,
  * computing mean-square values for each block as required by ITU-R BS.1770.
+ * 
+ * Block and hop durations can be overridden to build the other BS.1770 /
+ * EBU R128 windows, e.g. a 3 second short-term window.
  */
 export class LufsBlockCollector {
     /**
      * @param {number} sampleRate - Audio sample rate (e.g., 48000)
+     * @param {object} [options] - Window configuration
+     * @param {number} [options.blockDuration=0.4] - Block length in seconds
+     * @param {number} [options.hopDuration=0.1] - Hop between block starts in seconds
      */
-    constructor(sampleRate) {
-        this.sampleRate = sampleRate;
+    constructor(sampleRate, options = {}) {
+        const { blockDuration = 0.4, hopDuration = 0.1 } = options;
         
-        // 400ms block size per ITU-R BS.1770
-        this.blockSize = Math.round(sampleRate * 0.4);
+        this.sampleRate = sampleRate;
         
         // 75% overlap = 100ms hop size (new block every 100ms)
-        this.hopSize = Math.round(sampleRate * 0.1);
+        this.hopSize = Math.round(sampleRate * hopDuration);
         
-        // Accumulator for current block
-        this.currentSamples = [];
+        // 400ms block size per ITU-R BS.1770, as a whole number of hops
+        this.hopsPerBlock = Math.max(1, Math.round(blockDuration / hopDuration));
+        this.blockSize = this.hopsPerBlock * this.hopSize;
+        
+        // Sums of squared (channel-weighted) samples for the hops of the
+        // current block - keeps long windows cheap, no per-sample buffering
+        this.hopSums = [];
+        this.currentHopSum = 0;
+        this.currentHopCount = 0;
         
         // Stores mean-square value for each completed block
         this.blocks = [];
-        
-        // Track samples since last block was emitted
-        this.samplesSinceLastBlock = 0;
     }
     
     /**
@@ -79,36 +88,61 @@ export class LufsBlockCollector {
      */
     addSamples(samples) {
         for (let i = 0; i < samples.length; i++) {
-            this.currentSamples.push(samples[i]);
-            this.samplesSinceLastBlock++;
-            
-            // When we have enough samples for a complete block
-            if (this.currentSamples.length >= this.blockSize) {
-                // Calculate mean-square for this block
-                const meanSquare = this._calculateMeanSquare(this.currentSamples.slice(0, this.blockSize));
-                this.blocks.push(meanSquare);
-                
-                // Remove hopSize samples from the front (75% overlap means keep 75%)
-                this.currentSamples = this.currentSamples.slice(this.hopSize);
-                this.samplesSinceLastBlock = 0;
+            this._pushSquared(samples[i] * samples[i]);
+        }
+    }
+    
+    /**
+     * Add time-aligned samples from several channels
+     * 
+     * Per ITU-R BS.1770 the loudness of a multichannel signal is the weighted
+     * sum of each channel's mean square, so each sample frame is stored as
+     * sum(G_i * x_i^2) before block averaging.
+     * 
+     * @param {Array<Float32Array|number[]>} channels - One sample array per channel (equal lengths)
+     * @param {number[]} [weights] - Channel weights G_i (defaults to 1.0 for every channel)
+     */
+    addChannelSamples(channels, weights = null) {
+        if (!channels || channels.length === 0) return;
+        
+        const length = channels[0].length;
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            for (let ch = 0; ch < channels.length; ch++) {
+                const s = channels[ch][i];
+                sum += (weights ? weights[ch] : 1) * s * s;
             }
+            this._pushSquared(sum);
         }
     }
     
     /**
-     * Calculate mean-square of samples
-     * @param {number[]} samples - Audio samples
-     * @returns {number} Mean-square value
+     * Append one squared sample frame and emit a block when complete
+     * @param {number} squared - Squared (channel-weighted) sample value
      * @private
      */
-    _calculateMeanSquare(samples) {
-        if (samples.length === 0) return 0;
+    _pushSquared(squared) {
+        this.currentHopSum += squared;
+        this.currentHopCount++;
         
-        let sum = 0;
-        for (let i = 0; i < samples.length; i++) {
-            sum += samples[i] * samples[i];
+        if (this.currentHopCount < this.hopSize) return;
+        
+        this.hopSums.push(this.currentHopSum);
+        this.currentHopSum = 0;
+        this.currentHopCount = 0;
+        
+        // When we have enough hops for a complete block
+        if (this.hopSums.length >= this.hopsPerBlock) {
+            // Calculate mean-square for this block
+            let sum = 0;
+            for (let i = 0; i < this.hopSums.length; i++) {
+                sum += this.hopSums[i];
+            }
+            this.blocks.push(sum / this.blockSize);
+            
+            // Drop the oldest hop (75% overlap means keep 75%)
+            this.hopSums.shift();
         }
-        return sum / samples.length;
     }
     
     /**
@@ -119,6 +153,14 @@ export class LufsBlockCollector {
         return [...this.blocks];
     }
     
+    /**
+     * Get the most recently completed block
+     * @returns {number|null} Mean-square value, or null if no block is complete yet
+     */
+    getLatestBlock() {
+        return this.blocks.length > 0 ? this.blocks[this.blocks.length - 1] : null;
+    }
+    
     /**
      * Get number of completed blocks
      * @returns {number} Block count
@@ -131,9 +173,36 @@ export class LufsBlockCollector {
      * Reset the collector
      */
     reset() {
-        this.currentSamples = [];
+        this.hopSums = [];
+        this.currentHopSum = 0;
+        this.currentHopCount = 0;
         this.blocks = [];
-        this.samplesSinceLastBlock = 0;
+    }
+}
+
+/**
+ * Get ITU-R BS.1770 channel weights (G_i) for a channel count
+ * 
+ * Assumes the Web Audio channel order for the common layouts:
+ * - 4 channels (quad): L, R, SL, SR
+ * - 6 channels (5.1):  L, R, C, LFE, SL, SR
+ * 
+ * Front channels weigh 1.0, surrounds 1.41 (+1.5 dB) and the LFE channel is
+ * excluded (0). Other channel counts are treated as all-front.
+ * 
+ * @param {number} numberOfChannels - Channel count of the signal
+ * @returns {number[]} One weight per channel
+ */
+export function getChannelWeights(numberOfChannels) {
+    const SURROUND = 1.41;
+    
+    switch (numberOfChannels) {
+        case 4:
+            return [1.0, 1.0, SURROUND, SURROUND];
+        case 6:
+            return [1.0, 1.0, 1.0, 0, SURROUND, SURROUND];
+        default:
+            return new Array(numberOfChannels).fill(1.0);
     }
 }
 
@@ -142,7 +211,7 @@ export class LufsBlockCollector {
  * @param {number} meanSquare - Mean-square value
  * @returns {number} LUFS value
  */
-function meanSquareToLufs(meanSquare) {
+export function meanSquareToLufs(meanSquare) {
     if (meanSquare <= 0) return -Infinity;
     // -0.691 is the LUFS offset constant from ITU-R BS.1770
     return -0.691 + 10 * Math.log10(meanSquare);
@@ -221,6 +290,88 @@ export function calculateGatedLufs(blocks) {
     };
 }
 
+/**
+ * Calculate Loudness Range (LRA) per EBU Tech 3342
+ * 
+ * Measures the spread of loudness over a programme from short-term (3s)
+ * blocks, ignoring silence and rare quiet passages:
+ * 1. Absolute gate: Remove blocks below -70 LUFS
+ * 2. Relative gate: Remove blocks below (mean of remaining blocks - 20 LU)
+ * 3. LRA = 95th percentile - 10th percentile of the remaining blocks
+ * 
+ * @param {number[]} shortTermBlocks - Mean-square values from a 3s LufsBlockCollector
+ * @returns {{lra: number|null, low: number|null, high: number|null, error: string|null, blockStats: object}}
+ */
+export function calculateLoudnessRange(shortTermBlocks) {
+    // Edge case: No complete 3s blocks (recording too short)
+    if (!shortTermBlocks || shortTermBlocks.length === 0) {
+        return {
+            lra: null,
+            low: null,
+            high: null,
+            error: 'insufficient-data',
+            blockStats: { total: 0, afterAbsolute: 0, afterRelative: 0 }
+        };
+    }
+    
+    const totalBlocks = shortTermBlocks.length;
+    
+    // Stage 1: Absolute gating threshold (-70 LUFS)
+    const ABSOLUTE_GATE = -70;
+    const blocksAfterAbsolute = shortTermBlocks.filter(ms => meanSquareToLufs(ms) > ABSOLUTE_GATE);
+    
+    if (blocksAfterAbsolute.length === 0) {
+        return {
+            lra: null,
+            low: null,
+            high: null,
+            error: 'no-voice-detected',
+            blockStats: { total: totalBlocks, afterAbsolute: 0, afterRelative: 0 }
+        };
+    }
+    
+    // Stage 2: Relative gating threshold (-20 LU, wider than BS.1770's -10 LU)
+    const RELATIVE_OFFSET = 20;
+    const meanSquare = blocksAfterAbsolute.reduce((a, b) => a + b, 0) / blocksAfterAbsolute.length;
+    const relativeGate = meanSquareToLufs(meanSquare) - RELATIVE_OFFSET;
+    const gatedLoudness = blocksAfterAbsolute
+        .map(ms => meanSquareToLufs(ms))
+        .filter(lufs => lufs > relativeGate)
+        .sort((a, b) => a - b);
+    
+    // Percentiles of the loudness distribution
+    const percentile = (p) => gatedLoudness[Math.round((gatedLoudness.length - 1) * p)];
+    const low = percentile(0.10);
+    const high = percentile(0.95);
+    
+    return {
+        lra: high - low,
+        low,
+        high,
+        error: null,
+        blockStats: {
+            total: totalBlocks,
+            afterAbsolute: blocksAfterAbsolute.length,
+            afterRelative: gatedLoudness.length
+        }
+    };
+}
+
+/**
+ * Get the loudest block in LUFS (e.g. max momentary or max short-term)
+ * @param {number[]} blocks - Mean-square values from a LufsBlockCollector
+ * @returns {number|null} Maximum loudness in LUFS, or null if there are no blocks
+ */
+export function calculateMaxLoudness(blocks) {
+    if (!blocks || blocks.length === 0) return null;
+    
+    let maxMeanSquare = 0;
+    for (let i = 0; i < blocks.length; i++) {
+        if (blocks[i] > maxMeanSquare) maxMeanSquare = blocks[i];
+    }
+    return meanSquareToLufs(maxMeanSquare);
+}
+
 /**
  * Get samples from a K-weighted analyser node
  * 
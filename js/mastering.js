@@ -3,8 +3,13 @@
  * 
  * Processes recordings for streaming platforms with:
  * - Expander: Reduces noise floor by attenuating quiet sections
- * - LUFS normalization to -14 LUFS (Spotify/YouTube standard)
- * - True Peak limiting to -1 dBTP ceiling with 4× oversampling
+ * - LUFS normalization to the preset target (default -14 LUFS, Spotify/YouTube)
+ * - True Peak limiting to the preset ceiling with 4× oversampling (BS.1770 Annex 2 FIR)
+ * 
+ * Delivery specs are described by MASTERING_PRESETS; a custom preset can
+ * override any of their values. Optional voice stages (denoise, high-pass,
+ * EQ, compressor, de-esser) come from speech-processing.js and
+ * noise-reduction.js.
  * 
  * Implementation uses synchronous JavaScript functions for offline processing:
  * - applyExpander(): RMS envelope-following expander for noise floor reduction
@@ -16,7 +21,26 @@
  * Reuses existing LUFS infrastructure from lufs.js.
  */
 
-import { createKWeightingFilters, LufsBlockCollector, calculateGatedLufs } from './lufs.js';
+import {
+    createKWeightingFilters,
+    LufsBlockCollector,
+    calculateGatedLufs,
+    calculateLoudnessRange,
+    calculateMaxLoudness,
+    getChannelWeights
+} from './lufs.js';
+import { measureTruePeak, getIntervalTruePeaks } from './true-peak.js';
+import {
+    SPEECH_STAGE_NAMES,
+    getSpeechProcessing,
+    applyHighPass,
+    applyParametricEq,
+    applyCompressor,
+    applyDeEsser,
+    measureSpeechRms
+} from './speech-processing.js';
+import { applyNoiseReduction } from './noise-reduction.js';
+import { encodeWav } from './audio-export.js';
 import { linearToDb, QUALITY_REFERENCE } from './standards.js';
 
 // Target: average of major streaming platforms
@@ -27,6 +51,85 @@ const PEAK_CEILING_DB = QUALITY_REFERENCE.peak.max;   // -1
 const EXPANDER_THRESHOLD_DB = -40;  // Expand signals below -40 dBFS
 const EXPANDER_RATIO = 2;           // 2:1 expansion (gentle)
 
+/**
+ * Mastering presets for common delivery specs
+ * Targets and ceilings come from QUALITY_REFERENCE in standards.js.
+ */
+export const MASTERING_PRESETS = {
+    streaming: {
+        id: 'streaming',
+        name: 'Spotify / YouTube',
+        targetLufs: TARGET_LUFS,
+        ceilingDb: QUALITY_REFERENCE.truePeak.streaming,
+        expanderThreshold: EXPANDER_THRESHOLD_DB,
+        expanderRatio: EXPANDER_RATIO
+    },
+    podcast: {
+        id: 'podcast',
+        name: 'Apple Podcasts',
+        targetLufs: QUALITY_REFERENCE.lufs.podcast,
+        ceilingDb: QUALITY_REFERENCE.truePeak.streaming,
+        expanderThreshold: EXPANDER_THRESHOLD_DB,
+        expanderRatio: EXPANDER_RATIO
+    },
+    broadcast: {
+        id: 'broadcast',
+        name: 'EBU R128',
+        targetLufs: QUALITY_REFERENCE.lufs.broadcast,
+        ceilingDb: QUALITY_REFERENCE.truePeak.broadcast,
+        expanderThreshold: EXPANDER_THRESHOLD_DB,
+        expanderRatio: EXPANDER_RATIO
+    },
+    atsc: {
+        id: 'atsc',
+        name: 'ATSC A/85',
+        targetLufs: QUALITY_REFERENCE.lufs.atsc,
+        ceilingDb: QUALITY_REFERENCE.truePeak.atsc,
+        expanderThreshold: EXPANDER_THRESHOLD_DB,
+        expanderRatio: EXPANDER_RATIO
+    },
+    audiobook: {
+        id: 'audiobook',
+        name: 'Audiobook (ACX)',
+        targetLufs: QUALITY_REFERENCE.lufs.audiobook,
+        ceilingDb: QUALITY_REFERENCE.truePeak.audiobook,
+        // ACX also requires a -60 dB noise floor, so expand harder
+        expanderThreshold: -45,
+        expanderRatio: 3
+    },
+    custom: {
+        id: 'custom',
+        name: 'Custom',
+        targetLufs: TARGET_LUFS,
+        ceilingDb: PEAK_CEILING_DB,
+        expanderThreshold: EXPANDER_THRESHOLD_DB,
+        expanderRatio: EXPANDER_RATIO
+    }
+};
+
+/**
+ * Resolve mastering settings from a preset ID plus optional overrides
+ * 
+ * Overrides only apply to the custom preset, so named presets always
+ * match their delivery spec.
+ * 
+ * @param {string} presetId - Key of MASTERING_PRESETS (unknown IDs fall back to streaming)
+ * @param {object} [overrides] - Custom values: targetLufs, ceilingDb, expanderThreshold, expanderRatio
+ * @returns {object} Complete preset settings
+ */
+export function getMasteringPreset(presetId, overrides = {}) {
+    const preset = MASTERING_PRESETS[presetId] || MASTERING_PRESETS.streaming;
+    if (preset.id !== 'custom') return { ...preset };
+    
+    const settings = { ...preset };
+    for (const key of ['targetLufs', 'ceilingDb', 'expanderThreshold', 'expanderRatio']) {
+        if (typeof overrides?.[key] === 'number' && isFinite(overrides[key])) {
+            settings[key] = overrides[key];
+        }
+    }
+    return settings;
+}
+
 /**
  * Apply expander to audio buffer (in-place modification)
  * 
@@ -93,8 +196,13 @@ function applyExpander(channels, sampleRate, options = {}) {
 /**
  * Apply true peak limiter to audio buffer (in-place modification)
  * 
- * Uses 4× oversampling to detect inter-sample peaks and applies
- * gain reduction with look-ahead for transparent limiting.
+ * Uses the shared BS.1770 polyphase FIR oversampler (true-peak.js) to detect
+ * inter-sample peaks and applies gain reduction with look-ahead for
+ * transparent limiting. Because gain changes alter the interpolated peaks
+ * slightly, the result is re-measured and limited again until it meets the
+ * ceiling on the same meter used by measureBufferTruePeak(). Whatever is
+ * still over after maxPasses comes off as a static gain trim - the meter is
+ * linear, so that is guaranteed to land under the ceiling.
  * 
  * @param {Float32Array[]} channels - Array of channel data arrays
  * @param {number} sampleRate - Sample rate in Hz
@@ -104,10 +212,45 @@ function applyTruePeakLimiter(channels, sampleRate, options = {}) {
     const {
         ceiling = PEAK_CEILING_DB,
         release = 0.1,
-        lookAhead = 4  // samples
+        lookAhead = 4,  // samples
+        maxPasses = 4
     } = options;
     
     const ceilingLinear = Math.pow(10, ceiling / 20);
+    
+    // Aim marginally below the ceiling so one pass is normally enough
+    const targetLinear = Math.pow(10, (ceiling - 0.01) / 20);
+    
+    let truePeak = 0;
+    for (let pass = 0; pass < maxPasses; pass++) {
+        const applied = applyLimiterPass(channels, sampleRate, targetLinear, release, lookAhead);
+        if (!applied) return;
+        
+        // Stop once the true peak meter agrees we're under the ceiling
+        truePeak = Math.max(...channels.map(data => measureTruePeak(data)));
+        if (truePeak <= ceilingLinear) break;
+    }
+    
+    // Still over after maxPasses - take the rest off as a static gain trim
+    if (truePeak <= ceilingLinear) return;
+    const trim = targetLinear / truePeak;
+    console.warn(`True peak limiter: ${(20 * Math.log10(truePeak)).toFixed(2)} dBTP after ${maxPasses} passes, ` +
+        `trimming ${(20 * Math.log10(trim)).toFixed(2)} dB`);
+    for (const data of channels) {
+        for (let i = 0; i < data.length; i++) data[i] *= trim;
+    }
+}
+
+/**
+ * Run one limiting pass (in-place modification)
+ * @param {Float32Array[]} channels - Array of channel data arrays
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} ceilingLinear - Ceiling as linear amplitude
+ * @param {number} release - Release time in seconds
+ * @param {number} lookAhead - Look-ahead in samples
+ * @returns {boolean} True if any gain reduction was needed
+ */
+function applyLimiterPass(channels, sampleRate, ceilingLinear, release, lookAhead) {
     const releaseCoef = Math.exp(-1 / (sampleRate * release));
     
     const numChannels = channels.length;
@@ -116,37 +259,27 @@ function applyTruePeakLimiter(channels, sampleRate, options = {}) {
     // First pass: calculate required gain reduction for each sample
     const gainReduction = new Float32Array(numSamples);
     gainReduction.fill(1);
+    let needsLimiting = false;
     
-    for (let i = 0; i < numSamples; i++) {
-        // Find true peak across all channels (with 4× oversampling)
-        let maxTruePeak = 0;
+    for (let ch = 0; ch < numChannels; ch++) {
+        // True peak between each pair of samples (4× FIR oversampling)
+        const intervalPeaks = getIntervalTruePeaks(channels[ch]);
         
-        for (let ch = 0; ch < numChannels; ch++) {
-            const sample = channels[ch][i];
-            const prevSample = i > 0 ? channels[ch][i - 1] : 0;
-            
-            // Check sample peak
-            maxTruePeak = Math.max(maxTruePeak, Math.abs(sample));
+        for (let i = 0; i < numSamples; i++) {
+            if (intervalPeaks[i] <= ceilingLinear) continue;
             
-            // Check inter-sample peaks using linear interpolation
-            // NOTE: ITU-R BS.1770 specifies FIR-based oversampling (sinc interpolation)
-            // for true peak measurement. Linear interpolation can underestimate peaks
-            // by ~0.5-1 dB in worst cases. This is an intentional trade-off for
-            // simplicity in this diagnostic tool. For production mastering, consider
-            // implementing a polyphase FIR filter.
-            for (let j = 1; j < 4; j++) {
-                const t = j / 4;
-                const interpolated = prevSample + (sample - prevSample) * t;
-                maxTruePeak = Math.max(maxTruePeak, Math.abs(interpolated));
+            // Both samples around an inter-sample peak shape it, so both need the gain
+            const gain = ceilingLinear / intervalPeaks[i];
+            gainReduction[i] = Math.min(gainReduction[i], gain);
+            if (i + 1 < numSamples) {
+                gainReduction[i + 1] = Math.min(gainReduction[i + 1], gain);
             }
-        }
-        
-        // Calculate required gain reduction
-        if (maxTruePeak > ceilingLinear) {
-            gainReduction[i] = ceilingLinear / maxTruePeak;
+            needsLimiting = true;
         }
     }
     
+    if (!needsLimiting) return false;
+    
     // Second pass: apply look-ahead (minimum of next N samples)
     // This ensures we reduce gain BEFORE the peak arrives
     for (let i = 0; i < numSamples; i++) {
@@ -176,6 +309,8 @@ function applyTruePeakLimiter(channels, sampleRate, options = {}) {
             channels[ch][i] *= currentGain;
         }
     }
+    
+    return true;
 }
 
 /**
@@ -196,11 +331,25 @@ export async function decodeRecordingBlob(blobUrl) {
 }
 
 /**
- * Measure integrated LUFS of an AudioBuffer
+ * Measure loudness of an AudioBuffer
  * Reuses existing K-weighting and block collection from lufs.js
  * 
+ * Channels are K-weighted individually and their mean squares summed with
+ * the BS.1770 channel weights (surrounds 1.41, LFE excluded), so stereo
+ * material reads ~3 dB louder than its mono downmix, as the standard requires.
+ * 
+ * Besides integrated LUFS, reports the EBU R128 / Tech 3342 descriptors:
+ * loudness range (LRA), max momentary (400ms) and max short-term (3s).
+ * 
  * @param {AudioBuffer} audioBuffer - The audio to measure
- * @returns {Promise<{lufs: number, error: string|null, blockStats: object}>}
+ * @returns {Promise<{
+ *   lufs: number,
+ *   error: string|null,
+ *   blockStats: object,
+ *   lra: number|null,
+ *   maxMomentary: number|null,
+ *   maxShortTerm: number|null
+ * }>}
  */
 export async function measureBufferLufs(audioBuffer) {
     const { sampleRate, length, numberOfChannels } = audioBuffer;
@@ -221,25 +370,29 @@ export async function measureBufferLufs(audioBuffer) {
     const kWeightedBuffer = await offlineCtx.startRendering();
     
     // Reuse existing block collector from lufs.js
+    // 400ms blocks for integrated/momentary, 3s blocks for short-term/LRA
     const collector = new LufsBlockCollector(sampleRate);
+    const shortTermCollector = new LufsBlockCollector(sampleRate, { blockDuration: 3 });
     
-    // For stereo, sum channels (ITU-R BS.1770 uses channel weighting, 
-    // but for simplicity we average - close enough for Phase 1)
-    if (numberOfChannels === 1) {
-        collector.addSamples(kWeightedBuffer.getChannelData(0));
-    } else {
-        // Mix to mono for LUFS measurement
-        const left = kWeightedBuffer.getChannelData(0);
-        const right = kWeightedBuffer.getChannelData(1);
-        const mono = new Float32Array(left.length);
-        for (let i = 0; i < left.length; i++) {
-            mono[i] = (left[i] + right[i]) / 2;
-        }
-        collector.addSamples(mono);
+    // Sum per-channel mean squares with BS.1770 channel weights
+    const channels = [];
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+        channels.push(kWeightedBuffer.getChannelData(ch));
     }
+    const weights = getChannelWeights(numberOfChannels);
+    collector.addChannelSamples(channels, weights);
+    shortTermCollector.addChannelSamples(channels, weights);
     
     // Reuse existing gated LUFS calculation from lufs.js
-    return calculateGatedLufs(collector.getBlocks());
+    const blocks = collector.getBlocks();
+    const shortTermBlocks = shortTermCollector.getBlocks();
+    
+    return {
+        ...calculateGatedLufs(blocks),
+        lra: calculateLoudnessRange(shortTermBlocks).lra,
+        maxMomentary: calculateMaxLoudness(blocks),
+        maxShortTerm: calculateMaxLoudness(shortTermBlocks)
+    };
 }
 
 /**
@@ -264,6 +417,7 @@ export function measureBufferPeak(audioBuffer) {
 /**
  * Measure true peak of an AudioBuffer using 4× oversampling
  * More accurate than sample peak - detects inter-sample peaks
+ * using the ITU-R BS.1770 Annex 2 polyphase FIR interpolator
  * 
  * @param {AudioBuffer} audioBuffer - The audio to measure
  * @returns {number} True peak level in dBTP
@@ -272,49 +426,70 @@ export function measureBufferTruePeak(audioBuffer) {
     let maxPeak = 0;
     
     for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
-        const data = audioBuffer.getChannelData(ch);
-        let prevSample = 0;
-        
-        for (let i = 0; i < data.length; i++) {
-            const sample = data[i];
-            
-            // Check sample peaks
-            maxPeak = Math.max(maxPeak, Math.abs(sample));
-            
-            // Check inter-sample peaks (4× oversampling with linear interpolation)
-            for (let j = 1; j < 4; j++) {
-                const t = j / 4;
-                const interpolated = prevSample + (sample - prevSample) * t;
-                maxPeak = Math.max(maxPeak, Math.abs(interpolated));
-            }
-            
-            prevSample = sample;
-        }
+        maxPeak = Math.max(maxPeak, measureTruePeak(audioBuffer.getChannelData(ch)));
     }
     
     return linearToDb(maxPeak);
 }
 
+/**
+ * Order of the processing stages in processForStreaming()
+ */
+export const PROCESSING_CHAIN = ['denoise', 'highPass', 'expander', 'eq', 'compressor', 'deEsser', 'gain', 'limiter'];
+
+const STAGE_NAMES = {
+    ...SPEECH_STAGE_NAMES,
+    expander: 'Expander',
+    gain: 'Gain',
+    limiter: 'Limiter'
+};
+
+// In-place stage functions for everything before loudness normalization
+const STAGE_FUNCTIONS = {
+    denoise: applyNoiseReduction,
+    highPass: applyHighPass,
+    expander: applyExpander,
+    eq: applyParametricEq,
+    compressor: applyCompressor,
+    deEsser: applyDeEsser
+};
+
 /**
  * Process an AudioBuffer for streaming
  * 
- * Processing chain (all done in JavaScript for reliable offline processing):
- * 1. Expander - reduces noise floor by attenuating quiet sections
- * 2. Gain - normalizes loudness to target LUFS
- * 3. True Peak Limiter - prevents peaks from exceeding ceiling (with 4× oversampling)
+ * Processing chain (all done in JavaScript for reliable offline processing),
+ * in PROCESSING_CHAIN order:
+ * 1. Denoise (optional) - spectral noise reduction from a noise profile,
+ *    first so the profile still matches the untouched recording
+ * 2. High-pass (optional) - removes rumble below the voice
+ * 3. Expander - reduces noise floor by attenuating quiet sections
+ * 4. EQ (optional) - parametric tone shaping
+ * 5. Compressor (optional) - evens out delivery
+ * 6. De-esser (optional) - tames sibilance, after the compressor has raised it
+ * 7. Gain - normalizes loudness to target LUFS
+ * 8. True Peak Limiter - prevents peaks from exceeding ceiling (with 4× oversampling)
  * 
  * @param {AudioBuffer} inputBuffer - Raw recording
+ * @param {object} [preset] - Settings from getMasteringPreset() (defaults to streaming)
+ * @param {object} [speechProcessing] - Settings from getSpeechProcessing() (defaults to all bypassed).
+ *        Denoise only runs when speechProcessing.denoise.profile holds a createNoiseProfile() result;
+ *        otherwise it's recorded as skipped, for speechProcessing.denoise.skipReason if given.
  * @returns {Promise<{
  *   buffer: AudioBuffer,
  *   inputLufs: number,
  *   outputLufs: number,
  *   inputPeak: number,
  *   outputPeak: number,
- *   gainApplied: number
+ *   outputLra: number|null,
+ *   outputMaxMomentary: number|null,
+ *   outputMaxShortTerm: number|null,
+ *   gainApplied: number,
+ *   preset: object,
+ *   stages: Array<{id: string, name: string, enabled: boolean, params: object, skipped: string|null}>
  * }>}
  */
-export async function processForStreaming(inputBuffer) {
-    console.log('Starting mastering process...');
+export async function processForStreaming(inputBuffer, preset = MASTERING_PRESETS.streaming, speechProcessing = getSpeechProcessing()) {
+    console.log(`Starting mastering process (${preset.name}: ${preset.targetLufs} LUFS, ${preset.ceilingDb} dBTP)...`);
     
     // 1. Measure input loudness and peak
     const inputAnalysis = await measureBufferLufs(inputBuffer);
@@ -336,12 +511,54 @@ export async function processForStreaming(inputBuffer) {
         channels.push(new Float32Array(inputBuffer.getChannelData(ch)));
     }
     
-    // 3. Apply expander (noise floor reduction)
-    console.log('Applying expander...');
-    applyExpander(channels, sampleRate);
+    // 3. Stages before loudness normalization, in PROCESSING_CHAIN order.
+    // Ones switched on that can't run are kept in the result as skipped
+    const skipped = {};
+    const { skipReason: denoiseSkipReason, ...denoise } = speechProcessing.denoise;
+    if (denoise.enabled && !denoise.profile) {
+        skipped.denoise = denoiseSkipReason || 'no noise profile';
+        console.warn(`Denoise skipped - ${skipped.denoise}`);
+    }
+    
+    const stageParams = {
+        denoise: {
+            ...denoise,
+            enabled: denoise.enabled && !!denoise.profile
+        },
+        highPass: speechProcessing.highPass,
+        expander: {
+            enabled: preset.expanderRatio > 1,
+            threshold: preset.expanderThreshold,
+            ratio: preset.expanderRatio
+        },
+        eq: speechProcessing.eq,
+        compressor: speechProcessing.compressor,
+        deEsser: speechProcessing.deEsser
+    };
+    
+    for (const id of PROCESSING_CHAIN.slice(0, PROCESSING_CHAIN.indexOf('gain'))) {
+        const { enabled, ...params } = stageParams[id];
+        if (!enabled) continue;
+        
+        if (id === 'compressor') {
+            // The threshold is relative to the speech level as the stages
+            // so far left it, measured the way the compressor's detector sees it
+            const speechRmsDb = measureSpeechRms(channels, sampleRate);
+            if (speechRmsDb === null) {
+                skipped.compressor = 'no speech to set the threshold from';
+                console.warn(`Compressor skipped - ${skipped.compressor}`);
+                continue;
+            }
+            params.threshold = speechRmsDb + params.threshold;
+            stageParams.compressor = { enabled, ...params, speechRmsDb };
+        }
+        
+        console.log(`Applying ${STAGE_NAMES[id]}...`);
+        STAGE_FUNCTIONS[id](channels, sampleRate, params);
+    }
     
-    // 4. Measure LUFS after expander for accurate gain calculation
-    // (expander changes loudness, so we need post-expander measurement)
+    // 4. Measure LUFS after these stages for accurate gain calculation
+    // (expander and compressor change loudness, so we need a fresh measurement)
     const postExpanderCtx = new OfflineAudioContext(numberOfChannels, length, sampleRate);
     const postExpanderBuffer = postExpanderCtx.createBuffer(numberOfChannels, length, sampleRate);
     for (let ch = 0; ch < numberOfChannels; ch++) {
@@ -356,9 +573,9 @@ export async function processForStreaming(inputBuffer) {
     }
     
     // 5. Calculate and apply gain for LUFS normalization
-    const gainDb = TARGET_LUFS - postExpanderLufs;
+    const gainDb = preset.targetLufs - postExpanderLufs;
     const gainLinear = Math.pow(10, gainDb / 20);
-    console.log(`Post-expander: ${postExpanderLufs.toFixed(1)} LUFS, applying ${gainDb.toFixed(1)} dB gain...`);
+    console.log(`Pre-gain: ${postExpanderLufs.toFixed(1)} LUFS, applying ${gainDb.toFixed(1)} dB gain...`);
     
     for (let ch = 0; ch < numberOfChannels; ch++) {
         const data = channels[ch];
@@ -369,7 +586,7 @@ export async function processForStreaming(inputBuffer) {
     
     // 6. Apply true peak limiter
     console.log('Applying true peak limiter...');
-    applyTruePeakLimiter(channels, sampleRate);
+    applyTruePeakLimiter(channels, sampleRate, { ceiling: preset.ceilingDb });
     
     // 7. Create output AudioBuffer
     const outputCtx = new OfflineAudioContext(numberOfChannels, length, sampleRate);
@@ -393,93 +610,46 @@ export async function processForStreaming(inputBuffer) {
         outputLufs,
         inputPeak,
         outputPeak,
-        gainApplied: gainDb
+        outputLra: outputAnalysis.lra,
+        outputMaxMomentary: outputAnalysis.maxMomentary,
+        outputMaxShortTerm: outputAnalysis.maxShortTerm,
+        gainApplied: gainDb,
+        preset,
+        stages: PROCESSING_CHAIN.map(id => {
+            if (id === 'gain') {
+                return { id, name: STAGE_NAMES[id], enabled: true, params: { gainDb }, skipped: null };
+            }
+            if (id === 'limiter') {
+                return { id, name: STAGE_NAMES[id], enabled: true, params: { ceiling: preset.ceilingDb }, skipped: null };
+            }
+            const { enabled, ...params } = stageParams[id];
+            if (params.profile) {
+                // Summarize the profile rather than keeping its spectrum
+                const { source, sampleRate, frames, levelDb } = params.profile;
+                params.profile = { source, sampleRate, frames, levelDb };
+            }
+            return { id, name: STAGE_NAMES[id], enabled: enabled && !skipped[id], params, skipped: skipped[id] || null };
+        })
     };
 }
 
 /**
  * Convert an AudioBuffer to a playable blob URL (WAV format)
+ * 
+ * Uses 32-bit float so exports at any bit depth (see audio-export.js)
+ * start from the full-precision result.
+ * 
+ * Broadcast WAV metadata is added when exporting (exportRecording in
+ * studio-screen.js), not to these playback copies.
+ * 
  * @param {AudioBuffer} buffer - The audio buffer to encode
  * @returns {string} Blob URL for use in <audio> element
  */
 export function audioBufferToWavUrl(buffer) {
-    const wavBlob = encodeWav(buffer);
+    const wavBlob = encodeWav(buffer, { bitDepth: 32, float: true });
     return URL.createObjectURL(wavBlob);
 }
 
-/**
- * Encode AudioBuffer as WAV file
- * @param {AudioBuffer} buffer - Audio to encode
- * @returns {Blob} WAV file blob
- */
-function encodeWav(buffer) {
-    const numChannels = buffer.numberOfChannels;
-    const sampleRate = buffer.sampleRate;
-    const format = 1; // PCM
-    const bitsPerSample = 16;
-    
-    // Interleave channels
-    const length = buffer.length;
-    const outputLength = length * numChannels;
-    const output = new Float32Array(outputLength);
-    
-    for (let i = 0; i < length; i++) {
-        for (let ch = 0; ch < numChannels; ch++) {
-            output[i * numChannels + ch] = buffer.getChannelData(ch)[i];
-        }
-    }
-    
-    // Create WAV file
-    const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
-    const blockAlign = numChannels * (bitsPerSample / 8);
-    const dataSize = outputLength * (bitsPerSample / 8);
-    const headerSize = 44;
-    const totalSize = headerSize + dataSize;
-    
-    const arrayBuffer = new ArrayBuffer(totalSize);
-    const view = new DataView(arrayBuffer);
-    
-    // RIFF header
-    writeString(view, 0, 'RIFF');
-    view.setUint32(4, totalSize - 8, true);
-    writeString(view, 8, 'WAVE');
-    
-    // fmt chunk
-    writeString(view, 12, 'fmt ');
-    view.setUint32(16, 16, true); // chunk size
-    view.setUint16(20, format, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitsPerSample, true);
-    
-    // data chunk
-    writeString(view, 36, 'data');
-    view.setUint32(40, dataSize, true);
-    
-    // Write samples as 16-bit PCM
-    let offset = 44;
-    for (let i = 0; i < outputLength; i++) {
-        // Clamp and convert to 16-bit
-        const sample = Math.max(-1, Math.min(1, output[i]));
-        const int16 = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-        view.setInt16(offset, int16, true);
-        offset += 2;
-    }
-    
-    return new Blob([arrayBuffer], { type: 'audio/wav' });
-}
-
-/**
- * Write string to DataView
- */
-function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-    }
-}
-
 /**
  * Check if mastering is possible (recording exists and is long enough)
  * @param {string} recordingUrl - Blob URL of recording
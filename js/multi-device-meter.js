@@ -4,22 +4,37 @@
  * Manages multiple microphone streams simultaneously for the mic test screen.
  * Each device can be independently enabled/disabled for monitoring.
  * Uses a single AudioContext with multiple MediaStreamSource nodes.
+ * 
+ * Optionally computes a spectral fingerprint per device (mini spectrum,
+ * bandwidth, hum, sample rate), which tells a webcam or a Bluetooth
+ * headset in call mode apart from a full-bandwidth mic at a glance.
  */
 
 import { isChromiumBased } from './browser.js';
 import { getRmsFromAnalyser, cleanupAudioResources } from './utils.js';
+import { SpectrumAverager, getMiniSpectrum, estimateBandwidth, detectHum } from './spectral-analysis.js';
+
+// Spectrum analysis: 8192-point FFT gives ~6 Hz bins at 48 kHz, fine
+// enough to separate 50 Hz from 60 Hz hum
+const SPECTRUM_FFT_SIZE = 8192;
+const SPECTRUM_INTERVAL_MS = 100;
+const DISPLAY_SMOOTHING = 0.3;  // Averaging weight per update for the mini spectrum (~0.3s)
+const STATS_SMOOTHING = 0.03;   // ...and for bandwidth/hum (~3s, so speech pitch averages out)
 
 /**
  * State for all monitored devices
  */
 const deviceMeterState = {
     audioContext: null,
-    devices: new Map(), // deviceId -> { stream, source, analyser, enabled, label, groupId }
+    devices: new Map(), // deviceId -> { stream, source, analyser, enabled, paused, label, groupId }
     animationId: null,
     primaryDeviceId: null,  // The mic used for diagnostics
     allDevices: [],  // All enumerated devices (for UI rendering)
     deduplicatedDevices: [],  // Devices after Chrome deduplication
-    onLevelUpdate: null  // Callback for level updates
+    onLevelUpdate: null,  // Callback for level updates
+    spectrumEnabled: false,
+    onSpectrumUpdate: null,  // Callback for spectral fingerprints
+    lastSpectrumTime: 0
 };
 
 /**
@@ -180,14 +195,25 @@ export async function enableMonitoring(deviceId) {
         const track = stream.getAudioTracks()[0];
         const label = track?.label || 'Unknown Microphone';
         
+        // Separate high-resolution analyser for the spectral fingerprint
+        const spectrumAnalyser = deviceMeterState.audioContext.createAnalyser();
+        spectrumAnalyser.fftSize = SPECTRUM_FFT_SIZE;
+        spectrumAnalyser.smoothingTimeConstant = 0;
+        source.connect(spectrumAnalyser);
+        
         // Store in state
+        const settings = track?.getSettings() || {};
         deviceMeterState.devices.set(deviceId, {
             stream,
             source,
             analyser,
+            spectrumAnalyser,
+            displaySpectrum: new SpectrumAverager(spectrumAnalyser, { smoothing: DISPLAY_SMOOTHING }),
+            statsSpectrum: new SpectrumAverager(spectrumAnalyser, { smoothing: STATS_SMOOTHING }),
             enabled: true,
             label,
-            groupId: track?.getSettings()?.groupId
+            groupId: settings.groupId,
+            sampleRate: settings.sampleRate || null  // Device rate (Chromium only)
         });
         
         // Set as primary if none set
@@ -258,6 +284,63 @@ export function disableMonitoring(deviceId) {
     }
 }
 
+/**
+ * Pause monitoring for a device while a diagnostic needs it to itself
+ * Stops the stream but keeps the device's entry, analysers and averages,
+ * so resumeMonitoring() carries on where it left off
+ * 
+ * @param {string} deviceId - The device ID to pause
+ * @returns {boolean} Whether it was being monitored (and is now paused)
+ */
+export function pauseMonitoring(deviceId) {
+    const device = deviceMeterState.devices.get(deviceId);
+    if (!device?.enabled || device.paused) return false;
+    
+    device.stream.getTracks().forEach(t => t.stop());
+    device.source.disconnect();
+    device.paused = true;
+    return true;
+}
+
+/**
+ * Resume monitoring for a paused device
+ * Reopens its stream and reconnects the existing analysers
+ * 
+ * @param {string} deviceId - The device ID to resume
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function resumeMonitoring(deviceId) {
+    const device = deviceMeterState.devices.get(deviceId);
+    if (!device?.paused) return { success: true };
+    
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: { exact: deviceId }
+            }
+        });
+    } catch (error) {
+        console.error(`Failed to resume monitoring for ${deviceId}:`, error);
+        disableMonitoring(deviceId);
+        return { success: false, error: error.message };
+    }
+    
+    // Disabled or cleaned up meanwhile
+    if (deviceMeterState.devices.get(deviceId) !== device) {
+        stream.getTracks().forEach(t => t.stop());
+        return { success: false, error: 'Monitoring was stopped' };
+    }
+    
+    const source = deviceMeterState.audioContext.createMediaStreamSource(stream);
+    source.connect(device.analyser);
+    source.connect(device.spectrumAnalyser);
+    device.stream = stream;
+    device.source = source;
+    device.paused = false;
+    return { success: true };
+}
+
 /**
  * Check if a device is currently being monitored
  * @param {string} deviceId 
@@ -290,7 +373,7 @@ function startAnimationLoop() {
         
         // Update levels for all monitored devices
         deviceMeterState.devices.forEach((device, deviceId) => {
-            if (!device.enabled || !device.analyser) return;
+            if (!device.enabled || device.paused || !device.analyser) return;
             
             // Calculate RMS level using shared utility (high precision)
             const rms = getRmsFromAnalyser(device.analyser);
@@ -301,11 +384,95 @@ function startAnimationLoop() {
                 deviceMeterState.onLevelUpdate(deviceId, level);
             }
         });
+        
+        // Spectral fingerprints (throttled - they don't need 60fps)
+        const now = performance.now();
+        if (deviceMeterState.spectrumEnabled && now - deviceMeterState.lastSpectrumTime >= SPECTRUM_INTERVAL_MS) {
+            deviceMeterState.lastSpectrumTime = now;
+            deviceMeterState.devices.forEach((device, deviceId) => {
+                if (!device.enabled || device.paused || !device.spectrumAnalyser) return;
+                
+                updateSpectrumAverages(device);
+                if (deviceMeterState.onSpectrumUpdate) {
+                    deviceMeterState.onSpectrumUpdate(deviceId, getFingerprint(device));
+                }
+            });
+        }
     }
     
     update();
 }
 
+/**
+ * Fold the analyser's current spectrum into a device's running averages
+ * (one read shared by both)
+ * @param {object} device - Device state entry
+ */
+function updateSpectrumAverages(device) {
+    const bins = device.displaySpectrum.bins;
+    device.spectrumAnalyser.getFloatFrequencyData(bins);
+    device.displaySpectrum.addFrame(bins);
+    device.statsSpectrum.addFrame(bins);
+}
+
+/**
+ * Build a device's spectral fingerprint from its running averages
+ * @param {object} device - Device state entry
+ * @returns {object|null} See getSpectralFingerprint()
+ */
+function getFingerprint(device) {
+    const display = device.displaySpectrum.getAverage();
+    const stats = device.statsSpectrum.getAverage();
+    if (!stats) return null;
+    
+    const contextSampleRate = deviceMeterState.audioContext.sampleRate;
+    const binWidth = stats.binWidth;
+    
+    return {
+        spectrum: getMiniSpectrum(display.powers, binWidth),
+        bandwidth: estimateBandwidth(stats.powers, binWidth),
+        hum: detectHum(stats.powers, binWidth),
+        sampleRate: device.sampleRate,
+        contextSampleRate
+    };
+}
+
+/**
+ * Turn spectral fingerprints on or off for all monitored devices
+ * 
+ * Off by default - the extra FFTs aren't free with several mics open.
+ * Turning it off discards the running averages.
+ * 
+ * @param {boolean} enabled
+ * @param {Function} [onSpectrumUpdate] - Callback: (deviceId, fingerprint) => void
+ */
+export function setSpectrumEnabled(enabled, onSpectrumUpdate = null) {
+    deviceMeterState.spectrumEnabled = enabled;
+    deviceMeterState.onSpectrumUpdate = enabled ? onSpectrumUpdate : null;
+    deviceMeterState.lastSpectrumTime = 0;
+    
+    if (!enabled) {
+        deviceMeterState.devices.forEach(device => {
+            device.displaySpectrum.reset();
+            device.statsSpectrum.reset();
+        });
+    }
+}
+
+/**
+ * Get the current spectral fingerprint for a device
+ * @param {string} deviceId 
+ * @returns {{spectrum: number[], bandwidth: object|null, hum: object|null, sampleRate: number|null, contextSampleRate: number}|null}
+ *          spectrum: mini spectrum in dB relative to its loudest band;
+ *          bandwidth: from estimateBandwidth(); hum: from detectHum();
+ *          sampleRate: the device's own rate, if the browser reports it.
+ *          null until spectrum analysis has run for this device.
+ */
+export function getSpectralFingerprint(deviceId) {
+    const device = deviceMeterState.devices.get(deviceId);
+    return device?.enabled ? getFingerprint(device) : null;
+}
+
 /**
  * Get the analyser node for a device (for use by diagnostics)
  * @param {string} deviceId 
@@ -315,6 +482,15 @@ export function getAnalyser(deviceId) {
     return deviceMeterState.devices.get(deviceId)?.analyser || null;
 }
 
+/**
+ * Get the source node for a device (for capturing its samples)
+ * @param {string} deviceId 
+ * @returns {MediaStreamAudioSourceNode|null}
+ */
+export function getSource(deviceId) {
+    return deviceMeterState.devices.get(deviceId)?.source || null;
+}
+
 /**
  * Get the stream for a device (for use by diagnostics)
  * @param {string} deviceId 
@@ -366,6 +542,8 @@ export function cleanupAllMonitoring() {
     deviceMeterState.allDevices = [];
     deviceMeterState.deduplicatedDevices = [];
     deviceMeterState.onLevelUpdate = null;
+    deviceMeterState.spectrumEnabled = false;
+    deviceMeterState.onSpectrumUpdate = null;
 }
 
 /**
@@ -0,0 +1,242 @@
+/**
+ * Noise Reduction Module
+ * 
+ * Offline spectral noise reduction driven by a learned noise profile:
+ * - createNoiseProfile(): average noise spectrum from room tone
+ * - applyNoiseReduction(): STFT denoise by spectral subtraction or Wiener filtering
+ * 
+ * Profiles come from the room tone recorded by the noise-floor diagnostic
+ * (kept here via setRoomToneProfile) or from a quiet region of a Studio
+ * recording. Constant noise - fans, hum, hiss - is what this removes well;
+ * the expander only handles noise in the gaps between words.
+ */
+
+import { fft, hannWindow } from './fft.js';
+
+// STFT settings: Hann analysis and synthesis windows with 75% overlap
+const FFT_SIZE = 2048;
+const HOP_DIVISOR = 4;
+const OVERLAP_GAIN = 1.5;  // Sum of squared Hann windows at 75% overlap
+
+// Decision-directed a priori SNR smoothing (Ephraim-Malah)
+const WIENER_SMOOTHING = 0.98;
+
+/**
+ * Default denoise parameters
+ */
+export const NOISE_REDUCTION_DEFAULTS = {
+    method: 'wiener',       // 'wiener' or 'subtraction'
+    reduction: 12,          // Maximum attenuation in dB
+    overSubtraction: 2      // Noise estimate multiplier for spectral subtraction
+};
+
+// Room tone profile from the most recent noise-floor test
+let roomToneProfile = null;
+
+/**
+ * Store the room tone profile captured by the noise-floor diagnostic
+ * @param {object|null} profile - From createNoiseProfile()
+ */
+export function setRoomToneProfile(profile) {
+    roomToneProfile = profile;
+}
+
+/**
+ * Get the room tone profile from the last noise-floor test
+ * @returns {object|null}
+ */
+export function getRoomToneProfile() {
+    return roomToneProfile;
+}
+
+// ============================================
+// Noise profile
+// ============================================
+
+/**
+ * Learn a noise profile from room tone
+ * 
+ * Averages the power spectrum of the quietest half of the STFT frames
+ * (across all channels), so a cough or click during the room tone doesn't
+ * end up in the profile.
+ * 
+ * @param {Float32Array[]} channels - Room tone, one array per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} [options]
+ * @param {string} [options.source] - Where the room tone came from ('room', 'region')
+ * @returns {{source: string, sampleRate: number, fftSize: number, frames: number, power: Float64Array, levelDb: number}|null}
+ *          Per-bin mean power, or null if the room tone is shorter than one frame
+ */
+export function createNoiseProfile(channels, sampleRate, options = {}) {
+    const { source = 'room' } = options;
+    const hop = FFT_SIZE / HOP_DIVISOR;
+    const bins = FFT_SIZE / 2 + 1;
+    const window = hannWindow(FFT_SIZE);
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    
+    const frames = [];
+    for (const data of channels) {
+        for (let start = 0; start + FFT_SIZE <= data.length; start += hop) {
+            for (let i = 0; i < FFT_SIZE; i++) {
+                re[i] = data[start + i] * window[i];
+                im[i] = 0;
+            }
+            fft(re, im);
+            
+            const power = new Float64Array(bins);
+            let total = 0;
+            for (let k = 0; k < bins; k++) {
+                power[k] = re[k] * re[k] + im[k] * im[k];
+                total += power[k];
+            }
+            frames.push({ power, total });
+        }
+    }
+    
+    if (frames.length === 0) return null;
+    
+    // Quietest half of the frames (at least one)
+    frames.sort((a, b) => a.total - b.total);
+    const quiet = frames.slice(0, Math.max(1, Math.floor(frames.length / 2)));
+    
+    const power = new Float64Array(bins);
+    for (const frame of quiet) {
+        for (let k = 0; k < bins; k++) {
+            power[k] += frame.power[k] / quiet.length;
+        }
+    }
+    
+    // Equivalent RMS level (Parseval, Hann window energy 3N/8)
+    let sum = power[0] + power[bins - 1];
+    for (let k = 1; k < bins - 1; k++) sum += 2 * power[k];
+    const meanSquare = sum / (FFT_SIZE * FFT_SIZE * 3 / 8);
+    const levelDb = meanSquare > 0 ? 10 * Math.log10(meanSquare) : -Infinity;
+    
+    return { source, sampleRate, fftSize: FFT_SIZE, frames: quiet.length, power, levelDb };
+}
+
+/**
+ * Map a profile onto the bins of a recording at another sample rate
+ * 
+ * Bin power for the same FFT size scales with sample rate for the same
+ * noise density, so values are interpolated by frequency and rescaled.
+ * 
+ * @param {object} profile - From createNoiseProfile()
+ * @param {number} sampleRate - Sample rate of the audio being denoised
+ * @returns {Float64Array} Noise power per bin
+ */
+function getProfilePower(profile, sampleRate) {
+    if (profile.sampleRate === sampleRate) return profile.power;
+    
+    const bins = FFT_SIZE / 2 + 1;
+    const power = new Float64Array(bins);
+    const lastBin = profile.power.length - 1;
+    const scale = sampleRate / profile.sampleRate;
+    
+    for (let k = 0; k < bins; k++) {
+        const position = Math.min(lastBin, k * scale);
+        const below = Math.floor(position);
+        const above = Math.min(lastBin, below + 1);
+        const fraction = position - below;
+        const value = profile.power[below] * (1 - fraction) + profile.power[above] * fraction;
+        power[k] = value * sampleRate / profile.sampleRate;
+    }
+    
+    return power;
+}
+
+// ============================================
+// Denoise
+// ============================================
+
+/**
+ * Apply spectral noise reduction (in-place modification)
+ * 
+ * Each channel is processed with an STFT. Per bin, the gain comes from the
+ * noise profile:
+ * - 'subtraction': power spectral subtraction, sqrt(1 - α·N/|X|²)
+ * - 'wiener': Wiener gain ξ/(1+ξ) with a decision-directed a priori SNR,
+ *   which produces much less "musical noise" than plain subtraction
+ * Gains never go below -reduction dB, keeping some natural room tone.
+ * 
+ * @param {Float32Array[]} channels - Array of channel data arrays
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options - { profile, method, reduction, overSubtraction }
+ */
+export function applyNoiseReduction(channels, sampleRate, options = {}) {
+    const {
+        profile,
+        method = NOISE_REDUCTION_DEFAULTS.method,
+        reduction = NOISE_REDUCTION_DEFAULTS.reduction,
+        overSubtraction = NOISE_REDUCTION_DEFAULTS.overSubtraction
+    } = options;
+    
+    if (!profile) return;
+    
+    const hop = FFT_SIZE / HOP_DIVISOR;
+    const bins = FFT_SIZE / 2 + 1;
+    const window = hannWindow(FFT_SIZE);
+    const noise = getProfilePower(profile, sampleRate);
+    const minGain = Math.pow(10, -reduction / 20);
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    const gains = new Float64Array(bins);
+    const previousClean = new Float64Array(bins);  // |G·X|² of the previous frame
+    
+    for (const data of channels) {
+        const length = data.length;
+        
+        // Pad a frame of silence at each end so the edges are fully overlapped
+        const padded = new Float64Array(length + 2 * FFT_SIZE);
+        padded.set(data, FFT_SIZE);
+        const output = new Float64Array(padded.length);
+        previousClean.fill(0);
+        
+        for (let start = 0; start + FFT_SIZE <= padded.length; start += hop) {
+            for (let i = 0; i < FFT_SIZE; i++) {
+                re[i] = padded[start + i] * window[i];
+                im[i] = 0;
+            }
+            fft(re, im);
+            
+            for (let k = 0; k < bins; k++) {
+                const power = re[k] * re[k] + im[k] * im[k];
+                const noisePower = noise[k] + 1e-20;
+                let gain;
+                
+                if (method === 'subtraction') {
+                    gain = Math.sqrt(Math.max(0, 1 - overSubtraction * noisePower / (power + 1e-20)));
+                } else {
+                    const posteriorSnr = Math.max(power / noisePower - 1, 0);
+                    const prioriSnr = WIENER_SMOOTHING * previousClean[k] / noisePower +
+                        (1 - WIENER_SMOOTHING) * posteriorSnr;
+                    gain = prioriSnr / (1 + prioriSnr);
+                }
+                
+                gain = Math.max(minGain, gain);
+                gains[k] = gain;
+                previousClean[k] = gain * gain * power;
+            }
+            
+            // Apply to both halves of the (conjugate-symmetric) spectrum
+            for (let k = 0; k < bins; k++) {
+                re[k] *= gains[k];
+                im[k] *= gains[k];
+                if (k > 0 && k < bins - 1) {
+                    re[FFT_SIZE - k] *= gains[k];
+                    im[FFT_SIZE - k] *= gains[k];
+                }
+            }
+            fft(re, im, true);
+            
+            for (let i = 0; i < FFT_SIZE; i++) {
+                output[start + i] += re[i] * window[i] / OVERLAP_GAIN;
+            }
+        }
+        
+        for (let i = 0; i < length; i++) {
+            data[i] = output[FFT_SIZE + i];
+        }
+    }
+}
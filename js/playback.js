@@ -43,6 +43,7 @@ export class PlaybackRecorder {
         this.stream = stream;
         this.mediaRecorder = null;
         this.chunks = [];
+        this.recordedBytes = 0;
         this.currentBlobUrl = null;
         this.isRecording = false;
         this.aborted = false;
@@ -56,14 +57,20 @@ export class PlaybackRecorder {
     
     /**
      * Start recording for a specified duration
-     * @param {number} durationMs - How long to record in milliseconds
+     * @param {number|null} durationMs - How long to record in milliseconds (null = until stop())
+     * @param {object} [options]
+     * @param {number} [options.timeslice] - Deliver encoded data in chunks of this many ms,
+     *        so long takes are handed over as they go rather than held by the encoder
      * @returns {Promise<string>} - Resolves to blob URL of the recording
      */
-    start(durationMs = 5000) {
+    start(durationMs = 5000, options = {}) {
+        const { timeslice } = options;
+        
         return new Promise((resolve, reject) => {
             // Clean up any previous recording
             this.cleanup();
             this.chunks = [];
+            this.recordedBytes = 0;
             this.aborted = false;
             
             try {
@@ -77,6 +84,7 @@ export class PlaybackRecorder {
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data && event.data.size > 0) {
                     this.chunks.push(event.data);
+                    this.recordedBytes += event.data.size;
                 }
             };
             
@@ -106,17 +114,32 @@ export class PlaybackRecorder {
             
             // Start recording
             this.isRecording = true;
-            this.mediaRecorder.start();
+            if (timeslice) {
+                this.mediaRecorder.start(timeslice);
+            } else {
+                this.mediaRecorder.start();
+            }
             
             // Stop after duration
-            this.stopTimeout = setTimeout(() => {
-                if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-                    this.mediaRecorder.stop();
-                }
-            }, durationMs);
+            if (durationMs != null && isFinite(durationMs)) {
+                this.stopTimeout = setTimeout(() => {
+                    if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+                        this.mediaRecorder.stop();
+                    }
+                }, durationMs);
+            }
         });
     }
     
+    /**
+     * Get the size of the encoded audio received so far
+     * (grows during recording only when started with a timeslice)
+     * @returns {number} Bytes
+     */
+    getRecordedBytes() {
+        return this.recordedBytes;
+    }
+    
     /**
      * Stop the recording gracefully (creates the blob)
      */
@@ -0,0 +1,192 @@
+/**
+ * Recording Edit Module
+ * 
+ * Non-destructive edits for Studio recordings:
+ * - In/out points (trim)
+ * - Fade-in and fade-out (raised-cosine)
+ * - findSoundBounds(): finds where speech starts and ends, for cutting the
+ *   silence, pre-roll and stop click at the head and tail
+ * 
+ * The raw recording is never modified. An edit is a small settings object
+ * stored with the recording; applyEdit() renders it onto a decoded buffer
+ * whenever the recording is played, measured, processed or exported.
+ */
+
+/**
+ * Default edit (the whole recording, no fades)
+ */
+export const EDIT_DEFAULTS = {
+    start: 0,       // Seconds - in point
+    end: null,      // Seconds - out point (null = end of recording)
+    fadeIn: 0,      // Seconds
+    fadeOut: 0      // Seconds
+};
+
+// Shortest selection allowed (seconds)
+const MIN_SELECTION = 0.1;
+
+// Sound detection: 10ms analysis windows, sound must last 100ms to count
+// (so the stop click or a bump isn't mistaken for speech)
+const WINDOW_SECONDS = 0.01;
+const SUSTAIN_WINDOWS = 10;
+const SILENCE_BELOW_LOUDEST_DB = 40;
+const SILENCE_FLOOR_DB = -65;
+
+// Kept around the detected sound so breaths and decays aren't clipped
+const HEAD_PADDING = 0.15;
+const TAIL_PADDING = 0.25;
+
+/**
+ * Resolve an edit against a recording's duration
+ * 
+ * Clamps the in/out points to the recording, keeps at least MIN_SELECTION
+ * between them and shortens fades that don't fit the selection.
+ * 
+ * @param {object} [edit] - Partial edit settings
+ * @param {number} duration - Recording duration in seconds
+ * @returns {{start: number, end: number, fadeIn: number, fadeOut: number}}
+ */
+export function getEditRegion(edit, duration) {
+    const settings = { ...EDIT_DEFAULTS, ...(edit || {}) };
+    
+    const start = Math.min(Math.max(0, settings.start || 0), Math.max(0, duration - MIN_SELECTION));
+    const end = settings.end == null
+        ? duration
+        : Math.min(duration, Math.max(start + MIN_SELECTION, settings.end));
+    const length = end - start;
+    
+    const fadeIn = Math.min(Math.max(0, settings.fadeIn || 0), length);
+    const fadeOut = Math.min(Math.max(0, settings.fadeOut || 0), length - fadeIn);
+    
+    return { start, end, fadeIn, fadeOut };
+}
+
+/**
+ * Check whether an edit changes the recording at all
+ * @param {object} [edit] - Partial edit settings
+ * @param {number} duration - Recording duration in seconds
+ * @returns {boolean}
+ */
+export function isEdited(edit, duration) {
+    const { start, end, fadeIn, fadeOut } = getEditRegion(edit, duration);
+    return start > 0 || end < duration || fadeIn > 0 || fadeOut > 0;
+}
+
+/**
+ * Find where sound starts and ends
+ * 
+ * Levels are measured in 10ms windows. The threshold sits 40 dB below the
+ * loudest window (never below -65 dBFS), and sound must be sustained for
+ * 100ms, so clicks at the head or tail are treated as silence.
+ * 
+ * @param {Float32Array[]} channels - One array per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{start: number, end: number}|null} Padded bounds in seconds,
+ *          or null if the recording is silent
+ */
+export function findSoundBounds(channels, sampleRate) {
+    const windowSize = Math.max(1, Math.round(WINDOW_SECONDS * sampleRate));
+    const length = channels[0]?.length || 0;
+    const numWindows = Math.floor(length / windowSize);
+    if (numWindows === 0) return null;
+    
+    // Mean square per window, across channels
+    const levels = new Float64Array(numWindows);
+    let loudest = 0;
+    for (let w = 0; w < numWindows; w++) {
+        let sum = 0;
+        for (const data of channels) {
+            for (let i = w * windowSize; i < (w + 1) * windowSize; i++) {
+                sum += data[i] * data[i];
+            }
+        }
+        levels[w] = sum / (windowSize * channels.length);
+        if (levels[w] > loudest) loudest = levels[w];
+    }
+    
+    if (loudest === 0) return null;
+    const loudestDb = 10 * Math.log10(loudest);
+    const thresholdDb = Math.max(loudestDb - SILENCE_BELOW_LOUDEST_DB, SILENCE_FLOOR_DB);
+    if (loudestDb < thresholdDb) return null;
+    const threshold = Math.pow(10, thresholdDb / 10);
+    
+    // Sound is sustained when at least half the next SUSTAIN_WINDOWS are above threshold
+    const isSustained = (w, direction) => {
+        if (levels[w] < threshold) return false;
+        let count = 0;
+        for (let k = 0; k < SUSTAIN_WINDOWS; k++) {
+            const index = w + k * direction;
+            if (index < 0 || index >= numWindows) break;
+            if (levels[index] >= threshold) count++;
+        }
+        return count >= SUSTAIN_WINDOWS / 2;
+    };
+    
+    let first = 0;
+    while (first < numWindows && !isSustained(first, 1)) first++;
+    let last = numWindows - 1;
+    while (last > first && !isSustained(last, -1)) last--;
+    
+    if (first >= numWindows) return null;
+    
+    const duration = length / sampleRate;
+    return {
+        start: Math.max(0, first * WINDOW_SECONDS - HEAD_PADDING),
+        end: Math.min(duration, (last + 1) * WINDOW_SECONDS + TAIL_PADDING)
+    };
+}
+
+/**
+ * Apply an edit to channel data
+ * 
+ * Fades use a raised-cosine curve, which starts and ends without a slope
+ * change and so doesn't click.
+ * 
+ * @param {Float32Array[]} channels - One array per channel (not modified)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} [edit] - Partial edit settings
+ * @returns {Float32Array[]} Trimmed and faded copies
+ */
+export function applyEditToChannels(channels, sampleRate, edit) {
+    const duration = (channels[0]?.length || 0) / sampleRate;
+    const { start, end, fadeIn, fadeOut } = getEditRegion(edit, duration);
+    
+    const startSample = Math.round(start * sampleRate);
+    const endSample = Math.max(startSample, Math.round(end * sampleRate));
+    const length = endSample - startSample;
+    const fadeInSamples = Math.round(fadeIn * sampleRate);
+    const fadeOutSamples = Math.round(fadeOut * sampleRate);
+    
+    return channels.map(data => {
+        const output = data.slice(startSample, endSample);
+        for (let i = 0; i < fadeInSamples && i < length; i++) {
+            output[i] *= 0.5 - 0.5 * Math.cos(Math.PI * i / fadeInSamples);
+        }
+        for (let i = 0; i < fadeOutSamples && i < length; i++) {
+            output[length - 1 - i] *= 0.5 - 0.5 * Math.cos(Math.PI * i / fadeOutSamples);
+        }
+        return output;
+    });
+}
+
+/**
+ * Apply an edit to an AudioBuffer
+ * @param {AudioBuffer} buffer - Decoded recording (not modified)
+ * @param {object} [edit] - Partial edit settings
+ * @returns {AudioBuffer} The edited audio, or the input buffer if the edit changes nothing
+ */
+export function applyEdit(buffer, edit) {
+    if (!isEdited(edit, buffer.duration)) return buffer;
+    
+    const { numberOfChannels, sampleRate } = buffer;
+    const channels = [];
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+        channels.push(buffer.getChannelData(ch));
+    }
+    const edited = applyEditToChannels(channels, sampleRate, edit);
+    
+    const ctx = new OfflineAudioContext(numberOfChannels, edited[0].length, sampleRate);
+    const output = ctx.createBuffer(numberOfChannels, edited[0].length, sampleRate);
+    edited.forEach((data, ch) => output.copyToChannel(data, ch));
+    return output;
+}
@@ -0,0 +1,165 @@
+/**
+ * Recording Store Module
+ * 
+ * Opt-in IndexedDB persistence for the Studio recordings library, so takes
+ * survive reloads and tab crashes. Everything stays in this browser's own
+ * storage - nothing is uploaded. Turning persistence off deletes the
+ * stored copies.
+ * 
+ * Stored records hold the raw and processed audio as Blobs plus the
+ * measurements, waveform data and mastering settings of each recording.
+ */
+
+const DB_NAME = 'mic-check-studio';
+const DB_VERSION = 1;
+const STORE_NAME = 'recordings';
+
+// Opt-in flag (a preference, not recording data)
+const ENABLED_KEY = 'mic-check-persist-recordings';
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is available
+ * @returns {boolean}
+ */
+export function isPersistenceSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Check whether the user has opted in to keeping recordings
+ * @returns {boolean}
+ */
+export function isPersistenceEnabled() {
+    try {
+        return isPersistenceSupported() && localStorage.getItem(ENABLED_KEY) === '1';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Turn persistence on or off
+ * 
+ * Turning it on asks the browser not to evict our storage under pressure.
+ * Turning it off only records the choice - the caller deletes the stored
+ * recordings with clearStoredRecordings() once its pending saves are done,
+ * so a save already in flight can't write one back.
+ * 
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+export async function setPersistenceEnabled(enabled) {
+    try {
+        if (enabled) {
+            localStorage.setItem(ENABLED_KEY, '1');
+        } else {
+            localStorage.removeItem(ENABLED_KEY);
+        }
+    } catch (e) {
+        console.warn('Could not save persistence preference:', e);
+    }
+    
+    if (enabled && navigator.storage?.persist) {
+        const persisted = await navigator.storage.persist().catch(() => false);
+        console.log(`Recording storage ${persisted ? 'persistent' : 'best-effort (may be evicted)'}`);
+    }
+}
+
+/**
+ * Open (and create if needed) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Allow a retry after a failed open
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a request against the recordings store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @returns {Promise<any>} Request result
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Save (insert or replace) a recording record
+ * @param {object} record - Serializable recording with rawBlob/processedBlob
+ * @returns {Promise<void>}
+ */
+export async function saveStoredRecording(record) {
+    await withStore('readwrite', store => store.put(record));
+}
+
+/**
+ * Load all stored recordings, oldest first
+ * @returns {Promise<object[]>}
+ */
+export async function loadStoredRecordings() {
+    const records = await withStore('readonly', store => store.getAll());
+    return (records || []).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Delete one stored recording
+ * @param {number} id - Recording ID
+ * @returns {Promise<void>}
+ */
+export async function deleteStoredRecording(id) {
+    await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Delete every stored recording
+ * @returns {Promise<void>}
+ */
+export async function clearStoredRecordings() {
+    if (!isPersistenceSupported()) return;
+    await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * Get storage used by stored recordings
+ * @returns {Promise<{count: number, bytes: number, quota: number|null}>}
+ *          bytes is the total audio size; quota is the browser's estimate for this site
+ */
+export async function getStorageUsage() {
+    const records = await loadStoredRecordings();
+    const bytes = records.reduce(
+        (sum, record) => sum + (record.rawBlob?.size || 0) + (record.processedBlob?.size || 0), 0
+    );
+    
+    let quota = null;
+    if (navigator.storage?.estimate) {
+        const estimate = await navigator.storage.estimate().catch(() => null);
+        quota = estimate?.quota ?? null;
+    }
+    
+    return { count: records.length, bytes, quota };
+}
@@ -0,0 +1,359 @@
+/**
+ * Sample Capture Module
+ * 
+ * Gapless capture of raw samples for measurement (LUFS block collection).
+ * 
+ * The preferred path is an AudioWorklet (worklets/sample-capture-processor.js)
+ * that streams every sample from the audio thread, so timer jitter and
+ * background-tab throttling can't cause missed samples. Where AudioWorklet
+ * isn't available, it falls back to polling AnalyserNodes: each poll reads
+ * only the samples produced since the previous one, and anything the
+ * analyser overwrote in between is recorded as a gap.
+ */
+
+const PROCESSOR_NAME = 'sample-capture-processor';
+const PROCESSOR_URL = new URL('./worklets/sample-capture-processor.js', import.meta.url);
+
+// Samples per worklet message (~43ms at 48kHz)
+const WORKLET_BATCH_SIZE = 2048;
+
+// Polling fallback analyser size (~170ms at 48kHz) - max tolerated poll interval
+const POLLING_BUFFER_SIZE = 8192;
+
+// Longest to wait for the worklet's final batch after stop()
+const STOP_TIMEOUT_MS = 250;
+
+// Processor module load promise per AudioContext (addModule is per context)
+const processorModules = new WeakMap();
+
+/**
+ * Load the capture processor into an AudioContext (once per context)
+ * @param {AudioContext} audioContext
+ * @returns {Promise<void>}
+ */
+function loadProcessorModule(audioContext) {
+    if (!processorModules.has(audioContext)) {
+        processorModules.set(audioContext, audioContext.audioWorklet.addModule(PROCESSOR_URL));
+    }
+    return processorModules.get(audioContext);
+}
+
+/**
+ * Check whether AudioWorklet capture can be used in this browser
+ * @param {AudioContext} audioContext
+ * @returns {boolean}
+ */
+export function isWorkletCaptureSupported(audioContext) {
+    return typeof AudioWorkletNode !== 'undefined' && !!audioContext?.audioWorklet;
+}
+
+/**
+ * Streams samples from an audio node to a callback
+ * 
+ * Usage:
+ *   const capture = new SampleCapture(ctx, rlbFilter, { channelCount: 2, onSamples });
+ *   await capture.init();   // 'worklet' or 'polling'
+ *   capture.start();
+ *   // call capture.poll() regularly - a no-op in worklet mode
+ *   await capture.stop();  // resolves once the last samples are delivered
+ *   capture.disconnect();
+ */
+export class SampleCapture {
+    /**
+     * @param {AudioContext} audioContext - Context the input node belongs to
+     * @param {AudioNode} inputNode - Node whose output is captured
+     * @param {object} options
+     * @param {number} [options.channelCount=1] - Number of channels to capture
+     * @param {function(Float32Array[], number): void} options.onSamples - Receives one array per
+     *        channel, and the number of frames the capture missed before them (polling gaps).
+     *        Arrays may be reused after the callback returns, so consume them synchronously.
+     */
+    constructor(audioContext, inputNode, options = {}) {
+        this.audioContext = audioContext;
+        this.inputNode = inputNode;
+        this.channelCount = Math.max(1, options.channelCount || 1);
+        this.onSamples = options.onSamples || (() => {});
+        
+        this.mode = null;  // 'worklet' | 'polling'
+        this.active = false;
+        
+        // Worklet path
+        this.workletNode = null;
+        this.run = 0;          // Tags the worklet's messages with the start() they belong to
+        this.stopping = null;  // { resolve, timeout } until the final batch arrives
+        
+        // Polling fallback path
+        this.splitter = null;
+        this.analysers = [];
+        this.buffers = [];
+        this.lastReadTime = 0;
+        
+        this.integrity = this._createIntegrity();
+    }
+    
+    /**
+     * Connect the capture nodes, preferring AudioWorklet
+     * @returns {Promise<string>} Capture mode: 'worklet' or 'polling'
+     */
+    async init() {
+        if (isWorkletCaptureSupported(this.audioContext)) {
+            try {
+                await loadProcessorModule(this.audioContext);
+                this._initWorklet();
+                this.mode = 'worklet';
+                return this.mode;
+            } catch (error) {
+                console.warn('AudioWorklet capture unavailable, falling back to polling:', error);
+            }
+        }
+        
+        this._initPolling();
+        this.mode = 'polling';
+        return this.mode;
+    }
+    
+    /**
+     * Create the worklet node and route its messages to onSamples
+     * @private
+     */
+    _initWorklet() {
+        this.workletNode = new AudioWorkletNode(this.audioContext, PROCESSOR_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,  // Sink node - processed without reaching the destination
+            channelCount: this.channelCount,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'discrete',
+            processorOptions: { batchSize: WORKLET_BATCH_SIZE }
+        });
+        
+        this.workletNode.port.onmessage = (event) => {
+            const { type, channels, frame, run } = event.data || {};
+            if (run !== this.run) return;
+            if (type === 'stopped') {
+                this._finishStop();
+                return;
+            }
+            if (type !== 'samples' || !(this.active || this.stopping)) return;
+            
+            // Frame positions should be contiguous - a jump means lost audio
+            const integrity = this.integrity;
+            if (integrity.firstFrame === null) integrity.firstFrame = frame;
+            const missedFrames = integrity.nextFrame !== null ? frame - integrity.nextFrame : 0;
+            integrity.nextFrame = frame + channels[0].length;
+            
+            this._receive(channels, Math.max(0, missedFrames));
+        };
+        
+        this.inputNode.connect(this.workletNode);
+    }
+    
+    /**
+     * Create per-channel analysers for the polling fallback
+     * @private
+     */
+    _initPolling() {
+        const ctx = this.audioContext;
+        
+        // Splitter keeps channel handling 'discrete', matching the worklet path
+        this.splitter = ctx.createChannelSplitter(this.channelCount);
+        this.inputNode.connect(this.splitter);
+        
+        for (let ch = 0; ch < this.channelCount; ch++) {
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = POLLING_BUFFER_SIZE;
+            analyser.smoothingTimeConstant = 0;
+            this.splitter.connect(analyser, ch);
+            this.analysers.push(analyser);
+            this.buffers.push(new Float32Array(POLLING_BUFFER_SIZE));
+        }
+    }
+    
+    /**
+     * Begin delivering samples (resets integrity stats)
+     */
+    start() {
+        if (!this.mode) return;
+        
+        this.integrity = this._createIntegrity();
+        this.integrity.startTime = this.audioContext.currentTime;
+        if (this.mode === 'polling') {
+            // The first poll reports everything since now, unread frames as missed
+            this.integrity.firstFrame = Math.round(this.audioContext.currentTime * this.audioContext.sampleRate);
+        }
+        this.lastReadTime = this.audioContext.currentTime;
+        this.active = true;
+        
+        // A previous run's final batch no longer counts
+        this._finishStop();
+        this.run++;
+        
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'start', run: this.run });
+        }
+    }
+    
+    /**
+     * Read new samples from the analysers (polling fallback only)
+     * 
+     * Safe to call in worklet mode - samples already arrive on their own.
+     */
+    poll() {
+        if (this.mode !== 'polling' || !this.active) return;
+        
+        const now = this.audioContext.currentTime;
+        const newFrames = Math.round((now - this.lastReadTime) * this.audioContext.sampleRate);
+        if (newFrames <= 0) return;
+        this.lastReadTime = now;
+        
+        // Only the tail of the analyser buffer is new; anything older than
+        // the buffer length was overwritten before we could read it
+        const available = Math.min(newFrames, POLLING_BUFFER_SIZE);
+        const channels = this.analysers.map((analyser, ch) => {
+            const buffer = this.buffers[ch];
+            analyser.getFloatTimeDomainData(buffer);
+            return buffer.subarray(buffer.length - available);
+        });
+        
+        this._receive(channels, newFrames - available);
+    }
+    
+    /**
+     * Stop delivering samples (integrity stats are kept)
+     * 
+     * In worklet mode the samples captured since the last full batch are
+     * still on their way - await the result to have them delivered.
+     * @returns {Promise<void>} Resolves once the last samples are delivered
+     */
+    stop() {
+        if (!this.active) {
+            return this.stopping ? this.stopping.promise : Promise.resolve();
+        }
+        
+        this.integrity.endTime = this.audioContext.currentTime;
+        this.active = false;
+        
+        if (!this.workletNode) return Promise.resolve();
+        
+        // Don't wait forever on a suspended or closed context
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        const timeout = setTimeout(() => this._finishStop(), STOP_TIMEOUT_MS);
+        this.stopping = { promise, resolve, timeout };
+        
+        this.workletNode.port.postMessage({ type: 'stop' });
+        return promise;
+    }
+    
+    /**
+     * Stop and disconnect all capture nodes
+     * Samples still on their way from the worklet are dropped - await stop() first to keep them.
+     */
+    disconnect() {
+        this.stop();
+        this._finishStop();
+        
+        try {
+            if (this.workletNode) {
+                this.workletNode.port.postMessage({ type: 'close' });
+                this.workletNode.port.onmessage = null;
+                this.workletNode.port.close();
+                this.inputNode.disconnect(this.workletNode);
+            }
+            if (this.splitter) {
+                this.inputNode.disconnect(this.splitter);
+                this.splitter.disconnect();
+            }
+        } catch (e) { /* ignore cleanup errors */ }
+        
+        this.workletNode = null;
+        this.splitter = null;
+        this.analysers = [];
+        this.buffers = [];
+    }
+    
+    /**
+     * Get sample capture integrity stats
+     * @returns {{method: string, gaps: number, maxGapMs: number, coverage: number, isReliable: boolean}}
+     */
+    getIntegrity() {
+        const integrity = this.integrity;
+        const sampleRate = this.audioContext.sampleRate;
+        
+        let coverage = 100;
+        if (integrity.startTime !== null) {
+            const endTime = integrity.endTime ?? this.audioContext.currentTime;
+            const expectedSamples = Math.round((endTime - integrity.startTime) * sampleRate);
+            if (expectedSamples > 0) {
+                coverage = Math.round(integrity.collectedSamples / expectedSamples * 1000) / 10;
+            }
+        }
+        
+        return {
+            method: this.mode,
+            gaps: integrity.gaps,
+            maxGapMs: Math.round(integrity.maxGapMs),
+            coverage,
+            isReliable: integrity.gaps === 0 && coverage >= 95
+        };
+    }
+    
+    /**
+     * Get the AudioContext frame of the first captured sample
+     * 
+     * Counting missed frames, sample n of the capture was rendered at
+     * context frame firstFrame + n - lines recordings up with sounds
+     * scheduled on the same context.
+     * @returns {number|null} Null until the first samples arrive (worklet mode)
+     */
+    getFirstFrame() {
+        return this.integrity.firstFrame;
+    }
+    
+    /**
+     * End a pending stop() - its final batch arrived, timed out, or is no longer wanted
+     * @private
+     */
+    _finishStop() {
+        if (!this.stopping) return;
+        
+        const { resolve, timeout } = this.stopping;
+        clearTimeout(timeout);
+        this.stopping = null;
+        resolve();
+    }
+    
+    /**
+     * Record delivered samples and pass them on
+     * @param {Float32Array[]} channels - One array per channel
+     * @param {number} missedFrames - Frames lost before this batch
+     * @private
+     */
+    _receive(channels, missedFrames) {
+        const integrity = this.integrity;
+        
+        if (missedFrames > 0) {
+            const gapMs = missedFrames / this.audioContext.sampleRate * 1000;
+            integrity.gaps++;
+            integrity.maxGapMs = Math.max(integrity.maxGapMs, gapMs);
+        }
+        
+        integrity.collectedSamples += channels[0].length;
+        this.onSamples(channels, missedFrames);
+    }
+    
+    /**
+     * @returns {object} Fresh integrity tracking state
+     * @private
+     */
+    _createIntegrity() {
+        return {
+            startTime: null,
+            endTime: null,
+            firstFrame: null,
+            nextFrame: null,
+            collectedSamples: 0,
+            gaps: 0,
+            maxGapMs: 0
+        };
+    }
+}
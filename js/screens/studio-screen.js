@@ -17,25 +17,49 @@ import {
     getRecordings,
     getRecording,
     deleteRecording,
+    deleteProcessedRecording,
     setRecordingProcessing,
     setRecordingProcessed,
+    setRecordingMasteringPreset,
+    setRecordingSpeechStage,
+    setRecordingEdit,
+    setRecordingMeasurements,
     addRecordingToLibrary,
     isRecordingsFull,
     getMaxRecordings,
     isRecording as isStudioRecording,
     resetPeaks,
+    resetLoudness,
     getWaveformData,
+    getCurrentDeviceInfo,
     isRunning as isStudioRunning,
-    getChannelCount
+    getChannelCount,
+    RECORDING_DURATIONS,
+    setMaxRecordingDuration,
+    getMaxRecordingDuration,
+    getRecordingMemoryEstimate,
+    restoreRecordings,
+    setRecordingsPersistence,
+    getRecordingsStorageUsage,
+    clearAllRecordings
 } from '../studio.js';
 
 import {
     decodeRecordingBlob,
     measureBufferLufs,
     processForStreaming,
-    audioBufferToWavUrl
+    audioBufferToWavUrl,
+    MASTERING_PRESETS,
+    getMasteringPreset,
+    measureBufferTruePeak
 } from '../mastering.js';
 
+import { SPEECH_STAGE_NAMES, getSpeechProcessing } from '../speech-processing.js';
+import { createNoiseProfile, getRoomToneProfile } from '../noise-reduction.js';
+import { EXPORT_FORMATS, encodeAudio, downloadBlob, getExtensionForMimeType } from '../audio-export.js';
+import { isPersistenceSupported, isPersistenceEnabled } from '../recording-store.js';
+import { getEditRegion, isEdited, findSoundBounds, applyEdit } from '../recording-edit.js';
+
 // ============================================
 // Studio Monitor Screen (DAW-style)
 // ============================================
@@ -54,6 +78,7 @@ function getStudioElements() {
         btnRecord: document.getElementById('studio-btn-record'),
         btnStop: document.getElementById('studio-btn-stop'),
         btnPlay: document.getElementById('studio-btn-play'),
+        durationSelect: document.getElementById('studio-duration-select'),
         timeDisplay: document.getElementById('studio-time'),
         statusDisplay: document.getElementById('studio-status'),
         
@@ -80,16 +105,30 @@ function getStudioElements() {
         
         // Readouts
         peakValue: document.getElementById('studio-peak-value'),
+        lufsMomentaryValue: document.getElementById('studio-lufs-momentary-value'),
         lufsValue: document.getElementById('studio-lufs-value'),
+        lufsIntegratedValue: document.getElementById('studio-lufs-integrated-value'),
+        btnLufsReset: document.getElementById('studio-btn-lufs-reset'),
         balanceContainer: document.getElementById('studio-balance-container'),
         balanceValue: document.getElementById('studio-balance-value'),
         
         // Recordings library
         recordingsContainer: document.getElementById('studio-recordings-container'),
         recordingsCount: document.getElementById('studio-recordings-count'),
+        persistToggle: document.getElementById('studio-persist-toggle'),
+        storageUsage: document.getElementById('studio-storage-usage'),
+        btnDeleteAll: document.getElementById('studio-btn-delete-all'),
         recordingStatus: document.getElementById('studio-recording-status'),
         recTime: document.getElementById('studio-rec-time'),
-        recordingsList: document.getElementById('studio-recordings-list')
+        recMemory: document.getElementById('studio-rec-memory'),
+        recordingsList: document.getElementById('studio-recordings-list'),
+        
+        // Export dialog
+        exportDialog: document.getElementById('studio-export-dialog'),
+        exportFormat: document.getElementById('studio-export-format'),
+        exportDither: document.getElementById('studio-export-dither'),
+        exportBwf: document.getElementById('studio-export-bwf'),
+        exportError: document.getElementById('studio-export-error')
     };
 }
 
@@ -97,6 +136,45 @@ function getStudioElements() {
 let activePlaybackId = null;
 let activePlaybackAudio = null;
 
+// Rendered playback of edited raw recordings: id -> { key, url }
+const editedPlaybackUrls = new Map();
+
+// Decoded length of each raw recording: id -> Promise<seconds>
+const decodedDurations = new Map();
+
+// Short fades added by Cut silence so the new cut points don't click
+const CUT_SILENCE_FADE = 0.01;
+
+// Editable parameters per speech stage (denoise has its own picker).
+// scale converts the shown value to the stored one (ms → s)
+const STAGE_PARAM_FIELDS = {
+    highPass: [
+        { field: 'frequency', label: 'Hz', step: 5, min: 20, max: 400 },
+        { field: 'slope', label: 'dB/oct', options: [12, 24] }
+    ],
+    eq: [
+        { field: 'frequency', label: 'Hz', step: 10, min: 20, max: 20000 },
+        { field: 'gain', label: 'dB', step: 0.5, min: -12, max: 12 },
+        { field: 'q', label: 'Q', step: 0.1, min: 0.1, max: 10 }
+    ],
+    compressor: [
+        { field: 'threshold', label: 'dB over speech', step: 0.5, min: -20, max: 20 },
+        { field: 'ratio', label: ':1', step: 0.5, min: 1, max: 20 },
+        { field: 'attack', label: 'ms attack', step: 1, min: 0.1, max: 200, scale: 0.001 },
+        { field: 'release', label: 'ms release', step: 10, min: 10, max: 2000, scale: 0.001 }
+    ],
+    deEsser: [
+        { field: 'frequency', label: 'Hz', step: 100, min: 2000, max: 12000 },
+        { field: 'threshold', label: 'dB', step: 1, min: -30, max: 0 }
+    ]
+};
+
+const EQ_BAND_NAMES = {
+    peaking: 'Peak',
+    lowshelf: 'Low shelf',
+    highshelf: 'High shelf'
+};
+
 /**
  * Initialize the studio monitor screen
  */
@@ -154,6 +232,11 @@ async function showStudioVisualizations(els) {
 async function startStudioMonitor(deviceId, els) {
     const result = await initStudio(deviceId);
     
+    // initStudio clears the in-memory library; bring back saved recordings
+    if (await restoreRecordings() > 0) {
+        renderRecordingsList(els);
+    }
+    
     if (result.success) {
         selectedStudioDeviceId = deviceId;
         
@@ -260,6 +343,50 @@ function setupStudioEventListeners(els) {
         }
     });
     
+    // Recording length
+    if (els.durationSelect) {
+        els.durationSelect.innerHTML = RECORDING_DURATIONS.map(({ seconds, label }) =>
+            `<option value="${seconds ?? ''}">${label}</option>`
+        ).join('');
+        els.durationSelect.value = String(getMaxRecordingDuration() ?? '');
+        updateDurationHint(els);
+        els.durationSelect.addEventListener('change', () => {
+            setMaxRecordingDuration(parseInt(els.durationSelect.value, 10) || null);
+            updateDurationHint(els);
+        });
+    }
+    
+    // Loudness reset (restarts integrated LUFS)
+    els.btnLufsReset?.addEventListener('click', () => {
+        resetLoudness();
+    });
+    
+    // Keep recordings on this device (opt-in)
+    if (els.persistToggle) {
+        els.persistToggle.checked = isPersistenceEnabled();
+        els.persistToggle.disabled = !isPersistenceSupported();
+        els.persistToggle.addEventListener('change', async () => {
+            const enabled = els.persistToggle.checked;
+            if (!enabled && getRecordings().length > 0 &&
+                !confirm('Stop keeping recordings? Saved copies are deleted now; current recordings stay until you leave or reload.')) {
+                els.persistToggle.checked = true;
+                return;
+            }
+            await setRecordingsPersistence(enabled);
+            updateStorageUsage(els);
+        });
+    }
+    
+    // Delete all recordings
+    els.btnDeleteAll?.addEventListener('click', async () => {
+        if (!confirm('Delete all recordings? This cannot be undone.')) return;
+        stopActivePlayback(els);
+        await clearAllRecordings();
+        releaseEditedPlayback();
+        els.btnPlay.disabled = true;
+        renderRecordingsList(els);
+    });
+    
     // Device select
     els.deviceSelect?.addEventListener('change', async (e) => {
         const deviceId = e.target.value;
@@ -288,13 +415,15 @@ function setupStudioEventListeners(els) {
         els.btnRecord.disabled = true;
         els.btnStop.disabled = false;
         els.btnPlay.disabled = true;
+        if (els.durationSelect) els.durationSelect.disabled = true;
         
         // Show pre-roll state
         els.statusDisplay.textContent = 'Starting...';
         els.statusDisplay.className = 'transport-status';
         
-        // Reset peaks when starting new recording
+        // Reset peaks and integrated loudness when starting new recording
         resetPeaks();
+        resetLoudness();
         
         // Start recording (includes 250ms pre-roll delay)
         const recordingPromise = startStudioRecording();
@@ -312,10 +441,14 @@ function setupStudioEventListeners(els) {
         setTimeout(() => {
             if (isStudioRecording()) {
                 const startTime = Date.now();
+                const maxSeconds = getMaxRecordingDuration();
                 studioRecordingTimer = setInterval(() => {
                     const elapsed = (Date.now() - startTime) / 1000;
-                    els.recTime.textContent = formatTime(elapsed);
+                    els.recTime.textContent = maxSeconds
+                        ? `${formatTime(elapsed)} / ${formatTime(maxSeconds)}`
+                        : formatTime(elapsed);
                     els.timeDisplay.textContent = formatTime(elapsed);
+                    updateRecordingMemory(els, elapsed);
                 }, 100);
             }
         }, 250);
@@ -347,9 +480,8 @@ function setupStudioEventListeners(els) {
         if (recordings.length > 0) {
             const latest = recordings[recordings.length - 1];
             // Prefer processed if available, otherwise raw
-            const url = latest.processedUrl || latest.rawUrl;
             const type = latest.processedUrl ? 'processed' : 'raw';
-            toggleRecordingPlayback(els, latest.id, type, url);
+            playRecording(els, latest, type);
         }
     });
 }
@@ -372,6 +504,26 @@ function showRecordingStatus(els) {
     }
 }
 
+/**
+ * Show the memory a take is using while it records
+ */
+function updateRecordingMemory(els, elapsed) {
+    if (!els.recMemory) return;
+    const { recordedBytes, processingBytes } = getRecordingMemoryEstimate(elapsed);
+    els.recMemory.textContent = `${formatMegabytes(recordedBytes)} recorded · ~${formatMegabytes(processingBytes)} to process`;
+}
+
+/**
+ * Describe the memory the chosen recording length needs
+ */
+function updateDurationHint(els) {
+    const maxSeconds = getMaxRecordingDuration();
+    const { processingBytes } = getRecordingMemoryEstimate(maxSeconds || 60);
+    els.durationSelect.title = maxSeconds
+        ? `Recording length - a full take needs about ${formatMegabytes(processingBytes)} of memory to process`
+        : `Records until you press stop - about ${formatMegabytes(processingBytes)} of memory per minute to process`;
+}
+
 /**
  * Hide recording status indicator
  */
@@ -380,6 +532,7 @@ function hideRecordingStatus(els) {
         els.recordingStatus.style.display = 'none';
     }
     els.recTime.textContent = '00:00';
+    if (els.recMemory) els.recMemory.textContent = '';
     
     // Restore empty state if no recordings exist
     const recordings = getRecordings();
@@ -398,6 +551,7 @@ async function handleRecordingComplete(els, recordingUrl) {
     els.btnRecord.classList.remove('recording');
     els.btnRecord.disabled = false;
     els.btnStop.disabled = true;
+    if (els.durationSelect) els.durationSelect.disabled = false;
     hideRecordingStatus(els);
     els.statusDisplay.textContent = 'Monitoring';
     els.statusDisplay.className = 'transport-status';
@@ -410,7 +564,7 @@ async function handleRecordingComplete(els, recordingUrl) {
     // Measure LUFS and peak
     try {
         const inputBuffer = await decodeRecordingBlob(recordingUrl);
-        const { lufs } = await measureBufferLufs(inputBuffer);
+        const { lufs, lra, maxMomentary, maxShortTerm } = await measureBufferLufs(inputBuffer);
         const peak = measureBufferPeak(inputBuffer);
         
         // Get waveform data
@@ -421,8 +575,12 @@ async function handleRecordingComplete(els, recordingUrl) {
             rawUrl: recordingUrl,
             rawLufs: lufs,
             rawPeak: peak,
+            rawLra: lra,
+            rawMaxMomentary: maxMomentary,
+            rawMaxShortTerm: maxShortTerm,
             rawWaveformData: waveformData,
-            duration: duration
+            duration: inputBuffer.duration || duration,
+            device: getCurrentDeviceInfo()
         });
         
         if (recording) {
@@ -440,7 +598,8 @@ async function handleRecordingComplete(els, recordingUrl) {
             rawLufs: null,
             rawPeak: null,
             rawWaveformData: getWaveformData().slice(),
-            duration: duration
+            duration: duration,
+            device: getCurrentDeviceInfo()
         });
         renderRecordingsList(els);
     }
@@ -465,6 +624,10 @@ function renderRecordingsList(els) {
             ? `${recordings.length}/${max}` 
             : '';
     }
+    if (els.btnDeleteAll) {
+        els.btnDeleteAll.style.display = recordings.length > 0 ? '' : 'none';
+    }
+    updateStorageUsage(els);
     
     // Empty state
     if (recordings.length === 0) {
@@ -482,7 +645,7 @@ function renderRecordingsList(els) {
     
     // Draw waveforms after DOM is updated
     recordings.forEach(rec => {
-        drawRecordingWaveform(`waveform-raw-${rec.id}`, rec.rawWaveformData);
+        drawRecordingWaveform(`waveform-raw-${rec.id}`, rec.rawWaveformData, getWaveformRegion(rec));
         if (rec.processedWaveformData) {
             drawRecordingWaveform(`waveform-processed-${rec.id}`, rec.processedWaveformData);
         }
@@ -490,15 +653,43 @@ function renderRecordingsList(els) {
     
     // Attach event listeners
     attachRecordingListeners(els);
+    attachWaveformEditing(els);
+}
+
+/**
+ * Show how much browser storage saved recordings use
+ */
+async function updateStorageUsage(els) {
+    if (!els.storageUsage) return;
+    
+    if (!isPersistenceEnabled()) {
+        els.storageUsage.textContent = '';
+        return;
+    }
+    
+    try {
+        const { count, bytes, quota } = await getRecordingsStorageUsage();
+        els.storageUsage.textContent = `${count} saved · ${formatMegabytes(bytes)}`;
+        els.storageUsage.title = quota
+            ? `Stored only in this browser, never uploaded (${Math.round(quota / (1024 * 1024))} MB available to this site)`
+            : 'Stored only in this browser, never uploaded';
+    } catch (error) {
+        console.warn('Could not read storage usage:', error);
+        els.storageUsage.textContent = '';
+    }
 }
 
 /**
  * Render a single recording group (raw + optional processed)
  */
 function renderRecordingGroup(rec, idx) {
-    const rawLufsDisplay = rec.rawLufs != null ? rec.rawLufs.toFixed(1) : '—';
-    const rawPeakDisplay = rec.rawPeak != null ? rec.rawPeak.toFixed(1) : '—';
-    const durationDisplay = formatTime(rec.duration || 0);
+    const rawLufsDisplay = formatMetric(rec.rawLufs);
+    const rawPeakDisplay = formatMetric(rec.rawPeak);
+    const region = getEditRegion(rec.edit, rec.duration || 0);
+    const durationDisplay = formatTime(region.end - region.start);
+    
+    // In/out points can be dragged until a processed version is made from them
+    const editable = !rec.processedUrl && !rec.isProcessing;
     
     let html = `<div class="recording-group" data-recording-id="${rec.id}">`;
     
@@ -507,7 +698,8 @@ function renderRecordingGroup(rec, idx) {
         <div class="recording-row raw">
             <span class="recording-type raw">Raw</span>
             <div class="recording-waveform">
-                <canvas id="waveform-raw-${rec.id}" width="300" height="36"></canvas>
+                <canvas id="waveform-raw-${rec.id}" width="300" height="36"
+                        ${editable ? `data-edit-id="${rec.id}" title="Drag to set the in/out points"` : ''}></canvas>
             </div>
             <span class="recording-duration">${durationDisplay}</span>
             <div class="recording-metrics">
@@ -515,6 +707,7 @@ function renderRecordingGroup(rec, idx) {
                     <span class="recording-metric-label">LUFS</span>
                     <span class="recording-metric-value ${getLufsClass(rec.rawLufs)}">${rawLufsDisplay}</span>
                 </div>
+                ${renderLoudnessMetrics(rec.rawLra, rec.rawMaxMomentary, rec.rawMaxShortTerm)}
                 <div class="recording-metric">
                     <span class="recording-metric-label">Peak</span>
                     <span class="recording-metric-value ${getPeakClass(rec.rawPeak)}">${rawPeakDisplay}</span>
@@ -522,21 +715,41 @@ function renderRecordingGroup(rec, idx) {
             </div>
             <div class="recording-actions">
                 <button class="recording-btn" data-action="play" data-id="${rec.id}" data-type="raw">▶</button>
-                ${!rec.processedUrl && !rec.isProcessing ? `<button class="recording-btn process" data-action="process" data-id="${rec.id}">Process</button>` : ''}
-                ${rec.isProcessing ? `<button class="recording-btn processing" disabled>Processing...</button>` : ''}
+                <button class="recording-btn" data-action="export" data-id="${rec.id}" data-type="raw" title="Export">⤓</button>
                 <button class="recording-btn" data-action="delete" data-id="${rec.id}">🗑</button>
             </div>
         </div>
     `;
     
+    // Edit and mastering rows (take the processed row's place until processed)
+    if (!rec.processedUrl) {
+        html += renderEditRow(rec, region);
+        html += renderMasteringRow(rec);
+    }
+    
     // Processed row (if exists)
     if (rec.processedUrl) {
-        const procLufsDisplay = rec.processedLufs != null ? rec.processedLufs.toFixed(1) : '—';
-        const procPeakDisplay = rec.processedPeak != null ? rec.processedPeak.toFixed(1) : '—';
+        const procLufsDisplay = formatMetric(rec.processedLufs);
+        const procPeakDisplay = formatMetric(rec.processedPeak);
+        
+        const preset = rec.processedPreset || MASTERING_PRESETS.streaming;
+        const chain = (rec.processedStages || [])
+            .filter(stage => stage.enabled)
+            .map(stage => stage.name)
+            .join(' → ');
+        const skippedStages = (rec.processedStages || []).filter(stage => stage.skipped);
+        const skippedNotes = skippedStages.map(stage => `${stage.name} skipped: ${stage.skipped}`);
+        const presetTitle = [`${preset.targetLufs} LUFS, ${preset.ceilingDb} dBTP ceiling`, chain, ...skippedNotes]
+            .filter(Boolean)
+            .join('\n');
         
         html += `
             <div class="recording-row processed">
-                <span class="recording-type processed">↳ Processed</span>
+                <span class="recording-type processed" title="${presetTitle}">
+                    ↳ Processed
+                    <span class="recording-preset-tag">${preset.name}</span>
+                    ${skippedStages.map(stage => `<span class="recording-skipped-tag" title="${stage.skipped}">${stage.name} skipped</span>`).join('')}
+                </span>
                 <div class="recording-waveform">
                     <canvas id="waveform-processed-${rec.id}" width="300" height="36"></canvas>
                 </div>
@@ -544,15 +757,17 @@ function renderRecordingGroup(rec, idx) {
                 <div class="recording-metrics">
                     <div class="recording-metric">
                         <span class="recording-metric-label">LUFS</span>
-                        <span class="recording-metric-value ${getLufsClass(rec.processedLufs, true)}">${procLufsDisplay}</span>
+                        <span class="recording-metric-value ${getLufsClass(rec.processedLufs, true, preset.targetLufs)}">${procLufsDisplay}</span>
                     </div>
+                    ${renderLoudnessMetrics(rec.processedLra, rec.processedMaxMomentary, rec.processedMaxShortTerm)}
                     <div class="recording-metric">
                         <span class="recording-metric-label">Peak</span>
-                        <span class="recording-metric-value ${getPeakClass(rec.processedPeak, true)}">${procPeakDisplay}</span>
+                        <span class="recording-metric-value ${getPeakClass(rec.processedPeak, true, preset.ceilingDb)}">${procPeakDisplay}</span>
                     </div>
                 </div>
                 <div class="recording-actions">
                     <button class="recording-btn" data-action="play" data-id="${rec.id}" data-type="processed">▶</button>
+                    <button class="recording-btn" data-action="export" data-id="${rec.id}" data-type="processed" title="Export">⤓</button>
                     <button class="recording-btn" data-action="delete-processed" data-id="${rec.id}">🗑</button>
                 </div>
             </div>
@@ -563,14 +778,193 @@ function renderRecordingGroup(rec, idx) {
     return html;
 }
 
+/**
+ * Render the trim and fade controls for a raw recording
+ */
+function renderEditRow(rec, region) {
+    const disabled = rec.isProcessing ? 'disabled' : '';
+    const fields = [
+        ['start', 'In', region.start],
+        ['end', 'Out', region.end],
+        ['fadeIn', 'Fade in', region.fadeIn],
+        ['fadeOut', 'Fade out', region.fadeOut]
+    ];
+    
+    return `
+        <div class="recording-row edit">
+            <span class="recording-type">↳ Edit</span>
+            ${fields.map(([field, label, value]) => `
+                <label class="recording-preset-field">
+                    ${label}
+                    <input type="number" class="recording-preset-input" data-action="edit" data-field="${field}" data-id="${rec.id}"
+                           value="${value.toFixed(2)}" step="0.05" min="0" max="${(rec.duration || 0).toFixed(2)}" ${disabled}>
+                    s
+                </label>
+            `).join('')}
+            <div class="recording-actions">
+                <button class="recording-btn" data-action="cut-silence" data-id="${rec.id}"
+                        title="Trim silence, pre-roll and clicks at the head and tail" ${disabled}>Cut silence</button>
+                <button class="recording-btn" data-action="reset-edit" data-id="${rec.id}"
+                        ${isEdited(rec.edit, rec.duration || 0) && !disabled ? '' : 'disabled'}>Reset</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the mastering preset picker and Process button for a raw recording
+ */
+function renderMasteringRow(rec) {
+    const disabled = rec.isProcessing ? 'disabled' : '';
+    const speech = getSpeechProcessing(rec.speechProcessing);
+    const options = Object.values(MASTERING_PRESETS).map(preset => 
+        `<option value="${preset.id}" ${preset.id === rec.masteringPresetId ? 'selected' : ''}>${preset.name}</option>`
+    ).join('');
+    
+    // Custom preset exposes its target and ceiling
+    let customInputs = '';
+    if (rec.masteringPresetId === 'custom') {
+        const custom = getMasteringPreset('custom', rec.customMastering);
+        customInputs = `
+            <label class="recording-preset-field">
+                LUFS
+                <input type="number" class="recording-preset-input" data-action="preset-custom" data-field="targetLufs" data-id="${rec.id}"
+                       value="${custom.targetLufs}" step="0.5" min="-40" max="-5" ${disabled}>
+            </label>
+            <label class="recording-preset-field">
+                dBTP
+                <input type="number" class="recording-preset-input" data-action="preset-custom" data-field="ceilingDb" data-id="${rec.id}"
+                       value="${custom.ceilingDb}" step="0.1" min="-12" max="0" ${disabled}>
+            </label>
+        `;
+    }
+    
+    return `
+        <div class="recording-row mastering">
+            <span class="recording-type">↳ Master for</span>
+            <select class="recording-preset" data-action="preset" data-id="${rec.id}" ${disabled}>${options}</select>
+            ${customInputs}
+            <div class="recording-stages">
+                ${Object.entries(SPEECH_STAGE_NAMES).map(([stageId, name]) => `
+                    <label class="recording-stage">
+                        <input type="checkbox" data-action="stage" data-stage="${stageId}" data-id="${rec.id}"
+                               ${speech[stageId].enabled ? 'checked' : ''} ${disabled}>
+                        ${name}
+                    </label>
+                `).join('')}
+            </div>
+            ${speech.denoise.enabled ? renderDenoiseSource(rec, speech.denoise, disabled) : ''}
+            ${Object.keys(STAGE_PARAM_FIELDS).filter(stageId => speech[stageId].enabled)
+                .map(stageId => renderStageParams(rec, stageId, speech[stageId], disabled)).join('')}
+            <div class="recording-actions">
+                ${rec.isProcessing 
+                    ? `<button class="recording-btn processing" disabled>Processing...</button>` 
+                    : `<button class="recording-btn process" data-action="process" data-id="${rec.id}">Process</button>`}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the parameter inputs for an enabled speech stage
+ * EQ gets a set of inputs per band.
+ */
+function renderStageParams(rec, stageId, settings, disabled) {
+    const renderField = ({ field, label, step, min, max, options, scale = 1 }, values, band = '') => {
+        const attrs = `data-action="stage-param" data-stage="${stageId}" data-field="${field}" data-band="${band}" data-id="${rec.id}"`;
+        const input = options
+            ? `<select class="recording-preset" ${attrs} ${disabled}>
+                   ${options.map(option => `<option value="${option}" ${option === values[field] ? 'selected' : ''}>${option}</option>`).join('')}
+               </select>`
+            : `<input type="number" class="recording-preset-input" ${attrs}
+                      value="${Math.round(values[field] / scale * 1000) / 1000}" step="${step}" min="${min}" max="${max}" ${disabled}>`;
+        return `<label class="recording-preset-field">${input} ${label}</label>`;
+    };
+    
+    const fields = STAGE_PARAM_FIELDS[stageId];
+    const inputs = stageId === 'eq'
+        ? settings.bands.map((band, index) => `
+            <span class="recording-stage-band">${EQ_BAND_NAMES[band.type] || band.type}</span>
+            ${fields.map(field => renderField(field, band, index)).join('')}
+        `).join('')
+        : fields.map(field => renderField(field, settings)).join('');
+    
+    return `
+        <div class="recording-stage-params">
+            <span class="recording-stage-name">${SPEECH_STAGE_NAMES[stageId]}</span>
+            ${inputs}
+        </div>
+    `;
+}
+
+/**
+ * Render the noise profile source picker for the denoise stage
+ */
+function renderDenoiseSource(rec, denoise, disabled) {
+    const roomTone = getRoomToneProfile();
+    const source = denoise.source === 'room' && !roomTone ? 'region' : denoise.source;
+    
+    let regionInputs = '';
+    if (source === 'region') {
+        regionInputs = `
+            <label class="recording-preset-field">
+                from
+                <input type="number" class="recording-preset-input" data-action="denoise-region" data-field="regionStart" data-id="${rec.id}"
+                       value="${denoise.regionStart}" step="0.1" min="0" ${disabled}>
+            </label>
+            <label class="recording-preset-field">
+                to
+                <input type="number" class="recording-preset-input" data-action="denoise-region" data-field="regionEnd" data-id="${rec.id}"
+                       value="${denoise.regionEnd}" step="0.1" min="0" ${disabled}>
+                s
+            </label>
+        `;
+    }
+    
+    return `
+        <select class="recording-preset" data-action="denoise-source" data-id="${rec.id}" title="Noise profile" ${disabled}>
+            <option value="room" ${source === 'room' ? 'selected' : ''} ${roomTone ? '' : 'disabled'}>Room tone${roomTone ? '' : ' (run Background Noise test)'}</option>
+            <option value="region" ${source === 'region' ? 'selected' : ''}>Quiet region</option>
+        </select>
+        ${regionInputs}
+    `;
+}
+
+/**
+ * Format a measured value for the metrics columns
+ */
+function formatMetric(value) {
+    return value != null && isFinite(value) ? value.toFixed(1) : '—';
+}
+
+/**
+ * Render EBU R128 loudness descriptors (LRA, max momentary, max short-term)
+ */
+function renderLoudnessMetrics(lra, maxMomentary, maxShortTerm) {
+    return `
+        <div class="recording-metric" title="Loudness Range (EBU Tech 3342), in LU">
+            <span class="recording-metric-label">LRA</span>
+            <span class="recording-metric-value">${formatMetric(lra)}</span>
+        </div>
+        <div class="recording-metric" title="Max momentary loudness (400ms), in LUFS">
+            <span class="recording-metric-label">M max</span>
+            <span class="recording-metric-value">${formatMetric(maxMomentary)}</span>
+        </div>
+        <div class="recording-metric" title="Max short-term loudness (3s), in LUFS">
+            <span class="recording-metric-label">S max</span>
+            <span class="recording-metric-value">${formatMetric(maxShortTerm)}</span>
+        </div>
+    `;
+}
+
 /**
  * Get CSS class for LUFS value
  */
-function getLufsClass(lufs, isProcessed = false) {
+function getLufsClass(lufs, isProcessed = false, targetLufs = MASTERING_PRESETS.streaming.targetLufs) {
     if (lufs == null) return '';
     if (isProcessed) {
-        // For processed, we want it close to -14
-        return Math.abs(lufs - (-14)) <= 1.5 ? 'good' : 'warn';
+        // For processed, we want it close to the preset target
+        return Math.abs(lufs - targetLufs) <= 1.5 ? 'good' : 'warn';
     }
     // For raw, show guidance
     if (lufs > -10) return 'bad';
@@ -581,11 +975,11 @@ function getLufsClass(lufs, isProcessed = false) {
 /**
  * Get CSS class for peak value
  */
-function getPeakClass(peak, isProcessed = false) {
+function getPeakClass(peak, isProcessed = false, ceilingDb = MASTERING_PRESETS.streaming.ceilingDb) {
     if (peak == null) return '';
     if (isProcessed) {
-        // For processed, we want it close to -1
-        return peak <= -0.5 && peak >= -2 ? 'good' : '';
+        // For processed, we want it close to the preset ceiling
+        return peak <= ceilingDb + 0.5 && peak >= ceilingDb - 1 ? 'good' : '';
     }
     // For raw
     if (peak > -3) return 'bad';
@@ -593,10 +987,22 @@ function getPeakClass(peak, isProcessed = false) {
     return '';
 }
 
+/**
+ * Get the edit selection to draw over a raw waveform (null if unedited)
+ */
+function getWaveformRegion(rec) {
+    const duration = rec.duration || 0;
+    if (!isEdited(rec.edit, duration)) return null;
+    return { ...getEditRegion(rec.edit, duration), duration };
+}
+
 /**
  * Draw waveform on a canvas
+ * @param {string} canvasId - Canvas element ID
+ * @param {number[]} waveformData - Levels across the recording
+ * @param {object|null} [region] - Edit selection { start, end, fadeIn, fadeOut, duration } to mark
  */
-function drawRecordingWaveform(canvasId, waveformData) {
+function drawRecordingWaveform(canvasId, waveformData, region = null) {
     const canvas = document.getElementById(canvasId);
     if (!canvas || !waveformData || waveformData.length === 0) return;
     
@@ -637,6 +1043,84 @@ function drawRecordingWaveform(canvasId, waveformData) {
     ctx.fillStyle = 'rgba(26, 115, 232, 0.3)';
     ctx.fill();
     ctx.stroke();
+    
+    // Edit selection: dim what's trimmed, mark in/out points and fade ramps
+    if (region && region.duration > 0) {
+        const toX = seconds => seconds / region.duration * width;
+        const inX = toX(region.start);
+        const outX = toX(region.end);
+        
+        ctx.fillStyle = 'rgba(32, 33, 36, 0.45)';
+        ctx.fillRect(0, 0, inX, height);
+        ctx.fillRect(outX, 0, width - outX, height);
+        
+        ctx.strokeStyle = '#f9ab00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(inX, 0);
+        ctx.lineTo(inX, height);
+        ctx.moveTo(outX, 0);
+        ctx.lineTo(outX, height);
+        ctx.stroke();
+        
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        if (region.fadeIn > 0) {
+            ctx.moveTo(inX, height);
+            ctx.lineTo(toX(region.start + region.fadeIn), 0);
+        }
+        if (region.fadeOut > 0) {
+            ctx.moveTo(toX(region.end - region.fadeOut), 0);
+            ctx.lineTo(outX, height);
+        }
+        ctx.stroke();
+    }
+}
+
+/**
+ * Let the raw waveforms set in/out points by dragging
+ * 
+ * The marker nearest the pointer follows it; the edit is saved (and the
+ * recording re-measured) when the pointer is released.
+ */
+function attachWaveformEditing(els) {
+    els.recordingsList.querySelectorAll('canvas[data-edit-id]').forEach(canvas => {
+        canvas.onpointerdown = (e) => {
+            const id = parseInt(canvas.dataset.editId, 10);
+            const rec = getRecording(id);
+            if (!rec || !rec.duration) return;
+            
+            const duration = rec.duration;
+            const decodedDuration = getDecodedDuration(rec);
+            const rect = canvas.getBoundingClientRect();
+            const timeAt = event => Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)) * duration;
+            
+            const current = getEditRegion(rec.edit, duration);
+            const time = timeAt(e);
+            const field = Math.abs(time - current.start) <= Math.abs(time - current.end) ? 'start' : 'end';
+            let edit = { ...rec.edit, [field]: time };
+            
+            const redraw = () => drawRecordingWaveform(canvas.id, rec.rawWaveformData, { ...getEditRegion(edit, duration), duration });
+            redraw();
+            canvas.setPointerCapture(e.pointerId);
+            
+            canvas.onpointermove = (event) => {
+                edit = { ...edit, [field]: timeAt(event) };
+                redraw();
+            };
+            canvas.onpointerup = async () => {
+                canvas.onpointermove = null;
+                canvas.onpointerup = null;
+                
+                // The edit applies to the decoded audio, whose length can
+                // differ from the recorded duration
+                const audioDuration = await decodedDuration.catch(() => duration);
+                const { start, end } = getEditRegion(edit, audioDuration);
+                setRecordingEdit(id, { start, end: end < audioDuration ? end : null });
+                updateEditedRecording(els, id);
+            };
+        };
+    });
 }
 
 /**
@@ -659,17 +1143,27 @@ function attachRecordingListeners(els) {
             case 'play':
                 const rec = getRecording(id);
                 if (rec) {
-                    const url = type === 'processed' ? rec.processedUrl : rec.rawUrl;
-                    toggleRecordingPlayback(els, id, type, url);
+                    await playRecording(els, rec, type);
                 }
                 break;
                 
             case 'process':
                 await processRecording(els, id);
                 break;
-                
+            
+            case 'cut-silence':
+                await cutSilence(els, id);
+                break;
+            
+            case 'reset-edit':
+                setRecordingEdit(id, null);
+                await updateEditedRecording(els, id);
+                break;
+            
             case 'delete':
                 deleteRecording(id);
+                releaseEditedPlayback(id);
+                decodedDurations.delete(id);
                 stopActivePlayback(els);
                 renderRecordingsList(els);
                 // Update transport play button
@@ -677,16 +1171,79 @@ function attachRecordingListeners(els) {
                 break;
                 
             case 'delete-processed':
-                const recording = getRecording(id);
-                if (recording && recording.processedUrl) {
-                    URL.revokeObjectURL(recording.processedUrl);
-                    recording.processedUrl = null;
-                    recording.processedLufs = null;
-                    recording.processedPeak = null;
-                    recording.processedWaveformData = null;
+                if (getRecording(id)?.processedUrl) {
+                    deleteProcessedRecording(id);
                     renderRecordingsList(els);
                 }
                 break;
+            
+            case 'export':
+                openExportDialog(els, id, btn.dataset.type);
+                break;
+        }
+    };
+    
+    // Preset selection and custom values
+    list.onchange = (e) => {
+        const field = e.target.closest('[data-action]');
+        if (!field) return;
+        
+        const id = parseInt(field.dataset.id, 10);
+        
+        switch (field.dataset.action) {
+            case 'preset':
+                setRecordingMasteringPreset(id, field.value);
+                renderRecordingsList(els);
+                break;
+                
+            case 'preset-custom':
+                const value = parseFloat(field.value);
+                if (isFinite(value)) {
+                    setRecordingMasteringPreset(id, 'custom', { [field.dataset.field]: value });
+                }
+                break;
+            
+            case 'stage':
+                // Enabled stages show their parameters
+                setRecordingSpeechStage(id, field.dataset.stage, { enabled: field.checked });
+                renderRecordingsList(els);
+                break;
+            
+            case 'stage-param':
+                const param = STAGE_PARAM_FIELDS[field.dataset.stage]?.find(f => f.field === field.dataset.field);
+                const paramValue = parseFloat(field.value);
+                if (!param || !isFinite(paramValue)) break;
+                
+                const stored = paramValue * (param.scale || 1);
+                if (field.dataset.band !== '') {
+                    const bands = getSpeechProcessing(getRecording(id)?.speechProcessing).eq.bands
+                        .map(band => ({ ...band }));
+                    bands[parseInt(field.dataset.band, 10)][param.field] = stored;
+                    setRecordingSpeechStage(id, field.dataset.stage, { bands });
+                } else {
+                    setRecordingSpeechStage(id, field.dataset.stage, { [param.field]: stored });
+                }
+                break;
+            
+            case 'denoise-source':
+                setRecordingSpeechStage(id, 'denoise', { source: field.value });
+                renderRecordingsList(els);
+                break;
+            
+            case 'denoise-region':
+                const seconds = parseFloat(field.value);
+                if (isFinite(seconds) && seconds >= 0) {
+                    setRecordingSpeechStage(id, 'denoise', { [field.dataset.field]: seconds });
+                }
+                break;
+            
+            case 'edit':
+                const editValue = parseFloat(field.value);
+                if (isFinite(editValue) && editValue >= 0) {
+                    setRecordingEdit(id, { [field.dataset.field]: editValue });
+                    updateEditedRecording(els, id);
+                }
+                break;
         }
     };
 }
@@ -695,6 +1252,62 @@ function attachRecordingListeners(els) {
 // Playback Functions
 // ============================================
 
+/**
+ * Play (or stop) a recording version, honouring the raw recording's edit
+ */
+async function playRecording(els, rec, type) {
+    try {
+        const url = type === 'processed' ? rec.processedUrl : await getRawPlaybackUrl(rec);
+        toggleRecordingPlayback(els, rec.id, type, url);
+    } catch (err) {
+        console.warn('Playback failed:', err);
+    }
+}
+
+/**
+ * Get a playable URL for the raw recording with its edit applied
+ * 
+ * Edited versions are rendered to WAV once per edit and reused.
+ */
+async function getRawPlaybackUrl(rec) {
+    if (!isEdited(rec.edit, rec.duration || 0)) return rec.rawUrl;
+    
+    const key = JSON.stringify(getEditRegion(rec.edit, rec.duration));
+    const cached = editedPlaybackUrls.get(rec.id);
+    if (cached?.key === key) return cached.url;
+    
+    const buffer = applyEdit(await decodeRecordingBlob(rec.rawUrl), rec.edit);
+    releaseEditedPlayback(rec.id);
+    const url = audioBufferToWavUrl(buffer);
+    editedPlaybackUrls.set(rec.id, { key, url });
+    return url;
+}
+
+/**
+ * Get the length of a recording's decoded audio (decoded once per recording)
+ * @returns {Promise<number>} Seconds
+ */
+function getDecodedDuration(rec) {
+    if (!decodedDurations.has(rec.id)) {
+        const pending = decodeRecordingBlob(rec.rawUrl).then(buffer => buffer.duration);
+        pending.catch(() => decodedDurations.delete(rec.id));
+        decodedDurations.set(rec.id, pending);
+    }
+    return decodedDurations.get(rec.id);
+}
+
+/**
+ * Free rendered playback of edited recordings (one ID, or all)
+ */
+function releaseEditedPlayback(id = null) {
+    for (const [key, { url }] of editedPlaybackUrls) {
+        if (id === null || key === id) {
+            URL.revokeObjectURL(url);
+            editedPlaybackUrls.delete(key);
+        }
+    }
+}
+
 /**
  * Toggle playback for a specific recording
  */
@@ -795,9 +1408,26 @@ async function processRecording(els, id) {
     renderRecordingsList(els);
     
     try {
-        // Decode and process
-        const inputBuffer = await decodeRecordingBlob(rec.rawUrl);
-        const result = await processForStreaming(inputBuffer);
+        // Decode and process the edited selection
+        const edit = rec.edit;
+        const rawBuffer = await decodeRecordingBlob(rec.rawUrl);
+        const inputBuffer = applyEdit(rawBuffer, edit);
+        const preset = getMasteringPreset(rec.masteringPresetId, rec.customMastering);
+        const speechProcessing = getSpeechProcessing(rec.speechProcessing);
+        if (speechProcessing.denoise.enabled) {
+            // Region times refer to the whole recording, which may include trimmed silence
+            const { profile, reason } = getDenoiseProfile(rawBuffer, speechProcessing.denoise);
+            speechProcessing.denoise.profile = profile;
+            speechProcessing.denoise.skipReason = reason;
+        }
+        const result = await processForStreaming(inputBuffer, preset, speechProcessing);
+        
+        // Edited while processing - this result is of the old selection
+        if (getRecording(id)?.edit !== edit) {
+            setRecordingProcessing(id, false);
+            renderRecordingsList(els);
+            return;
+        }
         
         // Create URL and get waveform
         const processedUrl = audioBufferToWavUrl(result.buffer);
@@ -810,6 +1440,11 @@ async function processRecording(els, id) {
             processedUrl,
             processedLufs: result.outputLufs,
             processedPeak: result.outputPeak,
+            processedLra: result.outputLra,
+            processedMaxMomentary: result.outputMaxMomentary,
+            processedMaxShortTerm: result.outputMaxShortTerm,
+            processedPreset: result.preset,
+            processedStages: result.stages,
             processedWaveformData
         });
         
@@ -823,6 +1458,103 @@ async function processRecording(els, id) {
     }
 }
 
+/**
+ * Re-measure a raw recording after its edit changes
+ * 
+ * Loudness and peak describe the selection, so they match what playback,
+ * processing and exports use.
+ */
+async function updateEditedRecording(els, id) {
+    const rec = getRecording(id);
+    if (!rec) return;
+    
+    stopActivePlayback(els);
+    renderRecordingsList(els);
+    
+    const edit = rec.edit;
+    try {
+        const buffer = applyEdit(await decodeRecordingBlob(rec.rawUrl), edit);
+        const { lufs, lra, maxMomentary, maxShortTerm } = await measureBufferLufs(buffer);
+        
+        // Skip if the edit changed again while measuring
+        if (getRecording(id)?.edit !== edit) return;
+        
+        setRecordingMeasurements(id, {
+            rawLufs: lufs,
+            rawPeak: measureBufferPeak(buffer),
+            rawLra: lra,
+            rawMaxMomentary: maxMomentary,
+            rawMaxShortTerm: maxShortTerm
+        });
+        renderRecordingsList(els);
+    } catch (err) {
+        console.error('Failed to measure edited recording:', err);
+    }
+}
+
+/**
+ * Trim silence (and the pre-roll and stop click) from the head and tail
+ */
+async function cutSilence(els, id) {
+    const rec = getRecording(id);
+    if (!rec) return;
+    
+    try {
+        const buffer = await decodeRecordingBlob(rec.rawUrl);
+        const channels = [];
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            channels.push(buffer.getChannelData(ch));
+        }
+        
+        const bounds = findSoundBounds(channels, buffer.sampleRate);
+        if (!bounds) {
+            els.statusDisplay.textContent = 'No sound found';
+            els.statusDisplay.className = 'transport-status';
+            return;
+        }
+        
+        const region = getEditRegion(rec.edit, buffer.duration);
+        setRecordingEdit(id, {
+            start: bounds.start,
+            end: bounds.end < buffer.duration ? bounds.end : null,
+            fadeIn: Math.max(region.fadeIn, CUT_SILENCE_FADE),
+            fadeOut: Math.max(region.fadeOut, CUT_SILENCE_FADE)
+        });
+        await updateEditedRecording(els, id);
+    } catch (err) {
+        console.error('Cut silence failed:', err);
+    }
+}
+
+/**
+ * Get the noise profile for the denoise stage
+ * @param {AudioBuffer} buffer - Decoded raw recording
+ * @param {object} denoise - Denoise stage settings
+ * @returns {{profile: object|null, reason: string|null}} Noise profile, or null and why
+ */
+function getDenoiseProfile(buffer, denoise) {
+    const roomTone = getRoomToneProfile();
+    if (denoise.source === 'room' && roomTone) {
+        return { profile: roomTone, reason: null };
+    }
+    
+    // Learn from a quiet region of the recording itself
+    const start = Math.max(0, Math.floor(denoise.regionStart * buffer.sampleRate));
+    const end = Math.min(buffer.length, Math.floor(denoise.regionEnd * buffer.sampleRate));
+    if (end <= start) {
+        return { profile: null, reason: 'the noise region is empty' };
+    }
+    
+    const channels = [];
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+        channels.push(buffer.getChannelData(ch).subarray(start, end));
+    }
+    const profile = createNoiseProfile(channels, buffer.sampleRate, { source: 'region' });
+    return profile
+        ? { profile, reason: null }
+        : { profile: null, reason: 'the noise region is too short to analyse' };
+}
+
 /**
  * Extract waveform data from an AudioBuffer for visualization
  */
@@ -863,6 +1595,167 @@ function measureBufferPeak(buffer) {
     return Math.max(db, -100);
 }
 
+// ============================================
+// Export Functions
+// ============================================
+
+/**
+ * Open the export dialog for a recording version
+ * @param {object} els - Screen elements
+ * @param {number} id - Recording ID
+ * @param {string} type - 'raw' or 'processed'
+ * @param {{formatId: string, message: string}} [failure] - A failed export to report (reopens with its format)
+ */
+function openExportDialog(els, id, type, failure = null) {
+    const dialog = els.exportDialog;
+    if (!dialog || !getRecording(id)) return;
+    
+    // The original container only exists for the raw recording
+    // The original file can't carry the edit, so say so when there is one
+    const rec = getRecording(id);
+    const edited = type === 'raw' && isEdited(rec.edit, rec.duration || 0);
+    els.exportFormat.innerHTML = Object.values(EXPORT_FORMATS)
+        .filter(format => type === 'raw' || format.container !== 'original')
+        .map(format => {
+            const name = edited && format.container === 'original' ? `${format.name} (unedited)` : format.name;
+            return `<option value="${format.id}">${name}</option>`;
+        })
+        .join('');
+    els.exportFormat.value = failure?.formatId || 'wav24';
+    
+    if (els.exportError) {
+        els.exportError.textContent = failure ? `Export failed: ${failure.message}` : '';
+        els.exportError.hidden = !failure;
+    }
+    
+    // Dither only applies when quantizing to integer samples, BWF metadata to WAV
+    const updateOptions = () => {
+        const format = EXPORT_FORMATS[els.exportFormat.value];
+        els.exportDither.disabled = format.float || format.container === 'original';
+        els.exportBwf.disabled = format.container !== 'wav';
+    };
+    els.exportFormat.onchange = updateOptions;
+    updateOptions();
+    
+    dialog.onclose = () => {
+        if (dialog.returnValue === 'export') {
+            exportRecording(els, id, type, els.exportFormat.value, {
+                dither: els.exportDither.checked,
+                broadcastWav: els.exportBwf.checked
+            });
+        }
+    };
+    dialog.returnValue = '';
+    dialog.showModal();
+}
+
+/**
+ * Encode and download a recording version
+ * Failures reopen the export dialog with the error.
+ * 
+ * @param {object} els - Screen elements
+ * @param {number} id - Recording ID
+ * @param {string} type - 'raw' or 'processed'
+ * @param {string} formatId - Key of EXPORT_FORMATS
+ * @param {object} options - { dither, broadcastWav }
+ */
+async function exportRecording(els, id, type, formatId, options) {
+    const rec = getRecording(id);
+    const url = type === 'processed' ? rec?.processedUrl : rec?.rawUrl;
+    if (!url) return;
+    
+    const baseName = `mic-check-recording-${id}-${type === 'processed' ? rec.processedPreset?.id || 'processed' : 'raw'}`;
+    
+    try {
+        if (formatId === 'original') {
+            const blob = await (await fetch(url)).blob();
+            downloadBlob(blob, `${baseName}.${getExtensionForMimeType(blob.type)}`);
+            return;
+        }
+        
+        const format = EXPORT_FORMATS[formatId];
+        const decoded = await decodeRecordingBlob(url);
+        const buffer = type === 'processed' ? decoded : applyEdit(decoded, rec.edit);
+        const metadata = options.broadcastWav && format.container === 'wav'
+            ? await getBroadcastMetadata(rec, type, buffer, format)
+            : {};
+        const blob = encodeAudio(buffer, formatId, { dither: options.dither, ...metadata });
+        downloadBlob(blob, `${baseName}.${format.extension}`);
+    } catch (err) {
+        console.error('Export failed:', err);
+        openExportDialog(els, id, type, { formatId, message: err.message || String(err) });
+    }
+}
+
+/**
+ * Build Broadcast WAV bext and iXML fields for an export
+ * 
+ * Loudness is measured on the decoded audio being exported, so the bext
+ * values match the file even for recordings measured before a change.
+ * 
+ * @param {object} rec - Recording
+ * @param {string} type - 'raw' or 'processed'
+ * @param {AudioBuffer} buffer - Decoded audio being exported
+ * @param {object} format - Entry from EXPORT_FORMATS
+ * @returns {Promise<{bext: object, ixml: object}>}
+ */
+async function getBroadcastMetadata(rec, type, buffer, format) {
+    const { lufs, lra, maxMomentary, maxShortTerm } = await measureBufferLufs(buffer);
+    const maxTruePeak = measureBufferTruePeak(buffer);
+    
+    const isProcessed = type === 'processed';
+    const preset = isProcessed ? rec.processedPreset : null;
+    const deviceLabel = rec.device?.label || 'Unknown Microphone';
+    const channelMode = buffer.numberOfChannels === 1 ? 'mono' : buffer.numberOfChannels === 2 ? 'stereo' : 'multichannel';
+    
+    // Capture settings, then the mastering chain for processed versions
+    const settings = {};
+    for (const [name, value] of Object.entries(rec.device?.settings || {})) {
+        if (value !== null) settings[`capture.${name}`] = value;
+    }
+    if (preset) {
+        settings['mastering.preset'] = preset.name;
+        settings['mastering.targetLufs'] = preset.targetLufs;
+        settings['mastering.ceilingDb'] = preset.ceilingDb;
+    }
+    for (const stage of (isProcessed ? rec.processedStages : null) || []) {
+        settings[`mastering.${stage.id}`] = stage.enabled ? JSON.stringify(stage.params)
+            : stage.skipped ? `skipped (${stage.skipped})` : 'bypassed';
+    }
+    
+    const description = `${deviceLabel} - ${isProcessed ? `mastered for ${preset?.name || 'streaming'}` : 'raw recording'}`;
+    
+    return {
+        bext: {
+            description,
+            originator: 'Mic Check',
+            originatorReference: `MICCHECK${rec.id}${rec.timestamp.getTime()}`,
+            date: rec.timestamp,
+            loudness: {
+                integrated: lufs,
+                range: lra,
+                maxTruePeak,
+                maxMomentary,
+                maxShortTerm
+            },
+            codingHistory: `A=PCM,F=${buffer.sampleRate},W=${format.bitDepth},M=${channelMode},T=Mic Check\r\n`
+        },
+        ixml: {
+            project: 'Mic Check',
+            note: description,
+            deviceLabel,
+            settings
+        }
+    };
+}
+
+/**
+ * Format a byte count in MB
+ */
+function formatMegabytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Format seconds to MM:SS
  */
@@ -887,6 +1780,7 @@ function stopStudioScreen() {
         activePlaybackAudio = null;
     }
     activePlaybackId = null;
+    releaseEditedPlayback();
     
     // Clear timers
     if (studioRecordingTimer) {
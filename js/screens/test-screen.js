@@ -12,11 +12,13 @@ import {
     SCOPE,
     createContext,
     createInitialResults,
-    runPrePermissionDiagnostics,
     runPermissionDiagnostics,
     runDeviceDiagnostics,
-    runQualityDiagnostic,
+    restartQualityDiagnostic,
+    cancelDiagnostic,
+    restartAllDiagnostics,
     canRunQualityDiagnostics,
+    getSkipReason,
     activateQualitySection,
     cleanupContext,
     getOverallStatus
@@ -58,17 +60,37 @@ import {
     findDefaultDeviceId,
     cleanupAllMonitoring,
     getStream,
-    getAnalyser
+    getAnalyser,
+    setSpectrumEnabled
 } from '../multi-device-meter.js';
 
+import { describeBandwidth } from '../spectral-analysis.js';
+
 import { escapeHtml } from '../utils.js';
 
+import {
+    SHOWDOWN_PASSAGE,
+    SPECTRUM_BANDS,
+    getShowdownDeviceIds,
+    runShowdown,
+    createBlindTrial,
+    ShowdownPlayer
+} from '../device-showdown.js';
+
 // ============================================
 // State
 // ============================================
 let diagnosticContext = null;
 let diagnosticResults = null;
 let audioDetected = false;
+let testRun = null;          // AbortController for the current test run
+
+// Device Showdown
+let showdownRunning = false;
+let showdownCancelled = false;
+let showdownPlayer = null;
+let showdownTrial = null;    // { order, x } from createBlindTrial()
+let showdownDevices = [];    // Results, best first
 
 // ============================================
 // Diagnostic Checklist UI
@@ -81,13 +103,49 @@ function getStatusIcon(status) {
         case STATUS.SKIP: return '⏭️';
         case STATUS.RUNNING: return '⏳';
         case STATUS.PENDING: return '⏸️';
+        case STATUS.CANCELLED: return '⏹️';
         default: return '❓';
     }
 }
 
+/**
+ * Get a diagnostic's table row, adding one for diagnostics registered at
+ * runtime (built-in rows are defined in HTML)
+ * @returns {HTMLElement|null}
+ */
+function getDiagnosticRow(diag) {
+    const existing = document.getElementById(`diag-row-${diag.id}`);
+    if (existing) return existing;
+    
+    const qualitySection = document.getElementById('diag-section-quality');
+    if (!qualitySection) return null;
+    
+    const row = document.createElement('tr');
+    row.id = `diag-row-${diag.id}`;
+    row.dataset.registered = 'true';
+    row.innerHTML = `
+        <td class="diag-test">
+            <div class="diag-name"></div>
+            <div class="diag-detail"></div>
+            <div class="diag-action" style="display: none;"></div>
+        </td>
+        <td class="diag-status"><span class="diag-icon">⏸️</span></td>
+    `;
+    row.querySelector('.diag-name').textContent = diag.name || diag.id;
+    
+    // Core rows go above the quality section, quality rows at the end
+    if (diag.scope === SCOPE.QUALITY || diag.scope === 'quality') {
+        row.classList.add('diag-quality-section', 'inactive');
+        qualitySection.parentElement.appendChild(row);
+    } else {
+        qualitySection.before(row);
+    }
+    return row;
+}
+
 /**
  * Update diagnostic table - stable structure, only status/details change
- * Table rows are defined in HTML, we just update their content
+ * Table rows are defined in HTML (or added for registered diagnostics), we just update their content
  * Fix instructions and actions are shown INLINE within each row
  */
 function updateDiagnosticTable(results) {
@@ -103,11 +161,11 @@ function updateDiagnosticTable(results) {
         const result = results[diag.id];
         if (!result) return;
         
-        const row = document.getElementById(`diag-row-${diag.id}`);
+        const row = getDiagnosticRow(diag);
         if (!row) return;
         
         // Update row status class
-        row.className = row.className.replace(/\b(pass|fail|warn|skip|pending|running)\b/g, '').trim();
+        row.className = row.className.replace(/\b(pass|fail|warn|skip|pending|running|cancelled)\b/g, '').trim();
         if (result.status) {
             row.classList.add(result.status);
         }
@@ -158,10 +216,13 @@ function updateQualitySectionState(results) {
     const qualitySection = document.getElementById('diag-section-quality');
     const noiseFloorRow = document.getElementById('diag-row-noise-floor');
     const voiceLevelRow = document.getElementById('diag-row-voice-level');
+    const echoPathRow = document.getElementById('diag-row-echo-path');
+    const latencyRow = document.getElementById('diag-row-round-trip-latency');
+    const processingRow = document.getElementById('diag-row-processing-effects');
     
     const canRun = canRunQualityDiagnostics(results);
     
-    [qualitySection, noiseFloorRow, voiceLevelRow].forEach(el => {
+    [qualitySection, noiseFloorRow, voiceLevelRow, echoPathRow, latencyRow, processingRow].forEach(el => {
         if (el) {
             if (canRun) {
                 el.classList.remove('inactive');
@@ -180,9 +241,9 @@ function updateQualitySummary(results) {
     const voiceResult = results['voice-level'];
     
     // Only show summary when both quality tests are complete
-    const bothComplete = noiseResult && voiceResult &&
-        noiseResult.status !== STATUS.PENDING && noiseResult.status !== STATUS.RUNNING &&
-        voiceResult.status !== STATUS.PENDING && voiceResult.status !== STATUS.RUNNING;
+    const isComplete = result => result &&
+        ![STATUS.PENDING, STATUS.RUNNING, STATUS.CANCELLED].includes(result.status);
+    const bothComplete = isComplete(noiseResult) && isComplete(voiceResult);
     
     const summaryEl = document.getElementById('quality-summary');
     const actionsEl = document.getElementById('quality-actions');
@@ -190,8 +251,9 @@ function updateQualitySummary(results) {
     if (!bothComplete || !summaryEl) return;
     
     const hasStereoIssue = voiceResult.stereoIssue;
-    const hasWarning = noiseResult.status === STATUS.WARN || voiceResult.status === STATUS.WARN;
-    const allPass = noiseResult.status === STATUS.PASS && voiceResult.status === STATUS.PASS;
+    const optionalWarning = ['echo-path', 'round-trip-latency', 'processing-effects'].some(id => results[id]?.status === STATUS.WARN);
+    const hasWarning = noiseResult.status === STATUS.WARN || voiceResult.status === STATUS.WARN || optionalWarning;
+    const allPass = noiseResult.status === STATUS.PASS && voiceResult.status === STATUS.PASS && !optionalWarning;
     
     let icon, title, detail, bgColor;
     
@@ -232,6 +294,15 @@ function updateQualitySummary(results) {
     }
 }
 
+/**
+ * Check whether a user-initiated test is ready to (re)start
+ * @param {object} result
+ * @returns {boolean} True if it hasn't run yet or was cancelled
+ */
+function canStart(result) {
+    return result.status === STATUS.PENDING || result.status === STATUS.CANCELLED;
+}
+
 /**
  * Update inline action/fix for a specific row
  */
@@ -251,7 +322,7 @@ function updateRowAction(diagId, result, actionCell, results) {
     }
     
     // Noise floor test - show start button when ready
-    if (diagId === 'noise-floor' && result.status === STATUS.PENDING && canRunQualityDiagnostics(results)) {
+    if (diagId === 'noise-floor' && canStart(result) && canRunQualityDiagnostics(results)) {
         actionCell.innerHTML = `
             <button class="btn btn-primary btn-small" id="btn-start-noise-test" onclick="window.MicCheck.startNoiseFloorTest()">
                 🎤 Start Silence Test (5s)
@@ -263,7 +334,7 @@ function updateRowAction(diagId, result, actionCell, results) {
     }
     
     // Voice level test - show start button when noise test is done
-    if (diagId === 'voice-level' && result.status === STATUS.PENDING && 
+    if (diagId === 'voice-level' && canStart(result) && 
         results['noise-floor']?.status === STATUS.PASS) {
         actionCell.innerHTML = `
             <button class="btn btn-primary btn-small" id="btn-start-voice-test" onclick="window.MicCheck.startVoiceLevelTest()">
@@ -281,6 +352,65 @@ function updateRowAction(diagId, result, actionCell, results) {
         return;
     }
     
+    // Echo test - independent of the other quality tests, plays sound
+    if (diagId === 'echo-path' && canStart(result) && canRunQualityDiagnostics(results)) {
+        actionCell.innerHTML = `
+            <button class="btn btn-primary btn-small" id="btn-start-echo-test" onclick="window.MicCheck.startEchoTest()">
+                🔊 Start Echo Test (10s)
+            </button>
+            <div class="diag-action-hint">Plays test sweeps through your speakers - keep the volume you use for calls.</div>
+        `;
+        actionCell.style.display = 'block';
+        return;
+    }
+    
+    // Latency test - independent of the other quality tests, plays sound
+    if (diagId === 'round-trip-latency' && canStart(result) && canRunQualityDiagnostics(results)) {
+        actionCell.innerHTML = `
+            <button class="btn btn-primary btn-small" id="btn-start-latency-test" onclick="window.MicCheck.startLatencyTest()">
+                ⏱️ Measure Latency (3s)
+            </button>
+            <div class="diag-action-hint">Plays a test sweep through your speakers - the microphone needs to hear it.</div>
+        `;
+        actionCell.style.display = 'block';
+        return;
+    }
+    
+    // Processing test - independent of the other quality tests, plays sound
+    if (diagId === 'processing-effects' && canStart(result) && canRunQualityDiagnostics(results)) {
+        actionCell.innerHTML = `
+            <button class="btn btn-primary btn-small" id="btn-start-processing-test" onclick="window.MicCheck.startProcessingTest()">
+                🎛️ Start Processing Test (25s)
+            </button>
+            <div class="diag-action-hint">Plays noise and speech five times, once per processing setting - keep the speakers up and the room quiet.</div>
+        `;
+        actionCell.style.display = 'block';
+        return;
+    }
+    
+    // Registered user-initiated tests - generic start button
+    const registeredDiag = actionCell.closest('tr')?.dataset.registered &&
+        qualityDiagnostics.find(d => d.id === diagId);
+    // Gated on its own dependsOn/skipWhen, not the built-in tests' signal check
+    if (registeredDiag?.userInitiated && canStart(result) && diagnosticContext &&
+        !getSkipReason(registeredDiag, diagnosticContext, results)) {
+        actionCell.innerHTML = '';
+        const button = document.createElement('button');
+        button.className = 'btn btn-primary btn-small';
+        button.id = `btn-start-${diagId}`;
+        button.textContent = `▶️ Start ${registeredDiag.name || diagId}`;
+        button.addEventListener('click', () => startRegisteredTest(diagId));
+        actionCell.appendChild(button);
+        if (registeredDiag.description) {
+            const hint = document.createElement('div');
+            hint.className = 'diag-action-hint';
+            hint.textContent = registeredDiag.description;
+            actionCell.appendChild(hint);
+        }
+        actionCell.style.display = 'block';
+        return;
+    }
+    
     // Voice level test - RUNNING: keep passage visible, don't modify the recording UI
     if (diagId === 'voice-level' && result.status === STATUS.RUNNING) {
         // The recording UI with rainbow passage is already set by startVoiceLevelTest()
@@ -289,6 +419,19 @@ function updateRowAction(diagId, result, actionCell, results) {
         return;
     }
     
+    // Other user-initiated tests - RUNNING: offer to cancel
+    const runningDiag = qualityDiagnostics.find(d => d.id === diagId);
+    if (runningDiag?.userInitiated && result.status === STATUS.RUNNING) {
+        actionCell.innerHTML = '';
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = '⏹️ Cancel';
+        button.addEventListener('click', () => cancelQualityTest(diagId));
+        actionCell.appendChild(button);
+        actionCell.style.display = 'block';
+        return;
+    }
+    
     // Fix instructions go inline for failed/warn tests
     if ((result.status === STATUS.FAIL || result.status === STATUS.WARN) && result.fix) {
         actionCell.innerHTML = '';
@@ -311,7 +454,7 @@ function updateRowAction(diagId, result, actionCell, results) {
 function resetDiagnosticTable() {
     const diagsToReset = allDiagnostics || diagnostics;
     diagsToReset.forEach(diag => {
-        const row = document.getElementById(`diag-row-${diag.id}`);
+        const row = getDiagnosticRow(diag);
         if (!row) return;
         
         // Preserve class modifiers like 'diag-quality-section' but reset status classes
@@ -334,6 +477,8 @@ function resetDiagnosticTable() {
                 detailCell.textContent = 'Waiting for audio signal test';
             } else if (diag.id === 'voice-level') {
                 detailCell.textContent = 'Waiting for silence test';
+            } else if (['echo-path', 'round-trip-latency', 'processing-effects'].includes(diag.id)) {
+                detailCell.textContent = 'Waiting for audio signal test';
             } else {
                 // Use the diagnostic's pending message if available
                 detailCell.textContent = diag.pendingMessage || '';
@@ -459,11 +604,92 @@ function populateMicMonitorPanel(devices, primaryDeviceId) {
                     <div class="mic-level-meter-fill"></div>
                     <span class="mic-level-meter-text">${monitoring ? '0%' : '--'}</span>
                 </div>
+                <div class="mic-fingerprint" data-device-id="${escapeHtml(device.deviceId)}">
+                    <div class="mic-fingerprint-bars">${'<span></span>'.repeat(FINGERPRINT_BARS)}</div>
+                    <span class="mic-fingerprint-stats">Listening...</span>
+                </div>
             </div>
         `;
     }).join('');
 }
 
+// ============================================
+// Spectral Fingerprint (optional, per monitored mic)
+// ============================================
+
+// Bars in the mini spectrum, and the range they show below the loudest band
+const FINGERPRINT_BARS = 24;
+const FINGERPRINT_RANGE_DB = 60;
+
+/**
+ * Apply the "Show spectrum" toggle
+ * 
+ * Also called after the monitor panel is rebuilt, since re-initializing
+ * the multi-meter turns spectrum analysis off.
+ */
+function toggleSpectrum() {
+    const enabled = document.getElementById('mic-spectrum-toggle')?.checked === true;
+    document.getElementById('mic-monitor-panel')?.classList.toggle('show-spectrum', enabled);
+    
+    if (!enabled) {
+        document.querySelectorAll('.mic-fingerprint').forEach(el => resetDeviceFingerprint(el.dataset.deviceId));
+    }
+    setSpectrumEnabled(enabled, updateDeviceFingerprint);
+}
+
+/**
+ * Show a device's spectral fingerprint in its monitor row
+ * @param {string} deviceId 
+ * @param {object|null} fingerprint - From the multi-device meter
+ */
+function updateDeviceFingerprint(deviceId, fingerprint) {
+    const el = document.querySelector(`.mic-fingerprint[data-device-id="${CSS.escape(deviceId)}"]`);
+    if (!el || !fingerprint) return;
+    
+    el.querySelectorAll('.mic-fingerprint-bars span').forEach((bar, i) => {
+        const level = fingerprint.spectrum[i] ?? -Infinity;
+        bar.style.height = `${Math.max(0, 100 + level * 100 / FINGERPRINT_RANGE_DB)}%`;
+    });
+    
+    const parts = [];
+    
+    // Sample rate - the device's own if the browser reports it
+    const rate = fingerprint.sampleRate || fingerprint.contextSampleRate;
+    const rateTitle = fingerprint.sampleRate
+        ? 'Sample rate reported by the device'
+        : 'This browser doesn\'t report the device sample rate - this is the rate audio is processed at';
+    parts.push(`<span title="${rateTitle}">${rate / 1000} kHz${fingerprint.sampleRate ? '' : '*'}</span>`);
+    
+    if (fingerprint.bandwidth) {
+        const { label, detail } = describeBandwidth(fingerprint.bandwidth.bandwidthHz);
+        const warn = fingerprint.bandwidth.bandwidthHz <= 8500;
+        parts.push(`<span class="${warn ? 'warn' : ''}" title="Audio bandwidth. ${detail}">${warn ? '⚠️ ' : ''}${label}</span>`);
+    } else {
+        parts.push('<span>No signal</span>');
+    }
+    
+    if (fingerprint.hum) {
+        const harmonics = fingerprint.hum.harmonics.join(', ');
+        parts.push(`<span class="warn" title="Peaks at ${harmonics} Hz - electrical interference, often a ground loop or a nearby power supply">⚠️ ${fingerprint.hum.frequency} Hz hum</span>`);
+    } else {
+        parts.push('<span title="No 50/60 Hz mains hum peaks">No hum</span>');
+    }
+    
+    el.querySelector('.mic-fingerprint-stats').innerHTML = parts.join(' · ');
+}
+
+/**
+ * Clear a device's fingerprint display (when monitoring or the spectrum is turned off)
+ * @param {string} deviceId 
+ */
+function resetDeviceFingerprint(deviceId) {
+    const el = document.querySelector(`.mic-fingerprint[data-device-id="${CSS.escape(deviceId)}"]`);
+    if (!el) return;
+    
+    el.querySelectorAll('.mic-fingerprint-bars span').forEach(bar => { bar.style.height = '0%'; });
+    el.querySelector('.mic-fingerprint-stats').textContent = 'Listening...';
+}
+
 /**
  * Update level meter for a specific device
  * @param {string} deviceId 
@@ -503,6 +729,8 @@ async function toggleMonitoring(deviceId, enabled) {
             row?.classList.add('monitoring');
             meter?.classList.remove('inactive');
             
+            updateShowdownAvailability();
+            
             // If no primary set, make this the primary
             if (!getPrimaryDeviceId()) {
                 setPrimaryDevice(deviceId);
@@ -540,6 +768,8 @@ async function toggleMonitoring(deviceId, enabled) {
         }
     } else {
         disableMonitoring(deviceId);
+        updateShowdownAvailability();
+        resetDeviceFingerprint(deviceId);
         row?.classList.remove('monitoring', 'primary');
         meter?.classList.add('inactive');
         const meterText = meter?.querySelector('.mic-level-meter-text');
@@ -577,10 +807,13 @@ async function runDiagnosticsForDevice(deviceId) {
     
     updateSubtitle('Testing selected microphone...');
     
+    const signal = testRun?.signal;
     try {
-        diagnosticResults = await runDeviceDiagnostics(diagnosticContext, diagnosticResults, (results) => {
-            updateDiagnosticTable(results);
-        });
+        const results = await runDeviceDiagnostics(diagnosticContext, diagnosticResults, (results) => {
+            if (!signal?.aborted) updateDiagnosticTable(results);
+        }, { signal });
+        if (signal?.aborted) return;
+        diagnosticResults = results;
         
         const overallStatus = getOverallStatus(diagnosticResults);
         
@@ -599,11 +832,10 @@ async function runDiagnosticsForDevice(deviceId) {
 // Microphone Test (Unified Flow)
 // ============================================
 async function runMicrophoneTest() {
-    // Cleanup any previous context to avoid resource leaks
-    if (diagnosticContext) {
-        cleanupContext(diagnosticContext);
-    }
-    cleanupAllMonitoring();
+    testRun?.abort();
+    testRun = new AbortController();
+    const { signal } = testRun;
+    const previousContext = diagnosticContext;
     
     // Initialize
     diagnosticContext = createContext();
@@ -627,10 +859,22 @@ async function runMicrophoneTest() {
     
     // Step 1: Run pre-permission diagnostics (browser support, permission state, device enum)
     // These don't trigger a permission prompt
-    diagnosticResults = await runPrePermissionDiagnostics(diagnosticContext, (results) => {
-        updateDiagnosticTable(results);
+    const results = await restartAllDiagnostics(diagnosticContext, (results) => {
+        if (!signal.aborted) updateDiagnosticTable(results);
+    }, {
+        signal,
+        prePermissionOnly: true,
+        // The previous run's diagnostics have stopped - now its context can go
+        onStopped: () => {
+            if (previousContext) cleanupContext(previousContext);
+            cleanupAllMonitoring();
+        }
     });
     
+    // Navigated away or restarted meanwhile
+    if (signal.aborted) return;
+    diagnosticResults = results;
+    
     // Check if browser support failed
     if (diagnosticResults['browser-support'].status === STATUS.FAIL) {
         updateSubtitle('Browser not supported');
@@ -676,12 +920,18 @@ async function runMicrophoneTest() {
  * Called after user grants permission or if already granted
  */
 async function continueWithPermissionTests() {
+    if (!diagnosticContext || !diagnosticResults) return;
+    
     updateSubtitle('Testing audio devices...');
     
     // Run permission-requiring diagnostics
-    diagnosticResults = await runPermissionDiagnostics(diagnosticContext, diagnosticResults, (results) => {
-        updateDiagnosticTable(results);
-    });
+    const signal = testRun?.signal;
+    const results = await runPermissionDiagnostics(diagnosticContext, diagnosticResults, (results) => {
+        if (!signal?.aborted) updateDiagnosticTable(results);
+    }, { signal });
+    
+    if (signal?.aborted) return;
+    diagnosticResults = results;
     
     const overallStatus = getOverallStatus(diagnosticResults);
     
@@ -715,22 +965,32 @@ async function showSuccessUI() {
     
     // Populate the mic monitor panel
     populateMicMonitorPanel(deduplicatedDevices, defaultDeviceId);
+    updateShowdownAvailability();
+    toggleSpectrum();
     
     // Activate quality section - signal detection passed
     activateQualitySection(diagnosticResults, updateDiagnosticTable);
     
-    // Update noise-floor to show it's ready (using the diagnostic's pendingMessage)
-    const noiseFloorDiag = qualityDiagnostics.find(d => d.id === 'noise-floor');
-    if (diagnosticResults['noise-floor'] && noiseFloorDiag) {
-        diagnosticResults['noise-floor'].message = noiseFloorDiag.pendingMessage;
-        updateDiagnosticTable(diagnosticResults);
-    }
+    // Update the tests that only need a signal to show they're ready (using each diagnostic's pendingMessage)
+    ['noise-floor', 'echo-path', 'round-trip-latency', 'processing-effects'].forEach(diagId => {
+        const diag = qualityDiagnostics.find(d => d.id === diagId);
+        if (diagnosticResults[diagId] && diag) {
+            diagnosticResults[diagId].message = diag.pendingMessage;
+        }
+    });
+    updateDiagnosticTable(diagnosticResults);
 }
 
 // ============================================
 // Stop Test
 // ============================================
 function stopTest() {
+    closeShowdown();
+    
+    // Cancel running diagnostics - they stop their own microphone streams
+    testRun?.abort();
+    testRun = null;
+    
     // Cleanup all multi-device monitoring
     cleanupAllMonitoring();
     
@@ -744,6 +1004,273 @@ function stopTest() {
     audioDetected = false;
 }
 
+// ============================================
+// Device Showdown
+// ============================================
+
+const SHOWDOWN_RECOMMENDATIONS = {
+    best: '⭐ Best choice',
+    acceptable: '⚠️ Acceptable',
+    poor: '❌ Not recommended'
+};
+
+/**
+ * Enable the Device Showdown button when two or more mics are monitored
+ */
+function updateShowdownAvailability() {
+    const button = document.getElementById('btn-showdown');
+    const hint = document.getElementById('showdown-hint');
+    const count = getShowdownDeviceIds().length;
+    
+    if (button) button.disabled = count < 2 || showdownRunning;
+    if (hint) {
+        hint.textContent = count < 2
+            ? 'Monitor two or more microphones to compare them'
+            : `Record the same passage on all ${count} monitored microphones and compare`;
+    }
+}
+
+/**
+ * Record all monitored microphones at once and show the comparison
+ */
+async function startShowdown() {
+    if (showdownRunning) return;
+    
+    const panel = document.getElementById('showdown-panel');
+    const prompt = document.getElementById('showdown-prompt');
+    const passage = document.getElementById('showdown-passage');
+    const results = document.getElementById('showdown-results');
+    const player = document.getElementById('showdown-player');
+    if (!panel) return;
+    
+    stopShowdownPlayback();
+    showdownRunning = true;
+    showdownCancelled = false;
+    updateShowdownAvailability();
+    
+    panel.style.display = 'block';
+    results.innerHTML = '';
+    player.style.display = 'none';
+    passage.textContent = SHOWDOWN_PASSAGE;
+    passage.style.display = 'block';
+    
+    const phaseText = {
+        silence: '🤫 Stay quiet',
+        speech: '🗣️ Read the passage aloud at your normal speaking distance'
+    };
+    
+    try {
+        const showdown = await runShowdown({
+            onPhase: (phase) => {
+                if (phase === 'analyzing') {
+                    prompt.textContent = 'Analyzing...';
+                    passage.style.display = 'none';
+                }
+            },
+            onProgress: ({ phase, remainingSeconds }) => {
+                prompt.textContent = `${phaseText[phase]}... ${remainingSeconds}s`;
+            },
+            isCancelled: () => showdownCancelled
+        });
+        
+        if (showdown.cancelled) return;
+        
+        showdownDevices = showdown.devices;
+        prompt.textContent = 'Results (same passage, recorded at the same time)';
+        renderShowdownResults(showdownDevices);
+        renderShowdownPlayer();
+    } catch (error) {
+        console.error('Device Showdown failed:', error);
+        prompt.textContent = `Showdown failed: ${error.message}`;
+        passage.style.display = 'none';
+    } finally {
+        showdownRunning = false;
+        updateShowdownAvailability();
+    }
+}
+
+/**
+ * Render the comparison table
+ * @param {object[]} devices - From runShowdown(), best first
+ */
+function renderShowdownResults(devices) {
+    const container = document.getElementById('showdown-results');
+    if (!container) return;
+    
+    const bandNames = SPECTRUM_BANDS.map(hz => hz >= 1000 ? `${hz / 1000}k` : `${hz}`).join(' · ');
+    
+    const rows = devices.map(device => {
+        const spectrum = device.spectrum
+            ? `<div class="showdown-spectrum" title="${bandNames} Hz, relative to the loudest band">
+                   ${device.spectrum.map(level => `<span style="height: ${Math.max(0, 100 + level * 2.5)}%"></span>`).join('')}
+               </div>`
+            : '—';
+        const processingNote = device.processingOff ? '' : ' <span title="The browser kept its audio processing on for this mic">⚙️</span>';
+        const clipNote = device.clipped ? ' <span title="Clipped - too close or gain too high">⚠️</span>' : '';
+        
+        return `
+            <tr>
+                <td>${escapeHtml(device.label)}${processingNote}</td>
+                <td class="metric">${formatDb(device.noiseFloorDb)}</td>
+                <td class="metric">${device.lufs !== null ? formatLufs(device.lufs) : '—'}${clipNote}</td>
+                <td class="metric">${device.snr !== null ? `${device.snr.toFixed(1)} dB` : '—'}</td>
+                <td>${spectrum}</td>
+                <td>${SHOWDOWN_RECOMMENDATIONS[device.recommendation]}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const best = devices.find(device => device.recommendation === 'best');
+    const summary = best
+        ? `💡 Recommendation: Use "<strong>${escapeHtml(best.label)}</strong>" for best audio quality`
+        : '💡 None of these microphones reached an acceptable signal-to-noise ratio. Try moving closer or to a quieter room.';
+    
+    container.innerHTML = `
+        <table class="showdown-table">
+            <thead>
+                <tr>
+                    <th>Device</th>
+                    <th>Noise</th>
+                    <th>LUFS</th>
+                    <th>SNR</th>
+                    <th>Spectrum</th>
+                    <th>Recommendation</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="showdown-summary">${summary}</p>
+    `;
+}
+
+/**
+ * Render the blind A/B/X switcher
+ * 
+ * Devices sit behind shuffled letters and X is one of them at random.
+ * Levels are matched, so the listener judges tone and noise, not volume.
+ */
+function renderShowdownPlayer() {
+    const container = document.getElementById('showdown-player');
+    const playable = showdownDevices.filter(device => device.buffer);
+    if (!container || playable.length < 2) return;
+    
+    showdownDevices = playable;
+    showdownPlayer?.close();
+    showdownPlayer = new ShowdownPlayer(showdownDevices);
+    showdownTrial = createBlindTrial(showdownDevices.length);
+    
+    const letters = showdownTrial.order.map((_, i) => String.fromCharCode(65 + i));
+    
+    container.innerHTML = `
+        <div class="mic-monitor-title">Blind listening test</div>
+        <p class="showdown-player-hint">
+            Levels are matched. Press play, then switch between the letters - and X, which is one of them.
+        </p>
+        <div class="showdown-abx-row">
+            <button class="showdown-abx-btn" data-abx="play">▶</button>
+            ${letters.map((letter, i) => `<button class="showdown-abx-btn" data-abx="select" data-letter="${i}">${letter}</button>`).join('')}
+            <button class="showdown-abx-btn" data-abx="select" data-letter="x">X</button>
+        </div>
+        <div class="showdown-abx-row">
+            <span class="showdown-player-hint">X is:</span>
+            ${letters.map((letter, i) => `<button class="showdown-abx-btn" data-abx="guess" data-letter="${i}">${letter}</button>`).join('')}
+            <span id="showdown-guess-result"></span>
+        </div>
+        <button class="showdown-abx-btn" data-abx="reveal">Reveal names</button>
+    `;
+    container.style.display = 'block';
+    
+    showdownPlayer.onEnded = () => updateShowdownPlayerUI(container);
+    selectShowdownTrack(container, '0');
+    
+    container.onclick = async (e) => {
+        const button = e.target.closest('[data-abx]');
+        if (!button || !showdownPlayer) return;
+        
+        switch (button.dataset.abx) {
+            case 'play':
+                if (showdownPlayer.isPlaying) {
+                    showdownPlayer.stop();
+                } else {
+                    await showdownPlayer.play(showdownPlayer.selected);
+                }
+                updateShowdownPlayerUI(container);
+                break;
+            
+            case 'select':
+                selectShowdownTrack(container, button.dataset.letter);
+                break;
+            
+            case 'guess': {
+                const guessed = showdownTrial.order[parseInt(button.dataset.letter, 10)];
+                const result = container.querySelector('#showdown-guess-result');
+                const xLetter = letters[showdownTrial.order.indexOf(showdownTrial.x)];
+                result.textContent = guessed === showdownTrial.x
+                    ? `✅ Correct - X is ${xLetter}`
+                    : `❌ Not quite - X is ${xLetter}`;
+                break;
+            }
+            
+            case 'reveal':
+                container.querySelectorAll('[data-abx="select"]').forEach(btn => {
+                    const letter = btn.dataset.letter;
+                    const index = letter === 'x' ? showdownTrial.x : showdownTrial.order[parseInt(letter, 10)];
+                    if (!btn.querySelector('small')) {
+                        btn.insertAdjacentHTML('beforeend', `<small>${escapeHtml(showdownDevices[index].label)}</small>`);
+                    }
+                });
+                button.disabled = true;
+                break;
+        }
+    };
+}
+
+/**
+ * Switch the blind player to a letter (or 'x')
+ */
+function selectShowdownTrack(container, letter) {
+    const index = letter === 'x' ? showdownTrial.x : showdownTrial.order[parseInt(letter, 10)];
+    showdownPlayer.select(index);
+    
+    container.querySelectorAll('[data-abx="select"]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.letter === letter);
+    });
+}
+
+/**
+ * Sync the play button with the player state
+ */
+function updateShowdownPlayerUI(container) {
+    const playButton = container.querySelector('[data-abx="play"]');
+    if (playButton) {
+        playButton.textContent = showdownPlayer?.isPlaying ? '⏹' : '▶';
+        playButton.classList.toggle('active', !!showdownPlayer?.isPlaying);
+    }
+}
+
+/**
+ * Stop blind playback and release its audio context
+ */
+function stopShowdownPlayback() {
+    showdownPlayer?.close();
+    showdownPlayer = null;
+    showdownTrial = null;
+}
+
+/**
+ * Cancel a running showdown and hide the panel
+ */
+function closeShowdown() {
+    showdownCancelled = true;
+    stopShowdownPlayback();
+    showdownDevices = [];
+    
+    const panel = document.getElementById('showdown-panel');
+    if (panel) panel.style.display = 'none';
+    const results = document.getElementById('showdown-results');
+    if (results) results.innerHTML = '';
+}
+
 // ============================================
 // Quality Tests (User-Initiated)
 // ============================================
@@ -783,7 +1310,9 @@ async function startNoiseFloorTest() {
     }
     
     // Run the noise floor diagnostic
-    await runQualityDiagnostic('noise-floor', diagnosticContext, diagnosticResults, {
+    const signal = testRun?.signal;
+    await restartQualityDiagnostic('noise-floor', diagnosticContext, diagnosticResults, {
+        signal,
         onProgress: (progress) => {
             // Update countdown
             const countdownEl = document.getElementById('noise-countdown');
@@ -805,10 +1334,13 @@ async function startNoiseFloorTest() {
             }
         },
         onUpdate: (results) => {
-            updateDiagnosticTable(results);
+            if (!signal?.aborted) updateDiagnosticTable(results);
         }
     });
     
+    // Navigated away - the table is gone
+    if (signal?.aborted) return;
+    
     // Update the detail to show final result
     if (detailCell) {
         detailCell.textContent = diagnosticResults['noise-floor'].message;
@@ -848,6 +1380,7 @@ async function startVoiceLevelTest() {
             <div class="diag-recording">
                 <span class="diag-recording-dot"></span>
                 <span>Recording... <span id="voice-countdown">10s</span></span>
+                <button class="btn btn-secondary btn-small" onclick="window.MicCheck.cancelQualityTest('voice-level')">⏹️ Cancel</button>
             </div>
             <div class="mic-level-meter inline" id="voice-level-meter">
                 <div class="mic-level-meter-fill" id="voice-level-bar"></div>
@@ -863,7 +1396,9 @@ async function startVoiceLevelTest() {
     }
     
     // Run the voice level diagnostic
-    await runQualityDiagnostic('voice-level', diagnosticContext, diagnosticResults, {
+    const signal = testRun?.signal;
+    await restartQualityDiagnostic('voice-level', diagnosticContext, diagnosticResults, {
+        signal,
         onProgress: (progress) => {
             // Update countdown
             const countdownEl = document.getElementById('voice-countdown');
@@ -885,10 +1420,13 @@ async function startVoiceLevelTest() {
             }
         },
         onUpdate: (results) => {
-            updateDiagnosticTable(results);
+            if (!signal?.aborted) updateDiagnosticTable(results);
         }
     });
     
+    // Navigated away - the table is gone
+    if (signal?.aborted) return;
+    
     // Update the detail to show final result
     if (detailCell) {
         detailCell.textContent = diagnosticResults['voice-level'].message;
@@ -898,7 +1436,226 @@ async function startVoiceLevelTest() {
     updateDiagnosticTable(diagnosticResults);
     
     // Update subtitle
-    updateSubtitle('Pre-flight check complete!');
+    if (diagnosticResults['voice-level'].status !== STATUS.CANCELLED) {
+        updateSubtitle('Pre-flight check complete!');
+    }
+}
+
+/**
+ * Start the echo test (test sweeps with echo cancellation off, then on)
+ */
+async function startEchoTest() {
+    if (!diagnosticContext || !diagnosticResults) {
+        console.error('No diagnostic context available');
+        return;
+    }
+    
+    // Disable the start button to prevent double-clicks
+    const startBtn = document.getElementById('btn-start-echo-test');
+    if (startBtn) startBtn.disabled = true;
+    
+    const row = document.getElementById('diag-row-echo-path');
+    const detailCell = row?.querySelector('.diag-detail');
+    const actionCell = row?.querySelector('.diag-action');
+    
+    if (actionCell) actionCell.style.display = 'none';
+    
+    if (detailCell) {
+        detailCell.innerHTML = `
+            <div class="diag-recording">
+                <span class="diag-recording-dot"></span>
+                <span><span id="echo-phase">Echo cancellation off</span>... <span id="echo-countdown">10s</span></span>
+            </div>
+        `;
+    }
+    
+    const signal = testRun?.signal;
+    await restartQualityDiagnostic('echo-path', diagnosticContext, diagnosticResults, {
+        signal,
+        onProgress: (progress) => {
+            const countdownEl = document.getElementById('echo-countdown');
+            if (countdownEl) {
+                countdownEl.textContent = `${progress.remainingSeconds}s`;
+            }
+            
+            const phaseEl = document.getElementById('echo-phase');
+            if (phaseEl) {
+                phaseEl.textContent = progress.echoCancellation ? 'Echo cancellation on' : 'Echo cancellation off';
+            }
+        },
+        onUpdate: (results) => {
+            if (!signal?.aborted) updateDiagnosticTable(results);
+        }
+    });
+    
+    // Navigated away - the table is gone
+    if (signal?.aborted) return;
+    
+    // Update the detail to show final result
+    if (detailCell) {
+        detailCell.textContent = diagnosticResults['echo-path'].message;
+    }
+    
+    updateDiagnosticTable(diagnosticResults);
+}
+
+/**
+ * Start the round-trip latency test (one test sweep)
+ */
+async function startLatencyTest() {
+    if (!diagnosticContext || !diagnosticResults) {
+        console.error('No diagnostic context available');
+        return;
+    }
+    
+    // Disable the start button to prevent double-clicks
+    const startBtn = document.getElementById('btn-start-latency-test');
+    if (startBtn) startBtn.disabled = true;
+    
+    const row = document.getElementById('diag-row-round-trip-latency');
+    const detailCell = row?.querySelector('.diag-detail');
+    const actionCell = row?.querySelector('.diag-action');
+    
+    if (actionCell) actionCell.style.display = 'none';
+    
+    if (detailCell) {
+        detailCell.innerHTML = `
+            <div class="diag-recording">
+                <span class="diag-recording-dot"></span>
+                <span>Playing test sound... <span id="latency-countdown">3s</span></span>
+            </div>
+        `;
+    }
+    
+    const signal = testRun?.signal;
+    await restartQualityDiagnostic('round-trip-latency', diagnosticContext, diagnosticResults, {
+        signal,
+        onProgress: (progress) => {
+            const countdownEl = document.getElementById('latency-countdown');
+            if (countdownEl) {
+                countdownEl.textContent = `${progress.remainingSeconds}s`;
+            }
+        },
+        onUpdate: (results) => {
+            if (!signal?.aborted) updateDiagnosticTable(results);
+        }
+    });
+    
+    // Navigated away - the table is gone
+    if (signal?.aborted) return;
+    
+    // Update the detail to show final result
+    if (detailCell) {
+        detailCell.textContent = diagnosticResults['round-trip-latency'].message;
+    }
+    
+    updateDiagnosticTable(diagnosticResults);
+}
+
+/**
+ * Start the processing test (the test sound once per processing setting)
+ */
+async function startProcessingTest() {
+    if (!diagnosticContext || !diagnosticResults) {
+        console.error('No diagnostic context available');
+        return;
+    }
+    
+    // Disable the start button to prevent double-clicks
+    const startBtn = document.getElementById('btn-start-processing-test');
+    if (startBtn) startBtn.disabled = true;
+    
+    const row = document.getElementById('diag-row-processing-effects');
+    const detailCell = row?.querySelector('.diag-detail');
+    const actionCell = row?.querySelector('.diag-action');
+    
+    if (actionCell) actionCell.style.display = 'none';
+    
+    if (detailCell) {
+        detailCell.innerHTML = `
+            <div class="diag-recording">
+                <span class="diag-recording-dot"></span>
+                <span><span id="processing-phase">All processing off</span>... <span id="processing-countdown">25s</span></span>
+            </div>
+        `;
+    }
+    
+    const signal = testRun?.signal;
+    await restartQualityDiagnostic('processing-effects', diagnosticContext, diagnosticResults, {
+        signal,
+        onProgress: (progress) => {
+            const countdownEl = document.getElementById('processing-countdown');
+            if (countdownEl) {
+                countdownEl.textContent = `${progress.remainingSeconds}s`;
+            }
+            
+            const phaseEl = document.getElementById('processing-phase');
+            if (phaseEl && progress.pass) {
+                phaseEl.textContent = progress.pass;
+            }
+        },
+        onUpdate: (results) => {
+            if (!signal?.aborted) updateDiagnosticTable(results);
+        }
+    });
+    
+    // Navigated away - the table is gone
+    if (signal?.aborted) return;
+    
+    // Update the detail to show final result
+    if (detailCell) {
+        detailCell.textContent = diagnosticResults['processing-effects'].message;
+    }
+    
+    updateDiagnosticTable(diagnosticResults);
+}
+
+/**
+ * Start a registered user-initiated quality test (no bespoke UI)
+ * @param {string} diagId
+ */
+async function startRegisteredTest(diagId) {
+    if (!diagnosticContext || !diagnosticResults) {
+        console.error('No diagnostic context available');
+        return;
+    }
+    
+    // Disable the start button to prevent double-clicks
+    const startBtn = document.getElementById(`btn-start-${diagId}`);
+    if (startBtn) startBtn.disabled = true;
+    
+    const row = document.getElementById(`diag-row-${diagId}`);
+    const detailCell = row?.querySelector('.diag-detail');
+    const actionCell = row?.querySelector('.diag-action');
+    
+    if (actionCell) actionCell.style.display = 'none';
+    
+    const signal = testRun?.signal;
+    await restartQualityDiagnostic(diagId, diagnosticContext, diagnosticResults, {
+        signal,
+        onProgress: (progress) => {
+            if (detailCell && progress?.remainingSeconds !== undefined) {
+                detailCell.textContent = `${diagnosticResults[diagId].message} ${progress.remainingSeconds}s`;
+            }
+        },
+        onUpdate: (results) => {
+            if (!signal?.aborted) updateDiagnosticTable(results);
+        }
+    });
+    
+    // Navigated away - the table is gone
+    if (signal?.aborted) return;
+    
+    updateDiagnosticTable(diagnosticResults);
+}
+
+/**
+ * Cancel a running quality test
+ * Its row shows 'Cancelled' with the start button back
+ * @param {string} diagId
+ */
+async function cancelQualityTest(diagId) {
+    await cancelDiagnostic(diagId);
 }
 
 /**
@@ -923,11 +1680,16 @@ function downloadQualityReport() {
         timestamp: new Date().toISOString(),
         userAgent: navigator.userAgent,
         diagnostics: diagnosticResults,
+        audioConstraints: diagnosticContext.audioConstraints,
         noiseFloor: diagnosticContext.noiseFloorDb,
         voiceLufs: diagnosticContext.voiceLufs,
         voicePeak: diagnosticContext.voicePeakDb,
         snr: diagnosticContext.snr,
-        channelBalance: diagnosticContext.channelBalance
+        channelBalance: diagnosticContext.channelBalance,
+        glitches: diagnosticContext.voiceGlitches,
+        echo: diagnosticContext.echo,
+        latency: diagnosticContext.latency,
+        processing: diagnosticContext.processingEffects
     };
     
     const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
@@ -1193,10 +1955,12 @@ function finishVoiceRecording() {
     // Check sample collection integrity
     const integrity = getSampleIntegrity();
     if (!integrity.isReliable) {
-        console.warn(`[LUFS Integrity] Sample collection had gaps: ${integrity.gaps} gaps, max ${integrity.maxGapMs}ms, coverage ${integrity.coverage}%`);
-        console.warn('[LUFS Integrity] Measurement may be less accurate due to main thread lag. For production use, AudioWorklet would be needed.');
+        console.warn(`[LUFS Integrity] Sample collection (${integrity.method}) had gaps: ${integrity.gaps} gaps, max ${integrity.maxGapMs}ms, coverage ${integrity.coverage}%`);
+        console.warn(integrity.method === 'polling'
+            ? '[LUFS Integrity] Measurement may be less accurate due to main thread lag (AudioWorklet unavailable, using polling fallback).'
+            : '[LUFS Integrity] Measurement may be less accurate - audio processing was interrupted.');
     } else {
-        console.log(`[LUFS Integrity] Sample collection OK: coverage ${integrity.coverage}%, no gaps detected`);
+        console.log(`[LUFS Integrity] Sample collection OK (${integrity.method}): coverage ${integrity.coverage}%, no gaps detected`);
     }
     
     // Handle edge cases from LUFS calculation
@@ -1307,8 +2071,15 @@ export {
     stopTest,
     continueWithPermissionTests,
     toggleMonitoring,
+    toggleSpectrum,
+    startShowdown,
+    closeShowdown,
     startNoiseFloorTest,
     startVoiceLevelTest,
+    startEchoTest,
+    startLatencyTest,
+    startProcessingTest,
+    cancelQualityTest,
     testAgain,
     downloadQualityReport,
     initLevelCheck,
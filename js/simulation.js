@@ -0,0 +1,553 @@
+/**
+ * Simulated Microphone Module
+ * 
+ * Swaps navigator.mediaDevices (and the microphone permission query) for
+ * virtual devices fed by generated signals, so the app can be exercised -
+ * and user reports reproduced - without a real microphone:
+ * - Signals: silence, pink noise, speech-like bursts, mains hum, speech
+ *   with one dead stereo channel, clipped speech, or a loaded audio file
+ * - Faults: getUserMedia errors (NotReadableError, OverconstrainedError,
+ *   NotAllowedError, ...), a permission state, and devices unplugged
+ *   mid-test
+ * 
+ * Signals come from a seeded generator and loop, so every run hears the
+ * same samples. Enabled from the URL, e.g. index.html?simulate=speech#test
+ * (see getSimulationConfig()).
+ */
+
+import { createRandom, createPinkNoise, createSpeech, scaleToDb } from './test-signals.js';
+
+// Seconds of each generated signal (it loops)
+const SIGNAL_SECONDS = 10;
+
+// Levels (dBFS RMS)
+const ROOM_NOISE_DB = -60;
+const PINK_NOISE_DB = -30;
+const SPEECH_DB = -20;
+const HUM_DB = -40;
+const CLIPPED_SPEECH_DB = -2;   // Peaks way past full scale before clipping
+
+/**
+ * Signals a virtual device can play
+ * Each returns its channels (one per device channel)
+ */
+const SIGNALS = {
+    'silence': (length) => [new Float32Array(length)],
+    'pink-noise': (length, sampleRate, random) => [scaleToDb(createPinkNoise(length, random), PINK_NOISE_DB)],
+    'speech': (length, sampleRate, random) => [mix(
+        scaleToDb(createSpeech(length, sampleRate, random), SPEECH_DB),
+        scaleToDb(createPinkNoise(length, random), ROOM_NOISE_DB)
+    )],
+    'hum': (length, sampleRate, random) => [createHumSignal(length, sampleRate, random, 50)],
+    'hum-60': (length, sampleRate, random) => [createHumSignal(length, sampleRate, random, 60)],
+    'dead-channel': (length, sampleRate, random) => [
+        ...SIGNALS['speech'](length, sampleRate, random),
+        new Float32Array(length)
+    ],
+    'clipping': (length, sampleRate, random) => [mix(
+        clip(scaleToDb(createSpeech(length, sampleRate, random), CLIPPED_SPEECH_DB)),
+        scaleToDb(createPinkNoise(length, random), ROOM_NOISE_DB)
+    )]
+};
+
+/**
+ * getUserMedia errors that can be injected, with the browser's message
+ */
+const FAULTS = {
+    NotAllowedError: 'Permission denied',
+    NotFoundError: 'Requested device not found',
+    NotReadableError: 'Could not start audio source',
+    AbortError: 'Starting audio failed',
+    OverconstrainedError: 'Constraints could not be satisfied',
+    SecurityError: 'The request is not allowed by the user agent'
+};
+
+const PERMISSION_STATES = ['granted', 'prompt', 'denied'];
+
+// Active simulation, or null
+let simulation = null;
+
+/**
+ * Read a simulation config from URL parameters
+ * 
+ * - simulate: comma-separated signals, one virtual device each
+ *   (e.g. "speech,hum"), "file" for the audio at simulate-file, or "none"
+ *   for no devices at all
+ * - simulate-file: URL of an audio file (same origin)
+ * - fault: getUserMedia error name to throw (e.g. NotReadableError)
+ * - permission: granted (default), prompt or denied
+ * - remove-after: seconds after it opens until the first device is unplugged
+ * - seed: random seed for the generated signals
+ * 
+ * @param {string} search - location.search
+ * @returns {object|null} Config for installSimulation(), or null if not simulating
+ * @throws {Error} On an unknown signal, fault or permission state
+ */
+export function getSimulationConfig(search) {
+    const params = new URLSearchParams(search);
+    const simulate = params.get('simulate');
+    if (simulate === null) return null;
+    
+    const names = simulate === 'none' ? [] : (simulate || 'speech').split(',');
+    const removeAfter = params.get('remove-after');
+    const seed = params.get('seed');
+    
+    return {
+        devices: names.map(name => name === 'file'
+            ? { signal: 'file', file: params.get('simulate-file') }
+            : { signal: name }),
+        fault: params.get('fault'),
+        permission: params.get('permission') || 'granted',
+        removeAfter: removeAfter !== null ? Number(removeAfter) : null,
+        seed: seed !== null ? Number(seed) : 1
+    };
+}
+
+/**
+ * Replace the microphone APIs with simulated devices
+ * 
+ * @param {object} config
+ * @param {object[]} config.devices - Virtual devices: { signal, label?, file? }
+ *        (file: URL or Blob, for signal 'file')
+ * @param {string} [config.fault] - Error name every getUserMedia call throws
+ * @param {string} [config.permission='granted'] - Microphone permission state;
+ *        'prompt' becomes 'granted' on the first successful getUserMedia
+ * @param {number} [config.removeAfter] - Seconds after it first opens until
+ *        the first device is unplugged (its tracks end, devicechange fires)
+ * @param {number} [config.seed=1] - Random seed for the generated signals
+ * @returns {string} Description of the simulation, for display
+ * @throws {Error} On an unknown signal, fault or permission state
+ */
+export function installSimulation(config) {
+    const { devices = [], fault = null, permission = 'granted', removeAfter = null, seed = 1 } = config;
+    
+    for (const device of devices) {
+        if (device.signal !== 'file' && !SIGNALS[device.signal]) {
+            throw new Error(`Unknown simulated signal "${device.signal}" (use ${[...Object.keys(SIGNALS), 'file'].join(', ')})`);
+        }
+        if (device.signal === 'file' && !device.file) {
+            throw new Error('Simulated signal "file" needs a file');
+        }
+    }
+    if (fault && !FAULTS[fault]) {
+        throw new Error(`Unknown simulated fault "${fault}" (use ${Object.keys(FAULTS).join(', ')})`);
+    }
+    if (!PERMISSION_STATES.includes(permission)) {
+        throw new Error(`Unknown permission state "${permission}" (use ${PERMISSION_STATES.join(', ')})`);
+    }
+    
+    uninstallSimulation();
+    
+    const mediaDevices = navigator.mediaDevices;
+    const permissions = navigator.permissions;
+    simulation = {
+        devices: devices.map((device, index) => ({
+            ...device,
+            deviceId: `simulated-${index + 1}`,
+            groupId: `simulated-group-${index + 1}`,
+            label: device.label || `Simulated Microphone ${index + 1} (${device.signal})`,
+            tracks: new Set()
+        })),
+        fault,
+        permission,
+        removeAfter,
+        seed,
+        audioContext: null,
+        buffers: new Map(),
+        removalTimer: null,
+        original: {
+            getUserMedia: mediaDevices?.getUserMedia,
+            enumerateDevices: mediaDevices?.enumerateDevices,
+            query: permissions?.query
+        }
+    };
+    
+    if (mediaDevices) {
+        mediaDevices.getUserMedia = getUserMedia;
+        mediaDevices.enumerateDevices = enumerateDevices;
+    }
+    if (permissions) {
+        permissions.query = (descriptor) => queryPermission(descriptor, permissions);
+    }
+    
+    return describeSimulation();
+}
+
+/**
+ * Restore the real microphone APIs and stop all simulated tracks
+ */
+export function uninstallSimulation() {
+    if (!simulation) return;
+    
+    clearTimeout(simulation.removalTimer);
+    simulation.devices.forEach(device => device.tracks.forEach(track => track.stop()));
+    simulation.audioContext?.close().catch(() => { /* ignore */ });
+    
+    const { original } = simulation;
+    if (navigator.mediaDevices) {
+        navigator.mediaDevices.getUserMedia = original.getUserMedia;
+        navigator.mediaDevices.enumerateDevices = original.enumerateDevices;
+    }
+    if (navigator.permissions) {
+        navigator.permissions.query = original.query;
+    }
+    
+    simulation = null;
+}
+
+/**
+ * Check whether simulated devices are installed
+ * @returns {boolean}
+ */
+export function isSimulating() {
+    return simulation !== null;
+}
+
+/**
+ * Unplug a simulated device now
+ * Its tracks end and later getUserMedia calls for it fail
+ * 
+ * @param {string} [deviceId] - Defaults to the first device
+ * @returns {boolean} True if a device was removed
+ */
+export function removeSimulatedDevice(deviceId) {
+    if (!simulation) return false;
+    
+    const index = deviceId
+        ? simulation.devices.findIndex(d => d.deviceId === deviceId)
+        : 0;
+    const device = simulation.devices[index];
+    if (!device) return false;
+    
+    simulation.devices.splice(index, 1);
+    device.tracks.forEach(track => {
+        track.stop();
+        track.dispatchEvent(new Event('ended'));
+    });
+    device.tracks.clear();
+    navigator.mediaDevices.dispatchEvent(new Event('devicechange'));
+    return true;
+}
+
+/**
+ * Describe the active simulation
+ * @returns {string}
+ */
+function describeSimulation() {
+    const parts = [simulation.devices.length > 0
+        ? simulation.devices.map(d => d.signal).join(', ')
+        : 'no devices'];
+    if (simulation.fault) parts.push(`fault: ${simulation.fault}`);
+    if (simulation.permission !== 'granted') parts.push(`permission: ${simulation.permission}`);
+    if (simulation.removeAfter !== null) parts.push(`unplugged after ${simulation.removeAfter}s`);
+    return parts.join(' · ');
+}
+
+// ============================================
+// Simulated APIs
+// ============================================
+
+/**
+ * Simulated navigator.mediaDevices.getUserMedia
+ * @param {MediaStreamConstraints} constraints
+ * @returns {Promise<MediaStream>}
+ */
+async function getUserMedia(constraints = {}) {
+    if (!constraints.audio) {
+        throw new TypeError('At least one of audio and video must be requested');
+    }
+    if (simulation.fault) {
+        throw createError(simulation.fault);
+    }
+    if (simulation.permission === 'denied') {
+        throw createError('NotAllowedError');
+    }
+    
+    const audio = typeof constraints.audio === 'object' ? constraints.audio : {};
+    const device = findDevice(audio.deviceId);
+    
+    const audioContext = getAudioContext();
+    if (audioContext.state === 'suspended') {
+        await audioContext.resume().catch(() => { /* needs a user gesture - stays silent */ });
+    }
+    
+    const buffer = await getSignalBuffer(device, audioContext);
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    
+    const destination = audioContext.createMediaStreamDestination();
+    destination.channelCount = buffer.numberOfChannels;
+    destination.channelCountMode = 'explicit';
+    destination.channelInterpretation = 'discrete';
+    source.connect(destination);
+    source.start();
+    
+    const track = destination.stream.getAudioTracks()[0];
+    disguiseTrack(track, device, audio, buffer, source);
+    device.tracks.add(track);
+    
+    if (simulation.permission === 'prompt') {
+        simulation.permission = 'granted';
+    }
+    if (simulation.removeAfter !== null && simulation.removalTimer === null) {
+        const deviceId = device.deviceId;
+        simulation.removalTimer = setTimeout(() => removeSimulatedDevice(deviceId), simulation.removeAfter * 1000);
+    }
+    
+    return destination.stream;
+}
+
+/**
+ * Simulated navigator.mediaDevices.enumerateDevices
+ * Labels stay hidden until permission is granted, as in real browsers
+ * @returns {Promise<object[]>}
+ */
+async function enumerateDevices() {
+    const granted = simulation.permission === 'granted';
+    
+    return simulation.devices.map(device => ({
+        deviceId: granted ? device.deviceId : '',
+        groupId: granted ? device.groupId : '',
+        kind: 'audioinput',
+        label: granted ? device.label : '',
+        toJSON() { return { ...this }; }
+    }));
+}
+
+/**
+ * Simulated navigator.permissions.query - only the microphone is simulated
+ * @param {object} descriptor
+ * @param {Permissions} permissions - The real Permissions object
+ * @returns {Promise<object>}
+ */
+async function queryPermission(descriptor, permissions) {
+    if (descriptor?.name !== 'microphone') {
+        return simulation.original.query.call(permissions, descriptor);
+    }
+    
+    const status = new EventTarget();
+    status.name = 'microphone';
+    status.state = simulation.permission;
+    status.onchange = null;
+    return status;
+}
+
+/**
+ * Find the device a getUserMedia call asks for
+ * @param {string|object} [deviceId] - deviceId constraint
+ * @returns {object} Simulated device
+ * @throws {DOMException} NotFoundError / OverconstrainedError, as browsers do
+ */
+function findDevice(deviceId) {
+    const exact = typeof deviceId === 'object' ? deviceId?.exact : null;
+    const wanted = typeof deviceId === 'object' ? (deviceId?.exact ?? deviceId?.ideal) : deviceId;
+    
+    const device = simulation.devices.find(d => d.deviceId === wanted);
+    if (device) return device;
+    
+    if (exact && exact !== 'default') {
+        throw createError('OverconstrainedError');
+    }
+    if (simulation.devices.length === 0) {
+        throw createError('NotFoundError');
+    }
+    return simulation.devices[0];
+}
+
+/**
+ * Make a destination track look like the device's microphone track
+ * 
+ * The signal fixes the format (channel count, sample rate), so only the
+ * processing flags follow the constraints. Nothing is actually processed.
+ * 
+ * @param {MediaStreamTrack} track
+ * @param {object} device - Simulated device
+ * @param {object} audio - Audio constraints asked for
+ * @param {AudioBuffer} buffer - Signal being played
+ * @param {AudioBufferSourceNode} source - Node playing it
+ */
+function disguiseTrack(track, device, audio, buffer, source) {
+    const capabilities = {
+        deviceId: device.deviceId,
+        groupId: device.groupId,
+        channelCount: { min: buffer.numberOfChannels, max: buffer.numberOfChannels },
+        sampleRate: { min: buffer.sampleRate, max: buffer.sampleRate },
+        sampleSize: { min: 16, max: 16 },
+        echoCancellation: [true, false],
+        noiseSuppression: [true, false],
+        autoGainControl: [true, false]
+    };
+    let constraints = { ...audio };
+    
+    const requested = (name) => {
+        const value = constraints[name];
+        if (typeof value === 'object' && value !== null) return value.exact ?? value.ideal ?? true;
+        return value ?? true;
+    };
+    const getSettings = () => ({
+        deviceId: device.deviceId,
+        groupId: device.groupId,
+        channelCount: buffer.numberOfChannels,
+        sampleRate: buffer.sampleRate,
+        sampleSize: 16,
+        echoCancellation: requested('echoCancellation'),
+        noiseSuppression: requested('noiseSuppression'),
+        autoGainControl: requested('autoGainControl')
+    });
+    
+    const applyConstraints = async (next = {}) => {
+        const failed = findUnsatisfiedConstraint(next, capabilities);
+        if (failed) {
+            throw createError('OverconstrainedError', failed);
+        }
+        constraints = { ...next };
+    };
+    
+    const stop = track.stop.bind(track);
+    Object.defineProperties(track, {
+        label: { value: device.label },
+        getSettings: { value: getSettings },
+        getConstraints: { value: () => ({ ...constraints }) },
+        getCapabilities: { value: () => structuredClone(capabilities) },
+        applyConstraints: { value: applyConstraints },
+        stop: {
+            value: () => {
+                stop();
+                try {
+                    source.stop();
+                    source.disconnect();
+                } catch (e) { /* already stopped */ }
+                device.tracks.delete(track);
+            }
+        }
+    });
+}
+
+/**
+ * Find an exact constraint the simulated device can't meet
+ * (ideal and plain values are best-effort, so they never fail)
+ * @param {object} constraints - Audio track constraints
+ * @param {object} capabilities - Simulated capabilities
+ * @returns {string|null} Name of the first unmet constraint
+ */
+function findUnsatisfiedConstraint(constraints, capabilities) {
+    for (const [name, value] of Object.entries(constraints)) {
+        const exact = typeof value === 'object' && value !== null ? value.exact : undefined;
+        const capability = capabilities[name];
+        if (exact === undefined || capability === undefined) continue;
+        
+        const met = Array.isArray(capability) ? capability.includes(exact)
+            : typeof capability === 'object' ? exact >= capability.min && exact <= capability.max
+            : exact === capability;
+        if (!met) return name;
+    }
+    return null;
+}
+
+/**
+ * Create the error a browser would throw
+ * @param {string} name - DOMException name
+ * @param {string} [constraint] - For OverconstrainedError, the constraint that failed
+ * @returns {DOMException}
+ */
+function createError(name, constraint = 'deviceId') {
+    const error = new DOMException(FAULTS[name], name);
+    if (name === 'OverconstrainedError') {
+        // Real ones say which constraint failed
+        Object.defineProperty(error, 'constraint', { value: constraint });
+    }
+    return error;
+}
+
+/**
+ * Get the simulation's AudioContext, creating it on first use
+ * @returns {AudioContext}
+ */
+function getAudioContext() {
+    if (!simulation.audioContext || simulation.audioContext.state === 'closed') {
+        simulation.audioContext = new AudioContext();
+        simulation.buffers.clear();
+    }
+    return simulation.audioContext;
+}
+
+/**
+ * Get the buffer a device plays, generating or decoding it on first use
+ * @param {object} device - Simulated device
+ * @param {AudioContext} audioContext
+ * @returns {Promise<AudioBuffer>}
+ */
+async function getSignalBuffer(device, audioContext) {
+    const key = device.signal === 'file' ? device.file : device.signal;
+    if (simulation.buffers.has(key)) return simulation.buffers.get(key);
+    
+    let buffer;
+    if (device.signal === 'file') {
+        const data = device.file instanceof Blob
+            ? await device.file.arrayBuffer()
+            : await fetch(device.file).then(response => {
+                if (!response.ok) throw new Error(`Could not load ${device.file}: ${response.status}`);
+                return response.arrayBuffer();
+            });
+        buffer = await audioContext.decodeAudioData(data);
+    } else {
+        const sampleRate = audioContext.sampleRate;
+        const length = SIGNAL_SECONDS * sampleRate;
+        const channels = SIGNALS[device.signal](length, sampleRate, createRandom(simulation.seed));
+        
+        buffer = audioContext.createBuffer(channels.length, length, sampleRate);
+        channels.forEach((samples, channel) => buffer.copyToChannel(samples, channel));
+    }
+    
+    simulation.buffers.set(key, buffer);
+    return buffer;
+}
+
+// ============================================
+// Signal Generators
+// ============================================
+
+/**
+ * Mains hum with the buzzy odd harmonics of a ground loop, over room tone
+ * @param {number} length
+ * @param {number} sampleRate
+ * @param {function(): number} random
+ * @param {number} mainsHz - 50 or 60
+ * @returns {Float32Array}
+ */
+function createHumSignal(length, sampleRate, random, mainsHz) {
+    const hum = new Float32Array(length);
+    const harmonics = [[1, 1], [2, 0.3], [3, 0.5], [5, 0.25], [7, 0.12]];
+    
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        for (const [k, gain] of harmonics) {
+            hum[i] += gain * Math.sin(2 * Math.PI * k * mainsHz * t);
+        }
+    }
+    return mix(scaleToDb(hum, HUM_DB), scaleToDb(createPinkNoise(length, random), ROOM_NOISE_DB));
+}
+
+/**
+ * Add b into a (in place)
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {Float32Array} a
+ */
+function mix(a, b) {
+    for (let i = 0; i < a.length; i++) a[i] += b[i];
+    return a;
+}
+
+/**
+ * Hard-clip samples (in place) at full scale
+ * @param {Float32Array} samples
+ * @returns {Float32Array} The same samples
+ */
+function clip(samples) {
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.max(-1, Math.min(1, samples[i]));
+    }
+    return samples;
+}
@@ -0,0 +1,397 @@
+/**
+ * Spectral Analysis Module
+ * 
+ * Reads a microphone's "fingerprint" from its long-term average spectrum:
+ * - Mini spectrum: third-octave-ish bars for an at-a-glance shape
+ * - Bandwidth: where the spectrum falls off a cliff. Codecs and low sample
+ *   rates cut everything above their Nyquist frequency, so a 16 kHz webcam
+ *   stops dead at 8 kHz and a Bluetooth headset in call (HFP) mode at 4 kHz,
+ *   even when the browser resamples them to 48 kHz.
+ * - Hum: narrow peaks at 50/60 Hz mains frequency and its harmonics
+ * - Tones: other narrow peaks, such as the coil whine of a power supply
+ * 
+ * Input is an array of average linear power per FFT bin (0 Hz to Nyquist),
+ * e.g. from SpectrumAverager, which collects one from an AnalyserNode, or
+ * getPowerSpectrum() for a recording.
+ */
+
+import { fft, hannWindow } from './fft.js';
+
+// Power assigned to empty bins so dB math stays finite
+const POWER_FLOOR = 1e-16;    // -160 dB
+
+// Bandwidth: compare 1 kHz either side of each 250 Hz step, and call it a
+// cutoff when the level drops by 30 dB or more. A microphone's natural
+// roll-off is far gentler than that.
+const BANDWIDTH_STEP_HZ = 250;
+const BANDWIDTH_SPAN_STEPS = 4;
+const BANDWIDTH_CLIFF_DB = 30;
+
+// A cutoff this close to Nyquist is just the sample rate, not a limit
+const FULL_BAND_MARGIN_HZ = 1500;
+
+// Hum: peak height over the neighbouring bins, on the first 4 harmonics
+const HUM_FREQUENCIES = [50, 60];
+const HUM_HARMONICS = 4;
+const HUM_PEAK_DB = 6;          // Needed on 2+ harmonics
+const HUM_STRONG_PEAK_DB = 12;  // Enough on a single harmonic
+const HUM_NEIGHBOUR_BINS = [4, 7];  // Outside the analyser window's main lobe
+
+// Tones: compared with the median ±100 Hz around them, skipping the
+// window's main lobe
+const TONE_CONTEXT_HZ = 100;
+const TONE_GUARD_BINS = 3;
+
+// Mini spectrum range
+const MINI_SPECTRUM_LOW_HZ = 50;
+
+/**
+ * Averages an AnalyserNode's spectrum over time, as linear power per bin
+ * 
+ * Call sample() periodically (e.g. from a polling loop), then read
+ * getAverage() for input to the functions below. By default every frame
+ * counts equally; with a smoothing weight the average is exponential and
+ * follows changes, for live displays.
+ */
+export class SpectrumAverager {
+    /**
+     * @param {AnalyserNode} analyser - Source of spectrum frames
+     * @param {object} [options]
+     * @param {number} [options.smoothing] - Weight of each new frame (0-1) for an exponential average
+     */
+    constructor(analyser, options = {}) {
+        this.analyser = analyser;
+        this.smoothing = options.smoothing ?? null;
+        this.bins = new Float32Array(analyser.frequencyBinCount);
+        this.sum = new Float64Array(analyser.frequencyBinCount);
+        this.frames = 0;
+    }
+    
+    /**
+     * Add the analyser's current spectrum to the average
+     */
+    sample() {
+        this.analyser.getFloatFrequencyData(this.bins);
+        this.addFrame(this.bins);
+    }
+    
+    /**
+     * Add a spectrum frame read elsewhere (to share one read between averagers)
+     * @param {Float32Array} bins - dB per bin, from getFloatFrequencyData()
+     */
+    addFrame(bins) {
+        for (let i = 0; i < bins.length; i++) {
+            const power = isFinite(bins[i]) ? Math.pow(10, bins[i] / 10) : 0;
+            if (this.smoothing === null) {
+                this.sum[i] += power;
+            } else if (this.frames === 0) {
+                this.sum[i] = power;
+            } else {
+                this.sum[i] += this.smoothing * (power - this.sum[i]);
+            }
+        }
+        this.frames++;
+    }
+    
+    /**
+     * Forget everything sampled so far
+     */
+    reset() {
+        this.sum.fill(0);
+        this.frames = 0;
+    }
+    
+    /**
+     * Get the averaged spectrum
+     * @returns {{powers: Float64Array, binWidth: number}|null} null if nothing was sampled
+     */
+    getAverage() {
+        if (this.frames === 0) return null;
+        return {
+            powers: this.smoothing === null ? this.sum.map(power => power / this.frames) : this.sum.slice(),
+            binWidth: this.analyser.context.sampleRate / this.analyser.fftSize
+        };
+    }
+}
+
+/**
+ * Convert power to dB, with a floor for empty bins
+ * @param {number} power - Linear power
+ * @returns {number} dB
+ */
+function powerToDb(power) {
+    return 10 * Math.log10(Math.max(power, POWER_FLOOR));
+}
+
+/**
+ * Average power over a frequency range
+ * @param {ArrayLike<number>} powers - Linear power per bin
+ * @param {number} binWidth - Hz per bin
+ * @param {number} low - Hz
+ * @param {number} high - Hz
+ * @returns {number} Mean linear power (0 if the range has no bins)
+ */
+function meanPower(powers, binWidth, low, high) {
+    const first = Math.max(0, Math.ceil(low / binWidth));
+    const last = Math.min(powers.length - 1, Math.floor(high / binWidth));
+    if (last < first) return 0;
+    
+    let sum = 0;
+    for (let i = first; i <= last; i++) sum += powers[i];
+    return sum / (last - first + 1);
+}
+
+/**
+ * Log-spaced band levels for a mini spectrum display
+ * @param {ArrayLike<number>} powers - Linear power per bin
+ * @param {number} binWidth - Hz per bin
+ * @param {number} [count=24] - Number of bands
+ * @returns {number[]} Band levels in dB relative to the loudest band (≤ 0)
+ */
+export function getMiniSpectrum(powers, binWidth, count = 24) {
+    const nyquist = powers.length * binWidth;
+    const ratio = Math.pow(nyquist / MINI_SPECTRUM_LOW_HZ, 1 / count);
+    
+    const levels = [];
+    for (let b = 0; b < count; b++) {
+        const low = MINI_SPECTRUM_LOW_HZ * Math.pow(ratio, b);
+        // Narrow low bands may fall between bins - widen to at least one bin
+        const high = Math.max(low * ratio, low + binWidth);
+        levels.push(powerToDb(meanPower(powers, binWidth, low, high)));
+    }
+    
+    const loudest = Math.max(...levels);
+    return levels.map(level => level - loudest);
+}
+
+/**
+ * Estimate the audio bandwidth (highest frequency actually carried)
+ * @param {ArrayLike<number>} powers - Linear power per bin
+ * @param {number} binWidth - Hz per bin
+ * @returns {{bandwidthHz: number, limited: boolean, cliffDb: number}|null}
+ *          limited is true when a cutoff was found well below Nyquist;
+ *          null if there is no signal at all
+ */
+export function estimateBandwidth(powers, binWidth) {
+    const nyquist = powers.length * binWidth;
+    const steps = Math.floor(nyquist / BANDWIDTH_STEP_HZ);
+    
+    const levels = [];
+    let total = 0;
+    for (let s = 0; s < steps; s++) {
+        const power = meanPower(powers, binWidth, s * BANDWIDTH_STEP_HZ, (s + 1) * BANDWIDTH_STEP_HZ);
+        total += power;
+        levels.push(powerToDb(power));
+    }
+    if (total === 0) return null;
+    
+    const average = (from, to) => {
+        let sum = 0;
+        for (let s = from; s < to; s++) sum += levels[s];
+        return sum / (to - from);
+    };
+    
+    // Largest drop from the 1 kHz below a step to the 1 kHz above it
+    let cliffStep = steps;
+    let cliffDb = 0;
+    for (let s = BANDWIDTH_SPAN_STEPS; s < steps; s++) {
+        const drop = average(s - BANDWIDTH_SPAN_STEPS, s) - average(s, Math.min(steps, s + BANDWIDTH_SPAN_STEPS));
+        if (drop > cliffDb) {
+            cliffDb = drop;
+            cliffStep = s;
+        }
+    }
+    
+    const bandwidthHz = cliffDb >= BANDWIDTH_CLIFF_DB ? cliffStep * BANDWIDTH_STEP_HZ : nyquist;
+    return {
+        bandwidthHz,
+        limited: bandwidthHz < nyquist - FULL_BAND_MARGIN_HZ,
+        cliffDb
+    };
+}
+
+/**
+ * Describe a bandwidth in terms of what usually causes it
+ * @param {number} bandwidthHz - From estimateBandwidth()
+ * @returns {{label: string, detail: string}}
+ */
+export function describeBandwidth(bandwidthHz) {
+    const kHz = `${(bandwidthHz / 1000).toFixed(bandwidthHz < 10000 ? 1 : 0)} kHz`;
+    
+    if (bandwidthHz <= 4500) {
+        return {
+            label: `Narrowband (${kHz})`,
+            detail: 'Telephone quality. Typical of a Bluetooth headset in call (HFP) mode.'
+        };
+    }
+    if (bandwidthHz <= 8500) {
+        return {
+            label: `Wideband (${kHz})`,
+            detail: '16 kHz audio. Typical of webcams and Bluetooth headsets in wideband call mode.'
+        };
+    }
+    if (bandwidthHz <= 12500) {
+        return {
+            label: `Reduced (${kHz})`,
+            detail: '22-24 kHz audio. Speech is clear but lacks air.'
+        };
+    }
+    if (bandwidthHz <= 16500) {
+        return {
+            label: `Reduced (${kHz})`,
+            detail: '32 kHz audio or a lossy codec. Fine for speech.'
+        };
+    }
+    return {
+        label: `Full (${kHz})`,
+        detail: 'Full-bandwidth audio.'
+    };
+}
+
+/**
+ * Detect mains hum
+ * 
+ * Looks for narrow peaks at the 50 Hz or 60 Hz series (fundamental plus
+ * harmonics). Mics with a low-cut filter often remove the fundamental but
+ * not the 100/120 Hz and 150/180 Hz harmonics, so any of them count.
+ * 
+ * @param {ArrayLike<number>} powers - Linear power per bin
+ * @param {number} binWidth - Hz per bin (needs ~6 Hz or finer to separate 50 from 60 Hz)
+ * @param {number} [maxHarmonics=4] - Harmonics to check (more finds buzz, which is rich in them)
+ * @returns {{frequency: number, peakDb: number, levelDb: number, harmonics: number[]}|null}
+ *          Mains frequency, strongest peak height over its neighbours, level
+ *          of the loudest peak (dB, in the units of powers) and which
+ *          harmonic frequencies showed a peak; null if no hum
+ */
+export function detectHum(powers, binWidth, maxHarmonics = HUM_HARMONICS) {
+    let best = null;
+    
+    for (const mains of HUM_FREQUENCIES) {
+        const peaks = [];
+        for (let h = 1; h <= maxHarmonics; h++) {
+            const frequency = mains * h;
+            const centre = Math.round(frequency / binWidth);
+            if (centre - HUM_NEIGHBOUR_BINS[1] < 1 || centre + HUM_NEIGHBOUR_BINS[1] >= powers.length) continue;
+            
+            const peak = Math.max(powers[centre - 1], powers[centre], powers[centre + 1]);
+            let neighbours = 0;
+            let count = 0;
+            for (let offset = HUM_NEIGHBOUR_BINS[0]; offset <= HUM_NEIGHBOUR_BINS[1]; offset++) {
+                neighbours += powers[centre - offset] + powers[centre + offset];
+                count += 2;
+            }
+            peaks.push({ frequency, peakDb: powerToDb(peak) - powerToDb(neighbours / count), levelDb: powerToDb(peak) });
+        }
+        
+        const strong = peaks.filter(p => p.peakDb >= HUM_PEAK_DB);
+        const peakDb = Math.max(0, ...peaks.map(p => p.peakDb));
+        const isHum = strong.length >= 2 || peakDb >= HUM_STRONG_PEAK_DB;
+        
+        // 50 and 60 Hz series share every 300 Hz, so the one with more
+        // peaks wins, then the one with the stronger peak
+        const better = !best || strong.length > best.harmonics.length ||
+            (strong.length === best.harmonics.length && peakDb > best.peakDb);
+        
+        if (isHum && better) {
+            best = {
+                frequency: mains,
+                peakDb,
+                levelDb: Math.max(...strong.map(p => p.levelDb), -Infinity),
+                harmonics: strong.map(p => p.frequency)
+            };
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Find narrow tonal peaks (e.g. coil whine) in a frequency range
+ * 
+ * A tone is a local maximum standing well above the median of the bins
+ * around it (±TONE_CONTEXT_HZ), so broadband noise and gentle spectral
+ * slopes don't count.
+ * 
+ * @param {ArrayLike<number>} powers - Linear power per bin
+ * @param {number} binWidth - Hz per bin
+ * @param {object} [options]
+ * @param {number} [options.minHz=2000] - Lowest frequency to search
+ * @param {number} [options.maxHz=20000] - Highest frequency to search (capped at Nyquist)
+ * @param {number} [options.minPeakDb=15] - Height over the surrounding median
+ * @param {number} [options.maxTones=3] - Tones to return
+ * @returns {Array<{frequency: number, levelDb: number, peakDb: number}>} Loudest first
+ */
+export function detectTones(powers, binWidth, options = {}) {
+    const { minHz = 2000, maxHz = 20000, minPeakDb = 15, maxTones = 3 } = options;
+    const contextBins = Math.max(TONE_GUARD_BINS + 4, Math.round(TONE_CONTEXT_HZ / binWidth));
+    const first = Math.max(contextBins, Math.ceil(minHz / binWidth));
+    const last = Math.min(powers.length - 1 - contextBins, Math.floor(maxHz / binWidth));
+    
+    const tones = [];
+    const surrounding = [];
+    for (let k = first; k <= last; k++) {
+        if (!(powers[k] >= powers[k - 1] && powers[k] > powers[k + 1])) continue;
+        
+        surrounding.length = 0;
+        for (let offset = TONE_GUARD_BINS; offset <= contextBins; offset++) {
+            surrounding.push(powers[k - offset], powers[k + offset]);
+        }
+        surrounding.sort((a, b) => a - b);
+        const median = surrounding[Math.floor(surrounding.length / 2)];
+        
+        const peakDb = powerToDb(powers[k]) - powerToDb(median);
+        if (peakDb >= minPeakDb) {
+            tones.push({ frequency: k * binWidth, levelDb: powerToDb(powers[k]), peakDb });
+        }
+    }
+    
+    // Loudest first, skipping peaks within the context of a louder one
+    tones.sort((a, b) => b.levelDb - a.levelDb);
+    const result = [];
+    for (const tone of tones) {
+        if (result.some(t => Math.abs(t.frequency - tone.frequency) < TONE_CONTEXT_HZ)) continue;
+        result.push(tone);
+        if (result.length === maxTones) break;
+    }
+    return result;
+}
+
+/**
+ * Power spectrum of a recording (Welch's method)
+ * 
+ * Averages Hann-windowed FFT frames at 50% overlap. Scaled so a sine
+ * wave's peak bin reads its mean square, i.e. 10·log10 gives its RMS
+ * level in dBFS.
+ * 
+ * @param {Float32Array} samples - Mono audio
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [fftSize=16384] - Power of two; 16384 gives ~3 Hz bins at 48 kHz
+ * @returns {{powers: Float64Array, binWidth: number}|null} null if shorter than one frame
+ */
+export function getPowerSpectrum(samples, sampleRate, fftSize = 16384) {
+    if (samples.length < fftSize) return null;
+    
+    const bins = fftSize / 2;
+    const window = hannWindow(fftSize);
+    const windowSum = fftSize / 2;
+    const scale = 2 / (windowSum * windowSum);
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+    const powers = new Float64Array(bins);
+    
+    let frames = 0;
+    for (let start = 0; start + fftSize <= samples.length; start += fftSize / 2) {
+        for (let i = 0; i < fftSize; i++) {
+            re[i] = samples[start + i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        for (let k = 0; k < bins; k++) {
+            powers[k] += (re[k] * re[k] + im[k] * im[k]) * scale;
+        }
+        frames++;
+    }
+    
+    for (let k = 0; k < bins; k++) powers[k] /= frames;
+    return { powers, binWidth: sampleRate / fftSize };
+}
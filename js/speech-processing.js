@@ -0,0 +1,372 @@
+/**
+ * Speech Processing Module
+ * 
+ * Optional voice-oriented stages for the offline mastering chain:
+ * - Denoise: spectral noise reduction (implemented in noise-reduction.js)
+ * - High-pass: removes rumble and handling noise below the voice
+ * - Parametric EQ: peaking and shelving bands
+ * - Compressor: gentle RMS compression to even out delivery
+ * - De-esser: split-band reduction of sibilance
+ * 
+ * Like the expander and limiter in mastering.js, every stage works in place
+ * on an array of Float32Array channels so it can run synchronously on a
+ * decoded recording. All stages are bypassed by default.
+ */
+
+/**
+ * Default parameters for each stage
+ * 
+ * Thresholds that depend on recording level are relative, so the same
+ * settings behave the same on quiet and loud recordings.
+ */
+export const SPEECH_STAGE_DEFAULTS = {
+    denoise: {
+        enabled: false,
+        source: 'room',     // Noise profile: 'room' (noise-floor test) or 'region' of the recording
+        regionStart: 0,     // Seconds - region profile bounds
+        regionEnd: 0.5,
+        method: 'wiener',   // 'wiener' or 'subtraction'
+        reduction: 12       // dB - maximum attenuation
+    },
+    highPass: {
+        enabled: false,
+        frequency: 80,      // Hz - below the fundamental of most voices
+        slope: 24           // dB/octave: 12 or 24
+    },
+    eq: {
+        enabled: false,
+        bands: [
+            { type: 'peaking', frequency: 300, gain: -2, q: 1.0 },      // Reduce boxiness
+            { type: 'peaking', frequency: 3000, gain: 2, q: 1.0 },      // Presence
+            { type: 'highshelf', frequency: 10000, gain: 1.5, q: 0.707 } // Air
+        ]
+    },
+    compressor: {
+        enabled: false,
+        threshold: 2,       // dB above the speech level (measureSpeechRms)
+        ratio: 3,
+        attack: 0.01,       // 10ms
+        release: 0.15       // 150ms
+    },
+    deEsser: {
+        enabled: false,
+        frequency: 5500,    // Hz - sibilance band starts here
+        threshold: -8,      // dB of sibilance band relative to full band
+        ratio: 4,
+        maxReduction: 10    // dB
+    }
+};
+
+/**
+ * Display names for each stage
+ */
+export const SPEECH_STAGE_NAMES = {
+    denoise: 'Denoise',
+    highPass: 'High-pass',
+    eq: 'EQ',
+    compressor: 'Compressor',
+    deEsser: 'De-esser'
+};
+
+/**
+ * Merge stage overrides with the defaults
+ * @param {object} [overrides] - Per-stage partial settings, e.g. { deEsser: { enabled: true } }
+ * @returns {object} Complete settings for every stage
+ */
+export function getSpeechProcessing(overrides = {}) {
+    const settings = {};
+    for (const [id, defaults] of Object.entries(SPEECH_STAGE_DEFAULTS)) {
+        settings[id] = { ...defaults, ...(overrides?.[id] || {}) };
+    }
+    return settings;
+}
+
+// ============================================
+// Biquad filters (RBJ Audio EQ Cookbook)
+// ============================================
+
+/**
+ * Calculate normalized biquad coefficients
+ * @param {string} type - 'highpass', 'lowpass', 'peaking', 'lowshelf' or 'highshelf'
+ * @param {number} frequency - Centre/corner frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} q - Quality factor
+ * @param {number} [gainDb=0] - Gain for peaking and shelving filters
+ * @returns {{b0: number, b1: number, b2: number, a1: number, a2: number}}
+ */
+function getBiquadCoefficients(type, frequency, sampleRate, q, gainDb = 0) {
+    const w0 = 2 * Math.PI * Math.min(frequency, sampleRate * 0.49) / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * q);
+    const A = Math.pow(10, gainDb / 40);
+    const sqrtA2Alpha = 2 * Math.sqrt(A) * alpha;
+    
+    let b0, b1, b2, a0, a1, a2;
+    
+    switch (type) {
+        case 'highpass':
+            b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+            a0 = 1 + alpha; a1 = -2 * cos; a2 = 1 - alpha;
+            break;
+        case 'lowpass':
+            b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2;
+            a0 = 1 + alpha; a1 = -2 * cos; a2 = 1 - alpha;
+            break;
+        case 'lowshelf':
+            b0 = A * ((A + 1) - (A - 1) * cos + sqrtA2Alpha);
+            b1 = 2 * A * ((A - 1) - (A + 1) * cos);
+            b2 = A * ((A + 1) - (A - 1) * cos - sqrtA2Alpha);
+            a0 = (A + 1) + (A - 1) * cos + sqrtA2Alpha;
+            a1 = -2 * ((A - 1) + (A + 1) * cos);
+            a2 = (A + 1) + (A - 1) * cos - sqrtA2Alpha;
+            break;
+        case 'highshelf':
+            b0 = A * ((A + 1) + (A - 1) * cos + sqrtA2Alpha);
+            b1 = -2 * A * ((A - 1) + (A + 1) * cos);
+            b2 = A * ((A + 1) + (A - 1) * cos - sqrtA2Alpha);
+            a0 = (A + 1) - (A - 1) * cos + sqrtA2Alpha;
+            a1 = 2 * ((A - 1) - (A + 1) * cos);
+            a2 = (A + 1) - (A - 1) * cos - sqrtA2Alpha;
+            break;
+        case 'peaking':
+        default:
+            b0 = 1 + alpha * A; b1 = -2 * cos; b2 = 1 - alpha * A;
+            a0 = 1 + alpha / A; a1 = -2 * cos; a2 = 1 - alpha / A;
+            break;
+    }
+    
+    return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+}
+
+/**
+ * Run a biquad over samples (transposed direct form II)
+ * @param {Float32Array} input - Source samples
+ * @param {Float32Array} output - Destination (may be the same array as input)
+ * @param {object} c - Coefficients from getBiquadCoefficients()
+ */
+function runBiquad(input, output, c) {
+    let z1 = 0;
+    let z2 = 0;
+    
+    for (let i = 0; i < input.length; i++) {
+        const x = input[i];
+        const y = c.b0 * x + z1;
+        z1 = c.b1 * x - c.a1 * y + z2;
+        z2 = c.b2 * x - c.a2 * y;
+        output[i] = y;
+    }
+}
+
+// ============================================
+// Stages
+// ============================================
+
+/**
+ * Apply rumble high-pass filter (in-place modification)
+ * 
+ * 12 dB/oct is a single Butterworth biquad; 24 dB/oct cascades two with
+ * 4th-order Butterworth Q values.
+ * 
+ * @param {Float32Array[]} channels - Array of channel data arrays
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options - { frequency, slope }
+ */
+export function applyHighPass(channels, sampleRate, options = {}) {
+    const { frequency = 80, slope = 24 } = options;
+    const qs = slope >= 24 ? [0.5412, 1.3066] : [Math.SQRT1_2];
+    
+    for (const q of qs) {
+        const coefficients = getBiquadCoefficients('highpass', frequency, sampleRate, q);
+        for (const data of channels) {
+            runBiquad(data, data, coefficients);
+        }
+    }
+}
+
+/**
+ * Apply parametric EQ (in-place modification)
+ * @param {Float32Array[]} channels - Array of channel data arrays
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options - { bands: [{ type, frequency, gain, q }] }
+ */
+export function applyParametricEq(channels, sampleRate, options = {}) {
+    const { bands = [] } = options;
+    
+    for (const band of bands) {
+        if (!band || !band.gain) continue;
+        
+        const coefficients = getBiquadCoefficients(
+            band.type || 'peaking', band.frequency, sampleRate, band.q || 1, band.gain
+        );
+        for (const data of channels) {
+            runBiquad(data, data, coefficients);
+        }
+    }
+}
+
+/**
+ * Measure the speech level on the compressor's own scale
+ * 
+ * Unweighted RMS of the loudest channel, like the compressor's detector,
+ * in 400ms blocks gated as in BS.1770 (-70 dBFS, then 10 dB below the
+ * ungated mean) so pauses don't pull it down. A relative compressor
+ * threshold is added to this.
+ * 
+ * @param {Float32Array[]} channels - Array of channel data arrays
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number|null} Level in dBFS, or null if there's nothing above the gate
+ */
+export function measureSpeechRms(channels, sampleRate) {
+    const blockSize = Math.round(0.4 * sampleRate);
+    const blocks = [];
+    
+    for (let start = 0; start + blockSize <= channels[0].length; start += blockSize) {
+        let sum = 0;
+        for (let i = start; i < start + blockSize; i++) {
+            let maxSampleSquared = 0;
+            for (const data of channels) {
+                maxSampleSquared = Math.max(maxSampleSquared, data[i] * data[i]);
+            }
+            sum += maxSampleSquared;
+        }
+        blocks.push(sum / blockSize);
+    }
+    
+    const mean = powers => powers.reduce((a, b) => a + b, 0) / powers.length;
+    const absolute = blocks.filter(power => power > Math.pow(10, -70 / 10));
+    if (absolute.length === 0) return null;
+    
+    const relativeGate = mean(absolute) * Math.pow(10, -10 / 10);
+    return 10 * Math.log10(mean(absolute.filter(power => power > relativeGate)));
+}
+
+/**
+ * Apply RMS compressor (in-place modification)
+ * 
+ * Linked across channels (uses max level across channels), with the same
+ * envelope follower style as the expander in mastering.js.
+ * 
+ * @param {Float32Array[]} channels - Array of channel data arrays
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options - { threshold (absolute dBFS), ratio, attack, release }
+ */
+export function applyCompressor(channels, sampleRate, options = {}) {
+    const {
+        threshold = -20,
+        ratio = 3,
+        attack = 0.01,
+        release = 0.15
+    } = options;
+    
+    if (ratio <= 1) return;
+    
+    const attackCoef = Math.exp(-1 / (sampleRate * attack));
+    const releaseCoef = Math.exp(-1 / (sampleRate * release));
+    const rmsCoef = Math.exp(-1 / (sampleRate * 0.01));  // ~10ms RMS window
+    
+    const numChannels = channels.length;
+    const numSamples = channels[0].length;
+    
+    let envelope = 0;
+    let smoothedGain = 1;
+    
+    for (let i = 0; i < numSamples; i++) {
+        // Find max level across all channels for this sample
+        let maxSampleSquared = 0;
+        for (let ch = 0; ch < numChannels; ch++) {
+            const s = channels[ch][i];
+            maxSampleSquared = Math.max(maxSampleSquared, s * s);
+        }
+        
+        envelope = rmsCoef * envelope + (1 - rmsCoef) * maxSampleSquared;
+        const levelDb = 10 * Math.log10(envelope + 1e-20);
+        
+        // Calculate target gain
+        let targetGain = 1;
+        if (levelDb > threshold) {
+            const gainReductionDb = (levelDb - threshold) * (1 - 1 / ratio);
+            targetGain = Math.pow(10, -gainReductionDb / 20);
+        }
+        
+        // Smooth gain
+        const coef = targetGain < smoothedGain ? attackCoef : releaseCoef;
+        smoothedGain = coef * smoothedGain + (1 - coef) * targetGain;
+        
+        for (let ch = 0; ch < numChannels; ch++) {
+            channels[ch][i] *= smoothedGain;
+        }
+    }
+}
+
+/**
+ * Apply split-band de-esser (in-place modification)
+ * 
+ * The signal is split into a sibilance band (zero-phase high-pass) and the rest.
+ * When the sibilance band gets close to the full-band level - which happens
+ * on "s" and "sh" sounds but not on vowels - only that band is turned down,
+ * so the voice itself isn't ducked.
+ * 
+ * @param {Float32Array[]} channels - Array of channel data arrays
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options - { frequency, threshold (dB relative to full band), ratio, maxReduction }
+ */
+export function applyDeEsser(channels, sampleRate, options = {}) {
+    const {
+        frequency = 5500,
+        threshold = -8,
+        ratio = 4,
+        maxReduction = 10
+    } = options;
+    
+    const numChannels = channels.length;
+    const numSamples = channels[0].length;
+    
+    // Sibilance band per channel, filtered forwards and backwards so it stays
+    // in phase with the input and can be subtracted cleanly
+    const coefficients = getBiquadCoefficients('highpass', frequency, sampleRate, Math.SQRT1_2);
+    const highBands = channels.map(data => {
+        const band = new Float32Array(numSamples);
+        runBiquad(data, band, coefficients);
+        band.reverse();
+        runBiquad(band, band, coefficients);
+        return band.reverse();
+    });
+    
+    const attackCoef = Math.exp(-1 / (sampleRate * 0.001));  // 1ms
+    const releaseCoef = Math.exp(-1 / (sampleRate * 0.05));  // 50ms
+    const minGain = Math.pow(10, -maxReduction / 20);
+    const floor = 1e-6;  // Ignore near-silence (-120 dB power)
+    
+    let fullEnvelope = 0;
+    let highEnvelope = 0;
+    
+    for (let i = 0; i < numSamples; i++) {
+        let fullSquared = 0;
+        let highSquared = 0;
+        for (let ch = 0; ch < numChannels; ch++) {
+            fullSquared = Math.max(fullSquared, channels[ch][i] * channels[ch][i]);
+            highSquared = Math.max(highSquared, highBands[ch][i] * highBands[ch][i]);
+        }
+        
+        const fullCoef = fullSquared > fullEnvelope ? attackCoef : releaseCoef;
+        const highCoef = highSquared > highEnvelope ? attackCoef : releaseCoef;
+        fullEnvelope = fullCoef * fullEnvelope + (1 - fullCoef) * fullSquared;
+        highEnvelope = highCoef * highEnvelope + (1 - highCoef) * highSquared;
+        
+        let gain = 1;
+        if (highEnvelope > floor && fullEnvelope > floor) {
+            const relativeDb = 10 * Math.log10(highEnvelope / fullEnvelope);
+            if (relativeDb > threshold) {
+                const reductionDb = (relativeDb - threshold) * (1 - 1 / ratio);
+                gain = Math.max(minGain, Math.pow(10, -reductionDb / 20));
+            }
+        }
+        
+        // Turn down only the sibilance band: y = x - (1 - gain) * high
+        if (gain < 1) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                channels[ch][i] -= (1 - gain) * highBands[ch][i];
+            }
+        }
+    }
+}
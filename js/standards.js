@@ -17,11 +17,20 @@ export const QUALITY_REFERENCE = {
         streaming: -14,     // Spotify, YouTube target
         podcast: -16,       // Apple Podcasts recommendation
         broadcast: -23,     // EBU R128
+        atsc: -24,          // ATSC A/85 (US broadcast)
+        audiobook: -20,     // ACX - centre of its -23 to -18 dB RMS window
         min: -20,           // Too quiet below this
         max: -10            // Too loud above this
     },
     // Peak level (dBFS) - only meaningful with AGC OFF
     peak: { min: -6, max: -1 },
+    // True peak ceilings (dBTP) required by delivery specs
+    truePeak: {
+        streaming: -1,      // Spotify, YouTube, Apple Podcasts
+        broadcast: -1,      // EBU R128
+        atsc: -2,           // ATSC A/85
+        audiobook: -3       // ACX
+    },
     // Noise floor (dBFS) - measured with AGC OFF
     noiseFloor: { excellent: -50, good: -40, acceptable: -35 },
     // Signal-to-noise ratio (dB)
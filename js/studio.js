@@ -5,14 +5,25 @@
  * - Transport bar controls
  * - Hero spectrogram visualization
  * - Stereo L/R level meters with peak hold
- * - Real-time LUFS metering
+ * - Real-time LUFS metering (ITU-R BS.1770 momentary/short-term/integrated)
  * - Recording with waveform preview
  */
 
 import { populateDeviceDropdown } from './utils.js';
 import { isChromiumBased } from './browser.js';
 import { linearToDb } from './standards.js';
+import { createKWeightingFilters, LufsBlockCollector, calculateGatedLufs, meanSquareToLufs } from './lufs.js';
+import { SampleCapture } from './sample-capture.js';
 import { PlaybackRecorder, getMediaRecorderSupport } from './playback.js';
+import {
+    isPersistenceEnabled,
+    setPersistenceEnabled,
+    saveStoredRecording,
+    loadStoredRecordings,
+    deleteStoredRecording,
+    clearStoredRecordings,
+    getStorageUsage
+} from './recording-store.js';
 
 /**
  * State for the studio monitor
@@ -36,6 +47,8 @@ const studioState = {
     
     // Device
     deviceId: null,
+    deviceLabel: null,
+    trackSettings: null,  // Applied capture settings (sample rate, AGC, NS, EC)
     
     // Spectrogram
     spectrogramCtx: null,
@@ -66,17 +79,25 @@ const studioState = {
     peakHoldTimeR: 0,
     overallPeak: -Infinity,
     
-    // LUFS (simple short-term approximation)
-    lufsBuffer: [],
-    lufsWindowSize: 3000, // 3 second window for short-term
+    // LUFS (ITU-R BS.1770 via lufs.js)
+    kWeightingFilters: null,  // { preFilter, rlbFilter }
+    lufsCapture: null,        // SampleCapture streaming K-weighted samples per channel
+    lufsCollector: null,      // 400ms blocks - momentary and integrated
+    shortTermCollector: null, // 3s blocks - short-term
     lastLufsUpdate: 0,
-    currentLufs: -Infinity,
+    momentaryLufs: -Infinity,
+    shortTermLufs: -Infinity,
+    integratedLufs: -Infinity,
     
     // Recording state (current session)
     isRecording: false,
     recordingStartTime: 0,
     recorder: null,
+    maxRecordingSeconds: 300,  // null = until stopped (see RECORDING_DURATIONS)
     waveformData: [],
+    waveformStride: 1,        // Frames merged into each waveform point (doubles on long takes)
+    waveformPending: 0,       // Frames merged into the point being built
+    waveformPendingPeak: 0,
     
     // Playback
     isPlaying: false,
@@ -91,13 +112,17 @@ const studioState = {
  * Recording library - stores all recordings for the session
  * 
  * Each recording can have a raw version and an optional processed version.
- * Memory budget: ~10MB per 30s recording, max ~100MB total.
+ * Raw takes are kept encoded (well under 1MB per minute for Opus); processed
+ * versions are 32-bit float WAV (~23MB per minute of 48kHz stereo).
+ * 
+ * When the user opts in, changes are mirrored to IndexedDB
+ * (recording-store.js) so recordings survive a reload.
  */
 const recordingsLibrary = {
     recordings: [],
     nextId: 1,
     
-    // Memory limit: ~100MB (about 10 recordings of 30s each)
+    // Memory limit - processed versions of long takes are large
     MAX_RECORDINGS: 10,
     
     /**
@@ -115,24 +140,40 @@ const recordingsLibrary = {
             id: this.nextId++,
             timestamp: new Date(),
             duration: data.duration,
+            device: data.device ?? null,  // { label, settings } from getCurrentDeviceInfo()
             
             // Raw recording
             rawUrl: data.rawUrl,
             rawLufs: data.rawLufs,
             rawPeak: data.rawPeak,
+            rawLra: data.rawLra ?? null,
+            rawMaxMomentary: data.rawMaxMomentary ?? null,
+            rawMaxShortTerm: data.rawMaxShortTerm ?? null,
             rawWaveformData: data.rawWaveformData,
             
             // Processed version (null until processed)
             processedUrl: null,
             processedLufs: null,
             processedPeak: null,
+            processedLra: null,
+            processedMaxMomentary: null,
+            processedMaxShortTerm: null,
             processedWaveformData: null,
+            processedPreset: null,    // Mastering settings the processed version was made with
+            processedStages: null,    // Processing chain the processed version was made with
+            
+            // Mastering preset selection (see MASTERING_PRESETS in mastering.js)
+            masteringPresetId: 'streaming',
+            customMastering: {},      // Overrides used when masteringPresetId is 'custom'
+            speechProcessing: {},     // Per-stage overrides (see SPEECH_STAGE_DEFAULTS in speech-processing.js)
+            edit: {},                 // Trim and fades (see EDIT_DEFAULTS in recording-edit.js)
             
             // Processing state
             isProcessing: false
         };
         
         this.recordings.push(recording);
+        persistRecording(recording);
         return recording;
     },
     
@@ -160,8 +201,79 @@ const recordingsLibrary = {
             recording.processedUrl = data.processedUrl;
             recording.processedLufs = data.processedLufs;
             recording.processedPeak = data.processedPeak;
+            recording.processedLra = data.processedLra ?? null;
+            recording.processedMaxMomentary = data.processedMaxMomentary ?? null;
+            recording.processedMaxShortTerm = data.processedMaxShortTerm ?? null;
             recording.processedWaveformData = data.processedWaveformData;
+            recording.processedPreset = data.processedPreset ?? null;
+            recording.processedStages = data.processedStages ?? null;
             recording.isProcessing = false;
+            persistRecording(recording);
+        }
+        return recording;
+    },
+    
+    /**
+     * Choose the mastering preset used when this recording is processed
+     */
+    setMasteringPreset(id, presetId, customMastering = null) {
+        const recording = this.get(id);
+        if (recording) {
+            recording.masteringPresetId = presetId;
+            if (customMastering) {
+                recording.customMastering = { ...recording.customMastering, ...customMastering };
+            }
+            persistRecording(recording);
+        }
+        return recording;
+    },
+    
+    /**
+     * Update one speech processing stage (e.g. enable the de-esser) for this recording
+     */
+    setSpeechStage(id, stageId, settings) {
+        const recording = this.get(id);
+        if (recording) {
+            recording.speechProcessing = {
+                ...recording.speechProcessing,
+                [stageId]: { ...recording.speechProcessing[stageId], ...settings }
+            };
+            persistRecording(recording);
+        }
+        return recording;
+    },
+    
+    /**
+     * Update the trim/fade edit for this recording
+     * A processed version made from a different edit is deleted.
+     */
+    setEdit(id, edit) {
+        const recording = this.get(id);
+        if (recording) {
+            const previous = JSON.stringify(recording.edit);
+            recording.edit = edit ? { ...recording.edit, ...edit } : {};
+            
+            if (recording.processedUrl && JSON.stringify(recording.edit) !== previous) {
+                this.deleteProcessed(id);  // Saves the recording too
+            } else {
+                persistRecording(recording);
+            }
+        }
+        return recording;
+    },
+    
+    /**
+     * Replace the raw measurements (after the edit changes what's measured)
+     */
+    setRawMeasurements(id, data) {
+        const recording = this.get(id);
+        if (recording) {
+            recording.rawLufs = data.rawLufs;
+            recording.rawPeak = data.rawPeak;
+            recording.rawLra = data.rawLra ?? null;
+            recording.rawMaxMomentary = data.rawMaxMomentary ?? null;
+            recording.rawMaxShortTerm = data.rawMaxShortTerm ?? null;
+            persistRecording(recording);
         }
         return recording;
     },
@@ -195,6 +307,7 @@ const recordingsLibrary = {
         }
         
         this.recordings.splice(idx, 1);
+        unpersistRecording(id);
         return true;
     },
     
@@ -208,7 +321,13 @@ const recordingsLibrary = {
             recording.processedUrl = null;
             recording.processedLufs = null;
             recording.processedPeak = null;
+            recording.processedLra = null;
+            recording.processedMaxMomentary = null;
+            recording.processedMaxShortTerm = null;
             recording.processedWaveformData = null;
+            recording.processedPreset = null;
+            recording.processedStages = null;
+            persistRecording(recording);
         }
         return recording;
     },
@@ -221,7 +340,8 @@ const recordingsLibrary = {
     },
     
     /**
-     * Clear all recordings and clean up
+     * Clear all recordings from memory and clean up
+     * (stored copies are kept - see clearAllRecordings)
      */
     clear() {
         for (const recording of this.recordings) {
@@ -250,6 +370,127 @@ const recordingsLibrary = {
     }
 };
 
+// ============================================
+// Persistence (opt-in, IndexedDB)
+// ============================================
+
+// Writes run one at a time so a slow save can't overwrite a newer one
+let persistQueue = Promise.resolve();
+
+/**
+ * Queue a store operation, logging failures
+ * @param {function(): Promise<void>} operation
+ */
+function queuePersistence(operation) {
+    persistQueue = persistQueue
+        .then(operation)
+        .catch(error => console.warn('Recording storage failed:', error));
+}
+
+/**
+ * Save a recording to IndexedDB if persistence is on
+ */
+function persistRecording(recording) {
+    if (!isPersistenceEnabled()) return;
+    
+    queuePersistence(async () => {
+        // Skip recordings deleted, or persistence turned off, while waiting
+        // in the queue
+        if (!isPersistenceEnabled() || !recordingsLibrary.get(recording.id)) return;
+        
+        const { rawUrl, processedUrl, isProcessing, ...fields } = recording;
+        const rawBlob = rawUrl ? await (await fetch(rawUrl)).blob() : null;
+        const processedBlob = processedUrl ? await (await fetch(processedUrl)).blob() : null;
+        
+        if (!isPersistenceEnabled()) return;
+        await saveStoredRecording({ ...fields, rawBlob, processedBlob });
+    });
+}
+
+/**
+ * Remove a recording from IndexedDB if persistence is on
+ */
+function unpersistRecording(id) {
+    if (!isPersistenceEnabled()) return;
+    queuePersistence(() => deleteStoredRecording(id));
+}
+
+/**
+ * Load stored recordings into the library (when persistence is on and the
+ * library is empty, e.g. after a reload)
+ * @returns {Promise<number>} Number of recordings restored
+ */
+export async function restoreRecordings() {
+    if (!isPersistenceEnabled() || recordingsLibrary.count() > 0) return 0;
+    
+    let records;
+    try {
+        await persistQueue;
+        records = await loadStoredRecordings();
+    } catch (error) {
+        console.warn('Could not load stored recordings:', error);
+        return 0;
+    }
+    
+    // Only the newest fit in the library - drop the rest from storage too,
+    // or they'd take up space with no way to see or delete them
+    const overflow = records.slice(0, Math.max(0, records.length - recordingsLibrary.MAX_RECORDINGS));
+    overflow.forEach(record => queuePersistence(() => deleteStoredRecording(record.id)));
+    
+    for (const record of records.slice(-recordingsLibrary.MAX_RECORDINGS)) {
+        const { rawBlob, processedBlob, ...fields } = record;
+        if (!rawBlob) continue;
+        
+        recordingsLibrary.recordings.push({
+            ...fields,
+            rawUrl: URL.createObjectURL(rawBlob),
+            processedUrl: processedBlob ? URL.createObjectURL(processedBlob) : null,
+            isProcessing: false
+        });
+        recordingsLibrary.nextId = Math.max(recordingsLibrary.nextId, record.id + 1);
+    }
+    
+    console.log(`Restored ${recordingsLibrary.count()} stored recording(s)`);
+    return recordingsLibrary.count();
+}
+
+/**
+ * Opt in to (or out of) keeping recordings across reloads
+ * 
+ * Opting in saves the current recordings; opting out deletes stored copies
+ * but keeps the in-memory library for this session. The delete is queued
+ * behind any saves still running, so none of them can write a copy back.
+ * 
+ * @param {boolean} enabled
+ */
+export async function setRecordingsPersistence(enabled) {
+    await setPersistenceEnabled(enabled);
+    if (enabled) {
+        recordingsLibrary.getAll().forEach(persistRecording);
+    } else {
+        queuePersistence(() => clearStoredRecordings());
+    }
+    await persistQueue;
+}
+
+/**
+ * Get storage used by saved recordings, once pending writes have finished
+ * @returns {Promise<{count: number, bytes: number, quota: number|null}>}
+ */
+export async function getRecordingsStorageUsage() {
+    await persistQueue;
+    return getStorageUsage();
+}
+
+/**
+ * Delete every recording, in memory and stored
+ */
+export async function clearAllRecordings() {
+    recordingsLibrary.clear();
+    queuePersistence(() => clearStoredRecordings());
+    await persistQueue;
+}
+
 // Peak hold duration in ms
 const PEAK_HOLD_DURATION = 2000;
 
@@ -258,6 +499,29 @@ const PEAK_HOLD_DURATION = 2000;
 // Typical mouse click is 50-100ms, so 250ms provides comfortable margin
 const RECORDING_PRE_ROLL_MS = 250;
 
+/**
+ * Recording length choices (seconds; null records until stopped)
+ */
+export const RECORDING_DURATIONS = [
+    { seconds: 30, label: '30 s' },
+    { seconds: 60, label: '1 min' },
+    { seconds: 300, label: '5 min' },
+    { seconds: 900, label: '15 min' },
+    { seconds: 1800, label: '30 min' },
+    { seconds: null, label: 'Until stop' }
+];
+
+// MediaRecorder hands over encoded audio every second, so a long take
+// accumulates as small Blobs instead of one growing encoder buffer
+const RECORDING_TIMESLICE_MS = 1000;
+
+// Live waveform points kept per take; beyond this, neighbouring points merge
+const MAX_WAVEFORM_POINTS = 4096;
+
+// Decoded float copies held while measuring and processing a recording
+// (decoded buffer, working channels, limiter output, WAV encode)
+const PROCESSING_BUFFER_COPIES = 4;
+
 /**
  * Initialize the studio monitor with a device
  * @param {string} deviceId - The device ID to monitor
@@ -332,8 +596,6 @@ export async function initStudio(deviceId) {
         studioState.peakHoldL = 0;
         studioState.peakHoldR = 0;
         studioState.overallPeak = -Infinity;
-        studioState.lufsBuffer = [];
-        studioState.currentLufs = -Infinity;
         
         const track = stream.getAudioTracks()[0];
         const label = track?.label || 'Unknown Microphone';
@@ -341,6 +603,17 @@ export async function initStudio(deviceId) {
         // Detect channel count (mono vs stereo)
         const settings = track?.getSettings() || {};
         studioState.channelCount = settings.channelCount || 2;
+        studioState.deviceLabel = label;
+        studioState.trackSettings = {
+            sampleRate: settings.sampleRate ?? null,
+            channelCount: studioState.channelCount,
+            autoGainControl: settings.autoGainControl ?? null,
+            noiseSuppression: settings.noiseSuppression ?? null,
+            echoCancellation: settings.echoCancellation ?? null
+        };
+        
+        // K-weighted loudness chain (needs the channel count)
+        await setupLoudnessChain();
         
         // Log what we requested vs what was applied
         console.log(`Studio audio: "${label}"`);
@@ -510,19 +783,13 @@ export function startVisualization(elements) {
             studioState.overallPeak = maxDb;
         }
         
-        // Update LUFS buffer (simplified - using RMS as approximation)
-        const combinedRms = Math.sqrt((rmsL * rmsL + rmsR * rmsR) / 2);
-        studioState.lufsBuffer.push({ time: now, value: combinedRms });
+        // Feed K-weighted samples into the BS.1770 block collectors
+        // (no-op when the AudioWorklet streams them)
+        studioState.lufsCapture?.poll();
         
-        // Trim old samples
-        while (studioState.lufsBuffer.length > 0 && 
-               now - studioState.lufsBuffer[0].time > studioState.lufsWindowSize) {
-            studioState.lufsBuffer.shift();
-        }
-        
-        // Calculate short-term LUFS (every 100ms)
+        // Recalculate loudness values (every 100ms = one block hop)
         if (now - studioState.lastLufsUpdate > 100) {
-            studioState.currentLufs = calculateShortTermLufs();
+            updateLoudnessValues();
             studioState.lastLufsUpdate = now;
         }
         
@@ -555,11 +822,9 @@ export function startVisualization(elements) {
             updateReadoutColor(elements.peakValue, studioState.overallPeak);
         }
         
-        if (elements.lufsValue) {
-            const lufsDisplay = studioState.currentLufs <= -60 ? '-∞' : studioState.currentLufs.toFixed(1);
-            elements.lufsValue.textContent = lufsDisplay;
-            updateLufsColor(elements.lufsValue, studioState.currentLufs);
-        }
+        updateLufsReadout(elements.lufsMomentaryValue, studioState.momentaryLufs);
+        updateLufsReadout(elements.lufsValue, studioState.shortTermLufs);
+        updateLufsReadout(elements.lufsIntegratedValue, studioState.integratedLufs);
         
         // Update balance indicator
         if (elements.balanceValue) {
@@ -583,7 +848,7 @@ export function startVisualization(elements) {
         
         // Update waveform if recording
         if (studioState.isRecording) {
-            studioState.waveformData.push(Math.max(rmsL, rmsR));
+            addWaveformPoint(Math.max(rmsL, rmsR));
         }
     }
     
@@ -602,22 +867,52 @@ function calculateRms(data) {
 }
 
 /**
- * Calculate simplified short-term LUFS from buffer
+ * Build the K-weighted loudness chain (ITU-R BS.1770)
+ * 
+ * The K-weighting filters process each channel independently, and the
+ * capture delivers every channel separately so the per-channel mean squares
+ * can be summed as the standard requires, instead of measuring a downmix.
  */
-function calculateShortTermLufs() {
-    if (studioState.lufsBuffer.length === 0) return -Infinity;
+async function setupLoudnessChain() {
+    const ctx = studioState.audioContext;
+    
+    // Reuse existing K-weighting filters from lufs.js
+    const { preFilter, rlbFilter } = createKWeightingFilters(ctx);
+    studioState.source.connect(preFilter);
+    studioState.kWeightingFilters = { preFilter, rlbFilter };
+    
+    studioState.lufsCapture = new SampleCapture(ctx, rlbFilter, {
+        channelCount: Math.min(studioState.channelCount, 2),
+        onSamples: (channels) => {
+            studioState.lufsCollector?.addChannelSamples(channels);
+            studioState.shortTermCollector?.addChannelSamples(channels);
+        }
+    });
+    const captureMode = await studioState.lufsCapture.init();
+    console.log('Studio LUFS capture:', captureMode);
     
-    let sum = 0;
-    for (const sample of studioState.lufsBuffer) {
-        sum += sample.value * sample.value;
-    }
-    const meanSquare = sum / studioState.lufsBuffer.length;
-    const rms = Math.sqrt(meanSquare);
+    resetLoudness();
+    studioState.lufsCapture.start();
+}
+
+/**
+ * Recalculate momentary, short-term and integrated loudness
+ * 
+ * - Momentary: latest 400ms block
+ * - Short-term: latest 3s block
+ * - Integrated: all 400ms blocks since reset, gated per BS.1770
+ */
+function updateLoudnessValues() {
+    if (!studioState.lufsCollector || !studioState.shortTermCollector) return;
     
-    // Convert to LUFS-like value (simplified, not true ITU-R BS.1770)
-    // True LUFS requires K-weighting and gating, but this gives a reasonable approximation
-    const lufs = 20 * Math.log10(rms) - 0.691;
-    return isFinite(lufs) ? lufs : -Infinity;
+    const momentary = studioState.lufsCollector.getLatestBlock();
+    const shortTerm = studioState.shortTermCollector.getLatestBlock();
+    studioState.momentaryLufs = momentary !== null ? meanSquareToLufs(momentary) : -Infinity;
+    studioState.shortTermLufs = shortTerm !== null ? meanSquareToLufs(shortTerm) : -Infinity;
+    
+    // Reuse existing gated LUFS calculation from lufs.js
+    const { lufs } = calculateGatedLufs(studioState.lufsCollector.getBlocks());
+    studioState.integratedLufs = lufs !== null ? lufs : -Infinity;
 }
 
 /**
@@ -670,6 +965,15 @@ function updateReadoutColor(el, db) {
     }
 }
 
+/**
+ * Update a LUFS readout value and color
+ */
+function updateLufsReadout(el, lufs) {
+    if (!el) return;
+    el.textContent = lufs <= -60 ? '-∞' : lufs.toFixed(1);
+    updateLufsColor(el, lufs);
+}
+
 /**
  * Update LUFS color based on broadcast standards
  */
@@ -1080,6 +1384,9 @@ export function startRecording() {
     // Mark as recording immediately (prevents double-clicks)
     studioState.isRecording = true;
     studioState.waveformData = [];
+    studioState.waveformStride = 1;
+    studioState.waveformPending = 0;
+    studioState.waveformPendingPeak = 0;
     
     // Pre-roll delay to avoid capturing mouse click sound
     return new Promise(resolve => setTimeout(resolve, RECORDING_PRE_ROLL_MS))
@@ -1092,8 +1399,11 @@ export function startRecording() {
             studioState.recorder = new PlaybackRecorder(studioState.stream);
             studioState.recordingStartTime = performance.now();
             
-            // Start recording (max 30 seconds) - returns promise that resolves when complete
-            return studioState.recorder.start(30000);
+            // Start recording (up to the chosen length, or until stopped) - returns promise that resolves when complete
+            const maxSeconds = studioState.maxRecordingSeconds;
+            return studioState.recorder.start(maxSeconds ? maxSeconds * 1000 : null, {
+                timeslice: RECORDING_TIMESLICE_MS
+            });
         })
         .then(blobUrl => {
             studioState.isRecording = false;
@@ -1119,6 +1429,42 @@ export function stopRecording() {
     }
 }
 
+/**
+ * Set the maximum recording length
+ * @param {number|null} seconds - Length in seconds, or null to record until stopped
+ */
+export function setMaxRecordingDuration(seconds) {
+    studioState.maxRecordingSeconds = seconds > 0 ? seconds : null;
+}
+
+/**
+ * Get the maximum recording length
+ * @returns {number|null} Seconds, or null when recording until stopped
+ */
+export function getMaxRecordingDuration() {
+    return studioState.maxRecordingSeconds;
+}
+
+/**
+ * Estimate memory used by a recording
+ * 
+ * The encoded take is small; decoding it to float PCM for measuring,
+ * processing and export is what needs memory, so that is estimated from
+ * the device's sample rate and channel count.
+ * 
+ * @param {number} seconds - Recording length
+ * @returns {{recordedBytes: number, processingBytes: number}}
+ *          recordedBytes is the encoded audio received so far in the current take
+ */
+export function getRecordingMemoryEstimate(seconds) {
+    const sampleRate = studioState.audioContext?.sampleRate || 48000;
+    const channels = studioState.channelCount || 1;
+    return {
+        recordedBytes: studioState.recorder?.getRecordedBytes() ?? 0,
+        processingBytes: seconds * sampleRate * channels * Float32Array.BYTES_PER_ELEMENT * PROCESSING_BUFFER_COPIES
+    };
+}
+
 /**
  * Get current recording time in seconds
  */
@@ -1183,6 +1529,34 @@ export function setRecordingProcessed(id, data) {
     return recordingsLibrary.setProcessed(id, data);
 }
 
+/**
+ * Set the mastering preset for a recording
+ */
+export function setRecordingMasteringPreset(id, presetId, customMastering = null) {
+    return recordingsLibrary.setMasteringPreset(id, presetId, customMastering);
+}
+
+/**
+ * Set speech processing stage settings for a recording
+ */
+export function setRecordingSpeechStage(id, stageId, settings) {
+    return recordingsLibrary.setSpeechStage(id, stageId, settings);
+}
+
+/**
+ * Set the trim/fade edit for a recording (null resets it)
+ */
+export function setRecordingEdit(id, edit) {
+    return recordingsLibrary.setEdit(id, edit);
+}
+
+/**
+ * Update a recording's raw measurements
+ */
+export function setRecordingMeasurements(id, data) {
+    return recordingsLibrary.setRawMeasurements(id, data);
+}
+
 /**
  * Check if recordings library is full
  */
@@ -1221,6 +1595,20 @@ export function resetPeaks() {
     studioState.peakHoldR = -Infinity;
 }
 
+/**
+ * Reset loudness measurement (restarts integrated LUFS)
+ */
+export function resetLoudness() {
+    const sampleRate = studioState.audioContext?.sampleRate;
+    if (!sampleRate) return;
+    
+    studioState.lufsCollector = new LufsBlockCollector(sampleRate);
+    studioState.shortTermCollector = new LufsBlockCollector(sampleRate, { blockDuration: 3 });
+    studioState.momentaryLufs = -Infinity;
+    studioState.shortTermLufs = -Infinity;
+    studioState.integratedLufs = -Infinity;
+}
+
 
 /**
  * Clean up all resources
@@ -1260,6 +1648,17 @@ export async function cleanupStudio() {
         try { studioState.splitter.disconnect(); } catch (e) {}
         studioState.splitter = null;
     }
+    if (studioState.lufsCapture) {
+        studioState.lufsCapture.disconnect();
+        studioState.lufsCapture = null;
+    }
+    if (studioState.kWeightingFilters) {
+        try {
+            studioState.kWeightingFilters.preFilter.disconnect();
+            studioState.kWeightingFilters.rlbFilter.disconnect();
+        } catch (e) {}
+        studioState.kWeightingFilters = null;
+    }
     
     // Close audio context
     if (studioState.audioContext && studioState.audioContext.state !== 'closed') {
@@ -1272,6 +1671,8 @@ export async function cleanupStudio() {
     studioState.analyserL = null;
     studioState.analyserR = null;
     studioState.deviceId = null;
+    studioState.deviceLabel = null;
+    studioState.trackSettings = null;
     studioState.spectrogramCtx = null;
     studioState.frequencyData = null;
     studioState.spectrogramMaxFreq = 8000;
@@ -1287,8 +1688,11 @@ export async function cleanupStudio() {
     studioState.isRunning = false;
     studioState.isRecording = false;
     studioState.waveformData = [];
-    studioState.lufsBuffer = [];
-    studioState.currentLufs = -Infinity;
+    studioState.lufsCollector = null;
+    studioState.shortTermCollector = null;
+    studioState.momentaryLufs = -Infinity;
+    studioState.shortTermLufs = -Infinity;
+    studioState.integratedLufs = -Infinity;
     studioState.overallPeak = -Infinity;
 }
 
@@ -1331,6 +1735,44 @@ export function getCurrentDeviceId() {
     return studioState.deviceId;
 }
 
+/**
+ * Get the current device label and applied capture settings
+ * @returns {{label: string|null, settings: object|null}}
+ */
+export function getCurrentDeviceInfo() {
+    return {
+        label: studioState.deviceLabel,
+        settings: studioState.trackSettings ? { ...studioState.trackSettings } : null
+    };
+}
+
+/**
+ * Add a frame's level to the live waveform
+ * 
+ * Each point is the peak of `waveformStride` frames. When the waveform
+ * reaches MAX_WAVEFORM_POINTS, pairs of points merge and the stride
+ * doubles, so an open-ended take keeps a bounded, evenly spaced waveform.
+ */
+function addWaveformPoint(level) {
+    studioState.waveformPendingPeak = Math.max(studioState.waveformPendingPeak, level);
+    studioState.waveformPending++;
+    if (studioState.waveformPending < studioState.waveformStride) return;
+    
+    studioState.waveformData.push(studioState.waveformPendingPeak);
+    studioState.waveformPending = 0;
+    studioState.waveformPendingPeak = 0;
+    
+    const data = studioState.waveformData;
+    if (data.length >= MAX_WAVEFORM_POINTS) {
+        const merged = [];
+        for (let i = 0; i < data.length; i += 2) {
+            merged.push(Math.max(data[i], data[i + 1] ?? 0));
+        }
+        studioState.waveformData = merged;
+        studioState.waveformStride *= 2;
+    }
+}
+
 /**
  * Draw waveform preview on canvas
  */
@@ -0,0 +1,449 @@
+/**
+ * Test Signals Module
+ * 
+ * Play-and-record measurements of the path from the speakers back into
+ * the microphone:
+ * - createSweep(): exponential sine sweep (chirp) test signal
+ * - createPinkNoise(), createSpeech(): seeded room tone and speech-like
+ *   bursts (createRandom()), the same samples every time
+ * - openTestStream(): the selected microphone with the browser's processing
+ *   off (or set per test)
+ * - releaseMicrophone(): closes the streams already open on it first, and
+ *   reopens them afterwards
+ * - playAndRecord(): plays a signal through the speakers while recording
+ *   the microphone, lined up sample-for-sample with the playback
+ * - findEcho(): matched filter - finds the sweep in a recording, giving
+ *   its delay and how loud it came back
+ * 
+ * A sweep spreads its energy over time, so the matched filter finds it
+ * well below the room noise without playing anything loud.
+ */
+
+import { fft } from './fft.js';
+import { SampleCapture } from './sample-capture.js';
+import { sleep } from './utils.js';
+import { getPrimaryDeviceId, getStream, pauseMonitoring, resumeMonitoring } from './multi-device-meter.js';
+
+// Fade in/out so the sweep doesn't click
+const SWEEP_FADE_SECONDS = 0.01;
+
+// Peak must stand this far above the correlation's noise (10σ) to count
+const DETECTION_THRESHOLD_DB = 20;
+
+// Samples either side of the peak left out of the noise estimate
+const PEAK_EXCLUSION_SECONDS = 0.005;
+
+// Playback is scheduled this far ahead so recording is already running
+const PLAYBACK_LEAD_IN_SECONDS = 0.2;
+
+// Extra wait for the last worklet batch to reach the main thread
+const DELIVERY_MARGIN_SECONDS = 0.1;
+
+// Speech-like bursts: talk for 2.2s of every 3s, ~4 syllables a second
+const PHRASE_SECONDS = 3;
+const TALK_SECONDS = 2.2;
+const SYLLABLE_RATE = 4;
+const VOICE_MAX_HZ = 5000;
+
+/**
+ * Create an exponential sine sweep
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} [options]
+ * @param {number} [options.duration=1] - Seconds
+ * @param {number} [options.startHz=200]
+ * @param {number} [options.endHz=8000]
+ * @param {number} [options.level=0.25] - Peak amplitude (0.25 = -12 dBFS)
+ * @returns {Float32Array}
+ */
+export function createSweep(sampleRate, options = {}) {
+    const { duration = 1, startHz = 200, endHz = 8000, level = 0.25 } = options;
+    const length = Math.round(duration * sampleRate);
+    const rate = Math.log(endHz / startHz);
+    const fade = Math.round(SWEEP_FADE_SECONDS * sampleRate);
+    
+    const sweep = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        const phase = 2 * Math.PI * startHz * duration / rate * (Math.exp(t / duration * rate) - 1);
+        
+        let gain = level;
+        if (i < fade) gain *= i / fade;
+        if (i >= length - fade) gain *= (length - 1 - i) / fade;
+        
+        sweep[i] = gain * Math.sin(phase);
+    }
+    return sweep;
+}
+
+/**
+ * Seeded random numbers (mulberry32), so signals repeat exactly
+ * @param {number} seed
+ * @returns {function(): number} Returns 0 to 1
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pink noise (Paul Kellet's filter) - equal energy per octave, like room tone
+ * @param {number} length
+ * @param {function(): number} random
+ * @returns {Float32Array}
+ */
+export function createPinkNoise(length, random) {
+    const samples = new Float32Array(length);
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    
+    for (let i = 0; i < length; i++) {
+        const white = random() * 2 - 1;
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+        b6 = white * 0.115926;
+    }
+    return samples;
+}
+
+/**
+ * Speech-like bursts: a voiced buzz with a wandering pitch, chopped into
+ * syllables and phrases, plus breath noise for the upper band
+ * @param {number} length
+ * @param {number} sampleRate
+ * @param {function(): number} random
+ * @returns {Float32Array}
+ */
+export function createSpeech(length, sampleRate, random) {
+    const samples = new Float32Array(length);
+    const breath = createPinkNoise(length, random);
+    const ramp = 0.02 * sampleRate;
+    let phase = 0;
+    
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        
+        // Phrase gate with short ramps, then syllables within it
+        const inPhrase = t % PHRASE_SECONDS;
+        const gate = Math.min(1, inPhrase * sampleRate / ramp, Math.max(0, (TALK_SECONDS - inPhrase) * sampleRate / ramp));
+        const syllable = Math.pow(0.5 - 0.5 * Math.cos(2 * Math.PI * SYLLABLE_RATE * t), 2);
+        const envelope = gate * syllable;
+        
+        const f0 = 120 + 20 * Math.sin(2 * Math.PI * 0.7 * t);
+        phase += 2 * Math.PI * f0 / sampleRate;
+        if (envelope === 0) continue;
+        
+        let voiced = 0;
+        const harmonics = Math.floor(VOICE_MAX_HZ / f0);
+        for (let k = 1; k <= harmonics; k++) {
+            voiced += Math.sin(k * phase) / k;
+        }
+        
+        samples[i] = envelope * (voiced + 0.3 * breath[i]);
+    }
+    return samples;
+}
+
+/**
+ * Scale samples (in place) to an RMS level
+ * @param {Float32Array} samples
+ * @param {number} db - Target dBFS RMS
+ * @returns {Float32Array} The same samples
+ */
+export function scaleToDb(samples, db) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    const rms = Math.sqrt(sum / samples.length);
+    if (rms === 0) return samples;
+    
+    const gain = Math.pow(10, db / 20) / rms;
+    for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+    return samples;
+}
+
+/**
+ * Find a known signal in a recording (matched filter)
+ * 
+ * Cross-correlates the recording with the reference via FFT. The peak's
+ * lag is the delay; its height divided by the reference's energy is the
+ * gain of the path (1 = came back at the level it was played).
+ * 
+ * @param {Float32Array} recording - Audio that may contain the reference
+ * @param {Float32Array} reference - The signal that was played
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} [options]
+ * @param {number} [options.maxDelay=0.5] - Longest delay to search (seconds)
+ * @returns {{detected: boolean, delaySamples: number, delayMs: number, gainDb: number, peakToNoiseDb: number}}
+ *          delay is from the start of the recording; gainDb and delay are
+ *          for the strongest arrival even when not detected
+ */
+export function findEcho(recording, reference, sampleRate, options = {}) {
+    const { maxDelay = 0.5 } = options;
+    const maxLag = Math.min(recording.length - 1, Math.round(maxDelay * sampleRate));
+    
+    let size = 1;
+    while (size < recording.length + reference.length) size <<= 1;
+    
+    const recRe = new Float64Array(size);
+    const recIm = new Float64Array(size);
+    const refRe = new Float64Array(size);
+    const refIm = new Float64Array(size);
+    recRe.set(recording);
+    refRe.set(reference);
+    
+    fft(recRe, recIm);
+    fft(refRe, refIm);
+    
+    // Recording × conj(reference)
+    for (let k = 0; k < size; k++) {
+        const re = recRe[k] * refRe[k] + recIm[k] * refIm[k];
+        const im = recIm[k] * refRe[k] - recRe[k] * refIm[k];
+        recRe[k] = re;
+        recIm[k] = im;
+    }
+    fft(recRe, recIm, true);
+    
+    // recRe[lag] is now the correlation at each lag
+    let peakLag = 0;
+    let peak = 0;
+    for (let lag = 0; lag <= maxLag; lag++) {
+        const value = Math.abs(recRe[lag]);
+        if (value > peak) {
+            peak = value;
+            peakLag = lag;
+        }
+    }
+    
+    const exclusion = Math.round(PEAK_EXCLUSION_SECONDS * sampleRate);
+    let noiseSum = 0;
+    let noiseCount = 0;
+    for (let lag = 0; lag <= maxLag; lag++) {
+        if (Math.abs(lag - peakLag) <= exclusion) continue;
+        noiseSum += recRe[lag] * recRe[lag];
+        noiseCount++;
+    }
+    const noise = noiseCount > 0 ? Math.sqrt(noiseSum / noiseCount) : 0;
+    
+    let energy = 0;
+    for (let i = 0; i < reference.length; i++) energy += reference[i] * reference[i];
+    
+    const peakToNoiseDb = noise > 0 ? 20 * Math.log10(peak / noise) : (peak > 0 ? Infinity : 0);
+    const gain = energy > 0 ? peak / energy : 0;
+    
+    return {
+        detected: peakToNoiseDb >= DETECTION_THRESHOLD_DB,
+        delaySamples: peakLag,
+        delayMs: Math.round(peakLag / sampleRate * 10000) / 10,
+        gainDb: gain > 0 ? Math.round(20 * Math.log10(gain) * 10) / 10 : -Infinity,
+        peakToNoiseDb: Math.round(peakToNoiseDb * 10) / 10
+    };
+}
+
+/**
+ * Open the selected microphone for a measurement
+ * 
+ * Processing is off unless set otherwise - it changes what comes back.
+ * 
+ * @param {object} context - Diagnostic context (selectedDeviceId)
+ * @param {object} [processing] - echoCancellation, noiseSuppression and autoGainControl
+ *        (each false unless given)
+ * @param {AbortSignal} [signal] - If aborted while opening, the stream is stopped and the abort thrown
+ * @returns {Promise<MediaStream>}
+ */
+export async function openTestStream(context, processing = {}, signal) {
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+            deviceId: context.selectedDeviceId ? { exact: context.selectedDeviceId } : undefined,
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            ...processing
+        }
+    });
+    
+    if (signal?.aborted) {
+        stream.getTracks().forEach(t => t.stop());
+        signal.throwIfAborted();
+    }
+    return stream;
+}
+
+/**
+ * Release the selected microphone before opening test streams on it
+ * 
+ * Stops the main stream and pauses the mic monitor's stream on the same
+ * device. A stream opened while another is live on the device can be
+ * handed that one's settings, so with either left running a test stream
+ * may not get the processing it asks for.
+ * 
+ * @param {object} context - Diagnostic context (stream, selectedDeviceId)
+ * @returns {Function} Async - reopens both as they were. The main stream
+ *          keeps its constraints, and goes back to feeding the analyser.
+ */
+export function releaseMicrophone(context) {
+    const deviceId = context.selectedDeviceId || getPrimaryDeviceId();
+    const meterStream = deviceId ? getStream(deviceId) : null;
+    
+    // The main stream is the monitor's own after a device switch
+    const sharedWithMeter = !!context.stream && context.stream === meterStream;
+    const constraints = context.stream?.getAudioTracks()[0]?.getConstraints?.() || null;
+    
+    if (context.stream) {
+        context.stream.getTracks().forEach(t => t.stop());
+        context.stream = null;
+    }
+    const paused = deviceId ? pauseMonitoring(deviceId) : false;
+    
+    return async () => {
+        if (paused) await resumeMonitoring(deviceId);
+        
+        if (sharedWithMeter) {
+            context.stream = getStream(deviceId);
+            context.audioTrack = context.stream?.getAudioTracks()[0] || null;
+        } else if (constraints) {
+            await reopenStream(context, constraints);
+        }
+    };
+}
+
+/**
+ * Make a stream the context's microphone: stored and, once there's an
+ * audio context, feeding the analyser
+ * @param {object} context - Diagnostic context
+ * @param {MediaStream} stream
+ */
+export function connectStream(context, stream) {
+    context.stream = stream;
+    context.audioTrack = stream.getAudioTracks()[0] || null;
+    if (!context.audioContext || !context.analyser) return;
+    
+    // Reconnect to audio context
+    if (context.source) {
+        try { context.source.disconnect(); } catch (e) { /* ignore */ }
+    }
+    context.source = context.audioContext.createMediaStreamSource(stream);
+    context.source.connect(context.analyser);
+}
+
+/**
+ * Reopen the microphone with the constraints it had before a test stopped it
+ * If the context was cleaned up meanwhile (test page left), the new stream
+ * is stopped again rather than left running
+ * 
+ * @param {object} context - Diagnostic context
+ * @param {MediaTrackConstraints} constraints - The stopped track's constraints
+ */
+export async function reopenStream(context, constraints) {
+    const connected = !!context.audioContext;
+    context.stream = null;
+    
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+    } catch (error) {
+        console.warn('Could not reopen the microphone:', error);
+        context.audioTrack = null;
+        context.source = null;
+        return;
+    }
+    
+    if (connected && (!context.audioContext || !context.analyser)) {
+        stream.getTracks().forEach(t => t.stop());
+        return;
+    }
+    connectStream(context, stream);
+}
+
+/**
+ * Play a signal through the speakers and record the microphone meanwhile
+ * 
+ * The recording is trimmed so that sample 0 is the moment playback was
+ * scheduled to start - a sound at index n in the recording arrived n
+ * samples after it was played (output, acoustic and input delay together).
+ * 
+ * @param {AudioContext} audioContext - Context the input node belongs to (must be running)
+ * @param {AudioNode} inputNode - Microphone source node
+ * @param {Float32Array} samples - Signal to play, at the context's sample rate
+ * @param {object} [options]
+ * @param {number} [options.tail=0.5] - Seconds to keep recording after the signal ends
+ * @param {function(number): void} [options.onProgress] - Called with the fraction done (0-1)
+ * @param {AbortSignal} [options.signal] - Stops playback and recording
+ * @returns {Promise<Float32Array>} Recording, signal length plus tail
+ */
+export async function playAndRecord(audioContext, inputNode, samples, options = {}) {
+    const { tail = 0.5, onProgress, signal } = options;
+    const sampleRate = audioContext.sampleRate;
+    
+    const chunks = [];
+    const capture = new SampleCapture(audioContext, inputNode, {
+        channelCount: 1,
+        onSamples: (channels, missedFrames) => {
+            // Keep sample positions true to the context clock
+            if (missedFrames > 0) chunks.push(new Float32Array(missedFrames));
+            chunks.push(Float32Array.from(channels[0]));
+        }
+    });
+    await capture.init();
+    capture.start();
+    
+    const buffer = audioContext.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const player = audioContext.createBufferSource();
+    player.buffer = buffer;
+    player.connect(audioContext.destination);
+    
+    const startTime = audioContext.currentTime + PLAYBACK_LEAD_IN_SECONDS;
+    const duration = samples.length / sampleRate + tail;
+    player.start(startTime);
+    
+    // The context clock decides when we're done; the wall clock only guards
+    // against a context that stopped running
+    const deadline = Date.now() + (PLAYBACK_LEAD_IN_SECONDS + duration) * 1000 + 2000;
+    let firstFrame;
+    try {
+        while (audioContext.currentTime < startTime + duration + DELIVERY_MARGIN_SECONDS && Date.now() < deadline) {
+            capture.poll();
+            if (onProgress) {
+                onProgress(Math.min(1, Math.max(0, (audioContext.currentTime - startTime) / duration)));
+            }
+            await sleep(50, signal);
+        }
+        capture.poll();
+        await capture.stop();
+        firstFrame = capture.getFirstFrame();
+    } finally {
+        capture.disconnect();
+        try {
+            player.stop();
+            player.disconnect();
+        } catch (e) { /* ignore cleanup errors */ }
+    }
+    
+    if (firstFrame === null) {
+        throw new Error('No audio was captured');
+    }
+    
+    const length = Math.round(duration * sampleRate);
+    const offset = Math.round(startTime * sampleRate) - firstFrame;
+    const recording = new Float32Array(length);
+    
+    // Copy the part of each chunk that falls after playback started
+    let position = -offset;
+    for (const chunk of chunks) {
+        const from = Math.max(0, -position);
+        const to = Math.min(chunk.length, length - position);
+        if (to > from) recording.set(chunk.subarray(from, to), position + from);
+        position += chunk.length;
+    }
+    
+    return recording;
+}
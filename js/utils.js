@@ -40,6 +40,31 @@ export function getRmsFromAnalyser(analyser) {
     return Math.sqrt(sum / bufferLength);
 }
 
+/**
+ * Wait for a while, unless cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Rejects with the signal's reason when aborted
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 /**
  * Clean up audio resources (stream, context, source, analyser)
  * Safely handles null values and already-closed contexts
@@ -0,0 +1,112 @@
+/**
+ * Sample Capture Processor (AudioWorklet)
+ * 
+ * Runs on the audio rendering thread and forwards every input sample to the
+ * main thread in fixed-size batches. Unlike polling an AnalyserNode, nothing
+ * is overwritten between reads, so main-thread lag or background-tab
+ * throttling only delays measurements - it never drops samples.
+ * 
+ * Messages in:  { type: 'start', run: number } | { type: 'stop' } | { type: 'close' }
+ * Messages out: { type: 'samples', channels: Float32Array[], frame: number, run: number }
+ *               { type: 'stopped', run: number } - after the last batch of a run
+ * 
+ * 'stop' flushes the partial batch first. Once stopped or closed, process()
+ * returns false so a disconnected processor can be collected.
+ * 
+ * Loaded via audioWorklet.addModule() from js/sample-capture.js.
+ */
+
+class SampleCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        
+        const processorOptions = options?.processorOptions || {};
+        this.channelCount = options?.channelCount || 1;
+        this.batchSize = processorOptions.batchSize || 2048;
+        
+        this.active = false;
+        this.finished = false;  // Stopped or closed - let the node be collected
+        this.run = 0;
+        this.buffers = null;
+        this.filled = 0;
+        this.batchStartFrame = 0;
+        
+        this.port.onmessage = (event) => {
+            const type = event.data?.type;
+            if (type === 'start') {
+                this.active = true;
+                this.finished = false;
+                this.run = event.data.run;
+                this._resetBatch();
+            } else if (type === 'stop' || type === 'close') {
+                if (type === 'stop' && this.active) {
+                    this._flush();
+                    this.port.postMessage({ type: 'stopped', run: this.run });
+                }
+                this.active = false;
+                this.finished = true;
+                this.buffers = null;
+            }
+        };
+    }
+    
+    /**
+     * Start a fresh batch of per-channel buffers
+     */
+    _resetBatch() {
+        this.buffers = [];
+        for (let ch = 0; ch < this.channelCount; ch++) {
+            this.buffers.push(new Float32Array(this.batchSize));
+        }
+        this.filled = 0;
+    }
+    
+    /**
+     * Post the current batch to the main thread
+     */
+    _flush() {
+        if (!this.buffers || this.filled === 0) return;
+        
+        const channels = this.buffers.map(buffer => buffer.slice(0, this.filled));
+        this.port.postMessage(
+            { type: 'samples', channels, frame: this.batchStartFrame, run: this.run },
+            channels.map(c => c.buffer)
+        );
+        this._resetBatch();
+    }
+    
+    process(inputs) {
+        const input = inputs[0];
+        
+        // Stay alive while idle until stopped or closed
+        if (!this.active || !input || input.length === 0) return !this.finished;
+        
+        const frames = input[0].length;
+        let offset = 0;
+        
+        while (offset < frames) {
+            if (this.filled === 0) {
+                this.batchStartFrame = currentFrame + offset;
+            }
+            
+            const count = Math.min(frames - offset, this.batchSize - this.filled);
+            for (let ch = 0; ch < this.channelCount; ch++) {
+                // Missing channels stay silent (buffers start zeroed)
+                if (input[ch]) {
+                    this.buffers[ch].set(input[ch].subarray(offset, offset + count), this.filled);
+                }
+            }
+            
+            this.filled += count;
+            offset += count;
+            
+            if (this.filled === this.batchSize) {
+                this._flush();
+            }
+        }
+        
+        return true;
+    }
+}
+
+registerProcessor('sample-capture-processor', SampleCaptureProcessor);
@@ -0,0 +1,206 @@
+/**
+ * Glitch Detection Check
+ * 
+ * Feeds synthetic signals through js/glitch-detection.js: faults it must
+ * find (a click, a dropped buffer, clipping) and clean audio that looks
+ * like faults to a naive detector and must not count:
+ * - Sibilant-like bursts (6 kHz band-passed noise) that fade in over 30ms -
+ *   each onset jumps out from the quiet before it, but not from what follows
+ * - Gated speech, where the gate drops to exact zero for 200ms between words
+ * 
+ * Run with: node tests/glitch-detection.test.mjs
+ */
+
+import { GlitchDetector } from '../js/glitch-detection.js';
+
+const SAMPLE_RATE = 48000;
+const DURATION_SECONDS = 10;
+
+// Fed in batches, the way SampleCapture delivers them
+const BATCH_SIZE = 2048;
+
+/**
+ * Seeded uniform noise in [-1, 1), so every run tests the same samples
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32 * 2 - 1;
+    };
+}
+
+/**
+ * Band-pass filter (RBJ cookbook, constant 0 dB peak gain)
+ * @param {Float32Array} samples
+ * @param {number} frequency - Centre frequency in Hz
+ * @param {number} q
+ * @returns {Float32Array}
+ */
+function bandPass(samples, frequency, q) {
+    const w0 = 2 * Math.PI * frequency / SAMPLE_RATE;
+    const alpha = Math.sin(w0) / (2 * q);
+    const a0 = 1 + alpha;
+    const b0 = alpha / a0, b2 = -alpha / a0;
+    const a1 = -2 * Math.cos(w0) / a0, a2 = (1 - alpha) / a0;
+    
+    const output = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const y = b0 * samples[i] + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1; x1 = samples[i];
+        y2 = y1; y1 = y;
+        output[i] = y;
+    }
+    return output;
+}
+
+/**
+ * Scale a signal so its sample peak is at the given level
+ * @param {Float32Array} samples
+ * @param {number} peakDb - dBFS
+ * @returns {Float32Array} The same array
+ */
+function scaleToPeak(samples, peakDb) {
+    let peak = 0;
+    for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+    const gain = Math.pow(10, peakDb / 20) / peak;
+    for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+    return samples;
+}
+
+/**
+ * A 220 Hz sine at -12 dBFS - steady sound for faults to be put into
+ * @returns {Float32Array}
+ */
+function createSine() {
+    const samples = new Float32Array(SAMPLE_RATE * DURATION_SECONDS);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = 0.25 * Math.sin(2 * Math.PI * 220 * i / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+/**
+ * One 200ms sibilant-like burst a second, 30ms fade in and out
+ * @param {number} peakDb - dBFS
+ * @returns {Float32Array}
+ */
+function createSibilantBursts(peakDb) {
+    const random = createRandom(7);
+    const noise = bandPass(Float32Array.from({ length: SAMPLE_RATE * DURATION_SECONDS }, random), 6000, 2);
+    const samples = new Float32Array(noise.length);
+    const length = Math.round(0.2 * SAMPLE_RATE);
+    const fade = Math.round(0.03 * SAMPLE_RATE);
+    
+    for (let second = 0; second < DURATION_SECONDS; second++) {
+        const start = Math.round((second + 0.3) * SAMPLE_RATE);
+        for (let i = 0; i < length; i++) {
+            samples[start + i] = noise[start + i] * Math.min(1, i / fade, (length - i) / fade);
+        }
+    }
+    return scaleToPeak(samples, peakDb);
+}
+
+/**
+ * Speech-like phrases (a voiced tone with breath noise) of 300ms, with the
+ * gate closed - exact zeros - for 200ms between them
+ * @returns {Float32Array}
+ */
+function createGatedSpeech() {
+    const random = createRandom(3);
+    const samples = new Float32Array(SAMPLE_RATE * DURATION_SECONDS);
+    const phrase = Math.round(0.3 * SAMPLE_RATE);
+    const gap = Math.round(0.2 * SAMPLE_RATE);
+    const fade = Math.round(0.004 * SAMPLE_RATE);
+    
+    for (let start = 0; start < samples.length; start += phrase + gap) {
+        for (let i = 0; i < phrase && start + i < samples.length; i++) {
+            const t = (start + i) / SAMPLE_RATE;
+            const envelope = Math.min(1, i / fade, (phrase - i) / fade);
+            samples[start + i] = envelope * (0.2 * Math.sin(2 * Math.PI * 150 * t) + 0.02 * random());
+        }
+    }
+    return samples;
+}
+
+/**
+ * Run a detector over a whole signal, batch by batch
+ * @param {Float32Array} samples
+ * @returns {object} getResults()
+ */
+function detect(samples) {
+    const detector = new GlitchDetector(SAMPLE_RATE);
+    for (let i = 0; i < samples.length; i += BATCH_SIZE) {
+        detector.addSamples(samples.subarray(i, i + BATCH_SIZE));
+    }
+    return detector.getResults();
+}
+
+const CASES = [
+    {
+        name: 'Clean sine',
+        create: createSine,
+        expected: { clipping: 0, dropouts: 0, discontinuities: 0 }
+    },
+    {
+        name: 'Sine with a click (step of 0.2) at 5s',
+        create: () => {
+            const samples = createSine();
+            for (let i = 5 * SAMPLE_RATE; i < samples.length; i++) samples[i] += 0.2;
+            return samples;
+        },
+        expected: { clipping: 0, dropouts: 0, discontinuities: 1 }
+    },
+    {
+        name: 'Sine with a 10ms dropout at 5s',
+        create: () => {
+            const samples = createSine();
+            samples.fill(0, 5 * SAMPLE_RATE, 5 * SAMPLE_RATE + 480);
+            return samples;
+        },
+        expected: { clipping: 0, dropouts: 1 }
+    },
+    {
+        // Both halves of every cycle flatten: 2 x 220 Hz x 10s
+        name: 'Sine clipped at full scale',
+        create: () => createSine().map(sample => Math.max(-1, Math.min(1, sample * 8))),
+        expected: { clipping: 4400, dropouts: 0, discontinuities: 0 }
+    },
+    {
+        name: 'Sibilant bursts, -12 dBFS peak',
+        create: () => createSibilantBursts(-12),
+        expected: { clipping: 0, dropouts: 0, discontinuities: 0 }
+    },
+    {
+        name: 'Sibilant bursts, -5 dBFS peak',
+        create: () => createSibilantBursts(-5),
+        expected: { clipping: 0, dropouts: 0, discontinuities: 0 }
+    },
+    {
+        name: 'Gated speech, 200ms of exact zeros between phrases',
+        create: createGatedSpeech,
+        expected: { clipping: 0, dropouts: 0, discontinuities: 0 }
+    }
+];
+
+let failures = 0;
+
+for (const testCase of CASES) {
+    const results = detect(testCase.create());
+    
+    for (const [fault, expected] of Object.entries(testCase.expected)) {
+        const count = results[fault].count;
+        const ok = count === expected;
+        if (!ok) failures++;
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${testCase.name} [${fault}]: ${count} (expected ${expected})`);
+    }
+}
+
+if (failures > 0) {
+    console.error(`${failures} count(s) wrong`);
+    process.exit(1);
+}
+console.log('All glitch counts as expected');
@@ -0,0 +1,68 @@
+/**
+ * True Peak Reference Check
+ * 
+ * Feeds the true-peak test signals from EBU Tech 3341 (section 2.9, test
+ * cases 15-19) through js/true-peak.js and checks the readings are within
+ * the spec's tolerance (+0.2 / -0.4 dB). These sines peak between samples,
+ * so a plain sample-peak meter under-reads all but the first.
+ * 
+ * Run with: node tests/true-peak.test.mjs
+ */
+
+import { measureTruePeak } from '../js/true-peak.js';
+
+const SAMPLE_RATE = 48000;
+const DURATION_SECONDS = 1;
+
+// The sines fade in and out over this long - a buffer that starts or stops
+// mid-cycle is a step, and the interpolator's ringing on it would read as a
+// peak the steady sine doesn't have
+const FADE_SECONDS = 0.01;
+
+// Allowed error, dB (EBU Tech 3341 section 2.9)
+const TOLERANCE_ABOVE_DB = 0.2;
+const TOLERANCE_BELOW_DB = 0.4;
+
+// Sines at a fraction of the sample rate, amplitude and start phase from the spec
+const CASES = [
+    { name: 'Test 15: fs/4, phase 0°', frequencyRatio: 1 / 4, amplitude: 0.5, phaseDegrees: 0, expectedDbtp: -6.0 },
+    { name: 'Test 16: fs/4, phase 45°', frequencyRatio: 1 / 4, amplitude: 0.5, phaseDegrees: 45, expectedDbtp: -6.0 },
+    { name: 'Test 17: fs/6, phase 60°', frequencyRatio: 1 / 6, amplitude: 0.5, phaseDegrees: 60, expectedDbtp: -6.0 },
+    { name: 'Test 18: fs/8, phase 67.5°', frequencyRatio: 1 / 8, amplitude: 0.5, phaseDegrees: 67.5, expectedDbtp: -6.0 },
+    { name: 'Test 19: fs/4, phase 45°, +3 dBFS', frequencyRatio: 1 / 4, amplitude: 1.41, phaseDegrees: 45, expectedDbtp: 3.0 }
+];
+
+/**
+ * Generate one test sine, with raised-cosine fades at both ends
+ * @returns {Float32Array}
+ */
+function createSine({ frequencyRatio, amplitude, phaseDegrees }) {
+    const samples = new Float32Array(SAMPLE_RATE * DURATION_SECONDS);
+    const phase = phaseDegrees * Math.PI / 180;
+    const fadeLength = Math.round(FADE_SECONDS * SAMPLE_RATE);
+    for (let i = 0; i < samples.length; i++) {
+        const edge = Math.min(i, samples.length - 1 - i);
+        const fade = edge < fadeLength ? 0.5 - 0.5 * Math.cos(Math.PI * edge / fadeLength) : 1;
+        samples[i] = fade * amplitude * Math.sin(2 * Math.PI * frequencyRatio * i + phase);
+    }
+    return samples;
+}
+
+const toDb = linear => 20 * Math.log10(linear);
+
+let failures = 0;
+
+for (const testCase of CASES) {
+    const dbtp = toDb(measureTruePeak(createSine(testCase)));
+    const error = dbtp - testCase.expectedDbtp;
+    const ok = error <= TOLERANCE_ABOVE_DB && error >= -TOLERANCE_BELOW_DB;
+    if (!ok) failures++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${testCase.name}: ` +
+        `${dbtp.toFixed(2)} dBTP (expected ${testCase.expectedDbtp.toFixed(1)})`);
+}
+
+if (failures > 0) {
+    console.error(`${failures} reading(s) outside tolerance`);
+    process.exit(1);
+}
+console.log('All true peak readings within tolerance');